@@ -0,0 +1,186 @@
+// analytics.js - Incident counts over time, breakdowns, response times and backlog age
+const { HttpError } = require('./http');
+const { parseFilters } = require('./incidents');
+const { getRepositories } = require('./repositories');
+const { BUCKET_STARTS, BREAKDOWN_KEYS } = require('./repositories/schema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 400;
+
+// Where the bucket after a given one starts, in UTC
+const INTERVALS = {
+  day: (date) => new Date(date.getTime() + DAY_MS),
+  week: (date) => new Date(date.getTime() + 7 * DAY_MS),
+  month: (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+};
+
+const BACKLOG_STATUSES = ['open', 'in-progress'];
+const PERCENTILES = [50, 75, 90, 95];
+
+const badRequest = (message) => new HttpError(400, 'Bad Request', message);
+
+// The stats view's SUM and AVG come back from mysql2 as DECIMAL strings
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const parseRange = (query = {}) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw badRequest('from and to must be ISO 8601 dates');
+  }
+  if (from >= to) {
+    throw badRequest('from must be before to');
+  }
+  return { from, to };
+};
+
+// The list filters (status, priority, type, department, assignedTo...) narrow every report;
+// the range takes the place of createdFrom and createdTo
+const reportFilters = (query) => parseFilters({ ...query, createdFrom: undefined, createdTo: undefined });
+
+const bucketKeys = (intervalName, range) => {
+  const keys = [];
+  for (let date = BUCKET_STARTS[intervalName](range.from); date < range.to; date = INTERVALS[intervalName](date)) {
+    keys.push(date.toISOString().slice(0, 10));
+    if (keys.length > MAX_BUCKETS) {
+      throw badRequest(`Range is too long for interval buckets (max ${MAX_BUCKETS})`);
+    }
+  }
+  return keys;
+};
+
+// Reported and resolved counts per bucket, with empty buckets filled in
+const getTimeSeries = async (query = {}) => {
+  const intervalName = query.interval || 'day';
+  if (!Object.keys(INTERVALS).includes(intervalName)) {
+    throw badRequest(`Unknown interval '${intervalName}'. Valid intervals: ${Object.keys(INTERVALS).join(', ')}`);
+  }
+
+  const range = parseRange(query);
+  const keys = bucketKeys(intervalName, range);
+  const filters = reportFilters(query);
+  const { analytics } = getRepositories();
+  const created = await analytics.countByBucket({ interval: intervalName, column: 'created_at', filters, range });
+  const resolved = await analytics.countByBucket({ interval: intervalName, column: 'completed_at', filters, range });
+
+  return {
+    interval: intervalName,
+    from: range.from,
+    to: range.to,
+    buckets: keys.map(period => ({
+      period,
+      created: created.get(period) || 0,
+      resolved: resolved.get(period) || 0
+    }))
+  };
+};
+
+// Incidents reported in the range grouped by one dimension, with a count per status
+const getBreakdown = async (query = {}) => {
+  const dimension = query.by || 'type';
+  if (!BREAKDOWN_KEYS.includes(dimension)) {
+    throw badRequest(`Unknown breakdown '${dimension}'. Valid breakdowns: ${BREAKDOWN_KEYS.join(', ')}`);
+  }
+
+  const range = parseRange(query);
+  const groups = await getRepositories().analytics.breakdown({ by: dimension, filters: reportFilters(query), range });
+
+  return {
+    by: dimension,
+    from: range.from,
+    to: range.to,
+    groups
+  };
+};
+
+// Minutes to one decimal place; null when nothing was measured
+const toMinutes = (seconds) => (seconds === null || seconds === undefined ? null : Math.round(toNumber(seconds) / 6) / 10);
+
+const mapResponseTimes = (times) => ({
+  acknowledged: times.acknowledged,
+  mttaMinutes: toMinutes(times.mttaSeconds),
+  resolved: times.resolved,
+  mttrMinutes: toMinutes(times.mttrSeconds)
+});
+
+// Mean time to acknowledge (approved_at) and resolve (completed_at) for incidents reported in the range
+const getResponseTimes = async (query = {}) => {
+  const range = parseRange(query);
+  const { overall, byPriority } = await getRepositories().analytics.responseTimes({ filters: reportFilters(query), range });
+
+  return {
+    from: range.from,
+    to: range.to,
+    ...mapResponseTimes(overall),
+    byPriority: Object.fromEntries(Object.entries(byPriority).map(([priority, times]) => [priority, mapResponseTimes(times)]))
+  };
+};
+
+// Nearest-rank percentile over ages sorted ascending
+const percentile = (sorted, p) => sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+
+// Age of every open and in-progress incident right now
+const getBacklog = async (query = {}) => {
+  const now = new Date();
+  const rows = await getRepositories().analytics.ages({
+    statuses: BACKLOG_STATUSES,
+    filters: parseFilters({ ...query, status: undefined }),
+    now
+  });
+
+  const ages = rows.map(row => row.ageSeconds / 3600);
+  const byPriority = {};
+  rows.forEach(row => { byPriority[row.priority] = (byPriority[row.priority] || 0) + 1; });
+
+  return {
+    asOf: now,
+    total: rows.length,
+    byPriority,
+    ageHours: ages.length === 0 ? null : {
+      ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, Math.round(percentile(ages, p) * 10) / 10])),
+      max: Math.round(ages[ages.length - 1] * 10) / 10
+    }
+  };
+};
+
+const REPORTS = {
+  timeseries: getTimeSeries,
+  breakdown: getBreakdown,
+  'response-times': getResponseTimes,
+  backlog: getBacklog
+};
+
+const getReport = (name, query) => {
+  const report = REPORTS[name];
+  if (!report) {
+    throw new HttpError(404, 'Not Found', `Unknown report '${name}'. Valid reports: ${Object.keys(REPORTS).join(', ')}`);
+  }
+  return report(query);
+};
+
+// Same keys as the request_stats view, for a database where the view returns nothing
+const EMPTY_STATS = {
+  total_requests: 0,
+  open_count: 0,
+  in_progress_count: 0,
+  resolved_count: 0,
+  closed_count: 0,
+  avg_processing_time_hours: null
+};
+
+// Totals from the request_stats view with numbers instead of DECIMAL strings
+const getRequestStats = async () => {
+  const stats = await getRepositories().analytics.stats();
+
+  return Object.fromEntries(Object.entries(stats || EMPTY_STATS).map(([key, value]) => [
+    key,
+    key === 'avg_processing_time_hours' ? toNumber(value) : toNumber(value) || 0
+  ]));
+};
+
+module.exports = {
+  getReport,
+  getRequestStats
+};
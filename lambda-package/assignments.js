@@ -0,0 +1,101 @@
+// assignments.js - Incident assignment and analyst work queues
+const { HttpError } = require('./http');
+const { ROLES } = require('./permissions');
+const { AUDIT_ACTIONS, writeAuditEntry } = require('./audit');
+const { findRequests, parseListOptions, lockRequest } = require('./incidents');
+const { getRepositories } = require('./repositories');
+const { EVENTS, notifyIncidentEvent } = require('./notifications');
+
+const ASSIGNABLE_ROLES = [ROLES.IT_SUPPORT, ROLES.ADMIN];
+const ACTIVE_STATUSES = ['open', 'in-progress'];
+
+const QUEUE_VIEWS = {
+  mine: (access) => ({ assignedTo: access.roleUserId }),
+  unassigned: () => ({ assigned: false }),
+  team: () => ({ assigned: true })
+};
+
+// Accepts a user_roles id or email; only IT staff can own incidents
+const resolveAssignee = async (assignee, connection) => {
+  const user = await getRepositories().users.findByIdOrEmail(assignee, connection);
+
+  if (!user) {
+    throw new HttpError(422, 'Unprocessable Entity', `Unknown assignee '${assignee}'`);
+  }
+  if (!user.is_active) {
+    throw new HttpError(422, 'Unprocessable Entity', `Assignee '${assignee}' has been deactivated`);
+  }
+  if (!ASSIGNABLE_ROLES.includes(user.user_role)) {
+    throw new HttpError(422, 'Unprocessable Entity', `Assignee must have one of the roles: ${ASSIGNABLE_ROLES.join(', ')}`);
+  }
+  return user;
+};
+
+// Runs inside the caller's transaction; a null assignee unassigns
+const assignRequest = async (connection, { requestId, assignee, actor }) => {
+  const current = await lockRequest(connection, requestId);
+
+  const assigneeUser = assignee ? await resolveAssignee(assignee, connection) : null;
+  const assignedTo = assigneeUser ? assigneeUser.user_id : null;
+  if (assignedTo === current.assigned_to) {
+    return { changed: false, assignedTo, notificationIds: [] };
+  }
+
+  const assignedBy = assignedTo ? (actor.roleUserId || actor.userId) : null;
+
+  await getRepositories().incidents.update(
+    requestId,
+    { assigned_to: assignedTo, assigned_by: assignedBy, updated_at: new Date() },
+    connection
+  );
+
+  let actionType = AUDIT_ACTIONS.REASSIGN;
+  if (!current.assigned_to) actionType = AUDIT_ACTIONS.ASSIGN;
+  if (!assignedTo) actionType = AUDIT_ACTIONS.UNASSIGN;
+
+  await writeAuditEntry(connection, {
+    requestId,
+    userId: actor.userId,
+    actionType,
+    oldValues: { assignedTo: current.assigned_to, assignedBy: current.assigned_by },
+    newValues: { assignedTo, assignedBy }
+  });
+
+  const notificationIds = assigneeUser
+    ? await notifyIncidentEvent(connection, EVENTS.ASSIGNED, {
+      request: { ...current, assigned_to: assignedTo },
+      actor,
+      recipients: [{ email: assigneeUser.email, name: assigneeUser.user_name, role: 'assignee' }],
+      assignee: { userId: assigneeUser.user_id, name: assigneeUser.user_name, email: assigneeUser.email }
+    })
+    : [];
+
+  return { changed: true, assignedTo, previousAssignee: current.assigned_to, notificationIds };
+};
+
+const getQueue = async ({ access, query = {} }) => {
+  const view = query.view || 'mine';
+  const buildView = QUEUE_VIEWS[view];
+
+  if (!buildView) {
+    throw new HttpError(400, 'Bad Request', `Unknown queue view '${view}'. Valid views: ${Object.keys(QUEUE_VIEWS).join(', ')}`);
+  }
+  if (view === 'mine' && !access.roleUserId) {
+    throw new HttpError(403, 'Forbidden', 'Only IT team members listed in user_roles have a personal queue');
+  }
+
+  const { requests, nextCursor } = await findRequests({
+    access,
+    // Merged reports are handled through their parent
+    filters: { ...buildView(access), statuses: ACTIVE_STATUSES, merged: false },
+    ...parseListOptions(query)
+  });
+
+  return { view, requests, nextCursor };
+};
+
+module.exports = {
+  QUEUE_VIEWS,
+  assignRequest,
+  getQueue
+};
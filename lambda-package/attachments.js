@@ -0,0 +1,224 @@
+// attachments.js - Evidence files on incidents; contents live in storage, metadata in the repositories
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+const { generateId } = require('./ids');
+const { lockRequest } = require('./incidents');
+const { canSeeInternal } = require('./comments');
+const { AUDIT_ACTIONS, writeAuditEntry } = require('./audit');
+const { getStorage } = require('./storage');
+const { logger } = require('./logger');
+const { getRepositories, withTransaction } = require('./repositories');
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'application/pdf', 'text/plain', 'text/csv', 'application/json',
+  'message/rfc822', 'application/vnd.ms-outlook',
+  'application/zip', 'application/x-zip-compressed', 'application/octet-stream'
+];
+
+// Uploads arrive base64-encoded in a JSON body, which Lambda caps at 6 MB
+const ATTACHMENT_CONFIG = {
+  maxFileBytes: parseInt(process.env.ATTACHMENT_MAX_FILE_BYTES) || 4 * 1024 * 1024,
+  maxIncidentBytes: parseInt(process.env.ATTACHMENT_MAX_INCIDENT_BYTES) || 50 * 1024 * 1024,
+  allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES
+};
+
+// Types a browser may show in the page; everything else is always downloaded
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'];
+
+// Files that can run when opened are quarantined even if the uploader didn't say so
+const EXECUTABLE_EXTENSIONS = [
+  'exe', 'dll', 'scr', 'com', 'pif', 'msi', 'bat', 'cmd', 'ps1', 'vbs', 'vbe', 'js', 'jse', 'wsf',
+  'hta', 'jar', 'lnk', 'iso', 'img', 'docm', 'xlsm', 'pptm'
+];
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const mapAttachment = (row) => ({
+  id: row.id,
+  requestId: row.request_id,
+  fileName: row.file_name,
+  contentType: row.content_type,
+  size: Number(row.size_bytes),
+  sha256: row.sha256,
+  isInternal: !!row.is_internal,
+  isQuarantined: !!row.is_quarantined,
+  uploadedBy: row.uploaded_by,
+  uploadedByName: row.uploaded_by_name,
+  createdAt: row.created_at
+});
+
+// Reporters only reach attachments on their own incidents; others get a 404 so ids don't leak
+const checkRequestAccess = async (requestId, access) => {
+  const request = await getRepositories().incidents.get(requestId);
+
+  if (!request || (request.user_id !== access.userId && !canSeeInternal(access))) {
+    throw new HttpError(404, 'Not Found', 'Request not found');
+  }
+};
+
+const loadAttachment = async (requestId, attachmentId, access) => {
+  const row = await getRepositories().attachments.get(requestId, attachmentId);
+
+  if (!row || (row.is_internal && !canSeeInternal(access))) {
+    throw new HttpError(404, 'Not Found', 'Attachment not found');
+  }
+  return row;
+};
+
+// Keeps the last path segment and drops control characters, so names are safe in headers and on disk
+const cleanFileName = (value) => {
+  if (typeof value !== 'string') return '';
+  return value.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, '').trim().substring(0, 255);
+};
+
+const validateUpload = (data, access) => {
+  const fileName = cleanFileName(data.fileName);
+  if (!fileName) {
+    throw new HttpError(400, 'Bad Request', 'fileName is required');
+  }
+
+  const contentType = String(data.contentType || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+  if (!ATTACHMENT_CONFIG.allowedTypes.includes(contentType)) {
+    throw new HttpError(415, 'Unsupported Media Type', `Files of type ${contentType} are not accepted. Allowed types: ${ATTACHMENT_CONFIG.allowedTypes.join(', ')}`);
+  }
+
+  const encoded = typeof data.content === 'string' ? data.content.replace(/\s/g, '') : '';
+  if (!encoded || !BASE64_PATTERN.test(encoded)) {
+    throw new HttpError(400, 'Bad Request', 'content must be the base64-encoded file');
+  }
+  const content = Buffer.from(encoded, 'base64');
+  if (content.length > ATTACHMENT_CONFIG.maxFileBytes) {
+    throw new HttpError(413, 'Payload Too Large', `Attachments can be at most ${ATTACHMENT_CONFIG.maxFileBytes} bytes`);
+  }
+
+  if (data.isInternal && !canSeeInternal(access)) {
+    throw new HttpError(403, 'Forbidden', 'Only the IT team can add internal attachments');
+  }
+
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  return {
+    fileName,
+    contentType,
+    content,
+    isInternal: !!data.isInternal,
+    isQuarantined: !!data.isQuarantined || EXECUTABLE_EXTENSIONS.includes(extension)
+  };
+};
+
+const listAttachments = async (requestId, access) => {
+  await checkRequestAccess(requestId, access);
+
+  const rows = await getRepositories().attachments.listForRequest(requestId, { includeInternal: canSeeInternal(access) });
+  return rows.map(mapAttachment);
+};
+
+// The file is stored before the row commits; if the transaction fails, the file is removed again
+const addAttachment = async (access, requestId, data) => {
+  await checkRequestAccess(requestId, access);
+  const upload = validateUpload(data, access);
+  const storage = getStorage();
+
+  const row = {
+    id: generateId('ATT'),
+    request_id: requestId,
+    file_name: upload.fileName,
+    content_type: upload.contentType,
+    size_bytes: upload.content.length,
+    sha256: crypto.createHash('sha256').update(upload.content).digest('hex'),
+    is_internal: upload.isInternal,
+    is_quarantined: upload.isQuarantined,
+    uploaded_by: access.userId,
+    uploaded_by_name: access.name,
+    created_at: new Date()
+  };
+  const storageKey = `${requestId}/${row.id}`;
+  let stored = false;
+
+  try {
+    await withTransaction(async (connection) => {
+      // The row lock makes concurrent uploads to one incident take turns on the size check
+      await lockRequest(connection, requestId);
+      const usedBytes = await getRepositories().attachments.totalBytes(requestId, connection);
+      if (usedBytes + row.size_bytes > ATTACHMENT_CONFIG.maxIncidentBytes) {
+        throw new HttpError(413, 'Payload Too Large', `Attachments on one incident can total at most ${ATTACHMENT_CONFIG.maxIncidentBytes} bytes`);
+      }
+
+      await storage.put(storageKey, upload.content, { contentType: row.content_type, sha256: row.sha256 });
+      stored = true;
+
+      await getRepositories().attachments.insert({ ...row, storage_key: storageKey }, connection);
+
+      await writeAuditEntry(connection, {
+        requestId,
+        userId: access.userId,
+        actionType: AUDIT_ACTIONS.ATTACHMENT_ADD,
+        newValues: { attachmentId: row.id, fileName: row.file_name, sha256: row.sha256, isInternal: row.is_internal, isQuarantined: row.is_quarantined }
+      });
+    });
+  } catch (error) {
+    if (stored) {
+      await storage.remove(storageKey).catch(removeError => {
+        logger.error('Failed to remove attachment after rollback', { storageKey, error: removeError });
+      });
+    }
+    throw error;
+  }
+
+  logger.info('Attachment added', { attachmentId: row.id, requestId });
+  return mapAttachment(row);
+};
+
+// Quarantined files are always sent as an opaque download, whatever type they were uploaded as
+const getAttachmentContent = async (access, requestId, attachmentId) => {
+  await checkRequestAccess(requestId, access);
+  const row = await loadAttachment(requestId, attachmentId, access);
+  const attachment = mapAttachment(row);
+  const content = await getStorage().get(row.storage_key);
+
+  const inline = !attachment.isQuarantined && INLINE_TYPES.includes(attachment.contentType);
+  const asciiName = attachment.fileName.replace(/[^\x20-\x7e]/g, '_');
+
+  return {
+    attachment,
+    content,
+    contentType: attachment.isQuarantined ? 'application/octet-stream' : attachment.contentType,
+    contentDisposition: `${inline ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+  };
+};
+
+// Uploaders can remove their own files; anyone else needs request:delete
+const deleteAttachment = async (access, requestId, attachmentId) => {
+  await checkRequestAccess(requestId, access);
+  const row = await loadAttachment(requestId, attachmentId, access);
+
+  if (row.uploaded_by !== access.userId && !hasPermission(access, PERMISSIONS.REQUEST_DELETE)) {
+    throw new HttpError(403, 'Forbidden', 'Only the uploader or an admin can delete an attachment');
+  }
+
+  await withTransaction(async (connection) => {
+    await getRepositories().attachments.remove(attachmentId, connection);
+    await writeAuditEntry(connection, {
+      requestId,
+      userId: access.userId,
+      actionType: AUDIT_ACTIONS.ATTACHMENT_DELETE,
+      oldValues: { attachmentId, fileName: row.file_name, sha256: row.sha256 }
+    });
+  });
+
+  // A leftover file is harmless once its row is gone, so a storage failure doesn't fail the request
+  await getStorage().remove(row.storage_key).catch(error => {
+    logger.error('Failed to remove attachment file', { storageKey: row.storage_key, error });
+  });
+};
+
+module.exports = {
+  ATTACHMENT_CONFIG,
+  listAttachments,
+  addAttachment,
+  getAttachmentContent,
+  deleteAttachment
+};
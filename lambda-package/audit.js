@@ -0,0 +1,290 @@
+// audit.js - Writes incident changes to request_audit_log and user changes to user_audit_log
+const crypto = require('crypto');
+const { parseJSON } = require('./db');
+const { HttpError } = require('./http');
+const { getRepositories } = require('./repositories');
+
+const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  STATUS_CHANGE: 'status_change',
+  REOPEN: 'reopen',
+  ASSIGN: 'assign',
+  REASSIGN: 'reassign',
+  UNASSIGN: 'unassign',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  SLA_ESCALATION: 'sla_escalation',
+  TRIAGE: 'triage',
+  LINK: 'link',
+  UNLINK: 'unlink',
+  MERGE: 'merge',
+  ATTACHMENT_ADD: 'attachment_add',
+  ATTACHMENT_DELETE: 'attachment_delete',
+  COMMENT_ADD: 'comment_add',
+  COMMENT_UPDATE: 'comment_update',
+  COMMENT_DELETE: 'comment_delete'
+};
+
+// Every incident audit entry is part of one chain; the head row holds the newest link
+const CHAIN_NAME = 'request_audit_log';
+const GENESIS_HASH = '0'.repeat(64);
+
+const DEFAULT_VERIFY_SIZE = 5000;
+const MAX_VERIFY_SIZE = 50000;
+const VERIFY_BATCH_SIZE = 1000;
+
+// MySQL's JSON type reorders keys, so hashes are taken over JSON with sorted keys
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Values are hashed as they read back from the JSON columns, e.g. with Dates as ISO strings
+const storedJson = (value) => JSON.parse(JSON.stringify(value || {}));
+
+const hashEntry = (entry) => crypto
+  .createHash('sha256')
+  .update(canonicalJson({
+    seq: entry.seq,
+    prevHash: entry.prevHash,
+    requestId: entry.requestId,
+    userId: entry.userId,
+    actionType: entry.actionType,
+    oldValues: entry.oldValues,
+    newValues: entry.newValues,
+    createdAt: entry.createdAt
+  }))
+  .digest('hex');
+
+// Locks the chain head until the caller's transaction ends, so entries are linked one at a time
+const lockChainHead = async (connection) => {
+  const { audit } = getRepositories();
+  const head = await audit.getHead(CHAIN_NAME, { lock: true }, connection);
+  if (head) return head;
+
+  await audit.createHead(CHAIN_NAME, GENESIS_HASH, connection);
+  return audit.getHead(CHAIN_NAME, { lock: true }, connection);
+};
+
+// Call with the connection of the transaction that made the change
+const writeAuditEntry = async (connection, { requestId, userId, actionType, oldValues, newValues }) => {
+  const head = await lockChainHead(connection);
+
+  // TIMESTAMP columns keep whole seconds, so the hashed time is truncated the same way
+  const createdAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const entry = {
+    seq: head.lastSeq + 1,
+    prevHash: head.lastHash,
+    requestId,
+    userId,
+    actionType,
+    oldValues: storedJson(oldValues),
+    newValues: storedJson(newValues),
+    createdAt: createdAt.toISOString()
+  };
+  const entryHash = hashEntry(entry);
+
+  const { audit } = getRepositories();
+  await audit.insertEntry({
+    request_id: requestId,
+    user_id: userId,
+    action_type: actionType,
+    old_values: entry.oldValues,
+    new_values: entry.newValues,
+    created_at: createdAt,
+    chain_seq: entry.seq,
+    prev_hash: entry.prevHash,
+    entry_hash: entryHash
+  }, connection);
+
+  await audit.setHead(CHAIN_NAME, { lastSeq: entry.seq, lastHash: entryHash }, connection);
+};
+
+const entryFromRow = (row) => ({
+  seq: Number(row.chain_seq),
+  prevHash: row.prev_hash,
+  requestId: row.request_id,
+  userId: row.user_id,
+  actionType: row.action_type,
+  oldValues: parseJSON(row.old_values) || {},
+  newValues: parseJSON(row.new_values) || {},
+  createdAt: new Date(row.created_at).toISOString()
+});
+
+const mapAuditEntry = (row) => ({
+  id: row.id,
+  seq: row.chain_seq === null ? null : Number(row.chain_seq),
+  requestId: row.request_id,
+  userId: row.user_id,
+  action: row.action_type,
+  oldValues: parseJSON(row.old_values),
+  newValues: parseJSON(row.new_values),
+  createdAt: row.created_at,
+  hash: row.entry_hash
+});
+
+// Every entry for one incident, oldest first; deleted incidents keep their history
+const getRequestHistory = async (requestId) => {
+  const { incidents, audit } = getRepositories();
+  const request = await incidents.get(requestId, { deleted: 'any' });
+  if (!request) {
+    throw new HttpError(404, 'Not Found', 'Request not found');
+  }
+
+  const rows = await audit.listForRequest(requestId);
+  return rows.map(mapAuditEntry);
+};
+
+const parseDateParam = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, 'Bad Request', `${name} must be an ISO 8601 date or date and time`);
+  }
+  return date;
+};
+
+// The log across incidents, newest first; the cursor is the id of the last entry returned
+const findAuditEntries = async (query = {}, { limit }) => {
+  const filters = {};
+
+  if (query.actor) {
+    filters.userId = query.actor;
+  }
+  if (query.action) {
+    const actions = query.action.split(',').map(action => action.trim()).filter(Boolean);
+    const invalid = actions.filter(action => !Object.values(AUDIT_ACTIONS).includes(action));
+    if (invalid.length > 0) {
+      throw new HttpError(400, 'Bad Request', `Invalid action '${invalid[0]}'. Valid actions: ${Object.values(AUDIT_ACTIONS).join(', ')}`);
+    }
+    filters.actions = actions;
+  }
+  if (query.requestId) {
+    filters.requestId = query.requestId;
+  }
+  if (query.from) {
+    filters.from = parseDateParam(query.from, 'from');
+  }
+  if (query.to) {
+    filters.to = parseDateParam(query.to, 'to');
+  }
+  if (query.cursor) {
+    if (!/^\d+$/.test(query.cursor)) {
+      throw new HttpError(400, 'Bad Request', 'Invalid cursor');
+    }
+    filters.beforeId = Number(query.cursor);
+  }
+
+  // One extra row tells whether there is another page
+  const rows = await getRepositories().audit.find(filters, { limit: limit + 1 });
+
+  const page = rows.slice(0, limit);
+  return {
+    entries: page.map(mapAuditEntry),
+    nextCursor: rows.length > limit ? String(page[page.length - 1].id) : null
+  };
+};
+
+const parsePositiveInt = (value, fallback, name, max = Number.MAX_SAFE_INTEGER) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new HttpError(400, 'Bad Request', `${name} must be an integer between 1 and ${max}`);
+  }
+  return number;
+};
+
+// Walks the chain from fromSeq and stops at the first entry that was altered or removed.
+// Starting after 1 trusts the hash stored on the entry before fromSeq.
+const verifyAuditChain = async (query = {}) => {
+  const fromSeq = parsePositiveInt(query.fromSeq, 1, 'fromSeq');
+  const size = parsePositiveInt(query.limit, DEFAULT_VERIFY_SIZE, 'limit', MAX_VERIFY_SIZE);
+
+  // Entries appended while this runs are left for the next call
+  const { audit } = getRepositories();
+  const head = await audit.getHead(CHAIN_NAME);
+  const headSeq = head ? head.lastSeq : 0;
+  const endSeq = Math.min(headSeq, fromSeq + size - 1);
+
+  let expectedSeq = fromSeq;
+  let expectedPrevHash = GENESIS_HASH;
+  if (fromSeq > 1) {
+    const anchor = await audit.getBySeq(fromSeq - 1);
+    if (!anchor) {
+      throw new HttpError(404, 'Not Found', `No audit entry with seq ${fromSeq - 1} to start from`);
+    }
+    expectedPrevHash = anchor.entry_hash;
+  }
+
+  const result = (firstInvalid) => ({
+    valid: !firstInvalid,
+    fromSeq,
+    checked: expectedSeq - fromSeq,
+    lastSeq: expectedSeq - 1,
+    lastHash: expectedPrevHash,
+    firstInvalid: firstInvalid || null,
+    nextSeq: !firstInvalid && endSeq < headSeq ? endSeq + 1 : null
+  });
+
+  while (expectedSeq <= endSeq) {
+    const rows = await audit.listBySeq(expectedSeq, endSeq, { limit: VERIFY_BATCH_SIZE });
+    // Entries removed from the end leave no gap, but the head still remembers how many there were
+    if (rows.length === 0) {
+      return result({ seq: expectedSeq, reason: 'missing', message: `Entries ${expectedSeq} to ${endSeq} have been removed` });
+    }
+
+    for (const row of rows) {
+      const entry = entryFromRow(row);
+      if (entry.seq !== expectedSeq) {
+        return result({ seq: expectedSeq, reason: 'missing', message: `Entry ${expectedSeq} has been removed` });
+      }
+      if (entry.prevHash !== expectedPrevHash) {
+        return result({ seq: entry.seq, id: row.id, requestId: row.request_id, reason: 'broken-link', message: `Entry ${entry.seq} does not link to the entry before it` });
+      }
+      if (hashEntry(entry) !== row.entry_hash) {
+        return result({ seq: entry.seq, id: row.id, requestId: row.request_id, reason: 'altered', message: `Entry ${entry.seq} was changed after it was written` });
+      }
+      expectedPrevHash = row.entry_hash;
+      expectedSeq++;
+    }
+  }
+
+  if (endSeq === headSeq && headSeq >= fromSeq && head.lastHash !== expectedPrevHash) {
+    return result({ seq: headSeq, reason: 'broken-link', message: 'The chain head does not match the newest entry' });
+  }
+
+  return result(null);
+};
+
+const USER_AUDIT_ACTIONS = {
+  INVITE: 'invite',
+  UPDATE: 'update',
+  DEACTIVATE: 'deactivate',
+  REACTIVATE: 'reactivate'
+};
+
+const writeUserAuditEntry = async (connection, { targetUserId, actor, actionType, oldValues, newValues }) => {
+  await getRepositories().audit.insertUserEntry({
+    target_user_id: targetUserId,
+    actor_user_id: actor.userId,
+    actor_email: actor.email,
+    action_type: actionType,
+    old_values: oldValues || {},
+    new_values: newValues || {}
+  }, connection);
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  USER_AUDIT_ACTIONS,
+  writeAuditEntry,
+  writeUserAuditEntry,
+  getRequestHistory,
+  findAuditEntries,
+  verifyAuditChain
+};
@@ -0,0 +1,220 @@
+// auth.js - Bearer token verification against a JWKS (Cognito, Entra ID or a local key file)
+const crypto = require('crypto');
+const fs = require('fs');
+const { HttpError, getHeader } = require('./http');
+
+const AUTH_CONFIG = {
+  jwksUrl: process.env.AUTH_JWKS_URL,
+  jwksFile: process.env.AUTH_JWKS_FILE,
+  issuers: (process.env.AUTH_ISSUER || '').split(',').map(s => s.trim()).filter(Boolean),
+  audiences: (process.env.AUTH_AUDIENCE || '').split(',').map(s => s.trim()).filter(Boolean),
+  clockToleranceSeconds: parseInt(process.env.AUTH_CLOCK_TOLERANCE_SECONDS) || 60,
+  jwksCacheSeconds: parseInt(process.env.AUTH_JWKS_CACHE_SECONDS) || 3600,
+  // Unknown kids refetch the JWKS at most once per this many seconds, so made-up kids can't hammer the issuer
+  jwksRefreshCooldownSeconds: parseInt(process.env.AUTH_JWKS_REFRESH_COOLDOWN_SECONDS) || 60
+};
+
+// JWS algorithms we accept, mapped to the key type they need and Node's crypto.verify parameters
+const ALGORITHMS = {
+  RS256: { kty: 'RSA', hash: 'sha256' },
+  RS384: { kty: 'RSA', hash: 'sha384' },
+  RS512: { kty: 'RSA', hash: 'sha512' },
+  PS256: { kty: 'RSA', hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { kty: 'RSA', hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { kty: 'RSA', hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { kty: 'EC', crv: 'P-256', hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { kty: 'EC', crv: 'P-384', hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { kty: 'EC', crv: 'P-521', hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+// Keys survive for the life of the warm container
+let jwksCache = null;
+let lastForcedRefreshAt = 0;
+
+const unauthorized = (message) => new HttpError(401, 'Unauthorized', message, {
+  'WWW-Authenticate': `Bearer error="invalid_token", error_description="${message}"`
+});
+
+const loadJwks = async () => {
+  if (AUTH_CONFIG.jwksFile) {
+    return JSON.parse(fs.readFileSync(AUTH_CONFIG.jwksFile, 'utf8'));
+  }
+
+  if (AUTH_CONFIG.jwksUrl) {
+    const response = await fetch(AUTH_CONFIG.jwksUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  throw new Error('Authentication is not configured: set AUTH_JWKS_URL or AUTH_JWKS_FILE');
+};
+
+const assertConfigured = () => {
+  if (AUTH_CONFIG.issuers.length === 0 || AUTH_CONFIG.audiences.length === 0) {
+    throw new Error('Authentication is not configured: set AUTH_ISSUER and AUTH_AUDIENCE');
+  }
+};
+
+const getJwks = async (forceRefresh = false) => {
+  const now = Date.now();
+  if (!forceRefresh && jwksCache && jwksCache.expiresAt > now) {
+    return jwksCache.keys;
+  }
+
+  const jwks = await loadJwks();
+  jwksCache = {
+    keys: jwks.keys || [],
+    expiresAt: now + AUTH_CONFIG.jwksCacheSeconds * 1000
+  };
+  return jwksCache.keys;
+};
+
+const findKey = async (kid) => {
+  const matches = (keys) => keys.find(k => (kid ? k.kid === kid : true) && (!k.use || k.use === 'sig'));
+
+  let jwk = matches(await getJwks());
+  const now = Date.now();
+  if (!jwk && now - lastForcedRefreshAt >= AUTH_CONFIG.jwksRefreshCooldownSeconds * 1000) {
+    // The issuer may have rotated its keys since we cached them
+    lastForcedRefreshAt = now;
+    jwk = matches(await getJwks(true));
+  }
+  return jwk;
+};
+
+// Header and payload are both JSON objects; anything else (null, arrays, strings) is malformed
+const decodeSegment = (segment) => {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw unauthorized('Malformed token');
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw unauthorized('Malformed token');
+  }
+  return value;
+};
+
+const checkClaims = (claims) => {
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = AUTH_CONFIG.clockToleranceSeconds;
+
+  if (typeof claims.exp !== 'number') {
+    throw unauthorized('Token has no expiry');
+  }
+  if (claims.exp + tolerance < now) {
+    throw unauthorized('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - tolerance > now) {
+    throw unauthorized('Token is not yet valid');
+  }
+
+  if (!AUTH_CONFIG.issuers.includes(claims.iss)) {
+    throw unauthorized('Token issuer is not trusted');
+  }
+
+  // Cognito access tokens carry client_id instead of aud
+  const tokenAudiences = [].concat(claims.aud || claims.client_id || []);
+  if (!tokenAudiences.some(aud => AUTH_CONFIG.audiences.includes(aud))) {
+    throw unauthorized('Token audience is not accepted');
+  }
+};
+
+const verifyToken = async (token) => {
+  assertConfigured();
+
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw unauthorized('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+
+  const algorithm = Object.hasOwn(ALGORITHMS, header.alg) ? ALGORITHMS[header.alg] : null;
+  if (!algorithm) {
+    // header.alg is the caller's text, so it stays out of the WWW-Authenticate header
+    throw unauthorized('Unsupported token algorithm');
+  }
+
+  const jwk = await findKey(header.kid);
+  if (!jwk) {
+    throw unauthorized('Token signing key not found');
+  }
+
+  // A token naming an RSA algorithm must not be checked against an EC key, or the other way round
+  if (jwk.kty !== algorithm.kty || (algorithm.crv && jwk.crv !== algorithm.crv)) {
+    throw unauthorized('Token algorithm does not match its signing key');
+  }
+
+  // Keys we can't import and signatures crypto rejects outright are bad tokens, not server errors
+  let valid;
+  try {
+    const verifyOptions = { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+    if (algorithm.padding) {
+      verifyOptions.padding = algorithm.padding;
+      verifyOptions.saltLength = algorithm.saltLength;
+    }
+    if (algorithm.dsaEncoding) {
+      verifyOptions.dsaEncoding = algorithm.dsaEncoding;
+    }
+
+    valid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      verifyOptions,
+      Buffer.from(encodedSignature, 'base64url')
+    );
+  } catch (error) {
+    valid = false;
+  }
+
+  if (!valid) {
+    throw unauthorized('Token signature is invalid');
+  }
+
+  checkClaims(claims);
+  return claims;
+};
+
+// Map Cognito / Entra ID claims onto the identity the routes use
+const identityFromClaims = (claims) => {
+  const emailClaim = [claims.email, claims.preferred_username, claims.upn]
+    .find(value => typeof value === 'string' && value.includes('@'));
+
+  if (!emailClaim || !(claims.oid || claims.sub)) {
+    throw new HttpError(403, 'Forbidden', 'Token does not identify a user');
+  }
+
+  const email = emailClaim.toLowerCase();
+  const fullName = [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+
+  return {
+    userId: claims.oid || claims.sub,
+    email,
+    name: claims.name || fullName || email
+  };
+};
+
+const authenticate = async (event) => {
+  const authorization = getHeader(event, 'Authorization');
+  const match = authorization && authorization.match(/^Bearer\s+(.+)$/i);
+
+  if (!match) {
+    throw new HttpError(401, 'Unauthorized', 'Missing bearer token', {
+      'WWW-Authenticate': 'Bearer'
+    });
+  }
+
+  const claims = await verifyToken(match[1].trim());
+  return identityFromClaims(claims);
+};
+
+module.exports = {
+  authenticate,
+  verifyToken
+};
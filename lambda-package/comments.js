@@ -0,0 +1,222 @@
+// comments.js - Comment routes for security incidents
+const { HttpError } = require('./http');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+const { generateCommentId } = require('./ids');
+const { AUDIT_ACTIONS, writeAuditEntry } = require('./audit');
+const { getRepositories, withTransaction } = require('./repositories');
+const {
+  EVENTS,
+  notifyIncidentEvent,
+  reporterRecipient,
+  assigneeRecipient,
+  dispatchNow
+} = require('./notifications');
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Internal comments are only visible to people who can see every incident
+const canSeeInternal = (access) => hasPermission(access, PERMISSIONS.REQUEST_VIEW_ALL);
+
+const mapComment = (row) => ({
+  id: row.id,
+  requestId: row.request_id,
+  userId: row.user_id,
+  userName: row.user_name,
+  message: row.message,
+  isInternal: !!row.is_internal,
+  timestamp: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Reporters may only touch comments on their own incidents; others get a 404 so ids don't leak
+const loadAccessibleRequest = async (requestId, access) => {
+  const request = await getRepositories().incidents.get(requestId);
+
+  if (!request || (request.user_id !== access.userId && !canSeeInternal(access))) {
+    throw new HttpError(404, 'Not Found', 'Request not found');
+  }
+  return request;
+};
+
+const loadComment = async (requestId, commentId, access) => {
+  const row = await getRepositories().comments.get(requestId, commentId);
+
+  if (!row || (row.is_internal && !canSeeInternal(access))) {
+    throw new HttpError(404, 'Not Found', 'Comment not found');
+  }
+  return row;
+};
+
+const validateMessage = (message) => {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw new HttpError(400, 'Bad Request', 'Message is required');
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw new HttpError(400, 'Bad Request', `Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  return message.trim();
+};
+
+const validateInternalFlag = (isInternal, access) => {
+  if (isInternal && !canSeeInternal(access)) {
+    throw new HttpError(403, 'Forbidden', 'Only the IT team can write internal comments');
+  }
+  return !!isInternal;
+};
+
+// Shared by the comment routes and status updates that carry notes
+const insertComment = async ({ requestId, userId, userName, message, isInternal }, connection) => {
+  const row = {
+    id: generateCommentId(),
+    request_id: requestId,
+    user_id: userId,
+    user_name: userName,
+    message,
+    is_internal: !!isInternal,
+    created_at: new Date(),
+    updated_at: null
+  };
+
+  await getRepositories().comments.insert(row, connection);
+
+  return mapComment(row);
+};
+
+const listComments = async ({ requestId, access, headers }) => {
+  await loadAccessibleRequest(requestId, access);
+
+  const rows = await getRepositories().comments.listForRequests([requestId], { includeInternal: canSeeInternal(access) });
+  const comments = rows.map(mapComment);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      comments,
+      count: comments.length
+    })
+  };
+};
+
+const createComment = async ({ requestId, access, data, headers }) => {
+  const request = await loadAccessibleRequest(requestId, access);
+  const message = validateMessage(data.message);
+  const isInternal = validateInternalFlag(data.isInternal, access);
+
+  // Public comments tell the reporter and the assignee; internal ones stay quiet
+  const { comment, notificationIds } = await withTransaction(async (connection) => {
+    const inserted = await insertComment({
+      requestId,
+      userId: access.userId,
+      userName: access.name,
+      message,
+      isInternal
+    }, connection);
+
+    await writeAuditEntry(connection, {
+      requestId,
+      userId: access.userId,
+      actionType: AUDIT_ACTIONS.COMMENT_ADD,
+      newValues: { commentId: inserted.id, message, isInternal }
+    });
+
+    const ids = isInternal ? [] : await notifyIncidentEvent(connection, EVENTS.COMMENTED, {
+      request,
+      actor: access,
+      recipients: [reporterRecipient(request), await assigneeRecipient(request.assigned_to, connection)],
+      comment: { userName: inserted.userName, message: inserted.message }
+    });
+
+    return { comment: inserted, notificationIds: ids };
+  });
+
+  await dispatchNow(notificationIds);
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      message: 'Comment added successfully',
+      comment
+    })
+  };
+};
+
+const updateComment = async ({ requestId, commentId, access, data, headers }) => {
+  await loadAccessibleRequest(requestId, access);
+  const existing = await loadComment(requestId, commentId, access);
+
+  if (existing.user_id !== access.userId) {
+    throw new HttpError(403, 'Forbidden', 'Only the author can edit a comment');
+  }
+
+  const message = validateMessage(data.message);
+  const isInternal = data.isInternal === undefined
+    ? !!existing.is_internal
+    : validateInternalFlag(data.isInternal, access);
+  const now = new Date();
+
+  await withTransaction(async (connection) => {
+    await getRepositories().comments.update(
+      commentId,
+      { message, is_internal: isInternal, updated_at: now },
+      connection
+    );
+
+    await writeAuditEntry(connection, {
+      requestId,
+      userId: access.userId,
+      actionType: AUDIT_ACTIONS.COMMENT_UPDATE,
+      oldValues: { commentId, message: existing.message, isInternal: !!existing.is_internal },
+      newValues: { commentId, message, isInternal }
+    });
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Comment updated successfully',
+      comment: mapComment({ ...existing, message, is_internal: isInternal, updated_at: now })
+    })
+  };
+};
+
+const deleteComment = async ({ requestId, commentId, access, headers }) => {
+  await loadAccessibleRequest(requestId, access);
+  const existing = await loadComment(requestId, commentId, access);
+
+  if (existing.user_id !== access.userId && !hasPermission(access, PERMISSIONS.REQUEST_DELETE)) {
+    throw new HttpError(403, 'Forbidden', 'Only the author or an admin can delete a comment');
+  }
+
+  await withTransaction(async (connection) => {
+    await getRepositories().comments.remove(commentId, connection);
+
+    await writeAuditEntry(connection, {
+      requestId,
+      userId: access.userId,
+      actionType: AUDIT_ACTIONS.COMMENT_DELETE,
+      oldValues: { commentId, message: existing.message, isInternal: !!existing.is_internal }
+    });
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Comment deleted successfully',
+      id: commentId
+    })
+  };
+};
+
+module.exports = {
+  canSeeInternal,
+  mapComment,
+  insertComment,
+  listComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
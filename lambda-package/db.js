@@ -0,0 +1,133 @@
+// db.js - MySQL connection pool shared across warm Lambda invocations
+const fs = require('fs');
+const mysql = require('mysql2/promise');
+const { logger } = require('./logger');
+
+// TLS with certificate checks unless DB_SSL=false (local MySQL); DB_SSL_CA points at a PEM bundle,
+// otherwise mysql2's bundled Amazon RDS certificates are trusted
+const sslConfig = () => {
+  if (process.env.DB_SSL === 'false') return undefined;
+  if (process.env.DB_SSL_CA) {
+    return { ca: fs.readFileSync(process.env.DB_SSL_CA, 'utf8'), rejectUnauthorized: true };
+  }
+  return 'Amazon RDS';
+};
+
+// Database configuration
+const DB_CONFIG = {
+  host: process.env.DB_HOST,
+  port: parseInt(process.env.DB_PORT) || 3306,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  charset: 'utf8mb4',
+  timezone: 'Z',
+  // A container serves one invocation at a time; two connections let a transaction and a plain query overlap
+  connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT) || 2,
+  waitForConnections: true,
+  queueLimit: 0,
+  connectTimeout: parseInt(process.env.DB_CONNECT_TIMEOUT_MS) || 10000,
+  // Sockets idle across a frozen container are dropped by the server; keep-alive and idle eviction avoid reusing them
+  enableKeepAlive: true,
+  keepAliveInitialDelay: 10000,
+  maxIdle: parseInt(process.env.DB_CONNECTION_LIMIT) || 2,
+  idleTimeout: parseInt(process.env.DB_IDLE_TIMEOUT_MS) || 60000,
+  ssl: sslConfig()
+};
+
+const DEADLOCK_RETRIES = 2;
+
+let pool = null;
+
+const getPool = () => {
+  if (!pool) {
+    pool = mysql.createPool(DB_CONFIG);
+  }
+  return pool;
+};
+
+// Lets one-off scripts exit; the Lambda keeps its pool for the next invocation
+const closePool = async () => {
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+};
+
+// Pass a connection from withTransaction to run inside that transaction
+const executeQuery = async (sql, params = [], connection = getPool()) => {
+  // Statements only, never their parameters: those carry report contents and personal data
+  const statement = sql.replace(/\s+/g, ' ').trim().substring(0, 100);
+  try {
+    const [rows] = await connection.execute(sql, params);
+    logger.debug('Query executed', { statement, rows: Array.isArray(rows) ? rows.length : rows.affectedRows || 0 });
+    return rows;
+  } catch (error) {
+    logger.error('Database query failed', { statement, error });
+    throw error;
+  }
+};
+
+const isRetryable = (error) => error.code === 'ER_LOCK_DEADLOCK' || error.code === 'ER_LOCK_WAIT_TIMEOUT';
+
+// Runs work(connection) in one transaction. A deadlock victim is rolled back whole, so the work is
+// replayed from the start; work must not have side effects outside the connection.
+const withTransaction = async (work, attempt = 0) => {
+  const connection = await getPool().getConnection();
+  let released = false;
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    try {
+      await connection.rollback();
+    } catch (rollbackError) {
+      // The original error is the one worth reporting; the broken connection is not returned to the pool
+      logger.error('Transaction rollback failed', { error: rollbackError });
+      connection.destroy();
+      released = true;
+      throw error;
+    }
+    if (!isRetryable(error) || attempt >= DEADLOCK_RETRIES) throw error;
+    logger.warn('Transaction retried after lock conflict', { code: error.code, attempt: attempt + 1 });
+    connection.release();
+    released = true;
+    return withTransaction(work, attempt + 1);
+  } finally {
+    if (!released) connection.release();
+  }
+};
+
+// MySQL DATETIME literal in UTC, matching the pool's 'Z' timezone
+const toSqlDateTime = (date) => date.toISOString().replace('T', ' ').replace('Z', '');
+
+// Reverse of toSqlDateTime; ISO strings and Dates pass through
+const fromSqlDateTime = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return new Date(value.getTime());
+  const text = String(value);
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(text) ? text.replace(' ', 'T') + 'Z' : text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseJSON = (jsonString) => {
+  if (!jsonString) return null;
+  try {
+    return typeof jsonString === 'string' ? JSON.parse(jsonString) : jsonString;
+  } catch (error) {
+    logger.warn('Failed to parse JSON', { length: String(jsonString).length });
+    return null;
+  }
+};
+
+module.exports = {
+  getPool,
+  closePool,
+  executeQuery,
+  withTransaction,
+  toSqlDateTime,
+  fromSqlDateTime,
+  parseJSON
+};
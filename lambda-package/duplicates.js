@@ -0,0 +1,265 @@
+// duplicates.js - Finds reports of the same thing and groups them under a parent incident
+const { parseJSON } = require('./db');
+const { HttpError } = require('./http');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+const { lockRequest, findRequests } = require('./incidents');
+const { getRepositories, withTransaction } = require('./repositories');
+const { insertComment } = require('./comments');
+const { AUDIT_ACTIONS, writeAuditEntry } = require('./audit');
+const { logger } = require('./logger');
+
+const DUPLICATE_CONFIG = {
+  windowHours: parseInt(process.env.DUPLICATE_WINDOW_HOURS) || 72,
+  // Share of subject words two reports must have in common to count as similar
+  subjectSimilarity: parseFloat(process.env.DUPLICATE_SUBJECT_SIMILARITY) || 0.6,
+  maxCandidates: 500,
+  maxResults: 20
+};
+
+const MAX_MERGE = 100;
+const MAX_CHILDREN = 500;
+
+// Reply and forward prefixes, and tags mail gateways add, say nothing about the message
+const SUBJECT_NOISE = /^\s*((re|fw|fwd|aw|wg|tr)\s*:|\[(external|ext|spam|suspicious)\])\s*/i;
+
+const subjectWords = (subject) => {
+  if (typeof subject !== 'string') return new Set();
+  let text = subject;
+  while (SUBJECT_NOISE.test(text)) text = text.replace(SUBJECT_NOISE, '');
+  return new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3));
+};
+
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+// Addresses the report says the message came from, lowercased
+const senders = (formData, details) => new Set([formData?.senderEmail, details?.emailAnalysis?.from?.address]
+  .filter(address => typeof address === 'string' && address.includes('@'))
+  .map(address => address.trim().toLowerCase()));
+
+// Live reports from the window that share a sender, a similar subject or a URL with this one, best matches first
+const findPossibleDuplicates = async (requestId, access) => {
+  const repositories = getRepositories();
+  const row = await repositories.incidents.get(requestId);
+  if (!row) {
+    throw new HttpError(404, 'Not Found', 'Request not found');
+  }
+
+  const since = new Date(new Date(row.created_at).getTime() - DUPLICATE_CONFIG.windowHours * 60 * 60 * 1000);
+  const formData = parseJSON(row.form_data) || {};
+  const mySenders = senders(formData, parseJSON(row.details));
+  const mySubject = subjectWords(formData.subject);
+
+  const candidates = (await repositories.incidents.find({
+    filters: { createdFrom: since },
+    limit: DUPLICATE_CONFIG.maxCandidates + 1
+  }))
+    .filter(candidate => candidate.id !== requestId)
+    .slice(0, DUPLICATE_CONFIG.maxCandidates);
+
+  const sharedUrls = await repositories.indicators.sharedWith(requestId, { type: 'url', since });
+  const urlCounts = new Map();
+  sharedUrls.forEach(shared => urlCounts.set(shared.request_id, (urlCounts.get(shared.request_id) || 0) + 1));
+
+  const matches = new Map();
+  const addMatch = (id, reason, score) => {
+    const match = matches.get(id) || { id, reasons: [], score: 0 };
+    match.reasons.push(reason);
+    match.score += score;
+    matches.set(id, match);
+  };
+
+  candidates.forEach(candidate => {
+    const candidateForm = parseJSON(candidate.form_data) || {};
+    const candidateSenders = senders(candidateForm, parseJSON(candidate.details));
+    if ([...mySenders].some(sender => candidateSenders.has(sender))) {
+      addMatch(candidate.id, 'same-sender', 2);
+    }
+    const subjectScore = similarity(mySubject, subjectWords(candidateForm.subject));
+    if (subjectScore >= DUPLICATE_CONFIG.subjectSimilarity) {
+      addMatch(candidate.id, 'similar-subject', 1 + subjectScore);
+    }
+  });
+  urlCounts.forEach((count, id) => addMatch(id, 'shared-url', 2 + Math.min(count, 3) / 3));
+
+  const ranked = [...matches.values()]
+    .sort((a, b) => b.score - a.score || b.id.localeCompare(a.id))
+    .slice(0, DUPLICATE_CONFIG.maxResults);
+  if (ranked.length === 0) return [];
+
+  // Reporters only hear about their own earlier reports
+  const filters = { ids: ranked.map(match => match.id) };
+  if (!hasPermission(access, PERMISSIONS.REQUEST_VIEW_ALL)) {
+    filters.userId = access.userId;
+  }
+
+  const { requests } = await findRequests({
+    access,
+    filters,
+    limit: ranked.length,
+    includeComments: false
+  });
+  const byId = new Map(requests.map(request => [request.id, request]));
+
+  return ranked
+    .filter(match => byId.has(match.id))
+    .map(match => {
+      const request = byId.get(match.id);
+      return {
+        id: request.id,
+        reasons: match.reasons,
+        type: request.type,
+        subject: request.formData?.subject || request.reason,
+        status: request.status,
+        parentId: request.parentId,
+        createdAt: request.createdAt
+      };
+    });
+};
+
+// Parents are top-level incidents; a parent can't itself be a child, so groups are one level deep
+const checkParent = async (connection, parentId, childIds) => {
+  const parent = await lockRequest(connection, parentId).catch(error => {
+    if (error.statusCode === 404) throw new HttpError(422, 'Unprocessable Entity', `Parent incident ${parentId} does not exist`);
+    throw error;
+  });
+  if (parent.parent_id) {
+    throw new HttpError(409, 'Conflict', `${parentId} is already a child of ${parent.parent_id}; use that incident as the parent`);
+  }
+  if (childIds.includes(parentId)) {
+    throw new HttpError(409, 'Conflict', 'An incident cannot be its own parent');
+  }
+  return parent;
+};
+
+const lockChild = async (connection, childId, parentId) => {
+  const child = await lockRequest(connection, childId);
+  const grandchildren = await getRepositories().incidents.children(childId, {}, connection);
+  if (grandchildren.length > 0) {
+    throw new HttpError(409, 'Conflict', `${childId} has child incidents of its own; move them to ${parentId} first`);
+  }
+  return child;
+};
+
+// Links a report to a parent, or unlinks it with parentId null; merged reports stay merged until unlinked
+const setParent = async (actor, childId, parentId) => {
+  if (parentId !== null && (typeof parentId !== 'string' || !parentId.trim())) {
+    throw new HttpError(400, 'Bad Request', 'parentId must be an incident id, or null to unlink');
+  }
+
+  await withTransaction(async (connection) => {
+    // Locks are always taken parent first, then child
+    if (parentId) await checkParent(connection, parentId, [childId]);
+    const child = parentId ? await lockChild(connection, childId, parentId) : await lockRequest(connection, childId);
+    if (child.parent_id === parentId) return;
+
+    await getRepositories().incidents.update(
+      childId,
+      { parent_id: parentId, merged_at: parentId ? child.merged_at : null, updated_at: new Date() },
+      connection
+    );
+
+    await writeAuditEntry(connection, {
+      requestId: childId,
+      userId: actor.userId,
+      actionType: parentId ? AUDIT_ACTIONS.LINK : AUDIT_ACTIONS.UNLINK,
+      oldValues: { parentId: child.parent_id, mergedAt: child.merged_at },
+      newValues: { parentId, mergedAt: parentId ? child.merged_at : null }
+    });
+  });
+
+  logger.info('Parent incident set', { requestId: childId, parentId });
+};
+
+// Merged reports drop out of the work queues and follow the parent from then on.
+// Their comments and reporters stay on the child rows; the parent gets a note per merged report.
+const mergeIntoParent = async (actor, parentId, childIds) => {
+  if (!Array.isArray(childIds) || childIds.length === 0 || childIds.some(id => typeof id !== 'string' || !id.trim())) {
+    throw new HttpError(400, 'Bad Request', 'childIds must be a non-empty array of incident ids');
+  }
+  if (childIds.length > MAX_MERGE) {
+    throw new HttpError(400, 'Bad Request', `At most ${MAX_MERGE} incidents can be merged at once`);
+  }
+  const ids = [...new Set(childIds)].sort();
+
+  const merged = await withTransaction(async (connection) => {
+    await checkParent(connection, parentId, ids);
+    const now = new Date();
+    const done = [];
+
+    for (const childId of ids) {
+      const child = await lockChild(connection, childId, parentId);
+      if (child.parent_id === parentId && child.merged_at) continue;
+
+      await getRepositories().incidents.update(
+        childId,
+        { parent_id: parentId, merged_at: now, updated_at: now },
+        connection
+      );
+      await writeAuditEntry(connection, {
+        requestId: childId,
+        userId: actor.userId,
+        actionType: AUDIT_ACTIONS.MERGE,
+        oldValues: { parentId: child.parent_id, mergedAt: child.merged_at },
+        newValues: { parentId, mergedAt: now.toISOString() }
+      });
+
+      const reporter = parseJSON(child.user_info) || {};
+      await insertComment({
+        requestId: childId,
+        userId: actor.userId,
+        userName: actor.name,
+        message: `This report was merged into ${parentId}, which covers the same incident. Updates will follow here.`,
+        isInternal: false
+      }, connection);
+      await insertComment({
+        requestId: parentId,
+        userId: actor.userId,
+        userName: actor.name,
+        message: `Merged ${childId}, reported by ${reporter.name || 'unknown'} (${reporter.email || 'no email'}).`,
+        isInternal: true
+      }, connection);
+      done.push(childId);
+    }
+
+    return done;
+  });
+
+  logger.info('Incidents merged', { parentId, merged });
+  return { parentId, merged, skipped: ids.filter(id => !merged.includes(id)) };
+};
+
+const listChildren = async (parentId, access) => {
+  const parent = await getRepositories().incidents.get(parentId);
+  if (!parent) {
+    throw new HttpError(404, 'Not Found', 'Request not found');
+  }
+
+  const { requests } = await findRequests({
+    access,
+    filters: { parentId },
+    limit: MAX_CHILDREN,
+    includeComments: false
+  });
+
+  return requests.map(request => ({
+    id: request.id,
+    reporter: { name: request.userInfo?.name, email: request.userInfo?.email },
+    type: request.type,
+    subject: request.formData?.subject || request.reason,
+    status: request.status,
+    mergedAt: request.mergedAt,
+    createdAt: request.createdAt
+  }));
+};
+
+module.exports = {
+  DUPLICATE_CONFIG,
+  findPossibleDuplicates,
+  setParent,
+  mergeIntoParent,
+  listChildren
+};
@@ -0,0 +1,319 @@
+// eml.js - Parses a raw RFC 822 message and summarizes what matters for phishing triage
+const crypto = require('crypto');
+const net = require('net');
+const { simpleParser } = require('mailparser');
+const { HttpError } = require('./http');
+
+// Lambda request bodies are capped at 6 MB, and the message arrives base64-encoded
+const MAX_EML_BYTES = 4 * 1024 * 1024;
+const MAX_LINKS = 100;
+// HTML kept as a link's visible text; plenty to show the host it claims
+const MAX_LINK_HTML = 2000;
+// Anchor tags looked at before giving up, for bodies full of links that aren't web links
+const MAX_ANCHOR_TAGS = 20 * MAX_LINKS;
+
+const AUTH_METHODS = ['spf', 'dkim', 'dmarc'];
+
+const listOf = (value) => (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+const EML_CONFIG = {
+  // Our own mail servers, as host names (subdomains included) or IPs, e.g. EML_TRUSTED_RELAYS=company.net,203.0.113.25
+  trustedRelays: listOf(process.env.EML_TRUSTED_RELAYS),
+  // authserv-ids our servers write into Authentication-Results; verdicts under any other id are the sender's word
+  authservIds: listOf(process.env.EML_AUTHSERV_IDS)
+};
+
+// Second-level labels under country codes, so mail.bank.co.uk and bank.co.uk compare as one organization
+const SECOND_LEVEL_LABELS = ['ac', 'co', 'com', 'edu', 'gov', 'net', 'org'];
+
+// Decodes the base64 body field; plain text is accepted too for pasted messages
+const decodeEml = (value, encoding = 'base64') => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new HttpError(400, 'Bad Request', 'eml is required');
+  }
+
+  const raw = encoding === 'base64' ? Buffer.from(value, 'base64') : Buffer.from(value, 'utf8');
+  if (raw.length > MAX_EML_BYTES) {
+    throw new HttpError(413, 'Payload Too Large', `Messages can be at most ${MAX_EML_BYTES / 1024 / 1024} MB`);
+  }
+  return raw;
+};
+
+const unfold = (line) => line.replace(/\r?\n[ \t]+/g, ' ').replace(/^[^:]+:\s*/, '').trim();
+
+// Header comments "(...)" carry no verdicts and may contain ';' themselves
+const stripComments = (value) => {
+  let depth = 0;
+  let result = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    else if (char === ')' && depth > 0) depth--;
+    else if (depth === 0) result += char;
+  }
+  return result;
+};
+
+const domainOf = (address) => (address && address.includes('@') ? address.split('@').pop().toLowerCase() : null);
+
+const organizationOf = (domain) => {
+  const labels = domain.toLowerCase().split('.');
+  const size = labels.length > 2 && labels[labels.length - 1].length === 2 && SECOND_LEVEL_LABELS.includes(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-size).join('.');
+};
+
+const sameOrganization = (a, b) => !a || !b || organizationOf(a) === organizationOf(b);
+
+// "mx.company.net; spf=fail smtp.mailfrom=x; dkim=pass header.d=y" -> verdicts per method
+const parseAuthenticationResults = (value) => {
+  const [authservId, ...entries] = stripComments(value).split(';').map(part => part.trim()).filter(Boolean);
+
+  return {
+    authservId,
+    results: entries
+      .map(entry => {
+        const [verdict, ...properties] = entry.split(/\s+/);
+        const [method, result] = verdict.split('=');
+        return {
+          method: method.toLowerCase(),
+          result: (result || '').toLowerCase(),
+          properties: Object.fromEntries(properties.filter(p => p.includes('=')).map(p => {
+            const index = p.indexOf('=');
+            return [p.slice(0, index), p.slice(index + 1)];
+          }))
+        };
+      })
+      .filter(result => result.result)
+  };
+};
+
+const NO_VERDICTS = Object.fromEntries(AUTH_METHODS.map(method => [method, null]));
+
+// Verdicts come from headers our servers added: Authentication-Results under one of our authserv-ids,
+// the topmost first, then Received-SPF. trusted says whether any of them was found, and reason why not.
+const summarizeAuthentication = (headerLines, ourHeaderLines) => {
+  const headers = headerLines
+    .filter(header => header.key === 'authentication-results')
+    .map(header => {
+      const parsed = parseAuthenticationResults(unfold(header.line));
+      const ourId = EML_CONFIG.authservIds.includes((parsed.authservId || '').toLowerCase());
+      return { ...parsed, trusted: ourId && ourHeaderLines.includes(header) };
+    });
+
+  // Without our authserv-ids no header can be told apart from one the sender wrote
+  if (EML_CONFIG.authservIds.length === 0) {
+    return { ...NO_VERDICTS, trusted: false, reason: 'EML_AUTHSERV_IDS not configured', headers };
+  }
+
+  const trustedHeaders = headers.filter(header => header.trusted);
+  const verdicts = Object.fromEntries(AUTH_METHODS.map(method => {
+    const found = trustedHeaders.flatMap(header => header.results).find(result => result.method === method);
+    return [method, found ? found.result : null];
+  }));
+
+  const receivedSpf = ourHeaderLines.find(header => header.key === 'received-spf');
+  if (!verdicts.spf && receivedSpf) {
+    verdicts.spf = unfold(receivedSpf.line).split(/[\s(;]/)[0].toLowerCase();
+  }
+
+  const trusted = trustedHeaders.length > 0 || Boolean(receivedSpf);
+  return { ...verdicts, trusted, reason: trusted ? null : 'No authentication headers from our servers', headers };
+};
+
+const parseReceived = (line) => {
+  const value = unfold(line);
+  const semicolon = value.lastIndexOf(';');
+  const clauses = semicolon >= 0 ? value.slice(0, semicolon) : value;
+  const date = semicolon >= 0 ? new Date(value.slice(semicolon + 1).trim()) : null;
+  const match = (keyword) => (clauses.match(new RegExp(`\\b${keyword}\\s+([^\\s;()]+)`, 'i')) || [])[1] || null;
+  const ip = (value.match(/\[(?:IPv6:)?([0-9a-fA-F.:]+)\]/) || [])[1] || null;
+
+  return {
+    from: match('from'),
+    by: match('by'),
+    with: match('with'),
+    ip: ip && net.isIP(ip) ? ip : null,
+    date: date && !Number.isNaN(date.getTime()) ? date : null
+  };
+};
+
+const isPrivateIp = (ip) =>
+  /^(10\.|127\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.)/.test(ip) || /^(::1$|f[cd]|fe80)/i.test(ip);
+
+const isTrustedRelay = (name) => Boolean(name) &&
+  EML_CONFIG.trustedRelays.some(relay => name.toLowerCase() === relay || name.toLowerCase().endsWith(`.${relay}`));
+
+const isExternal = (ip) => Boolean(ip) && !isPrivateIp(ip) && !isTrustedRelay(ip);
+
+// Received headers the sender can't have written: the newest was added by the server that delivered the message,
+// the ones below it by our relays, down to the hop that took the message in from outside
+const countOurHops = (newestFirst) => {
+  let count = 0;
+  for (const hop of newestFirst) {
+    if (count > 0 && !isTrustedRelay(hop.by)) break;
+    count++;
+    if (isExternal(hop.ip)) break;
+  }
+  return count;
+};
+
+const hostOf = (value) => {
+  try {
+    return new URL(value).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// The host a link's visible text claims, e.g. "https://www.mybank.com/login" or "mybank.com"
+const claimedHost = (text) => {
+  const match = text.match(/(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,63})(?=[/:\s]|$)/i);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Links from the HTML part (with their visible text) or, failing that, URLs in the text part
+const extractLinks = (html, text) => {
+  const links = [];
+
+  if (html) {
+    // One pass over the anchor tags alone: [^<>]* stops at the next tag, so unclosed anchors can't make
+    // the scan quadratic. A link's text runs to the next anchor tag, or the end of the document.
+    const anchorTags = /<(\/?)a\b([^<>]*)>/gi;
+    const addLink = (href, textEnd) => {
+      const url = decodeEntities(href.value.trim());
+      const host = /^https?:/i.test(url) && hostOf(url);
+      if (!host) return;
+
+      const linkHtml = html.slice(href.textStart, Math.min(textEnd, href.textStart + MAX_LINK_HTML));
+      const linkText = decodeEntities(linkHtml.replace(/<[^<>]*>?/g, '')).replace(/\s+/g, ' ').trim();
+      const shownHost = claimedHost(linkText);
+      links.push({ url, host, text: linkText, textHost: shownHost, mismatch: !!shownHost && shownHost !== host });
+    };
+
+    let open = null;
+    let match;
+    let seen = 0;
+    while (links.length < MAX_LINKS && seen++ < MAX_ANCHOR_TAGS && (match = anchorTags.exec(html))) {
+      if (open) addLink(open, match.index);
+      const href = !match[1] && match[2].match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/i);
+      open = href ? { value: href[1] ?? href[2] ?? href[3], textStart: anchorTags.lastIndex } : null;
+    }
+    if (open && links.length < MAX_LINKS) addLink(open, html.length);
+  } else if (text) {
+    (text.match(/\bhttps?:\/\/[^\s<>"']+/gi) || []).slice(0, MAX_LINKS).forEach(url => {
+      const host = hostOf(url);
+      if (host) links.push({ url, host, text: null, textHost: null, mismatch: false });
+    });
+  }
+
+  return links;
+};
+
+const hashes = (content) => ({
+  md5: crypto.createHash('md5').update(content).digest('hex'),
+  sha1: crypto.createHash('sha1').update(content).digest('hex'),
+  sha256: crypto.createHash('sha256').update(content).digest('hex')
+});
+
+const firstAddress = (field) => {
+  const value = field && field.value && field.value[0];
+  return value ? { address: (value.address || '').toLowerCase(), name: value.name || null } : null;
+};
+
+const addressList = (field) => (field ? [].concat(field).flatMap(entry => entry.value || []) : [])
+  .map(value => ({ address: (value.address || '').toLowerCase(), name: value.name || null }));
+
+// Plain-language findings an analyst should see first
+const findWarnings = ({ from, replyTo, returnPath, authentication, links }) => {
+  const warnings = [];
+  const fromDomain = domainOf(from?.address);
+
+  AUTH_METHODS.forEach(method => {
+    if (['fail', 'softfail', 'permerror'].includes(authentication[method])) {
+      warnings.push(`${method.toUpperCase()} ${authentication[method]}`);
+    }
+  });
+
+  replyTo.filter(reply => !sameOrganization(domainOf(reply.address), fromDomain)).forEach(reply => {
+    warnings.push(`Reply-To ${reply.address} is a different domain than From ${from.address}`);
+  });
+
+  if (returnPath && !sameOrganization(domainOf(returnPath), fromDomain)) {
+    warnings.push(`Return-Path ${returnPath} is a different domain than From ${from.address}`);
+  }
+
+  const nameAddress = from?.name && (from.name.match(/[^\s<>"]+@[^\s<>"]+/) || [])[0];
+  if (nameAddress && nameAddress.toLowerCase() !== from.address) {
+    warnings.push(`Display name shows ${nameAddress} but the message is from ${from.address}`);
+  }
+
+  links.filter(link => link.mismatch).forEach(link => {
+    warnings.push(`Link text shows ${link.textHost} but points to ${link.host}`);
+  });
+
+  return warnings;
+};
+
+// Structured summary of a raw message; attachment contents are hashed, not kept
+const analyzeEml = async (raw) => {
+  let parsed;
+  try {
+    parsed = await simpleParser(raw, { skipTextToHtml: true, skipImageLinks: true });
+  } catch (error) {
+    throw new HttpError(422, 'Unprocessable Entity', `Could not parse the message: ${error.message}`);
+  }
+
+  const headerLines = parsed.headerLines || [];
+  if (!headerLines.some(header => ['from', 'received', 'subject'].includes(header.key))) {
+    throw new HttpError(422, 'Unprocessable Entity', 'The payload does not look like an email message');
+  }
+
+  const from = firstAddress(parsed.from);
+  const returnPath = firstAddress(parsed.headers.get('return-path'))?.address || null;
+
+  // Received headers are prepended, so the first one is the newest
+  const receivedLines = headerLines.filter(header => header.key === 'received');
+  const newestFirst = receivedLines.map(header => parseReceived(header.line));
+  const ourHops = countOurHops(newestFirst);
+  const entryHop = newestFirst[ourHops - 1];
+  const originatingIp = entryHop && isExternal(entryHop.ip) ? entryHop.ip : null;
+  // Headers below the entry hop's Received line were already in the message when it reached us
+  const ourHeaderLines = ourHops > 0 ? headerLines.slice(0, headerLines.indexOf(receivedLines[ourHops - 1]) + 1) : [];
+  // Reversed, this is the path from the sender to us
+  const received = newestFirst.map((hop, index) => ({ ...hop, trusted: index < ourHops })).reverse();
+
+  const analysis = {
+    messageId: parsed.messageId || null,
+    subject: parsed.subject || null,
+    date: parsed.date || null,
+    from,
+    sender: firstAddress(parsed.headers.get('sender')),
+    replyTo: addressList(parsed.replyTo),
+    returnPath,
+    to: addressList(parsed.to),
+    received,
+    originatingIp,
+    authentication: summarizeAuthentication(headerLines, ourHeaderLines),
+    links: extractLinks(parsed.html || null, parsed.text || null),
+    attachments: (parsed.attachments || []).map(attachment => ({
+      filename: attachment.filename || null,
+      contentType: attachment.contentType,
+      size: attachment.size,
+      ...hashes(attachment.content)
+    }))
+  };
+
+  analysis.warnings = findWarnings(analysis);
+  return analysis;
+};
+
+module.exports = {
+  decodeEml,
+  analyzeEml
+};
@@ -0,0 +1,99 @@
+// escalation.js - Scheduled SLA check that escalates incidents close to or past their targets
+const { AUDIT_ACTIONS, writeAuditEntry } = require('./audit');
+const { lockRequest, raisedPriority } = require('./incidents');
+const { SLA_TARGETS, SLA_CONFIG, SLA_STATE_COLUMNS, slaPriority, newStages } = require('./sla');
+const { EVENTS, notifyIncidentEvent, assigneeRecipient, adminRecipients } = require('./notifications');
+const { logger } = require('./logger');
+const { getRepositories, withTransaction } = require('./repositories');
+
+const SYSTEM_ACTOR = { userId: 'system', name: 'SLA monitor' };
+
+// Re-checks one incident under lock and escalates whatever stage it newly reached
+const escalateIncident = async (connection, requestId, now) => {
+  const current = await lockRequest(connection, requestId);
+  if (!['open', 'in-progress'].includes(current.request_status)) return null;
+
+  // Recorded per target so each stage is escalated once, even after the priority goes up
+  const escalations = newStages(current, now)
+    .map(({ target, stage, dueAt }) => ({ target, stage, dueAt: dueAt.toISOString() }));
+
+  if (escalations.length === 0) return null;
+
+  const breached = escalations.some(escalation => escalation.stage === 'breached');
+  const priority = breached && SLA_CONFIG.raisePriority
+    ? raisedPriority(current.priority_level)
+    : current.priority_level;
+
+  const states = Object.fromEntries(SLA_TARGETS.map(target => [target, current[SLA_STATE_COLUMNS[target]] || null]));
+  const newStates = { ...states };
+  escalations.forEach(escalation => { newStates[escalation.target] = escalation.stage; });
+
+  await getRepositories().incidents.update(requestId, {
+    [SLA_STATE_COLUMNS.acknowledge]: newStates.acknowledge,
+    [SLA_STATE_COLUMNS.resolve]: newStates.resolve,
+    priority_level: priority,
+    // The due dates stay where they were before the raise
+    ...(priority !== current.priority_level && { sla_priority_level: slaPriority(current) }),
+    updated_at: now
+  }, connection);
+
+  await writeAuditEntry(connection, {
+    requestId,
+    userId: SYSTEM_ACTOR.userId,
+    actionType: AUDIT_ACTIONS.SLA_ESCALATION,
+    oldValues: { priority: current.priority_level, sla: states },
+    newValues: { priority, sla: newStates, escalations }
+  });
+
+  // Breaches go to the admins as well as the assignee; warnings only to the assignee
+  const assignee = await assigneeRecipient(current.assigned_to, connection);
+  const admins = breached ? await adminRecipients(connection) : [];
+  const priorityNote = priority !== current.priority_level
+    ? `Priority raised from ${current.priority_level} to ${priority}.`
+    : null;
+
+  const notificationIds = [];
+  for (const escalation of escalations) {
+    const isBreach = escalation.stage === 'breached';
+    notificationIds.push(...await notifyIncidentEvent(connection, isBreach ? EVENTS.SLA_BREACHED : EVENTS.SLA_AT_RISK, {
+      request: { ...current, priority_level: priority },
+      actor: SYSTEM_ACTOR,
+      recipients: isBreach ? [assignee, ...admins] : [assignee],
+      breach: { target: escalation.target, dueAt: escalation.dueAt, escalation: priorityNote }
+    }));
+  }
+
+  return { escalations, raised: priority !== current.priority_level, notificationIds };
+};
+
+// Entry point for the scheduled run; one transaction per incident so a failure only skips that one.
+// Every row checked moves behind the unchecked ones, so a batch that keeps failing can't starve the rest.
+const runSlaEscalation = async (now = new Date()) => {
+  const { incidents } = getRepositories();
+  const rows = await incidents.slaCandidates(now, { limit: SLA_CONFIG.batchSize });
+
+  const summary = { checked: rows.length, atRisk: 0, breached: 0, raised: 0, failed: 0 };
+
+  for (const { id } of rows) {
+    try {
+      const result = await withTransaction(connection => escalateIncident(connection, id, now));
+      if (!result) continue;
+
+      result.escalations.forEach(escalation => {
+        summary[escalation.stage === 'breached' ? 'breached' : 'atRisk']++;
+      });
+      if (result.raised) summary.raised++;
+      logger.info('SLA escalation', { requestId: id, escalations: result.escalations.map(e => `${e.target} ${e.stage}`) });
+    } catch (error) {
+      summary.failed++;
+      logger.error('SLA escalation failed', { requestId: id, error });
+    }
+  }
+
+  await incidents.markSlaChecked(rows.map(row => row.id), now);
+  return summary;
+};
+
+module.exports = {
+  runSlaEscalation
+};
@@ -0,0 +1,98 @@
+// export.js - Incident exports as CSV, JSON Lines or STIX 2.1, one page per call
+const { HttpError } = require('./http');
+const { parseSort, parseLimit, parseFilters, findRequests } = require('./incidents');
+const { FORM_FIELDS } = require('./validation');
+const { toStixBundle } = require('./stix');
+
+const DEFAULT_EXPORT_SIZE = 500;
+const MAX_EXPORT_SIZE = 1000;
+
+// Lambda caps synchronous responses at 6 MB; leave room for headers and encoding
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Fixed columns so pages of one export line up; user_info and form_data are flattened
+const CSV_COLUMNS = [
+  ...['id', 'type', 'status', 'priority', 'severity', 'reason', 'assignedTo', 'assignedBy',
+    'createdAt', 'updatedAt', 'approvedAt', 'completedAt'].map(field => ({ header: field, value: request => request[field] })),
+  { header: 'slaOverdue', value: request => request.sla?.overdue },
+  ...['name', 'email', 'department'].map(field => ({ header: `user_info.${field}`, value: request => request.userInfo?.[field] })),
+  ...Object.keys(FORM_FIELDS).map(field => ({ header: `form_data.${field}`, value: request => request.formData?.[field] }))
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Spreadsheets evaluate cells starting with these characters as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // Only the first page has the header row, so pages can be appended to one file
+    render: (requests, { firstPage }) =>
+      (firstPage ? csvLine(CSV_COLUMNS.map(column => column.header)) : '') +
+      requests.map(request => csvLine(CSV_COLUMNS.map(column => column.value(request)))).join('')
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    extension: 'ndjson',
+    render: (requests) => requests.map(request => `${JSON.stringify(request)}\n`).join('')
+  },
+  stix: {
+    contentType: 'application/stix+json;version=2.1',
+    extension: 'json',
+    render: (requests) => JSON.stringify(toStixBundle(requests))
+  }
+};
+
+// One page of the export; when the body would be too big the page is halved until it fits
+const exportIncidents = async ({ access, query = {} }) => {
+  const formatName = query.format || 'csv';
+  const format = FORMATS[formatName];
+  if (!format) {
+    throw new HttpError(400, 'Bad Request', `Unknown format '${formatName}'. Valid formats: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const sort = parseSort(query);
+  const filters = parseFilters(query);
+  let limit = parseLimit(query.limit, MAX_EXPORT_SIZE, DEFAULT_EXPORT_SIZE);
+
+  for (;;) {
+    const { requests, nextCursor } = await findRequests({
+      access,
+      filters,
+      sort,
+      limit,
+      cursor: query.cursor || undefined,
+      includeComments: formatName === 'ndjson' && query.includeComments === 'true'
+    });
+
+    const body = format.render(requests, { firstPage: !query.cursor });
+    if (Buffer.byteLength(body) <= MAX_BODY_BYTES) {
+      return {
+        body,
+        contentType: format.contentType,
+        filename: `incidents-${new Date().toISOString().slice(0, 10)}.${format.extension}`,
+        count: requests.length,
+        nextCursor
+      };
+    }
+
+    if (limit === 1) {
+      throw new HttpError(413, 'Payload Too Large', `Incident ${requests[0].id} is too large to export in one response`);
+    }
+    limit = Math.ceil(limit / 2);
+  }
+};
+
+module.exports = {
+  exportIncidents
+};
@@ -0,0 +1,44 @@
+// http.js - Shared HTTP helpers for the Lambda handler
+
+// Error carrying an HTTP status; the handler turns it into a JSON response
+class HttpError extends Error {
+  constructor(statusCode, error, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.error = error;
+    this.headers = headers;
+  }
+}
+
+// API Gateway v1 keeps header casing, v2 lowercases them
+const getHeader = (event, name) => {
+  const headers = event.headers || {};
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers).find(k => k.toLowerCase() === wanted);
+  return key ? headers[key] : undefined;
+};
+
+// Malformed bodies are the client's fault, so they surface as 400 rather than 500
+const parseBody = (event) => {
+  if (!event.body) return {};
+
+  const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new HttpError(400, 'Bad Request', 'Request body must be valid JSON');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new HttpError(400, 'Bad Request', 'Request body must be a JSON object');
+  }
+  return data;
+};
+
+module.exports = {
+  HttpError,
+  getHeader,
+  parseBody
+};
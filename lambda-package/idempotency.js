@@ -0,0 +1,132 @@
+// idempotency.js - Replays the stored response when a client retries with the same Idempotency-Key
+const crypto = require('crypto');
+const { HttpError, getHeader } = require('./http');
+const { logger } = require('./logger');
+const { getRepositories } = require('./repositories');
+
+const IDEMPOTENCY_CONFIG = {
+  windowHours: parseInt(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24,
+  // A key still pending after this long belongs to a request that died, so a retry may take it over
+  pendingSeconds: parseInt(process.env.IDEMPOTENCY_PENDING_SECONDS) || 60
+};
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const inProgress = () =>
+  new HttpError(409, 'Conflict', 'A request with this Idempotency-Key is still being processed', { 'Retry-After': '1' });
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const readKey = (event) => {
+  const key = getHeader(event, 'Idempotency-Key');
+  if (key === undefined) return null;
+  if (!KEY_PATTERN.test(key)) {
+    throw new HttpError(400, 'Bad Request', 'Idempotency-Key must be 1-255 visible ASCII characters');
+  }
+  return key;
+};
+
+// Claims the key for this request; returns the stored row when it was already claimed
+const claimKey = async (userId, key, route, requestHash, now) => {
+  const expiresAt = new Date(now.getTime() + IDEMPOTENCY_CONFIG.windowHours * 60 * 60 * 1000);
+  const { idempotencyKeys } = getRepositories();
+  const insert = () => idempotencyKeys.insert({
+    user_id: userId,
+    idempotency_key: key,
+    route,
+    request_hash: requestHash,
+    status: 'pending',
+    created_at: now,
+    expires_at: expiresAt
+  });
+
+  try {
+    await insert();
+    return null;
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+  }
+
+  const existing = await idempotencyKeys.get(userId, key);
+  const staleBefore = new Date(now.getTime() - IDEMPOTENCY_CONFIG.pendingSeconds * 1000);
+  const expired = existing && new Date(existing.expires_at) <= now;
+  const abandoned = existing && existing.status === 'pending' && new Date(existing.created_at) <= staleBefore;
+
+  if (!existing || expired || abandoned) {
+    // Only one retry wins the takeover: the delete matches the row as it was read
+    const removed = existing ? await idempotencyKeys.remove(userId, key, { createdAt: existing.created_at }) : true;
+    if (removed) {
+      try {
+        await insert();
+        return null;
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') throw error;
+      }
+    }
+    throw inProgress();
+  }
+
+  return existing;
+};
+
+// Runs handler at most once per user and key within the window. Only successful responses are kept;
+// after an error the key is released so the client can retry, unless the handler had already committed.
+// handler(committed) calls committed(response) once its writes are in, so work after that can't repeat them.
+const withIdempotency = async (event, { userId, route, headers }, handler) => {
+  const key = readKey(event);
+  if (!key) return handler(async () => {});
+
+  const now = new Date();
+  const requestHash = sha256(`${route}\n${event.body || ''}`);
+  const existing = await claimKey(userId, key, route, requestHash, now);
+
+  if (existing) {
+    if (existing.request_hash !== requestHash) {
+      throw new HttpError(422, 'Unprocessable Entity', 'This Idempotency-Key was already used for a different request');
+    }
+    if (existing.status === 'pending') {
+      throw inProgress();
+    }
+
+    logger.info('Idempotent replay', { route, userId });
+    return {
+      statusCode: existing.response_status,
+      headers: { ...headers, 'Idempotent-Replayed': 'true' },
+      body: existing.response_body
+    };
+  }
+
+  const { idempotencyKeys } = getRepositories();
+  const store = (response) => idempotencyKeys.complete(userId, key, {
+    responseStatus: response.statusCode,
+    responseBody: response.body
+  });
+
+  let committed = false;
+  let response;
+  try {
+    response = await handler(async (committedResponse) => {
+      committed = true;
+      await store(committedResponse);
+    });
+  } catch (error) {
+    if (committed) {
+      logger.warn('Request failed after committing; retries replay the stored response', { route, error });
+    } else {
+      await idempotencyKeys.remove(userId, key)
+        .catch(releaseError => logger.error('Failed to release idempotency key', { route, error: releaseError }));
+    }
+    throw error;
+  }
+
+  await store(response);
+  return response;
+};
+
+const purgeExpiredKeys = (now = new Date()) => getRepositories().idempotencyKeys.removeExpired(now);
+
+module.exports = {
+  IDEMPOTENCY_CONFIG,
+  withIdempotency,
+  purgeExpiredKeys
+};
@@ -0,0 +1,60 @@
+// ids.js - Identifier generators for stored records
+const crypto = require('crypto');
+
+// Crockford base32: no I, L, O or U, so ids survive being read aloud or retyped
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+const encodeTime = (time) => {
+  let value = time;
+  let encoded = '';
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    encoded = ALPHABET[value % 32] + encoded;
+    value = Math.floor(value / 32);
+  }
+  return encoded;
+};
+
+const randomDigits = () => [...crypto.randomBytes(RANDOM_LENGTH)].map(byte => byte % 32);
+
+// Ids made in the same millisecond continue from the last one, so they still sort in creation order
+let lastTime = 0;
+let lastDigits = null;
+
+const nextDigits = (time) => {
+  if (time !== lastTime || !lastDigits) {
+    lastTime = time;
+    lastDigits = randomDigits();
+    return lastDigits;
+  }
+
+  const digits = [...lastDigits];
+  let i = digits.length - 1;
+  while (i >= 0 && digits[i] === 31) {
+    digits[i] = 0;
+    i--;
+  }
+  if (i < 0) {
+    throw new Error('Too many ids generated in one millisecond');
+  }
+  digits[i]++;
+  lastDigits = digits;
+  return digits;
+};
+
+// ULID-style: 48-bit millisecond time then 80 random bits, e.g. REQ-01HZX3K5M2C8V6T9Q4WJ7NDB0E
+const generateId = (prefix) => {
+  const time = Date.now();
+  return `${prefix}-${encodeTime(time)}${nextDigits(time).map(digit => ALPHABET[digit]).join('')}`;
+};
+
+const generateRequestId = () => generateId('REQ');
+
+const generateCommentId = () => generateId('CMT');
+
+module.exports = {
+  generateId,
+  generateRequestId,
+  generateCommentId
+};
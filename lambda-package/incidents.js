@@ -0,0 +1,353 @@
+// incidents.js - Incident queries and the row-to-JSON mapping shared by the routes
+const { toSqlDateTime, fromSqlDateTime, parseJSON } = require('./db');
+const { HttpError } = require('./http');
+const { canSeeInternal, mapComment } = require('./comments');
+const { AUDIT_ACTIONS, writeAuditEntry } = require('./audit');
+const { computeSla } = require('./sla');
+const { getRepositories } = require('./repositories');
+const { STATUS_VALUES, PRIORITY_VALUES, SORT_KEYS } = require('./repositories/schema');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const badRequest = (message) => new HttpError(400, 'Bad Request', message);
+
+const parseSort = (query = {}) => {
+  const sort = query.sort || 'created_at';
+  const order = (query.order || 'desc').toLowerCase();
+
+  if (!SORT_KEYS.includes(sort)) {
+    throw badRequest(`Unknown sort '${sort}'. Valid sorts: ${SORT_KEYS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw badRequest("Order must be 'asc' or 'desc'");
+  }
+
+  return { sort, order };
+};
+
+const parseLimit = (value, maxSize = MAX_PAGE_SIZE, defaultSize = DEFAULT_PAGE_SIZE) => {
+  if (value === undefined || value === '') return defaultSize;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxSize) {
+    throw badRequest(`Limit must be an integer between 1 and ${maxSize}`);
+  }
+  return limit;
+};
+
+const parseList = (value, allowed, name) => {
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  const unknown = allowed ? values.filter(v => !allowed.includes(v)) : [];
+
+  if (values.length === 0 || unknown.length > 0) {
+    throw badRequest(`Invalid ${name} '${value}'${allowed ? `. Valid values: ${allowed.join(', ')}` : ''}`);
+  }
+  return values;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be an ISO 8601 date`);
+  }
+  return date;
+};
+
+// Turns list query parameters into repository filters
+const parseFilters = (query = {}) => {
+  const filters = {};
+
+  if (query.status) filters.statuses = parseList(query.status, STATUS_VALUES, 'status');
+  if (query.priority) filters.priorities = parseList(query.priority, PRIORITY_VALUES, 'priority');
+  if (query.type) filters.types = parseList(query.type, null, 'type');
+
+  if (query.assignedTo === 'unassigned') {
+    filters.assigned = false;
+  } else if (query.assignedTo) {
+    filters.assignedTo = query.assignedTo;
+  }
+
+  if (query.department) filters.department = query.department;
+  if (query.createdFrom) filters.createdFrom = parseDate(query.createdFrom, 'createdFrom');
+  if (query.createdTo) filters.createdTo = parseDate(query.createdTo, 'createdTo');
+
+  if (query.overdue !== undefined) {
+    if (!['true', 'false'].includes(query.overdue)) {
+      throw badRequest("overdue must be 'true' or 'false'");
+    }
+    filters.overdue = query.overdue === 'true';
+  }
+
+  if (query.q && query.q.trim()) filters.q = query.q.trim();
+
+  return filters;
+};
+
+// Cursors pin the sort they were issued for plus the last row's sort value and id
+const encodeCursor = (sort, row) => {
+  const value = row.sort_value instanceof Date ? toSqlDateTime(row.sort_value) : row.sort_value;
+  return Buffer.from(JSON.stringify({ s: sort.sort, o: sort.order, v: value, id: row.id })).toString('base64url');
+};
+
+// Date sorts carry a SQL datetime; priority and status sort by their position in the value list
+const DATE_SORT_KEYS = ['created_at', 'updated_at'];
+const CURSOR_DATE_TIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,3})?$/;
+
+const validCursorValue = (sortKey, value) => (DATE_SORT_KEYS.includes(sortKey)
+  ? typeof value === 'string' && CURSOR_DATE_TIME.test(value) && fromSqlDateTime(value) !== null
+  : Number.isInteger(value) && value >= 0);
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+
+  if (!decoded || decoded.s !== sort.sort || decoded.o !== sort.order || decoded.id === undefined) {
+    throw badRequest('Cursor does not match the requested sort');
+  }
+  // Both values are bound into the page query, so they must look like what encodeCursor wrote
+  if (typeof decoded.id !== 'string' || !validCursorValue(sort.sort, decoded.v)) {
+    throw badRequest('Invalid cursor');
+  }
+  return decoded;
+};
+
+const mapRequestRow = (row, comments = []) => ({
+  id: row.id,
+  userId: row.user_id,
+  userInfo: parseJSON(row.user_info),
+  formData: parseJSON(row.form_data),
+  type: row.request_type,
+  details: parseJSON(row.details),
+  reason: row.reason,
+  status: row.request_status,
+  priority: row.priority_level,
+  assignedTo: row.assigned_to,
+  assignedBy: row.assigned_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  approvedAt: row.approved_at,
+  completedAt: row.completed_at,
+  deletedAt: row.deleted_at,
+  deletedBy: row.deleted_by,
+  parentId: row.parent_id || null,
+  mergedAt: row.merged_at || null,
+  sla: computeSla(row),
+  triage: parseJSON(row.triage),
+  comments,
+  isSecurityIncident: true,
+  severity: parseJSON(row.form_data)?.severity || row.priority_level
+});
+
+// Comments for a page of requests, fetched in one query instead of aggregated per row
+const loadComments = async (requestIds, access) => {
+  const byRequest = new Map(requestIds.map(id => [id, []]));
+  if (requestIds.length === 0) return byRequest;
+
+  const rows = await getRepositories().comments.listForRequests(requestIds, { includeInternal: canSeeInternal(access) });
+  rows.forEach(row => byRequest.get(row.request_id).push(mapComment(row)));
+  return byRequest;
+};
+
+// One page of requests in a stable order; comments are included unless turned off.
+// Soft-deleted requests are only returned when asked for explicitly.
+const findRequests = async ({
+  access,
+  filters = {},
+  sort = parseSort(),
+  limit = DEFAULT_PAGE_SIZE,
+  cursor,
+  includeComments = true,
+  deleted = false
+}) => {
+  const position = cursor ? decodeCursor(cursor, sort) : null;
+
+  // One extra row tells us whether there is a next page
+  const rows = await getRepositories().incidents.find({
+    filters,
+    sort,
+    after: position ? { value: position.v, id: position.id } : undefined,
+    limit: limit + 1,
+    deleted
+  });
+  const pageRows = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(sort, pageRows[pageRows.length - 1]) : null;
+
+  const comments = includeComments
+    ? await loadComments(pageRows.map(row => row.id), access)
+    : null;
+
+  const requests = pageRows.map(row => {
+    const request = mapRequestRow(row, comments ? comments.get(row.id) : undefined);
+    if (!comments) delete request.comments;
+    return request;
+  });
+
+  return { requests, nextCursor };
+};
+
+// Reads the list parameters shared by the request list and the work queues
+const parseListOptions = (query = {}) => ({
+  sort: parseSort(query),
+  limit: parseLimit(query.limit),
+  cursor: query.cursor || undefined,
+  includeComments: query.includeComments !== 'false'
+});
+
+const findRequestById = async (requestId, access, { deleted = false } = {}) => {
+  const { requests } = await findRequests({ access, filters: { ids: [requestId] }, limit: 1, deleted });
+  return requests[0] || null;
+};
+
+// Reporters get a 404 for other people's requests so ids don't leak
+const findAccessibleRequest = async (requestId, access, canSeeAll) => {
+  const request = await findRequestById(requestId, access);
+
+  if (!request || (request.userId !== access.userId && !canSeeAll)) {
+    throw new HttpError(404, 'Not Found', 'Request not found');
+  }
+  return request;
+};
+
+// Editable fields mapped to their columns; JSON columns are stored serialized
+const EDITABLE_FIELDS = {
+  priority: { column: 'priority_level' },
+  reason: { column: 'reason' },
+  formData: { column: 'form_data', json: true },
+  details: { column: 'details', json: true }
+};
+
+// Keys of details only the server writes, from the original email message; clients can't set or drop them
+const SERVER_DETAIL_KEYS = ['emailAnalysis'];
+
+const withoutServerDetails = (details) => Object.fromEntries(
+  Object.entries(details || {}).filter(([key]) => !SERVER_DETAIL_KEYS.includes(key))
+);
+
+// New details that leave a server key out keep its current value
+const keepServerDetails = (previous, details) => ({
+  ...details,
+  ...Object.fromEntries(SERVER_DETAIL_KEYS
+    .filter(key => details?.[key] === undefined && previous?.[key] !== undefined)
+    .map(key => [key, previous[key]]))
+});
+
+const lockRequest = async (connection, requestId, { deleted = false } = {}) => {
+  const row = await getRepositories().incidents.get(requestId, { deleted, lock: true }, connection);
+
+  if (!row) {
+    throw new HttpError(404, 'Not Found', 'Request not found');
+  }
+  return row;
+};
+
+// One step up from priority; critical stays critical
+const raisedPriority = (priority) => {
+  const index = PRIORITY_VALUES.indexOf(priority);
+  return index >= 0 && index < PRIORITY_VALUES.length - 1 ? PRIORITY_VALUES[index + 1] : priority;
+};
+
+// Applies a partial update inside the caller's transaction; only provided fields change
+const updateRequest = async (connection, { requestId, changes, actor }) => {
+  const current = await lockRequest(connection, requestId);
+
+  const oldValues = {};
+  const newValues = {};
+  const columns = {};
+
+  Object.entries(changes).forEach(([field, change]) => {
+    const { column, json } = EDITABLE_FIELDS[field];
+    const previous = json ? parseJSON(current[column]) : current[column];
+    const value = field === 'details' ? keepServerDetails(previous, change) : change;
+
+    if (JSON.stringify(previous) === JSON.stringify(value)) return;
+
+    oldValues[field] = previous;
+    newValues[field] = value;
+    columns[column] = value;
+  });
+
+  if (Object.keys(columns).length === 0) {
+    return { changed: false, current };
+  }
+
+  // A priority set by hand moves the SLA due dates with it, even after the SLA check raised it
+  if (columns.priority_level) {
+    columns.sla_priority_level = null;
+  }
+
+  await getRepositories().incidents.update(requestId, { ...columns, updated_at: new Date() }, connection);
+
+  await writeAuditEntry(connection, {
+    requestId,
+    userId: actor.userId,
+    actionType: AUDIT_ACTIONS.UPDATE,
+    oldValues,
+    newValues
+  });
+
+  return { changed: true, current, oldValues, newValues };
+};
+
+// Soft delete keeps comments and audit history; restore brings the request back
+const softDeleteRequest = async (connection, { requestId, actor }) => {
+  await lockRequest(connection, requestId);
+  const now = new Date();
+
+  await getRepositories().incidents.update(
+    requestId,
+    { deleted_at: now, deleted_by: actor.userId, updated_at: now },
+    connection
+  );
+
+  await writeAuditEntry(connection, {
+    requestId,
+    userId: actor.userId,
+    actionType: AUDIT_ACTIONS.DELETE,
+    oldValues: { deletedAt: null },
+    newValues: { deletedAt: now.toISOString(), deletedBy: actor.userId }
+  });
+};
+
+const restoreRequest = async (connection, { requestId, actor }) => {
+  const current = await lockRequest(connection, requestId, { deleted: true });
+
+  await getRepositories().incidents.update(
+    requestId,
+    { deleted_at: null, deleted_by: null, updated_at: new Date() },
+    connection
+  );
+
+  await writeAuditEntry(connection, {
+    requestId,
+    userId: actor.userId,
+    actionType: AUDIT_ACTIONS.RESTORE,
+    oldValues: { deletedAt: current.deleted_at, deletedBy: current.deleted_by },
+    newValues: { deletedAt: null }
+  });
+};
+
+module.exports = {
+  STATUS_VALUES,
+  PRIORITY_VALUES,
+  SORT_KEYS,
+  parseSort,
+  parseLimit,
+  parseListOptions,
+  parseFilters,
+  mapRequestRow,
+  EDITABLE_FIELDS,
+  withoutServerDetails,
+  findRequests,
+  findRequestById,
+  findAccessibleRequest,
+  lockRequest,
+  raisedPriority,
+  updateRequest,
+  softDeleteRequest,
+  restoreRequest
+};
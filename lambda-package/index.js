@@ -1,220 +1,147 @@
 // index.js - Main Lambda handler (clean version)
-const mysql = require('mysql2/promise');
-
-// Database configuration
-const DB_CONFIG = {
-  host: process.env.DB_HOST,
-  port: parseInt(process.env.DB_PORT) || 3306,
-  database: process.env.DB_NAME,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  charset: 'utf8mb4',
-  timezone: 'Z',
-  acquireTimeout: 60000,
-  timeout: 60000,
-  reconnect: true,
-  connectionLimit: 1,
-  queueLimit: 0,
-  ssl: {
-    rejectUnauthorized: false
-  }
-};
-
-let pool = null;
-
-const getPool = () => {
-  if (!pool) {
-    pool = mysql.createPool(DB_CONFIG);
-  }
-  return pool;
-};
-
-const executeQuery = async (sql, params = []) => {
-  const connection = getPool();
-  try {
-    console.log('🔍 Executing SQL:', sql.substring(0, 100) + (sql.length > 100 ? '...' : ''));
-    const [rows] = await connection.execute(sql, params);
-    console.log('✅ Query executed successfully, rows:', Array.isArray(rows) ? rows.length : rows.affectedRows || 0);
-    return rows;
-  } catch (error) {
-    console.error('❌ Database query failed:', error);
-    throw error;
-  }
-};
-
-const generateRequestId = () => {
-  const timestamp = Date.now().toString(36);
-  const randomStr = Math.random().toString(36).substring(2, 8);
-  return `REQ-${timestamp}-${randomStr}`.toUpperCase();
-};
-
-const generateCommentId = () => {
-  const timestamp = Date.now().toString(36);
-  const randomStr = Math.random().toString(36).substring(2, 8);
-  return `CMT-${timestamp}-${randomStr}`.toUpperCase();
-};
-
-const parseJSON = (jsonString) => {
-  if (!jsonString) return null;
-  try {
-    return typeof jsonString === 'string' ? JSON.parse(jsonString) : jsonString;
-  } catch (error) {
-    console.warn('Failed to parse JSON:', jsonString);
-    return null;
-  }
-};
-
-const isITTeamMember = (email) => {
-  const IT_TEAM_EMAILS = [
-    'john.smith@company.net',
-    'admin@company.net'
-  ];
-  return IT_TEAM_EMAILS.includes(email?.toLowerCase());
+const crypto = require('crypto');
+const { withTransaction } = require('./repositories');
+const { authenticate } = require('./auth');
+const { HttpError, parseBody } = require('./http');
+const {
+  ROLES,
+  PERMISSIONS,
+  loadAccessProfile,
+  hasPermission,
+  requirePermission
+} = require('./permissions');
+const {
+  listComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('./comments');
+const { changeStatus } = require('./workflow');
+const {
+  EDITABLE_FIELDS,
+  withoutServerDetails,
+  parseLimit,
+  parseListOptions,
+  parseFilters,
+  findRequests,
+  findRequestById,
+  findAccessibleRequest,
+  updateRequest,
+  softDeleteRequest,
+  restoreRequest
+} = require('./incidents');
+const { validateUpdate } = require('./validation');
+const { getRequestHistory, findAuditEntries, verifyAuditChain } = require('./audit');
+const { createReport, createReportFromEmail, attachEmailAnalysis } = require('./intake');
+const {
+  listAttachments,
+  addAttachment,
+  getAttachmentContent,
+  deleteAttachment
+} = require('./attachments');
+const {
+  listUsers,
+  getUser,
+  inviteUser,
+  updateUser,
+  deactivateUser,
+  getUserHistory
+} = require('./users');
+const {
+  EVENTS,
+  OUTBOX_STATUSES,
+  notify,
+  dispatchNow,
+  processOutbox,
+  listOutbox,
+  retryDeadEntry,
+  getPreferences,
+  savePreferences
+} = require('./notifications');
+const { assignRequest, getQueue } = require('./assignments');
+const { runSlaEscalation } = require('./escalation');
+const { getReport, getRequestStats } = require('./analytics');
+const { handleCardAction } = require('./teams');
+const { triageRequest } = require('./triage');
+const {
+  findPossibleDuplicates,
+  setParent,
+  mergeIntoParent,
+  listChildren
+} = require('./duplicates');
+const { exportIncidents } = require('./export');
+const { withIdempotency, purgeExpiredKeys } = require('./idempotency');
+const { checkRateLimit, purgeRateLimits } = require('./ratelimit');
+const { logger, runWithContext } = require('./logger');
+const { runMigrationCommand } = require('./migrations');
+const {
+  syncIndicators,
+  lookupIndicators,
+  findIndicatorRequests,
+  findRequestIndicators,
+  findRelatedRequests,
+  listCampaigns,
+  reindexIndicators
+} = require('./indicators');
+
+// EventBridge schedule: escalate SLA breaches, deliver due notifications from the outbox, then tidy up
+const runScheduledJobs = async () => {
+  const sla = await runSlaEscalation();
+  logger.info('SLA run finished', { sla });
+  const outbox = await processOutbox();
+  logger.info('Outbox run finished', { outbox });
+  const purged = {
+    idempotencyKeys: await purgeExpiredKeys(),
+    rateLimitWindows: await purgeRateLimits()
+  };
+  logger.info('Purge finished', { purged });
+  return { sla, outbox, purged };
 };
 
-const sendTeamsNotification = async (reportData) => {
-  const POWER_AUTOMATE_URL = process.env.POWER_AUTOMATE_WEBHOOK_URL;
-
-  console.log('🔍 Checking Power Automate configuration...');
-  console.log('Environment variable set:', !!POWER_AUTOMATE_URL);
-  console.log('URL length:', POWER_AUTOMATE_URL ? POWER_AUTOMATE_URL.length : 0);
-
-  if (!POWER_AUTOMATE_URL) {
-    console.log('❌ Power Automate webhook URL not configured, skipping notification');
-    return;
+exports.handler = async (event, context) => {
+  if (event.source === 'aws.events' || event['detail-type'] === 'Scheduled Event') {
+    return runWithContext({ correlationId: context?.awsRequestId || crypto.randomUUID() }, runScheduledJobs);
   }
 
-  console.log('📤 Sending notification for report:', reportData.requestId);
-
-  const severityEmojis = {
-    low: '🟢',
-    medium: '🟡',
-    high: '🔴',
-    critical: '🚨'
-  };
-
-  const incidentTypeEmojis = {
-    'phishing-email': '📧',
-    'suspicious-website': '🌐',
-    'social-engineering': '👥',
-    'malware': '🦠',
-    'data-breach': '🔓',
-    'identity-theft': '🆔',
-    'other': '❓'
-  };
-
-  // Send structured data to Power Automate with attachments array
-  const payload = {
-    attachments: [
-      {
-        contentType: "application/vnd.microsoft.card.adaptive",
-        content: {
-          type: "AdaptiveCard",
-          version: "1.4",
-          body: [
-            {
-              type: "TextBlock",
-              text: `${severityEmojis[reportData.severity]} New Security Incident Report`,
-              weight: "Bolder",
-              size: "Large"
-            },
-            {
-              type: "TextBlock",
-              text: `Report ID: ${reportData.requestId}`,
-              weight: "Bolder"
-            },
-            {
-              type: "FactSet",
-              facts: [
-                { title: "Reporter", value: `${reportData.userInfo?.name || 'Unknown'} (${reportData.userInfo?.email || 'N/A'})` },
-                { title: "Department", value: reportData.userInfo?.department || 'Not specified' },
-                { title: "Incident Type", value: `${incidentTypeEmojis[reportData.formData?.incidentType] || '🛡️'} ${(reportData.formData?.incidentType || reportData.type)?.replace('-', ' ')}` },
-                { title: "Severity", value: `${severityEmojis[reportData.severity]} ${reportData.severity?.toUpperCase()}` },
-                { title: "Subject", value: reportData.formData?.subject || reportData.reason },
-                { title: "Date Occurred", value: reportData.formData?.dateOccurred || 'Not specified' }
-              ]
-            },
-            {
-              type: "TextBlock",
-              text: "**Description:**",
-              weight: "Bolder"
-            },
-            {
-              type: "TextBlock",
-              text: (reportData.formData?.description || 'No description provided').substring(0, 200),
-              wrap: true
-            }
-          ],
-          actions: [
-            {
-              type: "Action.OpenUrl",
-              title: "View Dashboard",
-              url: "https://company-security-portal.company.net/"
-            }
-          ]
-        }
-      }
-    ],
-    // Flat data for Power Automate processing
-    reportId: reportData.requestId,
-    severity: reportData.severity,
-    subject: reportData.formData?.subject || reportData.reason,
-    reporterName: reportData.userInfo?.name || 'Unknown',
-    reporterEmail: reportData.userInfo?.email || 'N/A'
-  };
-
-  try {
-    console.log('📡 Making request to Power Automate...');
-    console.log('Payload size:', JSON.stringify(payload).length, 'bytes');
-
-    const response = await fetch(POWER_AUTOMATE_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    console.log('📨 Response status:', response.status);
-    console.log('📨 Response headers:', Object.fromEntries(response.headers.entries()));
-
-    if (response.ok) {
-      const responseText = await response.text();
-      console.log('✅ Power Automate notification sent successfully');
-      console.log('Response:', responseText);
-    } else {
-      const errorText = await response.text();
-      console.error('❌ Failed to send Power Automate notification:', response.status, errorText);
-    }
-  } catch (error) {
-    console.error('❌ Error sending Power Automate notification:', error.message);
-    console.error('Stack trace:', error.stack);
+  // Direct invocation only, never through API Gateway:
+  // aws lambda invoke --function-name <fn> --payload '{"migration":{"command":"up"}}' out.json
+  if (event.migration && !event.httpMethod && !event.requestContext) {
+    return runWithContext(
+      { correlationId: context?.awsRequestId || crypto.randomUUID() },
+      () => runMigrationCommand(event.migration)
+    );
   }
-};
 
-exports.handler = async (event, context) => {
-  console.log('🚀 Company API Lambda called');
-  console.log('📝 Event:', JSON.stringify(event, null, 2));
+  // API Gateway's request id ties our log lines to its access logs and to what the client saw
+  const correlationId = event.requestContext?.requestId || context?.awsRequestId || crypto.randomUUID();
+  const path = event.path || event.rawPath || event.requestContext?.http?.path || '/health';
+  const method = event.httpMethod || event.requestContext?.http?.method || 'GET';
 
   const headers = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Requested-With',
-    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Requested-With,Idempotency-Key',
+    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+    // Includes the export and attachment download headers, so no route has to replace the list
+    'Access-Control-Expose-Headers': 'X-Correlation-Id,Retry-After,Idempotent-Replayed,Content-Disposition,X-Export-Count,X-Next-Cursor,X-Attachment-SHA256',
+    'X-Correlation-Id': correlationId
   };
 
+  return runWithContext({ correlationId }, async () => {
+    const startedAt = Date.now();
+    const response = await routeRequest(event, { path, method, headers });
+    logger.info('Request completed', { method, path, statusCode: response.statusCode, latencyMs: Date.now() - startedAt });
+    return response;
+  });
+};
+
+const routeRequest = async (event, { path, method, headers }) => {
   try {
     // Handle CORS preflight
-    if (event.requestContext?.http?.method === 'OPTIONS' || event.httpMethod === 'OPTIONS') {
+    if (method === 'OPTIONS') {
       return { statusCode: 200, headers, body: '' };
     }
 
-    // Extract path and method
-    const path = event.path || event.rawPath || event.requestContext?.http?.path || '/health';
-    const method = event.httpMethod || event.requestContext?.http?.method || 'GET';
-
-    console.log(`🔍 Request: ${method} ${path}`);
-
     // Health check
     if (path === '/health' && method === 'GET') {
       return {
@@ -229,10 +156,30 @@ exports.handler = async (event, context) => {
       };
     }
 
+    // Teams card buttons arrive from Power Automate, signed with a shared secret instead of a user token
+    if (path === '/api/teams/actions' && method === 'POST') {
+      const card = await handleCardAction(event);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          statusCode: 200,
+          type: 'application/vnd.microsoft.card.adaptive',
+          value: card
+        })
+      };
+    }
+
+    // Every other route acts on behalf of a verified caller
+    const caller = await authenticate(event);
+    const access = await loadAccessProfile(caller);
+
     // Test Teams notification
     if (path === '/test-teams' && method === 'POST') {
-      console.log('🧪 Testing Teams notification...');
-      await sendTeamsNotification({
+      requirePermission(access, PERMISSIONS.NOTIFICATION_SEND);
+      logger.info('Testing notification channels');
+      const ids = await withTransaction(connection => notify(connection, EVENTS.INCIDENT_CREATED, {
         requestId: 'TEST-' + Date.now(),
         severity: 'high',
         formData: {
@@ -246,104 +193,66 @@ exports.handler = async (event, context) => {
           department: 'IT'
         },
         type: 'phishing-email',
-        reason: 'Testing Teams integration'
-      });
+        reason: 'Testing notification channels'
+      }));
+
+      const delivery = await processOutbox({ ids });
 
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ message: 'Test notification sent, check logs' })
+        body: JSON.stringify({
+          message: `Test notification queued for ${ids.length} channel(s)`,
+          delivery
+        })
       };
     }
 
     // Get user role
     if (path === '/api/auth/user-role' && method === 'GET') {
       try {
-        // Get email from query parameters
-        let userEmail = event.queryStringParameters?.email;
-        
-        if (!userEmail) {
+        // The role is always resolved for the token's own email
+        const requestedEmail = event.queryStringParameters?.email;
+        const userEmail = caller.email;
+
+        if (requestedEmail && requestedEmail.toLowerCase() !== userEmail) {
           return {
-            statusCode: 400,
+            statusCode: 403,
             headers,
             body: JSON.stringify({
-              error: 'Bad Request',
-              message: 'Email is required for user role determination'
+              error: 'Forbidden',
+              message: 'You can only look up your own role'
             })
           };
         }
 
-        console.log('Determining role for email:', userEmail);
-
-        // Try to get role from database first
-        const query = 'SELECT user_role, permissions FROM user_roles WHERE email = ?';
-        const result = await executeQuery(query, [userEmail.toLowerCase()]);
-        
-        let role, permissions;
-        
-        if (result && result.length > 0) {
-          console.log('Found user in database:', result[0]);
-          role = result[0].user_role;
-          
-          // Handle permissions parsing with error handling
-          try {
-            const permissionsData = result[0].permissions;
-            console.log('Raw permissions data:', permissionsData, 'Type:', typeof permissionsData);
-            
-            if (typeof permissionsData === 'string') {
-              permissions = JSON.parse(permissionsData);
-            } else if (Array.isArray(permissionsData)) {
-              permissions = permissionsData;
-            } else {
-              console.log('Unexpected permissions format, using default');
-              permissions = ['request:create', 'request:view-own'];
-            }
-          } catch (parseError) {
-            console.error('Error parsing permissions JSON:', parseError.message);
-            console.error('Raw permissions data:', result[0].permissions);
-            
-            // Fallback based on role
-            if (role === 'admin') {
-              permissions = ['request:create', 'request:view-own', 'request:view-all', 'request:approve', 'request:assign', 'request:delete', 'notification:send', 'user:manage', 'analytics:view'];
-            } else if (role === 'it-support') {
-              permissions = ['request:create', 'request:view-own', 'request:view-all', 'request:approve', 'request:assign', 'notification:send', 'analytics:view'];
-            } else {
-              permissions = ['request:create', 'request:view-own'];
-            }
-          }
-        } else {
-          console.log('User not found in database, assigning default role');
-          role = 'user';
-          permissions = ['request:create', 'request:view-own'];
-        }
+        const { role, permissions } = access;
 
+        // userId is the token subject that incidents are stored under; roleUserId is the user_roles key
         const userInfo = {
-          userId: `user-${Date.now()}`,
+          userId: caller.userId,
+          roleUserId: access.roleUserId,
           email: userEmail,
-          name: 'Unknown User',
+          name: access.roleUserName || caller.name,
           role,
           permissions,
-          isITTeam: role === 'it-support' || role === 'admin',
-          isAdmin: role === 'admin'
+          isITTeam: role === ROLES.IT_SUPPORT || role === ROLES.ADMIN,
+          isAdmin: role === ROLES.ADMIN
         };
 
-        console.log('Final user info:', userInfo);
+        logger.debug('Resolved user role', { roleUserId: userInfo.roleUserId, role });
 
         return {
           statusCode: 200,
           headers,
           body: JSON.stringify({
             user: userInfo,
-            roles: {
-              USER: 'user',
-              IT_SUPPORT: 'it-support', 
-              ADMIN: 'admin'
-            }
+            roles: ROLES
           })
         };
 
       } catch (error) {
-        console.error('Error determining user role:', error);
+        logger.error('Error determining user role', { error });
         
         return {
           statusCode: 500,
@@ -358,176 +267,131 @@ exports.handler = async (event, context) => {
 
     // Get all requests
     if (path === '/api/requests' && method === 'GET') {
-      const userId = event.queryStringParameters?.userId || 'test-user-123';
-      const userEmail = event.queryStringParameters?.userEmail || 'john.smith@company.net';
-      const isITUser = isITTeamMember(userEmail);
-
-      let sql = `
-        SELECT r.*, 
-               JSON_ARRAYAGG(
-                 CASE WHEN c.id IS NOT NULL THEN
-                   JSON_OBJECT(
-                     'id', c.id,
-                     'userId', c.user_id,
-                     'userName', c.user_name,
-                     'message', c.message,
-                     'timestamp', c.created_at,
-                     'isInternal', c.is_internal
-                   )
-                 ELSE NULL END
-               ) as comments
-        FROM requests r
-        LEFT JOIN request_comments c ON r.id = c.request_id
-      `;
-
-      let params = [];
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      const isITUser = hasPermission(access, PERMISSIONS.REQUEST_VIEW_ALL);
+      const query = event.queryStringParameters || {};
+      const filters = parseFilters(query);
+
+      // Soft-deleted requests are only listed for people who can restore them
+      const deleted = query.deleted === 'true';
+      if (deleted) {
+        requirePermission(access, PERMISSIONS.REQUEST_DELETE);
+      }
+
+      // Reporters only ever see their own incidents, whatever the filters say
       if (!isITUser) {
-        sql += ' WHERE r.user_id = ?';
-        params.push(userId);
+        filters.userId = caller.userId;
       }
 
-      sql += ' GROUP BY r.id ORDER BY r.created_at DESC';
-
-      const rows = await executeQuery(sql, params);
-
-      const requests = rows.map(row => ({
-        id: row.id,
-        userId: row.user_id,
-        userInfo: parseJSON(row.user_info),
-        formData: parseJSON(row.form_data),
-        type: row.request_type,
-        details: parseJSON(row.details),
-        reason: row.reason,
-        status: row.request_status,
-        priority: row.priority_level,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at,
-        comments: row.comments ? parseJSON(row.comments).filter(c => c !== null) : [],
-        isSecurityIncident: true,
-        severity: parseJSON(row.form_data)?.severity || row.priority_level
-      }));
+      const { requests, nextCursor } = await findRequests({
+        access,
+        filters,
+        deleted,
+        ...parseListOptions(query)
+      });
 
       return {
         statusCode: 200,
         headers,
         body: JSON.stringify({
           requests,
-          count: requests.length
+          count: requests.length,
+          nextCursor
         })
       };
     }
 
     // Create request
+    // A retry with the same Idempotency-Key gets the first response back and isn't counted again
     if (path === '/api/requests' && method === 'POST') {
-      const requestData = JSON.parse(event.body);
-      const userId = requestData.userId || 'test-user-123';
+      requirePermission(access, PERMISSIONS.REQUEST_CREATE);
+      return await withIdempotency(event, { userId: caller.userId, route: 'POST /api/requests', headers }, async (committed) => {
+        await checkRateLimit(event, { action: 'report', userId: caller.userId });
+        const request = await createReport(caller, parseBody(event));
+        const created = { message: 'Security report created successfully', request };
+        await committed({ statusCode: 201, headers, body: JSON.stringify(created) });
 
-      if (!requestData.userInfo || !requestData.type || !requestData.reason) {
         return {
-          statusCode: 400,
+          statusCode: 201,
           headers,
           body: JSON.stringify({
-            error: 'Missing required fields: userInfo, type, reason'
+            ...created,
+            possibleDuplicates: await findPossibleDuplicates(request.id, access)
           })
         };
-      }
+      });
+    }
 
-      const now = new Date();
-      const requestId = generateRequestId();
+    // Create a phishing report from the original message (.eml, base64 in the body)
+    if (path === '/api/requests/eml' && method === 'POST') {
+      requirePermission(access, PERMISSIONS.REQUEST_CREATE);
+      return await withIdempotency(event, { userId: caller.userId, route: 'POST /api/requests/eml', headers }, async (committed) => {
+        await checkRateLimit(event, { action: 'report', userId: caller.userId });
+        const { request, analysis } = await createReportFromEmail(caller, parseBody(event));
+        const created = { message: 'Security report created successfully', request, warnings: analysis.warnings };
+        await committed({ statusCode: 201, headers, body: JSON.stringify(created) });
 
-      let priority = 'medium';
-      if (requestData.formData?.severity) {
-        const severityToPriority = {
-          'low': 'low',
-          'medium': 'medium',
-          'high': 'high',
-          'critical': 'critical'
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({
+            ...created,
+            possibleDuplicates: await findPossibleDuplicates(request.id, access)
+          })
         };
-        priority = severityToPriority[requestData.formData.severity] || 'medium';
-      }
-
-      const sql = `
-        INSERT INTO requests (
-          id, user_id, user_info, form_data, request_type, details, reason, 
-          request_status, priority_level, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-
-      const params = [
-        requestId,
-        userId,
-        JSON.stringify(requestData.userInfo),
-        JSON.stringify(requestData.formData || {}),
-        requestData.type,
-        JSON.stringify(requestData.details || {}),
-        requestData.reason,
-        'open',
-        priority,
-        now.toISOString(),
-        now.toISOString()
-      ];
-
-      await executeQuery(sql, params);
-
-      // Send Teams notification
-      await sendTeamsNotification({
-        requestId,
-        userInfo: requestData.userInfo,
-        formData: requestData.formData,
-        severity: priority,
-        type: requestData.type,
-        reason: requestData.reason
       });
+    }
+
+    // Export one page of incidents as CSV, NDJSON or a STIX bundle (matched before /:id)
+    if (path === '/api/requests/export' && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_ALL);
+      const exported = await exportIncidents({ access, query: event.queryStringParameters || {} });
 
       return {
-        statusCode: 201,
-        headers,
-        body: JSON.stringify({
-          message: 'Security report created successfully',
-          request: {
-            id: requestId,
-            userId: userId,
-            userInfo: requestData.userInfo,
-            formData: requestData.formData,
-            type: requestData.type,
-            details: requestData.details,
-            reason: requestData.reason,
-            status: 'open',
-            priority: priority,
-            createdAt: now.toISOString(),
-            isSecurityIncident: true
-          }
-        })
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': exported.contentType,
+          'Content-Disposition': `attachment; filename="${exported.filename}"`,
+          'X-Export-Count': String(exported.count),
+          ...(exported.nextCursor ? { 'X-Next-Cursor': exported.nextCursor } : {})
+        },
+        body: exported.body
       };
     }
 
     // Get request stats
     if (path === '/api/requests/stats' && method === 'GET') {
-      const sql = 'SELECT * FROM request_stats';
-      const [stats] = await executeQuery(sql);
+      requirePermission(access, PERMISSIONS.ANALYTICS_VIEW);
 
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({
-          statistics: stats || {
-            total: 0,
-            open: 0,
-            'in-progress': 0,
-            resolved: 0,
-            closed: 0
-          }
-        })
+        body: JSON.stringify({ statistics: await getRequestStats() })
+      };
+    }
+
+    // Time series, breakdowns, response times and backlog age
+    const analyticsMatch = path.match(/^\/api\/analytics\/([^\/]+)$/);
+    if (analyticsMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.ANALYTICS_VIEW);
+      const report = await getReport(analyticsMatch[1], event.queryStringParameters || {});
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(report)
       };
     }
 
     // Update request status
     if (path.match(/^\/api\/requests\/[^\/]+\/status$/) && method === 'PUT') {
+      requirePermission(access, PERMISSIONS.REQUEST_APPROVE);
       const pathMatch = path.match(/\/api\/requests\/([^\/]+)\/status$/);
       const requestId = pathMatch[1];
-      const updateData = JSON.parse(event.body);
+      const updateData = parseBody(event);
 
-      console.log('🔄 Updating request status:', requestId, updateData);
+      logger.info('Updating request status', { requestId, status: updateData.status });
 
       if (!updateData.status) {
         return {
@@ -537,99 +401,633 @@ exports.handler = async (event, context) => {
         };
       }
 
-      const now = new Date().toISOString();
-
-      // Update request status
-      const updateSql = 'UPDATE requests SET request_status = ?, updated_at = ? WHERE id = ?';
-      const updateParams = [updateData.status, now, requestId];
-      await executeQuery(updateSql, updateParams);
-
-      // Add investigation notes as comment if provided
-      if (updateData.notes && updateData.notes.trim()) {
-        console.log('📝 Adding investigation notes as comment:', updateData.notes);
-        const commentId = generateCommentId();
-        const commentSql = `
-          INSERT INTO request_comments (id, request_id, user_id, user_name, message, is_internal, created_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `;
-        const commentParams = [
-          commentId,
+      // Status change, notes, audit entry and notifications commit together
+      const { notificationIds, cascaded } = await withTransaction(connection => changeStatus(connection, {
+        requestId,
+        toStatus: updateData.status,
+        actor: caller,
+        notes: updateData.notes,
+        isInternal: updateData.isInternal
+      }));
+
+      await dispatchNow(notificationIds);
+
+      // Fetch and return the updated request with comments
+      const transformedRequest = await findRequestById(requestId, access);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'Request status updated successfully',
+          request: transformedRequest,
+          cascaded
+        })
+      };
+    }
+
+    // Assign, reassign or unassign a request
+    const assignMatch = path.match(/^\/api\/requests\/([^\/]+)\/assign$/);
+    if (assignMatch && method === 'PUT') {
+      requirePermission(access, PERMISSIONS.REQUEST_ASSIGN);
+      const requestId = assignMatch[1];
+      const assignData = parseBody(event);
+
+      if (assignData.assignee === undefined) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Assignee is required (use null to unassign)' })
+        };
+      }
+
+      const { notificationIds } = await withTransaction(connection => assignRequest(connection, {
+        requestId,
+        assignee: assignData.assignee,
+        actor: access
+      }));
+
+      await dispatchNow(notificationIds);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: assignData.assignee ? 'Request assigned successfully' : 'Request unassigned successfully',
+          request: await findRequestById(requestId, access)
+        })
+      };
+    }
+
+    // Reports that look like the same incident, best matches first
+    const duplicatesMatch = path.match(/^\/api\/requests\/([^\/]+)\/duplicates$/);
+    if (duplicatesMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_ALL);
+      const duplicates = await findPossibleDuplicates(duplicatesMatch[1], access);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ duplicates, count: duplicates.length })
+      };
+    }
+
+    // Link a report to a parent incident, or unlink it with parentId null
+    const parentMatch = path.match(/^\/api\/requests\/([^\/]+)\/parent$/);
+    if (parentMatch && method === 'PUT') {
+      requirePermission(access, PERMISSIONS.REQUEST_APPROVE);
+      const { parentId } = parseBody(event);
+      if (parentId === undefined) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'parentId is required (use null to unlink)' })
+        };
+      }
+
+      await setParent(caller, parentMatch[1], parentId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: parentId ? 'Request linked successfully' : 'Request unlinked successfully',
+          request: await findRequestById(parentMatch[1], access)
+        })
+      };
+    }
+
+    // Merge duplicate reports into this incident; they follow its status from then on
+    const mergeMatch = path.match(/^\/api\/requests\/([^\/]+)\/merge$/);
+    if (mergeMatch && method === 'POST') {
+      requirePermission(access, PERMISSIONS.REQUEST_APPROVE);
+      const result = await mergeIntoParent(caller, mergeMatch[1], parseBody(event).childIds);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: 'Requests merged successfully', ...result })
+      };
+    }
+
+    // Linked and merged reports under a parent, with their reporters
+    const childrenMatch = path.match(/^\/api\/requests\/([^\/]+)\/children$/);
+    if (childrenMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_ALL);
+      const children = await listChildren(childrenMatch[1], access);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ children, count: children.length })
+      };
+    }
+
+    // Analyst work queues
+    if (path === '/api/queue' && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_ALL);
+      const { view, requests, nextCursor } = await getQueue({ access, query: event.queryStringParameters || {} });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          view,
+          requests,
+          count: requests.length,
+          nextCursor
+        })
+      };
+    }
+
+    // Single request
+    const requestMatch = path.match(/^\/api\/requests\/([^\/]+)$/);
+    if (requestMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      const request = await findAccessibleRequest(
+        requestMatch[1],
+        access,
+        hasPermission(access, PERMISSIONS.REQUEST_VIEW_ALL)
+      );
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ request })
+      };
+    }
+
+    // Partial update of editable fields
+    if (requestMatch && method === 'PUT') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      const requestId = requestMatch[1];
+      const updateData = parseBody(event);
+      const canTriage = hasPermission(access, PERMISSIONS.REQUEST_APPROVE);
+
+      const unknownFields = Object.keys(updateData).filter(field => !EDITABLE_FIELDS[field]);
+      if (unknownFields.length > 0) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: 'Bad Request',
+            message: `These fields cannot be edited: ${unknownFields.join(', ')}. Editable fields: ${Object.keys(EDITABLE_FIELDS).join(', ')}`
+          })
+        };
+      }
+
+      // Reporters can still correct their own report while nobody has picked it up
+      const existing = await findAccessibleRequest(requestId, access, hasPermission(access, PERMISSIONS.REQUEST_VIEW_ALL));
+      validateUpdate(existing.type, updateData);
+      if (!canTriage && (updateData.priority !== undefined || existing.status !== 'open')) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({
+            error: 'Forbidden',
+            message: 'Reporters can only edit reason, formData and details while their request is open'
+          })
+        };
+      }
+
+      // Indicators and triage are redone in the same transaction so they always match the report
+      const notificationIds = await withTransaction(async (connection) => {
+        const { changed } = await updateRequest(connection, {
           requestId,
-          updateData.updatedBy || 'admin',
-          'IT Admin', // You can make this dynamic based on user
-          `Status changed to ${updateData.status}. Notes: ${updateData.notes}`,
-          updateData.isInternal || false,
-          now
-        ];
-
-        console.log('💾 Inserting comment with params:', commentParams);
-        await executeQuery(commentSql, commentParams);
-        console.log('✅ Comment inserted successfully');
-      } else {
-        console.log('⚠️ No notes provided or notes empty:', updateData.notes);
+          changes: updateData.details === undefined
+            ? updateData
+            : { ...updateData, details: withoutServerDetails(updateData.details) },
+          actor: caller
+        });
+        if (!changed) return [];
+
+        await syncIndicators(connection, requestId);
+        return (await triageRequest(connection, requestId, { trigger: 'update' })).notificationIds;
+      });
+
+      await dispatchNow(notificationIds);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'Request updated successfully',
+          request: await findRequestById(requestId, access)
+        })
+      };
+    }
+
+    // Attach the original message to an existing email report
+    const emlMatch = path.match(/^\/api\/requests\/([^\/]+)\/eml$/);
+    if (emlMatch && method === 'POST') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      const requestId = emlMatch[1];
+      const analysis = await attachEmailAnalysis(access, requestId, parseBody(event));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'Email analysis added successfully',
+          request: await findRequestById(requestId, access),
+          warnings: analysis.warnings
+        })
+      };
+    }
+
+    // Soft delete: comments and audit history are kept
+    if (requestMatch && method === 'DELETE') {
+      requirePermission(access, PERMISSIONS.REQUEST_DELETE);
+      const requestId = requestMatch[1];
+
+      await withTransaction(connection => softDeleteRequest(connection, { requestId, actor: caller }));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'Request deleted successfully',
+          id: requestId
+        })
+      };
+    }
+
+    // Restore a soft-deleted request
+    const restoreMatch = path.match(/^\/api\/requests\/([^\/]+)\/restore$/);
+    if (restoreMatch && method === 'POST') {
+      requirePermission(access, PERMISSIONS.REQUEST_DELETE);
+      const requestId = restoreMatch[1];
+
+      await withTransaction(connection => restoreRequest(connection, { requestId, actor: caller }));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'Request restored successfully',
+          request: await findRequestById(requestId, access)
+        })
+      };
+    }
+
+    // Indicators of compromise extracted from one incident, and incidents sharing them
+    const requestIndicatorsMatch = path.match(/^\/api\/requests\/([^\/]+)\/(indicators|related)$/);
+    if (requestIndicatorsMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_ALL);
+      const [, requestId, view] = requestIndicatorsMatch;
+      await findAccessibleRequest(requestId, access, true);
+
+      const body = view === 'indicators'
+        ? { indicators: await findRequestIndicators(requestId) }
+        : { related: await findRelatedRequests(requestId, access) };
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(body)
+      };
+    }
+
+    // Indicator lookup by raw value, e.g. ?value=hxxp://evil[.]com
+    if (path === '/api/indicators' && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_ALL);
+      const result = await lookupIndicators(event.queryStringParameters?.value);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(result)
+      };
+    }
+
+    // Incidents grouped into campaigns by the indicators they share
+    if (path === '/api/indicators/campaigns' && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_ALL);
+      const result = await listCampaigns(event.queryStringParameters || {});
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(result)
+      };
+    }
+
+    // Backfill indicators for reports created before extraction existed
+    if (path === '/api/indicators/reindex' && method === 'POST') {
+      requirePermission(access, PERMISSIONS.REQUEST_APPROVE);
+      const result = await reindexIndicators(parseBody(event));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(result)
+      };
+    }
+
+    // One indicator and the incidents that mention it
+    const indicatorMatch = path.match(/^\/api\/indicators\/([^\/]+)$/);
+    if (indicatorMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_ALL);
+      const { indicator, requests, nextCursor } = await findIndicatorRequests(
+        indicatorMatch[1],
+        access,
+        event.queryStringParameters || {}
+      );
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          indicator,
+          requests,
+          count: requests.length,
+          nextCursor
+        })
+      };
+    }
+
+    // The caller's notification subscriptions
+    if (path === '/api/notifications/preferences' && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ preferences: await getPreferences(caller.email) })
+      };
+    }
+
+    if (path === '/api/notifications/preferences' && method === 'PUT') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      const preferences = await savePreferences(caller.email, parseBody(event));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'Notification preferences saved',
+          preferences
+        })
+      };
+    }
+
+    // Notification outbox inspection
+    if (path === '/api/notifications/outbox' && method === 'GET') {
+      requirePermission(access, PERMISSIONS.NOTIFICATION_SEND);
+      const query = event.queryStringParameters || {};
+
+      if (query.status && !Object.values(OUTBOX_STATUSES).includes(query.status)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: 'Bad Request',
+            message: `Status must be one of: ${Object.values(OUTBOX_STATUSES).join(', ')}`
+          })
+        };
       }
 
-      // Fetch and return the updated request with comments
-      const fetchSql = `
-        SELECT r.*, 
-               JSON_ARRAYAGG(
-                 CASE WHEN c.id IS NOT NULL THEN
-                   JSON_OBJECT(
-                     'id', c.id,
-                     'userId', c.user_id,
-                     'userName', c.user_name,
-                     'message', c.message,
-                     'timestamp', c.created_at,
-                     'isInternal', c.is_internal
-                   )
-                 ELSE NULL END
-               ) as comments
-        FROM requests r
-        LEFT JOIN request_comments c ON r.id = c.request_id
-        WHERE r.id = ?
-        GROUP BY r.id
-      `;
-
-      const [updatedRequest] = await executeQuery(fetchSql, [requestId]);
-
-      if (!updatedRequest) {
+      const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+      const messages = await listOutbox({ status: query.status, limit });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          messages,
+          count: messages.length
+        })
+      };
+    }
+
+    // Requeue a dead-lettered notification
+    const outboxRetryMatch = path.match(/^\/api\/notifications\/outbox\/([^\/]+)\/retry$/);
+    if (outboxRetryMatch && method === 'POST') {
+      requirePermission(access, PERMISSIONS.NOTIFICATION_SEND);
+      const requeued = await retryDeadEntry(outboxRetryMatch[1]);
+
+      if (!requeued) {
         return {
           statusCode: 404,
           headers,
-          body: JSON.stringify({ error: 'Request not found' })
+          body: JSON.stringify({ error: 'Not Found', message: 'No dead-lettered notification with that id' })
         };
       }
 
-      // Transform the data to match frontend expectations
-      const comments = updatedRequest.comments ? parseJSON(updatedRequest.comments).filter(c => c !== null) : [];
-      console.log('📋 Raw comments from DB:', updatedRequest.comments);
-      console.log('🔍 Parsed comments:', comments);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'Notification requeued',
+          delivery: await processOutbox({ ids: [outboxRetryMatch[1]] })
+        })
+      };
+    }
+
+    // Portal users and their roles
+    if (path === '/api/users' && method === 'GET') {
+      requirePermission(access, PERMISSIONS.USER_MANAGE);
+      const users = await listUsers(event.queryStringParameters || {});
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ users, count: users.length })
+      };
+    }
+
+    if (path === '/api/users' && method === 'POST') {
+      requirePermission(access, PERMISSIONS.USER_MANAGE);
+      const user = await inviteUser(access, parseBody(event));
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({
+          message: 'User invited successfully',
+          user
+        })
+      };
+    }
+
+    const userHistoryMatch = path.match(/^\/api\/users\/([^\/]+)\/history$/);
+    if (userHistoryMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.USER_MANAGE);
+      const history = await getUserHistory(decodeURIComponent(userHistoryMatch[1]));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ history, count: history.length })
+      };
+    }
+
+    const userMatch = path.match(/^\/api\/users\/([^\/]+)$/);
+    if (userMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.USER_MANAGE);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ user: await getUser(decodeURIComponent(userMatch[1])) })
+      };
+    }
+
+    if (userMatch && method === 'PUT') {
+      requirePermission(access, PERMISSIONS.USER_MANAGE);
+      const user = await updateUser(access, decodeURIComponent(userMatch[1]), parseBody(event));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'User updated successfully',
+          user
+        })
+      };
+    }
+
+    // Deactivation keeps the row, so history and assignments still resolve
+    if (userMatch && method === 'DELETE') {
+      requirePermission(access, PERMISSIONS.USER_MANAGE);
+      const user = await deactivateUser(access, decodeURIComponent(userMatch[1]));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'User deactivated successfully',
+          user
+        })
+      };
+    }
+
+    // Full audit history of one incident, oldest first
+    const historyMatch = path.match(/^\/api\/requests\/([^\/]+)\/history$/);
+    if (historyMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.AUDIT_VIEW);
+      const history = await getRequestHistory(historyMatch[1]);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ history, count: history.length })
+      };
+    }
+
+    // Audit log across incidents, filtered by actor, action and date range
+    if (path === '/api/audit' && method === 'GET') {
+      requirePermission(access, PERMISSIONS.AUDIT_VIEW);
+      const query = event.queryStringParameters || {};
+      const { entries, nextCursor } = await findAuditEntries(query, { limit: parseLimit(query.limit) });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ entries, count: entries.length, nextCursor })
+      };
+    }
+
+    // Walk the audit hash chain and report the first altered or removed entry
+    if (path === '/api/audit/verify' && method === 'GET') {
+      requirePermission(access, PERMISSIONS.AUDIT_VIEW);
+      const verification = await verifyAuditChain(event.queryStringParameters || {});
+
+      if (!verification.valid) {
+        logger.error('Audit chain verification failed', { firstInvalid: verification.firstInvalid });
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(verification)
+      };
+    }
+
+    // Comments on a request
+    const commentsMatch = path.match(/^\/api\/requests\/([^\/]+)\/comments$/);
+    if (commentsMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      return await listComments({ requestId: commentsMatch[1], access, headers });
+    }
+
+    if (commentsMatch && method === 'POST') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      const data = parseBody(event);
+      return await createComment({ requestId: commentsMatch[1], access, data, headers });
+    }
 
-      const transformedRequest = {
-        id: updatedRequest.id,
-        userId: updatedRequest.user_id,
-        userInfo: parseJSON(updatedRequest.user_info),
-        formData: parseJSON(updatedRequest.form_data),
-        type: updatedRequest.request_type,
-        details: parseJSON(updatedRequest.details),
-        reason: updatedRequest.reason,
-        status: updatedRequest.request_status,
-        priority: updatedRequest.priority_level,
-        createdAt: updatedRequest.created_at,
-        updatedAt: updatedRequest.updated_at,
-        comments: comments,
-        isSecurityIncident: true,
-        severity: parseJSON(updatedRequest.form_data)?.severity || updatedRequest.priority_level
+    // Single comment
+    const commentMatch = path.match(/^\/api\/requests\/([^\/]+)\/comments\/([^\/]+)$/);
+    if (commentMatch && method === 'PUT') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      const data = parseBody(event);
+      return await updateComment({ requestId: commentMatch[1], commentId: commentMatch[2], access, data, headers });
+    }
+
+    if (commentMatch && method === 'DELETE') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      return await deleteComment({ requestId: commentMatch[1], commentId: commentMatch[2], access, headers });
+    }
+
+    // Evidence attachments on a request
+    const attachmentsMatch = path.match(/^\/api\/requests\/([^\/]+)\/attachments$/);
+    if (attachmentsMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      const attachments = await listAttachments(attachmentsMatch[1], access);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ attachments, count: attachments.length })
+      };
+    }
+
+    if (attachmentsMatch && method === 'POST') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      const attachment = await addAttachment(access, attachmentsMatch[1], parseBody(event));
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({
+          message: 'Attachment added successfully',
+          attachment
+        })
+      };
+    }
+
+    // Single attachment; GET returns the file itself
+    const attachmentMatch = path.match(/^\/api\/requests\/([^\/]+)\/attachments\/([^\/]+)$/);
+    if (attachmentMatch && method === 'GET') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      const file = await getAttachmentContent(access, attachmentMatch[1], attachmentMatch[2]);
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': file.contentType,
+          'Content-Disposition': file.contentDisposition,
+          'X-Content-Type-Options': 'nosniff',
+          'Content-Security-Policy': "default-src 'none'; sandbox",
+          'Cache-Control': 'private, no-store',
+          'X-Attachment-SHA256': file.attachment.sha256
+        },
+        body: file.content.toString('base64'),
+        isBase64Encoded: true
       };
+    }
 
-      console.log('📤 Returning transformed request with comments:', transformedRequest.comments);
+    if (attachmentMatch && method === 'DELETE') {
+      requirePermission(access, PERMISSIONS.REQUEST_VIEW_OWN);
+      await deleteAttachment(access, attachmentMatch[1], attachmentMatch[2]);
 
       return {
         statusCode: 200,
         headers,
         body: JSON.stringify({
-          message: 'Request status updated successfully',
-          request: transformedRequest
+          message: 'Attachment deleted successfully',
+          id: attachmentMatch[2]
         })
       };
     }
@@ -645,7 +1043,20 @@ exports.handler = async (event, context) => {
     };
 
   } catch (error) {
-    console.error('❌ Lambda error:', error);
+    if (error instanceof HttpError) {
+      logger.warn('Request rejected', { statusCode: error.statusCode, error: error.error, reason: error.message });
+      return {
+        statusCode: error.statusCode,
+        headers: { ...headers, ...error.headers },
+        body: JSON.stringify({
+          error: error.error,
+          message: error.message,
+          ...(error.fields && { fields: error.fields })
+        })
+      };
+    }
+
+    logger.error('Unhandled error', { error });
 
     return {
       statusCode: 500,
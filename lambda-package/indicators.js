@@ -0,0 +1,221 @@
+// indicators.js - Stores extracted IOCs per incident and correlates incidents that share them
+const crypto = require('crypto');
+const { parseJSON } = require('./db');
+const { HttpError } = require('./http');
+const { extractIndicators, parseIndicatorQuery } = require('./ioc');
+const { findRequests, parseListOptions } = require('./incidents');
+const { getRepositories, withTransaction } = require('./repositories');
+
+// Reports with more than this many indicators keep the first ones found
+const MAX_INDICATORS_PER_REQUEST = 200;
+const MAX_RELATED = 50;
+const DEFAULT_CAMPAIGN_DAYS = 30;
+const DEFAULT_CAMPAIGN_MIN_REPORTS = 3;
+const REINDEX_BATCH_SIZE = 100;
+
+// The same indicator always gets the same id, so upserts need no lookup
+const indicatorId = (type, value) =>
+  `IOC-${crypto.createHash('sha256').update(`${type}:${value}`).digest('hex').slice(0, 32).toUpperCase()}`;
+
+const mapIndicator = (row) => ({
+  id: row.id,
+  type: row.indicator_type,
+  value: row.value,
+  firstSeenAt: row.first_seen_at,
+  lastSeenAt: row.last_seen_at,
+  ...(row.report_count !== undefined ? { reportCount: Number(row.report_count) } : {})
+});
+
+// Re-extracts a request's indicators from its current row; call inside the transaction that changed it
+const syncIndicators = async (connection, requestId) => {
+  const repositories = getRepositories();
+  const row = await repositories.incidents.get(requestId, { deleted: 'any' }, connection);
+  if (!row) return [];
+
+  const found = extractIndicators({
+    reason: row.reason,
+    formData: parseJSON(row.form_data),
+    details: parseJSON(row.details)
+  })
+    .slice(0, MAX_INDICATORS_PER_REQUEST)
+    .map(indicator => ({ ...indicator, id: indicatorId(indicator.type, indicator.value) }))
+    // A fixed insert order keeps concurrent reports of one campaign from deadlocking
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  await repositories.indicators.replaceForRequest(requestId, found, connection);
+  return found;
+};
+
+// Finds stored indicators matching a raw value such as "hxxp://evil[.]com"
+const lookupIndicators = async (value) => {
+  if (!value || !String(value).trim()) {
+    throw new HttpError(400, 'Bad Request', 'value is required');
+  }
+
+  const candidates = parseIndicatorQuery(value);
+  if (candidates.length === 0) {
+    return { value, normalized: [], indicators: [] };
+  }
+
+  const ids = candidates.map(candidate => indicatorId(candidate.type, candidate.value));
+  const rows = await getRepositories().indicators.getMany(ids);
+
+  return { value, normalized: candidates, indicators: rows.map(mapIndicator) };
+};
+
+const getIndicator = async (id) => {
+  const [row] = await getRepositories().indicators.getMany([id]);
+  if (!row) {
+    throw new HttpError(404, 'Not Found', 'Indicator not found');
+  }
+  return mapIndicator(row);
+};
+
+// Incidents that mention an indicator, with the usual list paging and sorting
+const findIndicatorRequests = async (id, access, query = {}) => {
+  const indicator = await getIndicator(id);
+  const { requests, nextCursor } = await findRequests({
+    access,
+    filters: { indicatorId: id },
+    ...parseListOptions({ includeComments: 'false', ...query })
+  });
+
+  return { indicator, requests, nextCursor };
+};
+
+// The indicators stored for one request, with their report counts
+const findRequestIndicators = async (requestId) => {
+  const rows = await getRepositories().indicators.listForRequest(requestId);
+  return rows.map(mapIndicator);
+};
+
+// Other live incidents sharing at least one indicator, most shared first
+const findRelatedRequests = async (requestId, access) => {
+  const rows = await getRepositories().indicators.sharedWith(requestId);
+
+  const shared = new Map();
+  rows.forEach(row => {
+    if (!shared.has(row.request_id)) shared.set(row.request_id, []);
+    shared.get(row.request_id).push({ id: row.id, type: row.indicator_type, value: row.value });
+  });
+
+  const ranked = [...shared.entries()]
+    .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+    .slice(0, MAX_RELATED);
+  if (ranked.length === 0) return [];
+
+  const { requests } = await findRequests({
+    access,
+    filters: { ids: ranked.map(([id]) => id) },
+    limit: ranked.length,
+    includeComments: false
+  });
+  const byId = new Map(requests.map(request => [request.id, request]));
+
+  return ranked
+    .filter(([id]) => byId.has(id))
+    .map(([id, indicators]) => ({ request: byId.get(id), sharedIndicators: indicators }));
+};
+
+const parsePositiveInt = (value, fallback, name) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new HttpError(400, 'Bad Request', `${name} must be a positive integer`);
+  }
+  return number;
+};
+
+// Groups recent incidents into campaigns: incidents joined by indicators that at least
+// minReports of them share end up in one campaign, however many indicators that is
+const listCampaigns = async (query = {}) => {
+  const days = parsePositiveInt(query.days, DEFAULT_CAMPAIGN_DAYS, 'days');
+  const minReports = parsePositiveInt(query.minReports, DEFAULT_CAMPAIGN_MIN_REPORTS, 'minReports');
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const rows = await getRepositories().indicators.campaignLinks({ since, minReports });
+
+  // Union-find over requests; every shared indicator merges the requests that mention it
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const indicators = new Map();
+  const createdAt = new Map();
+  rows.forEach(row => {
+    if (!parent.has(row.request_id)) parent.set(row.request_id, row.request_id);
+    createdAt.set(row.request_id, new Date(row.created_at));
+
+    if (!indicators.has(row.indicator_id)) {
+      indicators.set(row.indicator_id, { id: row.indicator_id, type: row.indicator_type, value: row.value, requestIds: [] });
+    }
+    const indicator = indicators.get(row.indicator_id);
+    if (indicator.requestIds.length > 0) {
+      parent.set(find(row.request_id), find(indicator.requestIds[0]));
+    }
+    indicator.requestIds.push(row.request_id);
+  });
+
+  const campaigns = new Map();
+  indicators.forEach(indicator => {
+    const root = find(indicator.requestIds[0]);
+    if (!campaigns.has(root)) campaigns.set(root, { indicators: [], requestIds: new Set() });
+    const campaign = campaigns.get(root);
+    campaign.indicators.push({ id: indicator.id, type: indicator.type, value: indicator.value, reportCount: indicator.requestIds.length });
+    indicator.requestIds.forEach(id => campaign.requestIds.add(id));
+  });
+
+  return {
+    days,
+    minReports,
+    campaigns: [...campaigns.values()]
+      .map(campaign => {
+        const requestIds = [...campaign.requestIds].sort();
+        const times = requestIds.map(id => createdAt.get(id).getTime());
+        const indicatorsByReach = campaign.indicators.sort((a, b) => b.reportCount - a.reportCount || a.value.localeCompare(b.value));
+        return {
+          // Named after its most widely reported indicator
+          key: indicatorsByReach[0].id,
+          reportCount: requestIds.length,
+          firstReportedAt: new Date(Math.min(...times)),
+          lastReportedAt: new Date(Math.max(...times)),
+          indicators: indicatorsByReach,
+          requestIds
+        };
+      })
+      .sort((a, b) => b.reportCount - a.reportCount || b.lastReportedAt - a.lastReportedAt)
+  };
+};
+
+// Backfills indicators for existing requests in id order, one batch per call
+const reindexIndicators = async ({ after } = {}) => {
+  const ids = await getRepositories().incidents.idsAfter(after, { limit: REINDEX_BATCH_SIZE });
+
+  let indicatorCount = 0;
+  for (const id of ids) {
+    const found = await withTransaction(connection => syncIndicators(connection, id));
+    indicatorCount += found.length;
+  }
+
+  return {
+    processed: ids.length,
+    indicators: indicatorCount,
+    next: ids.length === REINDEX_BATCH_SIZE ? ids[ids.length - 1] : null
+  };
+};
+
+module.exports = {
+  syncIndicators,
+  lookupIndicators,
+  getIndicator,
+  findIndicatorRequests,
+  findRequestIndicators,
+  findRelatedRequests,
+  listCampaigns,
+  reindexIndicators
+};
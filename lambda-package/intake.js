@@ -0,0 +1,170 @@
+// intake.js - Creates incidents from the report form or from a reported email message
+const { HttpError } = require('./http');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+const { generateRequestId } = require('./ids');
+const { findAccessibleRequest, updateRequest, withoutServerDetails } = require('./incidents');
+const { FORM_FIELDS, validateReport, validateUpdate } = require('./validation');
+const { EVENTS, notify, dispatchNow } = require('./notifications');
+const { syncIndicators } = require('./indicators');
+const { triageRequest } = require('./triage');
+const { AUDIT_ACTIONS, writeAuditEntry } = require('./audit');
+const { decodeEml, analyzeEml } = require('./eml');
+const { getRepositories, withTransaction } = require('./repositories');
+
+// Incident types whose reports are about an email message
+const EMAIL_TYPES = ['phishing-email', 'phishing-report'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validates and stores a new report, then notifies the security team.
+// emailAnalysis comes from the server's own parse of the message, never from the request body.
+const createReport = async (caller, requestData, { emailAnalysis } = {}) => {
+  validateReport(requestData);
+
+  // Reporter name and email come from the token, not the form
+  const userInfo = {
+    ...(requestData.userInfo || {}),
+    name: caller.name,
+    email: caller.email
+  };
+
+  const now = new Date();
+  const requestId = generateRequestId();
+
+  // Severity is validated against the priority levels, so it maps one to one
+  const priority = requestData.formData?.severity || 'medium';
+
+  const row = {
+    id: requestId,
+    user_id: caller.userId,
+    user_info: userInfo,
+    form_data: requestData.formData || {},
+    request_type: requestData.type,
+    details: { ...withoutServerDetails(requestData.details), ...(emailAnalysis && { emailAnalysis }) },
+    reason: requestData.reason,
+    request_status: 'open',
+    priority_level: priority,
+    created_at: now,
+    updated_at: now
+  };
+
+  // The incident, its first audit entry, its triage and its outbox messages commit together
+  const { triage, notificationIds } = await withTransaction(async (connection) => {
+    await getRepositories().incidents.insert(row, connection);
+    await writeAuditEntry(connection, {
+      requestId,
+      userId: caller.userId,
+      actionType: AUDIT_ACTIONS.CREATE,
+      newValues: { type: requestData.type, status: 'open', priority, reason: requestData.reason, formData: requestData.formData || {} }
+    });
+    await syncIndicators(connection, requestId);
+    const triaged = await triageRequest(connection, requestId, { trigger: 'create' });
+
+    const createdIds = await notify(connection, EVENTS.INCIDENT_CREATED, {
+      requestId,
+      userInfo,
+      formData: requestData.formData,
+      severity: triaged.triage.priority,
+      status: 'open',
+      type: requestData.type,
+      reason: requestData.reason
+    });
+    return { triage: triaged.triage, notificationIds: [...createdIds, ...triaged.notificationIds] };
+  });
+
+  await dispatchNow(notificationIds);
+
+  return {
+    id: requestId,
+    userId: caller.userId,
+    userInfo,
+    formData: requestData.formData,
+    type: requestData.type,
+    details: row.details,
+    reason: requestData.reason,
+    status: 'open',
+    priority: triage.priority,
+    triage,
+    createdAt: now.toISOString(),
+    isSecurityIncident: true
+  };
+};
+
+// Report fields that can be read off the message itself
+const formDataFromEmail = (analysis) => {
+  const formData = {};
+
+  if (analysis.from && EMAIL_PATTERN.test(analysis.from.address)) {
+    formData.senderEmail = analysis.from.address;
+  }
+  if (analysis.subject && analysis.subject.trim()) {
+    formData.subject = analysis.subject.trim().substring(0, FORM_FIELDS.subject.maxLength);
+  }
+  // Dates from the future are usually forged, so they are left for the reporter to fill in
+  if (analysis.date && analysis.date.getTime() <= Date.now()) {
+    const iso = analysis.date.toISOString();
+    formData.dateOccurred = iso.slice(0, 10);
+    formData.timeOccurred = iso.slice(11, 16);
+  }
+
+  return formData;
+};
+
+const readMessage = async (data) => {
+  if (data.encoding !== undefined && !['base64', 'utf8'].includes(data.encoding)) {
+    throw new HttpError(400, 'Bad Request', 'encoding must be base64 or utf8');
+  }
+  return analyzeEml(decodeEml(data.eml, data.encoding));
+};
+
+// New phishing report from a raw message; anything the reporter sent overrides what was parsed
+const createReportFromEmail = async (caller, data) => {
+  const analysis = await readMessage(data);
+  const formData = { ...formDataFromEmail(analysis), ...(data.formData || {}) };
+
+  const request = await createReport(caller, {
+    type: data.type || 'phishing-email',
+    reason: data.reason || `Reported email: ${formData.subject || analysis.from?.address || 'no subject'}`,
+    formData,
+    details: data.details,
+    userInfo: data.userInfo
+  }, { emailAnalysis: analysis });
+
+  return { request, analysis };
+};
+
+// Adds the analysis of the original message to an existing email report; fields already filled are kept
+const attachEmailAnalysis = async (access, requestId, data) => {
+  const existing = await findAccessibleRequest(requestId, access, hasPermission(access, PERMISSIONS.REQUEST_VIEW_ALL));
+  if (!EMAIL_TYPES.includes(existing.type)) {
+    throw new HttpError(409, 'Conflict', `Email messages can only be attached to ${EMAIL_TYPES.join(' or ')} incidents`);
+  }
+  if (!hasPermission(access, PERMISSIONS.REQUEST_APPROVE) && (existing.userId !== access.userId || existing.status !== 'open')) {
+    throw new HttpError(403, 'Forbidden', 'Reporters can only attach a message to their own request while it is open');
+  }
+
+  const analysis = await readMessage(data);
+  const changes = {
+    formData: { ...formDataFromEmail(analysis), ...(existing.formData || {}) },
+    details: { ...(existing.details || {}), emailAnalysis: analysis }
+  };
+  validateUpdate(existing.type, changes);
+
+  const notificationIds = await withTransaction(async (connection) => {
+    const { changed } = await updateRequest(connection, { requestId, changes, actor: access });
+    if (!changed) return [];
+
+    await syncIndicators(connection, requestId);
+    return (await triageRequest(connection, requestId, { trigger: 'update' })).notificationIds;
+  });
+
+  await dispatchNow(notificationIds);
+
+  return analysis;
+};
+
+module.exports = {
+  createReport,
+  createReportFromEmail,
+  attachEmailAnalysis
+};
@@ -0,0 +1,175 @@
+// ioc.js - Finds and normalizes indicators of compromise in report text
+const net = require('net');
+
+const IOC_TYPES = ['email', 'domain', 'url', 'ipv4', 'ipv6', 'md5', 'sha1', 'sha256'];
+
+const HASH_TYPES = { 32: 'md5', 40: 'sha1', 64: 'sha256' };
+
+// Our own domains (and their subdomains) are never indicators, e.g. IOC_IGNORE_DOMAINS=company.net
+const IGNORED_DOMAINS = (process.env.IOC_IGNORE_DOMAINS || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+// Mail providers anyone can sign up with; the address is an indicator but the domain says nothing
+const FREEMAIL_DOMAINS = new Set([
+  'aol.com', 'gmail.com', 'gmx.com', 'googlemail.com', 'hotmail.com', 'icloud.com', 'live.com',
+  'mail.com', 'outlook.com', 'proton.me', 'protonmail.com', 'yahoo.com', 'yandex.com', 'zoho.com'
+]);
+
+// Bare words like "invoice.pdf" look like domains; these endings are treated as file names
+const FILE_EXTENSIONS = new Set([
+  'bat', 'bin', 'cmd', 'csv', 'dll', 'doc', 'docm', 'docx', 'eml', 'exe', 'gif', 'htm', 'html', 'iso',
+  'jar', 'jpeg', 'jpg', 'js', 'json', 'lnk', 'log', 'msg', 'msi', 'pdf', 'png', 'ppt', 'pptx', 'ps1',
+  'rar', 'rtf', 'scr', 'sh', 'svg', 'tmp', 'txt', 'vbs', 'xls', 'xlsm', 'xlsx', 'xml', 'zip'
+]);
+
+const PATTERNS = {
+  url: /\bhttps?:\/\/[^\s<>"'`]+/gi,
+  email: /\b[A-Za-z0-9._%+-]+@(?:[A-Za-z0-9-]+\.)+[A-Za-z]{2,63}\b/g,
+  ipv4: /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b/g,
+  ipv6: /\b[0-9A-Fa-f]{0,4}(?::[0-9A-Fa-f]{0,4}){2,7}\b/g,
+  domain: /\b(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,63}\b/g,
+  hash: /\b(?:[A-Fa-f0-9]{64}|[A-Fa-f0-9]{40}|[A-Fa-f0-9]{32})\b/g
+};
+
+// Undoes the usual defanging: hxxp://, [.], (.), {.}, [dot], [@], [at], [:]
+const refang = (text) => text
+  .replace(/\bhxxp(s?)(\[:\]|:)\/\//gi, (match, secure) => `http${secure.toLowerCase()}://`)
+  .replace(/\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)/gi, '.')
+  .replace(/\[@\]|\(@\)|\[at\]|\(at\)/gi, '@')
+  .replace(/\[:\]/g, ':');
+
+const isIgnoredDomain = (domain) =>
+  IGNORED_DOMAINS.some(ignored => domain === ignored || domain.endsWith(`.${ignored}`));
+
+// Lowercased punycode hostname, or null when it isn't a usable domain
+const normalizeDomain = (value) => {
+  try {
+    const hostname = new URL(`http://${value.replace(/\.$/, '')}`).hostname;
+    return hostname.includes('.') && !net.isIP(hostname) ? hostname : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Scheme and host lowercased, default port and fragment dropped
+const normalizeUrl = (value) => {
+  try {
+    const url = new URL(value.replace(/[).,;:!?\]'"]+$/, ''));
+    url.hash = '';
+    return url;
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeEmail = (value) => {
+  const [local, domain] = value.split('@');
+  const normalizedDomain = normalizeDomain(domain);
+  return normalizedDomain ? { email: `${local.toLowerCase()}@${normalizedDomain}`, domain: normalizedDomain } : null;
+};
+
+// Every indicator found in one piece of text, tagged with where it came from
+const extractFromText = (text, source) => {
+  if (typeof text !== 'string' || !text.trim()) return [];
+
+  const found = [];
+  const add = (type, value) => {
+    if (value) found.push({ type, value, source });
+  };
+  const addHost = (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIPv4(host)) add('ipv4', host);
+    else if (net.isIPv6(host)) add('ipv6', host.toLowerCase());
+    else if (!isIgnoredDomain(host)) add('domain', host);
+  };
+
+  let remaining = refang(text);
+
+  (remaining.match(PATTERNS.url) || []).forEach(match => {
+    const url = normalizeUrl(match);
+    if (!url) return;
+    if (isIgnoredDomain(url.hostname)) return;
+    add('url', url.href);
+    addHost(url.hostname);
+  });
+  // Hosts inside URLs were handled above; don't read them again as bare domains
+  remaining = remaining.replace(PATTERNS.url, ' ');
+
+  (remaining.match(PATTERNS.email) || []).forEach(match => {
+    const email = normalizeEmail(match);
+    if (!email || isIgnoredDomain(email.domain)) return;
+    add('email', email.email);
+    if (!FREEMAIL_DOMAINS.has(email.domain)) add('domain', email.domain);
+  });
+  remaining = remaining.replace(PATTERNS.email, ' ');
+
+  (remaining.match(PATTERNS.ipv4) || []).forEach(match => add('ipv4', match));
+  (remaining.match(PATTERNS.ipv6) || [])
+    .filter(match => net.isIPv6(match))
+    .forEach(match => add('ipv6', match.toLowerCase()));
+
+  (remaining.match(PATTERNS.domain) || []).forEach(match => {
+    const extension = match.split('.').pop().toLowerCase();
+    if (FILE_EXTENSIONS.has(extension) || /^[\d.]+$/.test(match)) return;
+    const domain = normalizeDomain(match);
+    if (domain && !isIgnoredDomain(domain)) add('domain', domain);
+  });
+
+  (remaining.match(PATTERNS.hash) || []).forEach(match => add(HASH_TYPES[match.length], match.toLowerCase()));
+
+  return found;
+};
+
+// Parts of an attached message analysis that name the sender's infrastructure or payload
+const emailSources = (analysis) => {
+  if (!analysis || typeof analysis !== 'object') return [];
+
+  const addresses = [analysis.from, analysis.sender, ...(analysis.replyTo || [])]
+    .filter(Boolean)
+    .map(entry => entry.address);
+  return [
+    ['details.emailAnalysis.addresses', [...addresses, analysis.returnPath].filter(Boolean).join(' ')],
+    ['details.emailAnalysis.originatingIp', analysis.originatingIp],
+    ['details.emailAnalysis.links', (analysis.links || []).map(link => link.url).join(' ')],
+    ['details.emailAnalysis.attachments', (analysis.attachments || []).map(file => `${file.sha256} ${file.md5}`).join(' ')]
+  ];
+};
+
+// Report fields scanned for indicators, as [source path, value] pairs; structured fields come first
+const reportSources = ({ reason, formData, details }) => [
+  ...['senderEmail', 'url', 'subject', 'description'].map(field => [`formData.${field}`, formData?.[field]]),
+  ['reason', reason],
+  ['details.description', details?.description],
+  ...emailSources(details?.emailAnalysis)
+];
+
+// Unique indicators across a report; the first field an indicator was seen in wins
+const extractIndicators = (report) => {
+  const unique = new Map();
+
+  reportSources(report).forEach(([source, value]) => {
+    extractFromText(value, source).forEach(indicator => {
+      const key = `${indicator.type}:${indicator.value}`;
+      if (!unique.has(key)) unique.set(key, indicator);
+    });
+  });
+
+  return [...unique.values()];
+};
+
+// Normalizes a single value typed into a lookup, e.g. "hxxp://evil[.]com" -> url + domain
+const parseIndicatorQuery = (value) => {
+  const unique = new Map();
+  extractFromText(String(value || ''), 'query').forEach(({ type, value: normalized }) => {
+    unique.set(`${type}:${normalized}`, { type, value: normalized });
+  });
+  return [...unique.values()];
+};
+
+module.exports = {
+  IOC_TYPES,
+  extractIndicators,
+  parseIndicatorQuery
+};
@@ -0,0 +1,77 @@
+// logger.js - Leveled JSON log lines with the request's correlation id and personal data redacted
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_CONFIG = {
+  level: LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info',
+  // form_data fields whose values never reach the logs, wherever they appear
+  redactFields: new Set((process.env.LOG_REDACT_FIELDS || 'description,subject,affectedSystems,senderEmail')
+    .split(',').map(field => field.trim().toLowerCase()).filter(Boolean))
+};
+
+const SECRET_KEYS = /authorization|cookie|password|secret|token|signature|api[-_]?key/i;
+const EMAIL = /[A-Za-z0-9._%+-]+@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const BEARER = /\bBearer\s+[A-Za-z0-9._~+/=-]+/gi;
+const JWT = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const MAX_DEPTH = 6;
+
+// Emails keep their domain, which is what triage needs; tokens go entirely
+const redactString = (value) => value
+  .replace(BEARER, 'Bearer [redacted]')
+  .replace(JWT, '[redacted-token]')
+  .replace(EMAIL, '***@$1');
+
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      ...(value.code && { code: value.code }),
+      ...(value.statusCode && { statusCode: value.statusCode }),
+      ...(value.stack && { stack: redactString(value.stack) })
+    };
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEYS.test(key) || LOG_CONFIG.redactFields.has(key.toLowerCase()) ? '[redacted]' : redact(item, depth + 1)
+  ]));
+};
+
+const requestContext = new AsyncLocalStorage();
+
+// Everything logged inside fn, including work it leaves running, carries this context
+const runWithContext = (context, fn) => requestContext.run(context, fn);
+
+const getCorrelationId = () => requestContext.getStore()?.correlationId;
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[LOG_CONFIG.level]) return;
+  const line = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...(getCorrelationId() && { correlationId: getCorrelationId() }),
+    ...redact(fields)
+  };
+  process.stdout.write(JSON.stringify(line) + '\n');
+};
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = {
+  LOG_CONFIG,
+  logger,
+  runWithContext
+};
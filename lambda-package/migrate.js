@@ -0,0 +1,39 @@
+// migrate.js - Command line for the schema migrations, using the same DB_* environment as the Lambda
+//   node migrate.js status
+//   node migrate.js up [--to N] [--allow-destructive]
+//   node migrate.js down [--steps N | --to N] [--allow-destructive]
+//   node migrate.js seed <name>
+const { closePool } = require('./db');
+const { runMigrationCommand } = require('./migrations');
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const options = { command };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--allow-destructive') {
+      options.allowDestructive = true;
+    } else if (arg === '--to' || arg === '--steps') {
+      options[arg.slice(2)] = rest[++i];
+    } else if (command === 'seed' && !arg.startsWith('--') && !options.seed) {
+      options.seed = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return options;
+};
+
+const main = async () => {
+  try {
+    const result = await runMigrationCommand(parseArgs(process.argv.slice(2)));
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+};
+
+main();
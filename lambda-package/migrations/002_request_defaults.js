@@ -0,0 +1,15 @@
+// migrations/002_request_defaults.js - The old 'pending' and 'normal' defaults failed the requests CHECK constraints,
+// so any insert that left status or priority out was rejected
+module.exports = {
+  up: [
+    `ALTER TABLE requests
+        ALTER COLUMN request_status SET DEFAULT 'open',
+        ALTER COLUMN priority_level SET DEFAULT 'medium'`
+  ],
+
+  down: [
+    `ALTER TABLE requests
+        ALTER COLUMN request_status SET DEFAULT 'pending',
+        ALTER COLUMN priority_level SET DEFAULT 'normal'`
+  ]
+};
@@ -0,0 +1,10 @@
+// migrations/003_comment_edits.js - Comments record when they were last edited
+module.exports = {
+  up: [
+    'ALTER TABLE request_comments ADD COLUMN updated_at TIMESTAMP NULL AFTER created_at'
+  ],
+
+  down: [
+    'ALTER TABLE request_comments DROP COLUMN updated_at'
+  ]
+};
@@ -0,0 +1,14 @@
+// migrations/004_list_cursor_indexes.js - Cursor pages of the request list walk (sort column, id)
+module.exports = {
+  up: [
+    `ALTER TABLE requests
+        ADD INDEX idx_created_at_id (created_at, id),
+        ADD INDEX idx_updated_at_id (updated_at, id)`
+  ],
+
+  down: [
+    `ALTER TABLE requests
+        DROP INDEX idx_updated_at_id,
+        DROP INDEX idx_created_at_id`
+  ]
+};
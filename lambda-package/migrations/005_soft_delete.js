@@ -0,0 +1,29 @@
+// migrations/005_soft_delete.js - Incidents are soft-deleted, so their comments and audit entries must
+// never go with them. schema.sql left its foreign keys unnamed; MySQL named them <table>_ibfk_1.
+module.exports = {
+  up: [
+    `ALTER TABLE requests
+        ADD COLUMN deleted_at TIMESTAMP NULL AFTER assigned_by,
+        ADD COLUMN deleted_by VARCHAR(100) AFTER deleted_at,
+        ADD INDEX idx_deleted_at (deleted_at)`,
+    `ALTER TABLE request_comments
+        DROP FOREIGN KEY request_comments_ibfk_1,
+        ADD CONSTRAINT request_comments_ibfk_1 FOREIGN KEY (request_id) REFERENCES requests(id) ON DELETE RESTRICT`,
+    `ALTER TABLE request_audit_log
+        DROP FOREIGN KEY request_audit_log_ibfk_1,
+        ADD CONSTRAINT request_audit_log_ibfk_1 FOREIGN KEY (request_id) REFERENCES requests(id) ON DELETE RESTRICT`
+  ],
+
+  down: [
+    `ALTER TABLE request_audit_log
+        DROP FOREIGN KEY request_audit_log_ibfk_1,
+        ADD CONSTRAINT request_audit_log_ibfk_1 FOREIGN KEY (request_id) REFERENCES requests(id) ON DELETE CASCADE`,
+    `ALTER TABLE request_comments
+        DROP FOREIGN KEY request_comments_ibfk_1,
+        ADD CONSTRAINT request_comments_ibfk_1 FOREIGN KEY (request_id) REFERENCES requests(id) ON DELETE CASCADE`,
+    `ALTER TABLE requests
+        DROP INDEX idx_deleted_at,
+        DROP COLUMN deleted_by,
+        DROP COLUMN deleted_at`
+  ]
+};
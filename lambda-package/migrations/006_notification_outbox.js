@@ -0,0 +1,32 @@
+// migrations/006_notification_outbox.js - Messages written with the change they report, delivered with retries
+module.exports = {
+  up: [
+    `CREATE TABLE notification_outbox (
+        id VARCHAR(50) PRIMARY KEY,
+        event_type VARCHAR(50) NOT NULL,
+        channel_name VARCHAR(100) NOT NULL,
+        request_id VARCHAR(50),
+        payload JSON NOT NULL,
+        delivery_status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_until TIMESTAMP NULL,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP NULL,
+
+        -- Indexes
+        INDEX idx_status_next_attempt (delivery_status, next_attempt_at),
+        INDEX idx_request_id (request_id),
+        INDEX idx_created_at (created_at),
+
+        -- Constraints
+        CONSTRAINT chk_delivery_status
+        CHECK (delivery_status IN ('pending', 'sending', 'sent', 'dead'))
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  ],
+
+  down: [
+    'DROP TABLE notification_outbox'
+  ]
+};
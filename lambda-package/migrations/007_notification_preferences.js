@@ -0,0 +1,17 @@
+// migrations/007_notification_preferences.js - Per-user opt-outs from lifecycle emails (no row means subscribed)
+module.exports = {
+  up: [
+    `CREATE TABLE notification_preferences (
+        email VARCHAR(255) NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (email, event_type)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  ],
+
+  down: [
+    'DROP TABLE notification_preferences'
+  ]
+};
@@ -0,0 +1,22 @@
+// migrations/008_sla_states.js - The SLA stage each target last reached, so every stage is escalated once
+module.exports = {
+  up: [
+    `ALTER TABLE requests
+        ADD COLUMN sla_acknowledge_state VARCHAR(20) NULL AFTER deleted_by,
+        ADD COLUMN sla_resolve_state VARCHAR(20) NULL AFTER sla_acknowledge_state,
+        ADD INDEX idx_status_priority_created (request_status, priority_level, created_at),
+        ADD CONSTRAINT chk_sla_states
+        CHECK (
+            (sla_acknowledge_state IS NULL OR sla_acknowledge_state IN ('at-risk', 'breached')) AND
+            (sla_resolve_state IS NULL OR sla_resolve_state IN ('at-risk', 'breached'))
+        )`
+  ],
+
+  down: [
+    `ALTER TABLE requests
+        DROP CHECK chk_sla_states,
+        DROP INDEX idx_status_priority_created,
+        DROP COLUMN sla_resolve_state,
+        DROP COLUMN sla_acknowledge_state`
+  ]
+};
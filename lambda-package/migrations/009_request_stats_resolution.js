@@ -0,0 +1,105 @@
+// migrations/009_request_stats_resolution.js - request_stats averages the real time to resolution and
+// leaves deleted incidents out; down restores the view as schema.sql defined it
+module.exports = {
+  up: [
+    `CREATE OR REPLACE VIEW request_stats AS
+    SELECT
+        COUNT(*) as total_requests,
+
+        -- Security incident statuses
+        SUM(CASE WHEN request_status = 'open' THEN 1 ELSE 0 END) as open_count,
+        SUM(CASE WHEN request_status = 'in-progress' THEN 1 ELSE 0 END) as in_progress_count,
+        SUM(CASE WHEN request_status = 'resolved' THEN 1 ELSE 0 END) as resolved_count,
+        SUM(CASE WHEN request_status = 'closed' THEN 1 ELSE 0 END) as closed_count,
+
+        -- Time-based counts
+        SUM(CASE WHEN DATE(created_at) = CURDATE() THEN 1 ELSE 0 END) as today_count,
+        SUM(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 ELSE 0 END) as week_count,
+        SUM(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 ELSE 0 END) as month_count,
+
+        -- Security incident types
+        SUM(CASE WHEN request_type = 'phishing-email' THEN 1 ELSE 0 END) as phishing_email_count,
+        SUM(CASE WHEN request_type = 'suspicious-website' THEN 1 ELSE 0 END) as suspicious_website_count,
+        SUM(CASE WHEN request_type = 'social-engineering' THEN 1 ELSE 0 END) as social_engineering_count,
+        SUM(CASE WHEN request_type = 'malware' THEN 1 ELSE 0 END) as malware_count,
+        SUM(CASE WHEN request_type = 'data-breach' THEN 1 ELSE 0 END) as data_breach_count,
+        SUM(CASE WHEN request_type = 'identity-theft' THEN 1 ELSE 0 END) as identity_theft_count,
+
+        -- Other security incident types
+        SUM(CASE WHEN request_type = 'other' THEN 1 ELSE 0 END) as other_count,
+        SUM(CASE WHEN request_type = 'phishing-report' THEN 1 ELSE 0 END) as phishing_report_count,
+
+        -- Priority levels
+        SUM(CASE WHEN priority_level = 'low' THEN 1 ELSE 0 END) as priority_low_count,
+        SUM(CASE WHEN priority_level = 'medium' THEN 1 ELSE 0 END) as priority_medium_count,
+        SUM(CASE WHEN priority_level = 'high' THEN 1 ELSE 0 END) as priority_high_count,
+        SUM(CASE WHEN priority_level = 'critical' THEN 1 ELSE 0 END) as priority_critical_count,
+
+        -- All reports are security incidents now
+        SUM(CASE WHEN request_type IN (
+            'phishing-email', 'suspicious-website', 'social-engineering',
+            'malware', 'data-breach', 'identity-theft', 'phishing-report', 'other'
+        ) THEN 1 ELSE 0 END) as security_incidents_count,
+
+        -- Average time to resolution in hours, from the real resolution timestamp
+        ROUND(AVG(CASE
+            WHEN completed_at IS NOT NULL
+            THEN TIMESTAMPDIFF(SECOND, created_at, completed_at) / 3600
+            ELSE NULL
+        END), 2) as avg_processing_time_hours
+
+    FROM requests
+    WHERE deleted_at IS NULL`
+  ],
+
+  down: [
+    `CREATE OR REPLACE VIEW request_stats AS
+    SELECT
+        COUNT(*) as total_requests,
+
+        -- Security incident statuses
+        SUM(CASE WHEN request_status = 'open' THEN 1 ELSE 0 END) as open_count,
+        SUM(CASE WHEN request_status = 'in-progress' THEN 1 ELSE 0 END) as in_progress_count,
+        SUM(CASE WHEN request_status = 'resolved' THEN 1 ELSE 0 END) as resolved_count,
+        SUM(CASE WHEN request_status = 'closed' THEN 1 ELSE 0 END) as closed_count,
+
+        -- Time-based counts
+        SUM(CASE WHEN DATE(created_at) = CURDATE() THEN 1 ELSE 0 END) as today_count,
+        SUM(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 ELSE 0 END) as week_count,
+        SUM(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 ELSE 0 END) as month_count,
+
+        -- Security incident types
+        SUM(CASE WHEN request_type = 'phishing-email' THEN 1 ELSE 0 END) as phishing_email_count,
+        SUM(CASE WHEN request_type = 'suspicious-website' THEN 1 ELSE 0 END) as suspicious_website_count,
+        SUM(CASE WHEN request_type = 'social-engineering' THEN 1 ELSE 0 END) as social_engineering_count,
+        SUM(CASE WHEN request_type = 'malware' THEN 1 ELSE 0 END) as malware_count,
+        SUM(CASE WHEN request_type = 'data-breach' THEN 1 ELSE 0 END) as data_breach_count,
+        SUM(CASE WHEN request_type = 'identity-theft' THEN 1 ELSE 0 END) as identity_theft_count,
+
+        -- Other security incident types
+        SUM(CASE WHEN request_type = 'other' THEN 1 ELSE 0 END) as other_count,
+        SUM(CASE WHEN request_type = 'phishing-report' THEN 1 ELSE 0 END) as phishing_report_count,
+
+        -- Priority levels
+        SUM(CASE WHEN priority_level = 'low' THEN 1 ELSE 0 END) as priority_low_count,
+        SUM(CASE WHEN priority_level = 'medium' THEN 1 ELSE 0 END) as priority_medium_count,
+        SUM(CASE WHEN priority_level = 'high' THEN 1 ELSE 0 END) as priority_high_count,
+        SUM(CASE WHEN priority_level = 'critical' THEN 1 ELSE 0 END) as priority_critical_count,
+
+        -- All reports are security incidents now
+        SUM(CASE WHEN request_type IN (
+            'phishing-email', 'suspicious-website', 'social-engineering',
+            'malware', 'data-breach', 'identity-theft', 'phishing-report', 'other'
+        ) THEN 1 ELSE 0 END) as security_incidents_count,
+
+        -- Average processing time in hours
+        ROUND(AVG(CASE
+            WHEN request_status IN ('completed', 'resolved', 'closed') AND
+                 (completed_at IS NOT NULL OR updated_at IS NOT NULL)
+            THEN TIMESTAMPDIFF(HOUR, created_at, COALESCE(completed_at, updated_at))
+            ELSE NULL
+        END), 2) as avg_processing_time_hours
+
+    FROM requests`
+  ]
+};
@@ -0,0 +1,39 @@
+// migrations/010_indicators.js - Indicators of compromise extracted from reports and the reports that mention them
+module.exports = {
+  up: [
+    // The id is derived from type and value
+    `CREATE TABLE indicators (
+        id VARCHAR(50) PRIMARY KEY,
+        indicator_type VARCHAR(20) NOT NULL,
+        value VARCHAR(2048) NOT NULL,
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        -- Indexes
+        INDEX idx_indicator_type (indicator_type),
+        INDEX idx_last_seen_at (last_seen_at),
+
+        -- Constraints
+        CONSTRAINT chk_indicator_type
+        CHECK (indicator_type IN ('email', 'domain', 'url', 'ipv4', 'ipv6', 'md5', 'sha1', 'sha256'))
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    // Which reports mention which indicators, and the field each was found in
+    `CREATE TABLE request_indicators (
+        request_id VARCHAR(50) NOT NULL,
+        indicator_id VARCHAR(50) NOT NULL,
+        source_field VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (request_id, indicator_id),
+        FOREIGN KEY (request_id) REFERENCES requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (indicator_id) REFERENCES indicators(id) ON DELETE CASCADE,
+        INDEX idx_indicator_id (indicator_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  ],
+
+  down: [
+    'DROP TABLE request_indicators',
+    'DROP TABLE indicators'
+  ]
+};
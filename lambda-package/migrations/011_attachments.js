@@ -0,0 +1,27 @@
+// migrations/011_attachments.js - Evidence files on incidents; the contents are in S3 (or a local directory) under storage_key
+module.exports = {
+  up: [
+    `CREATE TABLE request_attachments (
+        id VARCHAR(50) PRIMARY KEY,
+        request_id VARCHAR(50) NOT NULL,
+        file_name VARCHAR(255) NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        size_bytes INT UNSIGNED NOT NULL,
+        sha256 CHAR(64) NOT NULL,
+        storage_key VARCHAR(255) NOT NULL,
+        is_internal BOOLEAN DEFAULT FALSE,
+        is_quarantined BOOLEAN DEFAULT FALSE,
+        uploaded_by VARCHAR(255) NOT NULL,
+        uploaded_by_name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (request_id) REFERENCES requests(id) ON DELETE RESTRICT,
+        INDEX idx_request_id (request_id),
+        INDEX idx_sha256 (sha256)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  ],
+
+  down: [
+    'DROP TABLE request_attachments'
+  ]
+};
@@ -0,0 +1,38 @@
+// migrations/012_user_management.js - Accounts can be invited and deactivated, and every change to them is logged
+module.exports = {
+  up: [
+    `ALTER TABLE user_roles
+        ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE AFTER permissions,
+        ADD COLUMN invited_by VARCHAR(100) AFTER is_active,
+        ADD COLUMN created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP AFTER invited_by,
+        ADD COLUMN deactivated_at TIMESTAMP NULL AFTER last_updated,
+        ADD INDEX idx_is_active (is_active)`,
+
+    // Invitations, role and permission changes and deactivations
+    `CREATE TABLE user_audit_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        target_user_id VARCHAR(100) NOT NULL,
+        actor_user_id VARCHAR(100) NOT NULL,
+        actor_email VARCHAR(255),
+        action_type VARCHAR(50) NOT NULL,
+        old_values JSON,
+        new_values JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        -- Indexes
+        INDEX idx_target_user_id (target_user_id),
+        INDEX idx_actor_user_id (actor_user_id),
+        INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  ],
+
+  down: [
+    'DROP TABLE user_audit_log',
+    `ALTER TABLE user_roles
+        DROP INDEX idx_is_active,
+        DROP COLUMN deactivated_at,
+        DROP COLUMN created_at,
+        DROP COLUMN invited_by,
+        DROP COLUMN is_active`
+  ]
+};
@@ -0,0 +1,31 @@
+// migrations/013_audit_chain.js - Each audit entry's hash covers the previous entry's hash. Entries written
+// before this migration stay outside the chain, with chain_seq NULL.
+module.exports = {
+  up: [
+    `ALTER TABLE request_audit_log
+        ADD COLUMN chain_seq BIGINT UNSIGNED NULL AFTER created_at,
+        ADD COLUMN prev_hash CHAR(64) NULL AFTER chain_seq,
+        ADD COLUMN entry_hash CHAR(64) NULL AFTER prev_hash,
+        ADD UNIQUE INDEX idx_chain_seq (chain_seq)`,
+
+    // Newest link of the chain; locked while an entry is appended
+    `CREATE TABLE audit_chain_head (
+        chain_name VARCHAR(50) PRIMARY KEY,
+        last_seq BIGINT UNSIGNED NOT NULL DEFAULT 0,
+        last_hash CHAR(64) NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    // The chain starts from the all-zero hash
+    `INSERT INTO audit_chain_head (chain_name, last_seq, last_hash)
+     VALUES ('request_audit_log', 0, REPEAT('0', 64))`
+  ],
+
+  down: [
+    'DROP TABLE audit_chain_head',
+    `ALTER TABLE request_audit_log
+        DROP INDEX idx_chain_seq,
+        DROP COLUMN entry_hash,
+        DROP COLUMN prev_hash,
+        DROP COLUMN chain_seq`
+  ]
+};
@@ -0,0 +1,11 @@
+// migrations/014_triage.js - Outcome of the auto-triage rules: computed priority, reporter's severity,
+// rules that fired, tags
+module.exports = {
+  up: [
+    'ALTER TABLE requests ADD COLUMN triage JSON NULL AFTER sla_resolve_state'
+  ],
+
+  down: [
+    'ALTER TABLE requests DROP COLUMN triage'
+  ]
+};
@@ -0,0 +1,19 @@
+// migrations/015_parent_incidents.js - Duplicate reports point at the incident they belong to; merged ones
+// also follow its status
+module.exports = {
+  up: [
+    `ALTER TABLE requests
+        ADD COLUMN parent_id VARCHAR(50) NULL AFTER triage,
+        ADD COLUMN merged_at TIMESTAMP NULL AFTER parent_id,
+        ADD INDEX idx_parent_id (parent_id),
+        ADD CONSTRAINT fk_requests_parent FOREIGN KEY (parent_id) REFERENCES requests(id) ON DELETE SET NULL`
+  ],
+
+  down: [
+    `ALTER TABLE requests
+        DROP FOREIGN KEY fk_requests_parent,
+        DROP INDEX idx_parent_id,
+        DROP COLUMN merged_at,
+        DROP COLUMN parent_id`
+  ]
+};
@@ -0,0 +1,39 @@
+// migrations/016_idempotency_rate_limits.js - Replayable report submissions and per-user / per-IP limits
+module.exports = {
+  up: [
+    // Responses to report submissions sent with an Idempotency-Key, replayed when the client retries
+    `CREATE TABLE idempotency_keys (
+        user_id VARCHAR(100) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        route VARCHAR(100) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        response_status SMALLINT UNSIGNED NULL,
+        response_body MEDIUMTEXT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+
+        PRIMARY KEY (user_id, idempotency_key),
+        INDEX idx_expires_at (expires_at),
+
+        -- Constraints
+        CONSTRAINT chk_idempotency_status
+        CHECK (status IN ('pending', 'completed'))
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    // Submission counts per user or client IP for each fixed rate-limit window
+    `CREATE TABLE rate_limits (
+        bucket VARCHAR(191) NOT NULL,
+        window_start TIMESTAMP NOT NULL,
+        hits INT UNSIGNED NOT NULL DEFAULT 0,
+
+        PRIMARY KEY (bucket, window_start),
+        INDEX idx_window_start (window_start)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  ],
+
+  down: [
+    'DROP TABLE rate_limits',
+    'DROP TABLE idempotency_keys'
+  ]
+};
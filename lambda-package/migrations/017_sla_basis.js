@@ -0,0 +1,18 @@
+// migrations/017_sla_basis.js - The SLA check's own priority raise no longer moves the due dates, and
+// candidates it checked most recently wait behind the rest
+module.exports = {
+  up: [
+    `ALTER TABLE requests
+        ADD COLUMN sla_priority_level VARCHAR(20) NULL AFTER sla_resolve_state,
+        ADD COLUMN sla_checked_at TIMESTAMP NULL AFTER sla_priority_level,
+        ADD CONSTRAINT chk_sla_priority_level
+        CHECK (sla_priority_level IS NULL OR sla_priority_level IN ('low', 'medium', 'high', 'critical'))`
+  ],
+
+  down: [
+    `ALTER TABLE requests
+        DROP CHECK chk_sla_priority_level,
+        DROP COLUMN sla_checked_at,
+        DROP COLUMN sla_priority_level`
+  ]
+};
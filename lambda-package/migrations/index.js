@@ -0,0 +1,260 @@
+// migrations/index.js - Numbered schema migrations, recorded in schema_migrations, and the seeds kept apart from them
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getPool, executeQuery } = require('../db');
+const { logger } = require('../logger');
+const { getRepositories } = require('../repositories');
+
+// 003_add_something.js: the number is the version, applied in ascending order
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+const MIGRATIONS_DIR = __dirname;
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+// Only one runner at a time may change the schema; a second one waits this long, then gives up
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// Statements that lose data or rewrite existing columns only run with allowDestructive. Dropping an index,
+// foreign key, check or default loses no rows, so those ALTERs run without it.
+const DESTRUCTIVE_STATEMENTS = [
+  /^DROP\s+(TABLE|DATABASE|SCHEMA)\b/i,
+  /^TRUNCATE\b/i,
+  /^DELETE\s+FROM\b/i,
+  /^ALTER\s+TABLE\b[\s\S]*\b(DROP(?!\s+(FOREIGN\s+KEY|INDEX|KEY|CHECK|CONSTRAINT|DEFAULT)\b)|MODIFY|CHANGE|RENAME)\b/i,
+  /^RENAME\s+TABLE\b/i
+];
+
+const CREATE_MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INT UNSIGNED PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`;
+
+const stripComments = (sql) => sql.replace(/^\s*--.*$/gm, '').trim();
+
+const isDestructive = (sql) => DESTRUCTIVE_STATEMENTS.some(pattern => pattern.test(stripComments(sql)));
+
+// The checksum covers the up steps, so editing a migration after it ran is noticed
+const checksumOf = (migration) =>
+  crypto.createHash('sha256').update(JSON.stringify(migration.up)).digest('hex');
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const definition = require(path.join(dir, file));
+      if (!Array.isArray(definition.up) || !Array.isArray(definition.down)) {
+        throw new Error(`Migration ${file} must export up and down statement lists`);
+      }
+      return { file, version: parseInt(match[1], 10), name: match[2], ...definition, checksum: checksumOf(definition) };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  const duplicate = migrations.find((migration, index) => index > 0 && migrations[index - 1].version === migration.version);
+  if (duplicate) {
+    throw new Error(`Two migrations share version ${duplicate.version}`);
+  }
+  return migrations;
+};
+
+// Runs work(connection) holding the migration lock on a connection of its own
+const withMigrationLock = async (work) => {
+  const connection = await getPool().getConnection();
+  let locked = false;
+  try {
+    const [lock] = await executeQuery('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS], connection);
+    if (Number(lock?.acquired) !== 1) {
+      throw new Error(`Another migration run holds the ${LOCK_NAME} lock; try again once it finishes`);
+    }
+    locked = true;
+    await executeQuery(CREATE_MIGRATIONS_TABLE, [], connection);
+    return await work(connection);
+  } finally {
+    if (locked) {
+      await executeQuery('SELECT RELEASE_LOCK(?)', [LOCK_NAME], connection).catch(error =>
+        logger.warn('Releasing the migration lock failed', { error }));
+    }
+    connection.release();
+  }
+};
+
+const appliedVersions = async (connection) => {
+  const rows = await executeQuery(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version',
+    [],
+    connection
+  );
+  return rows.map(row => ({ ...row, version: Number(row.version) }));
+};
+
+const describe = (migrations, applied) => {
+  const byVersion = new Map(applied.map(row => [row.version, row]));
+  const known = new Set(migrations.map(migration => migration.version));
+  return {
+    applied: applied.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+    pending: migrations
+      .filter(migration => !byVersion.has(migration.version))
+      .map(({ version, name }) => ({ version, name })),
+    // Applied, but the file has been edited since
+    changed: migrations
+      .filter(migration => byVersion.has(migration.version) && byVersion.get(migration.version).checksum !== migration.checksum)
+      .map(({ version, name }) => ({ version, name })),
+    // Applied from a file this package no longer has
+    missing: applied.filter(row => !known.has(row.version)).map(({ version, name }) => ({ version, name }))
+  };
+};
+
+// Lists every step that needs the flag, so a refused run reports all of them at once
+const destructiveSteps = (migrations, direction) => migrations.flatMap(migration =>
+  migration[direction]
+    .map((sql, index) => ({ sql, index }))
+    .filter(({ sql }) => isDestructive(sql))
+    .map(({ sql, index }) => `${migration.file} ${direction} step ${index + 1}: ${stripComments(sql).split('\n')[0]}`));
+
+const refuseDestructive = (migrations, direction, allowDestructive) => {
+  if (allowDestructive) return;
+  const steps = destructiveSteps(migrations, direction);
+  if (steps.length > 0) {
+    throw new Error(`Refusing destructive steps without allowDestructive: ${steps.join('; ')}`);
+  }
+};
+
+// MySQL commits each DDL statement on its own, so a failed step leaves the ones before it in place;
+// the error names the step so the migration can be finished or undone by hand
+const runSteps = async (migration, direction, connection) => {
+  for (const [index, sql] of migration[direction].entries()) {
+    try {
+      await connection.query(sql);
+    } catch (error) {
+      error.message = `Migration ${migration.file} ${direction} step ${index + 1} failed: ${error.message}`;
+      throw error;
+    }
+  }
+};
+
+const getStatus = async () => {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (connection) => describe(migrations, await appliedVersions(connection)));
+};
+
+// Applies pending migrations in order, up to and including version `to` when given
+const migrateUp = async ({ to, allowDestructive = false } = {}) => {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (connection) => {
+    const status = describe(migrations, await appliedVersions(connection));
+    if (status.changed.length > 0) {
+      throw new Error(`Applied migrations were edited afterwards: ${status.changed.map(m => m.version).join(', ')}. Add a new migration instead`);
+    }
+
+    const pendingVersions = new Set(status.pending.map(migration => migration.version));
+    const pending = migrations.filter(migration =>
+      pendingVersions.has(migration.version) && (to === undefined || migration.version <= to));
+    refuseDestructive(pending, 'up', allowDestructive);
+
+    const applied = [];
+    for (const migration of pending) {
+      logger.info('Applying migration', { version: migration.version, name: migration.name });
+      await runSteps(migration, 'up', connection);
+      await executeQuery(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [migration.version, migration.name, migration.checksum],
+        connection
+      );
+      applied.push({ version: migration.version, name: migration.name });
+    }
+    return { applied };
+  });
+};
+
+// Reverts the newest `steps` applied migrations, or every one above version `to`
+const migrateDown = async ({ to, steps = 1, allowDestructive = false } = {}) => {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (connection) => {
+    const applied = await appliedVersions(connection);
+    const status = describe(migrations, applied);
+    if (status.missing.length > 0) {
+      throw new Error(`Applied migrations have no file to revert them with: ${status.missing.map(m => m.version).join(', ')}`);
+    }
+
+    const newestFirst = [...applied].reverse();
+    const targets = (to !== undefined ? newestFirst.filter(row => row.version > to) : newestFirst.slice(0, steps))
+      .map(row => migrations.find(migration => migration.version === row.version));
+    refuseDestructive(targets, 'down', allowDestructive);
+
+    const reverted = [];
+    for (const migration of targets) {
+      logger.info('Reverting migration', { version: migration.version, name: migration.name });
+      await runSteps(migration, 'down', connection);
+      await executeQuery('DELETE FROM schema_migrations WHERE version = ?', [migration.version], connection);
+      reverted.push({ version: migration.version, name: migration.name });
+    }
+    return { reverted };
+  });
+};
+
+const listSeeds = () => fs.readdirSync(SEEDS_DIR)
+  .filter(file => file.endsWith('.js'))
+  .map(file => path.basename(file, '.js'));
+
+// Seeds fill in data, never structure, and only against an up-to-date schema
+const runSeed = async (name) => {
+  if (!listSeeds().includes(name)) {
+    throw new Error(`Unknown seed "${name}"; available: ${listSeeds().join(', ')}`);
+  }
+  const seed = require(path.join(SEEDS_DIR, `${name}.js`));
+  const migrations = loadMigrations();
+  return withMigrationLock(async (connection) => {
+    const status = describe(migrations, await appliedVersions(connection));
+    if (status.pending.length > 0) {
+      throw new Error(`Run the pending migrations before seeding: ${status.pending.map(m => m.version).join(', ')}`);
+    }
+    logger.info('Running seed', { seed: name });
+    return { seed: name, ...(await seed.run(connection)) };
+  });
+};
+
+const COMMANDS = ['status', 'up', 'down', 'seed'];
+
+const toVersion = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const version = parseInt(value, 10);
+  if (Number.isNaN(version) || version < 0) {
+    throw new Error(`Not a migration version: ${value}`);
+  }
+  return version;
+};
+
+// Entry point for the CLI and the Lambda admin event: { command, to, steps, allowDestructive, seed }
+const runMigrationCommand = async ({ command = 'status', to, steps, allowDestructive = false, seed } = {}) => {
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown migration command "${command}"; use one of ${COMMANDS.join(', ')}`);
+  }
+  if (!getRepositories().supportsSql) {
+    throw new Error('Migrations need the MySQL store; DATA_STORE is set to an in-memory one');
+  }
+
+  const options = { to: toVersion(to), allowDestructive: allowDestructive === true };
+  switch (command) {
+    case 'up':
+      return migrateUp(options);
+    case 'down':
+      return migrateDown({ ...options, ...(steps !== undefined && { steps: toVersion(steps) }) });
+    case 'seed':
+      return runSeed(seed);
+    default:
+      return getStatus();
+  }
+};
+
+module.exports = {
+  loadMigrations,
+  isDestructive,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  runSeed,
+  runMigrationCommand
+};
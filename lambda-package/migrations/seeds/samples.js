@@ -0,0 +1,64 @@
+// migrations/seeds/samples.js - Example incidents for development; not meant for production databases
+const SAMPLES = [
+  {
+    id: 'SEC-SAMPLE-001',
+    userId: 'test-user-123',
+    userInfo: { name: 'Test User', email: 'test@company.net', department: 'IT' },
+    formData: { severity: 'high', affectedSystems: 'Email', incidentTime: '2024-01-15T10:30:00Z' },
+    requestType: 'phishing-email',
+    details: { description: 'Suspicious email received with malicious attachment', reportType: 'security-incident' },
+    reason: 'Received suspicious email claiming to be from bank requesting login credentials',
+    priority: 'high'
+  },
+  {
+    id: 'PHI-SAMPLE-001',
+    userId: 'test-user-456',
+    userInfo: { name: 'Jane Doe', email: 'jane@company.net', department: 'Development' },
+    formData: {
+      department: 'Development',
+      incidentType: 'phishing-email',
+      severity: 'medium',
+      subject: 'Suspicious bank email',
+      description: 'Received email asking for login credentials',
+      senderEmail: 'fake-bank@suspicious.com',
+      dateOccurred: '2024-01-15',
+      timeOccurred: '14:30'
+    },
+    requestType: 'phishing-report',
+    details: { reportType: 'security-incident', submittedAt: new Date().toISOString() },
+    reason: 'phishing-email - Suspicious bank email',
+    priority: 'medium'
+  },
+  {
+    id: 'SEC-SAMPLE-002',
+    userId: 'test-user-789',
+    userInfo: { name: 'John Smith', email: 'john.smith@company.net', department: 'Development' },
+    formData: { severity: 'critical', affectedSystems: 'Network', incidentTime: '2024-01-16T09:15:00Z' },
+    requestType: 'malware',
+    details: { description: 'Suspicious file detected on workstation', reportType: 'security-incident' },
+    reason: 'Antivirus detected potential malware on employee workstation',
+    priority: 'critical'
+  }
+];
+
+const run = async (connection) => {
+  let inserted = 0;
+  for (const sample of SAMPLES) {
+    const [result] = await connection.execute(
+      `INSERT IGNORE INTO requests (
+        id, user_id, user_info, form_data, request_type, details, reason, request_status, priority_level
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'open', ?)`,
+      [
+        sample.id, sample.userId, JSON.stringify(sample.userInfo), JSON.stringify(sample.formData),
+        sample.requestType, JSON.stringify(sample.details), sample.reason, sample.priority
+      ]
+    );
+    inserted += result.affectedRows;
+  }
+  return { inserted };
+};
+
+module.exports = {
+  description: 'Sample incidents for local development',
+  run
+};
@@ -0,0 +1,26 @@
+// migrations/seeds/users.js - The first admin accounts, so someone can sign in and invite the rest
+const { ROLES, ROLE_PERMISSIONS } = require('../../permissions');
+
+const ADMINS = [
+  { userId: 'john-smith', email: 'john.smith@company.net', name: 'John Smith' },
+  { userId: 'admin-user', email: 'admin@company.net', name: 'Admin User' }
+];
+
+// INSERT IGNORE leaves accounts alone once they exist, so a re-run never undoes role changes made since
+const run = async (connection) => {
+  let inserted = 0;
+  for (const admin of ADMINS) {
+    const [result] = await connection.execute(
+      `INSERT IGNORE INTO user_roles (user_id, email, user_name, user_role, permissions)
+       VALUES (?, ?, ?, ?, ?)`,
+      [admin.userId, admin.email, admin.name, ROLES.ADMIN, JSON.stringify(ROLE_PERMISSIONS[ROLES.ADMIN])]
+    );
+    inserted += result.affectedRows;
+  }
+  return { inserted };
+};
+
+module.exports = {
+  description: 'Default IT team admin accounts',
+  run
+};
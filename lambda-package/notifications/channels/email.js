@@ -0,0 +1,54 @@
+// notifications/channels/email.js - SMTP email through nodemailer
+const nodemailer = require('nodemailer');
+
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER,
+  password: process.env.SMTP_PASSWORD,
+  from: process.env.SMTP_FROM
+};
+
+// One transporter per timeout, since the timeouts are fixed when it is created
+const transporters = new Map();
+
+const getTransporter = (timeoutMs) => {
+  if (!SMTP_CONFIG.host) {
+    throw new Error('SMTP is not configured: set SMTP_HOST');
+  }
+
+  if (!transporters.has(timeoutMs)) {
+    transporters.set(timeoutMs, nodemailer.createTransport({
+      host: SMTP_CONFIG.host,
+      port: SMTP_CONFIG.port,
+      secure: SMTP_CONFIG.secure,
+      auth: SMTP_CONFIG.user ? { user: SMTP_CONFIG.user, pass: SMTP_CONFIG.password } : undefined,
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs
+    }));
+  }
+  return transporters.get(timeoutMs);
+};
+
+// payload.to overrides the channel's recipients, e.g. for mail to a reporter
+const send = async (channel, payload, { timeoutMs }) => {
+  const to = payload.to || channel.to;
+  if (!to || to.length === 0) {
+    throw new Error(`Email channel ${channel.name} has no recipients`);
+  }
+
+  const info = await getTransporter(timeoutMs).sendMail({
+    from: channel.from || SMTP_CONFIG.from,
+    to,
+    subject: payload.subject,
+    text: payload.text
+  });
+
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  send
+};
@@ -0,0 +1,26 @@
+// notifications/channels/http.js - JSON POST used by the webhook-style channels
+
+const postJson = async (url, payload, { timeoutMs, headers = {} }) => {
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`HTTP ${response.status}: ${errorText.substring(0, 500)}`);
+  }
+
+  return { status: response.status };
+};
+
+module.exports = {
+  postJson
+};
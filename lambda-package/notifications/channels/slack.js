@@ -0,0 +1,8 @@
+// notifications/channels/slack.js - Slack incoming webhooks
+const { postJson } = require('./http');
+
+const send = (channel, payload, options) => postJson(channel.url, payload, options);
+
+module.exports = {
+  send
+};
@@ -0,0 +1,8 @@
+// notifications/channels/teams.js - Teams adaptive cards through a Power Automate flow
+const { postJson } = require('./http');
+
+const send = (channel, payload, options) => postJson(channel.url, payload, options);
+
+module.exports = {
+  send
+};
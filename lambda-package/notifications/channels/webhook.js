@@ -0,0 +1,25 @@
+// notifications/channels/webhook.js - Generic JSON webhooks signed with HMAC-SHA256
+const crypto = require('crypto');
+const { postJson } = require('./http');
+
+// Receivers recompute HMAC(secret, `${timestamp}.${body}`) and compare it to the signature header
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const send = (channel, payload, options) => {
+  const body = JSON.stringify(payload);
+  const headers = {};
+
+  if (channel.secret) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    headers['X-Portal-Timestamp'] = timestamp;
+    headers['X-Portal-Signature'] = `sha256=${signPayload(channel.secret, timestamp, body)}`;
+  }
+
+  return postJson(channel.url, body, { ...options, headers: { ...headers, ...(channel.headers || {}) } });
+};
+
+module.exports = {
+  signPayload,
+  send
+};
@@ -0,0 +1,74 @@
+// notifications/config.js - Channel definitions and routing rules from the environment
+
+const CHANNEL_TYPES = ['teams', 'slack', 'webhook', 'email'];
+
+const DELIVERY_CONFIG = {
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6,
+  baseDelaySeconds: parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30,
+  maxDelaySeconds: parseInt(process.env.NOTIFICATION_RETRY_MAX_SECONDS) || 3600,
+  requestTimeoutMs: parseInt(process.env.NOTIFICATION_TIMEOUT_MS) || 5000,
+  // Budget for delivering a new report's notifications before responding; 0 leaves it all to the schedule
+  inlineTimeoutMs: process.env.NOTIFICATION_INLINE_TIMEOUT_MS !== undefined
+    ? parseInt(process.env.NOTIFICATION_INLINE_TIMEOUT_MS) || 0
+    : 2000,
+  batchSize: parseInt(process.env.NOTIFICATION_BATCH_SIZE) || 25
+};
+
+// Card buttons post back through Power Automate, signed with this secret; without it cards only link to the portal
+const TEAMS_ACTION_CONFIG = {
+  secret: process.env.TEAMS_ACTION_SECRET || null,
+  maxSkewSeconds: parseInt(process.env.TEAMS_ACTION_MAX_SKEW_SECONDS) || 300
+};
+
+let channels = null;
+
+// NOTIFICATION_CHANNELS is a JSON array; POWER_AUTOMATE_WEBHOOK_URL alone still gives one Teams channel
+const loadChannels = () => {
+  if (channels) return channels;
+
+  if (process.env.NOTIFICATION_CHANNELS) {
+    const parsed = JSON.parse(process.env.NOTIFICATION_CHANNELS);
+    if (!Array.isArray(parsed)) {
+      throw new Error('NOTIFICATION_CHANNELS must be a JSON array');
+    }
+
+    parsed.forEach(channel => {
+      if (!channel.name || !CHANNEL_TYPES.includes(channel.type)) {
+        throw new Error(`Invalid notification channel ${JSON.stringify(channel.name)}: type must be one of ${CHANNEL_TYPES.join(', ')}`);
+      }
+      if (channel.audience === 'direct' && channel.type !== 'email') {
+        throw new Error(`Notification channel ${channel.name}: only email channels can send direct messages`);
+      }
+    });
+    channels = parsed;
+  } else if (process.env.POWER_AUTOMATE_WEBHOOK_URL) {
+    channels = [{ name: 'teams', type: 'teams', url: process.env.POWER_AUTOMATE_WEBHOOK_URL }];
+  } else {
+    channels = [];
+  }
+
+  return channels;
+};
+
+const getChannel = (name) => loadChannels().find(channel => channel.name === name);
+
+// A team channel receives an event when every filter it defines matches; missing filters match everything
+const channelsFor = (eventType, { severity, type } = {}) => loadChannels().filter(channel =>
+  channel.audience !== 'direct' &&
+  (!channel.events || channel.events.includes(eventType)) &&
+  (!channel.severities || channel.severities.includes(severity)) &&
+  (!channel.incidentTypes || channel.incidentTypes.includes(type))
+);
+
+// The email channel used for mail to individual reporters and assignees
+const directChannel = () => loadChannels().find(channel => channel.audience === 'direct');
+
+module.exports = {
+  CHANNEL_TYPES,
+  DELIVERY_CONFIG,
+  TEAMS_ACTION_CONFIG,
+  loadChannels,
+  getChannel,
+  channelsFor,
+  directChannel
+};
@@ -0,0 +1,118 @@
+// notifications/index.js - Routes notification events to channels through the outbox
+const { parseJSON } = require('../db');
+const { DELIVERY_CONFIG, TEAMS_ACTION_CONFIG, channelsFor, directChannel } = require('./config');
+const { EVENTS, CARD_ACTIONS, teamsActionCard } = require('./templates');
+const { OUTBOX_STATUSES, enqueue, processOutbox, listOutbox, retryDeadEntry } = require('./outbox');
+const { SUBSCRIBABLE_EVENTS, getPreferences, isSubscribed, savePreferences } = require('./preferences');
+const { logger } = require('../logger');
+const { getRepositories } = require('../repositories');
+
+// Queues one outbox message per matching channel; call inside the transaction that made the change
+const notify = async (connection, eventType, data) => {
+  const channels = channelsFor(eventType, { severity: data.severity, type: data.type });
+  const ids = [];
+
+  for (const channel of channels) {
+    ids.push(await enqueue(connection, {
+      eventType,
+      channelName: channel.name,
+      requestId: data.requestId,
+      payload: data
+    }));
+  }
+
+  return ids;
+};
+
+// The incident fields every lifecycle template can rely on
+const incidentSummary = (row) => ({
+  requestId: row.id,
+  type: row.request_type,
+  severity: row.priority_level,
+  status: row.request_status,
+  reason: row.reason,
+  formData: parseJSON(row.form_data),
+  userInfo: parseJSON(row.user_info),
+  assignedTo: row.assigned_to,
+  parentId: row.parent_id || null
+});
+
+const reporterRecipient = (row) => {
+  const userInfo = parseJSON(row.user_info) || {};
+  return userInfo.email ? { email: userInfo.email, name: userInfo.name, role: 'reporter' } : null;
+};
+
+const assigneeRecipient = async (assignedTo, connection) => {
+  if (!assignedTo) return null;
+
+  const user = await getRepositories().users.get(assignedTo, {}, connection);
+  return user ? { email: user.email, name: user.user_name, role: 'assignee' } : null;
+};
+
+const adminRecipients = async (connection) => {
+  const users = await getRepositories().users.list({ role: 'admin', active: true }, {}, connection);
+  return users.map(user => ({ email: user.email, name: user.user_name, role: 'admin' }));
+};
+
+// Team channels plus direct mail to the reporter and/or assignee, minus the person who acted
+// and anyone who unsubscribed from this event; teamChannels: false only sends the direct mail
+const notifyIncidentEvent = async (connection, eventType, { request, actor, recipients = [], teamChannels = true, ...extra }) => {
+  const data = { ...incidentSummary(request), actorName: actor?.name, ...extra };
+  const ids = teamChannels ? await notify(connection, eventType, data) : [];
+
+  const channel = directChannel();
+  if (!channel) return ids;
+
+  const seen = new Set(actor?.email ? [actor.email.toLowerCase()] : []);
+  for (const recipient of recipients.filter(Boolean)) {
+    const email = recipient.email.toLowerCase();
+    if (seen.has(email)) continue;
+    seen.add(email);
+
+    if (!(await isSubscribed(email, eventType, connection))) continue;
+
+    ids.push(await enqueue(connection, {
+      eventType,
+      channelName: channel.name,
+      requestId: data.requestId,
+      payload: { ...data, recipient }
+    }));
+  }
+
+  return ids;
+};
+
+// Best-effort delivery right after commit; whatever doesn't finish in time is retried on schedule
+const dispatchNow = async (ids) => {
+  if (ids.length === 0 || DELIVERY_CONFIG.inlineTimeoutMs <= 0) return null;
+
+  try {
+    // Split the budget so several channels together stay within it
+    const timeoutMs = Math.max(Math.floor(DELIVERY_CONFIG.inlineTimeoutMs / ids.length), 250);
+    return await processOutbox({ ids, timeoutMs });
+  } catch (error) {
+    logger.error('Inline notification dispatch failed, leaving it to the scheduler', { error });
+    return null;
+  }
+};
+
+module.exports = {
+  EVENTS,
+  CARD_ACTIONS,
+  TEAMS_ACTION_CONFIG,
+  OUTBOX_STATUSES,
+  SUBSCRIBABLE_EVENTS,
+  notify,
+  notifyIncidentEvent,
+  incidentSummary,
+  teamsActionCard,
+  reporterRecipient,
+  assigneeRecipient,
+  adminRecipients,
+  dispatchNow,
+  processOutbox,
+  listOutbox,
+  retryDeadEntry,
+  getPreferences,
+  savePreferences
+};
@@ -0,0 +1,140 @@
+// notifications/outbox.js - Durable notification outbox with retries and a dead-letter state
+const { parseJSON } = require('../db');
+const { generateId } = require('../ids');
+const { DELIVERY_CONFIG, getChannel } = require('./config');
+const { render } = require('./templates');
+const teams = require('./channels/teams');
+const slack = require('./channels/slack');
+const webhook = require('./channels/webhook');
+const email = require('./channels/email');
+const { logger } = require('../logger');
+const { getRepositories } = require('../repositories');
+
+const OUTBOX_STATUSES = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DEAD: 'dead'
+};
+
+const SENDERS = { teams, slack, webhook, email };
+
+// Written with the transaction's connection so the message commits with the change it reports
+const enqueue = async (connection, { eventType, channelName, requestId, payload }) => {
+  const id = generateId('NTF');
+
+  // Whole seconds, as the column stores them, so the message is due straight away rather than rounded up
+  await getRepositories().outbox.insert({
+    id,
+    event_type: eventType,
+    channel_name: channelName,
+    request_id: requestId || null,
+    payload,
+    delivery_status: OUTBOX_STATUSES.PENDING,
+    next_attempt_at: new Date(Math.floor(Date.now() / 1000) * 1000)
+  }, connection);
+
+  return id;
+};
+
+// Exponential backoff with +/-20% jitter so retries from many messages spread out
+const retryDelaySeconds = (attempts) => {
+  const delay = Math.min(
+    DELIVERY_CONFIG.baseDelaySeconds * 2 ** Math.max(attempts - 1, 0),
+    DELIVERY_CONFIG.maxDelaySeconds
+  );
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Claiming is conditional, so two containers can't send the same message
+const claim = (id) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + DELIVERY_CONFIG.requestTimeoutMs * 2 + 30000);
+  return getRepositories().outbox.claim(id, { now, lockedUntil });
+};
+
+const markSent = (id) => getRepositories().outbox.update(id, {
+  delivery_status: OUTBOX_STATUSES.SENT,
+  sent_at: new Date(),
+  locked_until: null,
+  last_error: null
+});
+
+const markFailed = async (row, error) => {
+  const dead = row.attempts >= DELIVERY_CONFIG.maxAttempts;
+  await getRepositories().outbox.update(row.id, {
+    delivery_status: dead ? OUTBOX_STATUSES.DEAD : OUTBOX_STATUSES.PENDING,
+    next_attempt_at: new Date(Date.now() + retryDelaySeconds(row.attempts) * 1000),
+    locked_until: null,
+    last_error: String(error.message).substring(0, 2000)
+  });
+  return dead;
+};
+
+const deliver = async (row, timeoutMs) => {
+  const channel = getChannel(row.channel_name);
+  if (!channel) {
+    throw new Error(`Notification channel '${row.channel_name}' is not configured`);
+  }
+
+  const payload = render(channel.type, row.event_type, parseJSON(row.payload));
+  return SENDERS[channel.type].send(channel, payload, { timeoutMs });
+};
+
+// Delivers the given outbox ids, or every due message when no ids are passed
+const processOutbox = async ({ ids, timeoutMs = DELIVERY_CONFIG.requestTimeoutMs, limit = DELIVERY_CONFIG.batchSize } = {}) => {
+  let candidates = ids;
+  if (!candidates) {
+    candidates = await getRepositories().outbox.findDue(new Date(), { limit });
+  }
+
+  const summary = { sent: 0, retrying: 0, dead: 0 };
+
+  for (const id of candidates) {
+    const row = await claim(id);
+    if (!row) continue;
+
+    try {
+      await deliver(row, timeoutMs);
+      await markSent(row.id);
+      summary.sent++;
+      logger.info('Notification delivered', { notificationId: row.id, channel: row.channel_name });
+    } catch (error) {
+      const dead = await markFailed(row, error);
+      summary[dead ? 'dead' : 'retrying']++;
+      logger.error('Notification delivery failed', { notificationId: row.id, channel: row.channel_name, attempt: row.attempts, error });
+    }
+  }
+
+  return summary;
+};
+
+const mapOutboxRow = (row) => ({
+  id: row.id,
+  eventType: row.event_type,
+  channel: row.channel_name,
+  requestId: row.request_id,
+  status: row.delivery_status,
+  attempts: row.attempts,
+  nextAttemptAt: row.next_attempt_at,
+  lastError: row.last_error,
+  createdAt: row.created_at,
+  sentAt: row.sent_at,
+  payload: parseJSON(row.payload)
+});
+
+const listOutbox = async ({ status, limit = 50 }) => {
+  const rows = await getRepositories().outbox.list({ status }, { limit });
+  return rows.map(mapOutboxRow);
+};
+
+// Puts a dead-lettered message back in the queue with a fresh attempt budget, due now in whole seconds like enqueue
+const retryDeadEntry = (id) => getRepositories().outbox.requeueDead(id, new Date(Math.floor(Date.now() / 1000) * 1000));
+
+module.exports = {
+  OUTBOX_STATUSES,
+  enqueue,
+  processOutbox,
+  listOutbox,
+  retryDeadEntry
+};
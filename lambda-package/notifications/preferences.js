@@ -0,0 +1,55 @@
+// notifications/preferences.js - Per-user subscriptions to incident lifecycle events
+const { HttpError } = require('../http');
+const { getRepositories } = require('../repositories');
+const { EVENTS } = require('./templates');
+
+// Events a person can be notified about directly; everything is on until they opt out
+const SUBSCRIBABLE_EVENTS = [
+  EVENTS.STATUS_CHANGED,
+  EVENTS.REOPENED,
+  EVENTS.ASSIGNED,
+  EVENTS.COMMENTED,
+  EVENTS.SLA_AT_RISK,
+  EVENTS.SLA_BREACHED
+];
+
+const getPreferences = async (email, connection) => {
+  const rows = await getRepositories().preferences.listForEmail(email, connection);
+
+  const preferences = Object.fromEntries(SUBSCRIBABLE_EVENTS.map(eventType => [eventType, true]));
+  rows
+    .filter(row => SUBSCRIBABLE_EVENTS.includes(row.event_type))
+    .forEach(row => { preferences[row.event_type] = !!row.enabled; });
+  return preferences;
+};
+
+const isSubscribed = async (email, eventType, connection) => {
+  const preferences = await getPreferences(email, connection);
+  return preferences[eventType] !== false;
+};
+
+// Takes { "<event>": true|false } and stores each flag
+const savePreferences = async (email, changes) => {
+  const unknown = Object.keys(changes).filter(eventType => !SUBSCRIBABLE_EVENTS.includes(eventType));
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'Bad Request', `Unknown events: ${unknown.join(', ')}. Valid events: ${SUBSCRIBABLE_EVENTS.join(', ')}`);
+  }
+
+  const invalid = Object.entries(changes).filter(([, enabled]) => typeof enabled !== 'boolean');
+  if (invalid.length > 0) {
+    throw new HttpError(400, 'Bad Request', `Preferences must be true or false: ${invalid.map(([eventType]) => eventType).join(', ')}`);
+  }
+
+  for (const [eventType, enabled] of Object.entries(changes)) {
+    await getRepositories().preferences.set(email, eventType, enabled);
+  }
+
+  return getPreferences(email);
+};
+
+module.exports = {
+  SUBSCRIBABLE_EVENTS,
+  getPreferences,
+  isSubscribed,
+  savePreferences
+};
@@ -0,0 +1,376 @@
+// notifications/templates.js - Renders notification events for each channel type
+const { TEAMS_ACTION_CONFIG } = require('./config');
+
+const EVENTS = {
+  INCIDENT_CREATED: 'incident.created',
+  STATUS_CHANGED: 'incident.status-changed',
+  ASSIGNED: 'incident.assigned',
+  COMMENTED: 'incident.commented',
+  REOPENED: 'incident.reopened',
+  SLA_AT_RISK: 'incident.sla-at-risk',
+  SLA_BREACHED: 'incident.sla-breached',
+  TRIAGE_MATCHED: 'incident.triage-matched'
+};
+
+const PORTAL_URL = process.env.PORTAL_URL || 'https://company-security-portal.company.net/';
+
+// Buttons on Teams cards; the verb comes back to POST /api/teams/actions
+const CARD_ACTIONS = {
+  ACKNOWLEDGE: 'acknowledge',
+  TAKE_OWNERSHIP: 'take-ownership',
+  ESCALATE: 'escalate'
+};
+
+const severityEmojis = {
+  low: '🟢',
+  medium: '🟡',
+  high: '🔴',
+  critical: '🚨'
+};
+
+const incidentTypeEmojis = {
+  'phishing-email': '📧',
+  'suspicious-website': '🌐',
+  'social-engineering': '👥',
+  'malware': '🦠',
+  'data-breach': '🔓',
+  'identity-theft': '🆔',
+  'other': '❓'
+};
+
+const incidentType = (data) => data.formData?.incidentType || data.type;
+
+const subjectOf = (data) => data.formData?.subject || data.reason;
+
+// Fields every template shows for a newly reported incident
+const describeReport = (data) => ({
+  title: `${severityEmojis[data.severity] || '🛡️'} New Security Incident Report`,
+  reporter: `${data.userInfo?.name || 'Unknown'} (${data.userInfo?.email || 'N/A'})`,
+  department: data.userInfo?.department || 'Not specified',
+  incidentType: incidentType(data)?.replace('-', ' '),
+  incidentTypeEmoji: incidentTypeEmojis[incidentType(data)] || '🛡️',
+  severity: `${severityEmojis[data.severity] || ''} ${data.severity?.toUpperCase()}`.trim(),
+  subject: subjectOf(data),
+  dateOccurred: data.formData?.dateOccurred || 'Not specified',
+  description: (data.formData?.description || 'No description provided').substring(0, 200)
+});
+
+// Headline, detail line and facts for the lifecycle events
+const describeEvent = (eventType, data) => {
+  const facts = [
+    { title: 'Report ID', value: data.requestId },
+    { title: 'Subject', value: subjectOf(data) },
+    { title: 'Severity', value: `${severityEmojis[data.severity] || ''} ${data.severity?.toUpperCase()}`.trim() },
+    { title: 'Status', value: data.status }
+  ];
+
+  switch (eventType) {
+    case EVENTS.STATUS_CHANGED:
+      return {
+        title: `🔄 Incident ${data.requestId} is now ${data.toStatus}`,
+        detail: `${data.actorName} moved it from ${data.fromStatus} to ${data.toStatus}.${data.notes ? ` Notes: ${data.notes}` : ''}`,
+        facts
+      };
+    case EVENTS.REOPENED:
+      return {
+        title: `♻️ Incident ${data.requestId} was reopened`,
+        detail: `${data.actorName} reopened it (was ${data.fromStatus}).${data.notes ? ` Notes: ${data.notes}` : ''}`,
+        facts
+      };
+    case EVENTS.ASSIGNED:
+      return {
+        title: `👤 Incident ${data.requestId} assigned to ${data.assignee?.name || data.assignee?.userId}`,
+        detail: `${data.actorName} assigned it to ${data.assignee?.name || data.assignee?.userId}.`,
+        facts
+      };
+    case EVENTS.COMMENTED:
+      return {
+        title: `💬 New comment on incident ${data.requestId}`,
+        detail: `${data.comment?.userName}: ${(data.comment?.message || '').substring(0, 500)}`,
+        facts
+      };
+    case EVENTS.SLA_AT_RISK:
+      return {
+        title: `⏳ Incident ${data.requestId} is close to its SLA`,
+        detail: `The time to ${data.breach?.target} is due at ${data.breach?.dueAt}.`,
+        facts
+      };
+    case EVENTS.SLA_BREACHED:
+      return {
+        title: `⏰ SLA breached on incident ${data.requestId}`,
+        detail: `The time to ${data.breach?.target} was due at ${data.breach?.dueAt}.${data.breach?.escalation ? ` ${data.breach.escalation}` : ''}`,
+        facts
+      };
+    case EVENTS.TRIAGE_MATCHED:
+      return {
+        title: `🧭 Triage rules matched incident ${data.requestId}`,
+        detail: `Matched ${(data.rules || []).join(', ')}. The reporter chose ${data.reporterSeverity || 'no severity'}; the priority is now ${data.severity}.`,
+        facts
+      };
+    default:
+      throw new Error(`Unknown notification event ${eventType}`);
+  }
+};
+
+// Only buttons that make sense for the incident's current state are offered; a new report has no status yet
+const cardActions = (data) => {
+  if (!TEAMS_ACTION_CONFIG.secret || !data.requestId) return [];
+
+  const status = data.status || 'open';
+  if (!['open', 'in-progress'].includes(status)) return [];
+
+  const button = (verb, title) => ({ type: 'Action.Execute', title, verb, data: { requestId: data.requestId } });
+  return [
+    ...(status === 'open' ? [button(CARD_ACTIONS.ACKNOWLEDGE, '✅ Acknowledge')] : []),
+    ...(!data.assignedTo ? [button(CARD_ACTIONS.TAKE_OWNERSHIP, '🙋 Take ownership')] : []),
+    ...(data.severity !== 'critical' ? [button(CARD_ACTIONS.ESCALATE, '⬆️ Escalate')] : [])
+  ];
+};
+
+const adaptiveCardContent = (body, data) => ({
+  type: 'AdaptiveCard',
+  version: '1.4',
+  body,
+  actions: [
+    ...cardActions(data),
+    {
+      type: 'Action.OpenUrl',
+      title: 'View Dashboard',
+      url: PORTAL_URL
+    }
+  ]
+});
+
+const adaptiveCard = (body, data) => ({
+  contentType: 'application/vnd.microsoft.card.adaptive',
+  content: adaptiveCardContent(body, data)
+});
+
+const teamsIncidentCreated = (data) => {
+  const report = describeReport(data);
+
+  // Structured data for Power Automate with an attachments array
+  return {
+    attachments: [
+      adaptiveCard([
+        {
+          type: 'TextBlock',
+          text: report.title,
+          weight: 'Bolder',
+          size: 'Large'
+        },
+        {
+          type: 'TextBlock',
+          text: `Report ID: ${data.requestId}`,
+          weight: 'Bolder'
+        },
+        {
+          type: 'FactSet',
+          facts: [
+            { title: 'Reporter', value: report.reporter },
+            { title: 'Department', value: report.department },
+            { title: 'Incident Type', value: `${report.incidentTypeEmoji} ${report.incidentType}` },
+            { title: 'Severity', value: report.severity },
+            { title: 'Subject', value: report.subject },
+            { title: 'Date Occurred', value: report.dateOccurred }
+          ]
+        },
+        {
+          type: 'TextBlock',
+          text: '**Description:**',
+          weight: 'Bolder'
+        },
+        {
+          type: 'TextBlock',
+          text: report.description,
+          wrap: true
+        }
+      ], data)
+    ],
+    // Flat data for Power Automate processing
+    reportId: data.requestId,
+    severity: data.severity,
+    subject: report.subject,
+    reporterName: data.userInfo?.name || 'Unknown',
+    reporterEmail: data.userInfo?.email || 'N/A'
+  };
+};
+
+const teamsLifecycle = (eventType) => (data) => {
+  const { title, detail, facts } = describeEvent(eventType, data);
+
+  return {
+    attachments: [
+      adaptiveCard([
+        { type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true },
+        { type: 'TextBlock', text: detail, wrap: true },
+        { type: 'FactSet', facts }
+      ], data)
+    ],
+    // Flat data for Power Automate processing
+    event: eventType,
+    reportId: data.requestId,
+    severity: data.severity,
+    status: data.status,
+    subject: subjectOf(data)
+  };
+};
+
+const CARD_ACTION_RESULTS = {
+  [CARD_ACTIONS.ACKNOWLEDGE]: { emoji: '✅', verb: 'acknowledged' },
+  [CARD_ACTIONS.TAKE_OWNERSHIP]: { emoji: '🙋', verb: 'took ownership of' },
+  [CARD_ACTIONS.ESCALATE]: { emoji: '⬆️', verb: 'escalated' }
+};
+
+// The card Teams shows in place of the one whose button was pressed
+const teamsActionCard = (action, data) => {
+  const result = CARD_ACTION_RESULTS[action];
+  const { facts } = describeEvent(EVENTS.STATUS_CHANGED, data);
+
+  return adaptiveCardContent([
+    { type: 'TextBlock', text: `${result.emoji} ${data.actorName} ${result.verb} incident ${data.requestId}`, weight: 'Bolder', size: 'Medium', wrap: true },
+    { type: 'FactSet', facts: [...facts, { title: 'Owner', value: data.assigneeName || 'Unassigned' }] },
+    { type: 'TextBlock', text: `Updated ${data.actedAt}`, isSubtle: true, size: 'Small', wrap: true }
+  ], data);
+};
+
+const slackIncidentCreated = (data) => {
+  const report = describeReport(data);
+
+  return {
+    text: `${report.title}: ${data.requestId} - ${report.subject}`,
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: report.title }
+      },
+      {
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*Report ID:*\n${data.requestId}` },
+          { type: 'mrkdwn', text: `*Severity:*\n${report.severity}` },
+          { type: 'mrkdwn', text: `*Incident Type:*\n${report.incidentTypeEmoji} ${report.incidentType}` },
+          { type: 'mrkdwn', text: `*Reporter:*\n${report.reporter}` },
+          { type: 'mrkdwn', text: `*Department:*\n${report.department}` },
+          { type: 'mrkdwn', text: `*Date Occurred:*\n${report.dateOccurred}` }
+        ]
+      },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${report.subject}*\n${report.description}` }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `<${PORTAL_URL}|View Dashboard>` }]
+      }
+    ]
+  };
+};
+
+const slackLifecycle = (eventType) => (data) => {
+  const { title, detail, facts } = describeEvent(eventType, data);
+
+  return {
+    text: `${title} - ${detail}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${title}*\n${detail}` } },
+      { type: 'section', fields: facts.map(fact => ({ type: 'mrkdwn', text: `*${fact.title}:*\n${fact.value}` })) },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `<${PORTAL_URL}|View Dashboard>` }] }
+    ]
+  };
+};
+
+const emailIncidentCreated = (data) => {
+  const report = describeReport(data);
+
+  return {
+    subject: `[${data.severity?.toUpperCase()}] New security incident ${data.requestId}: ${report.subject}`,
+    text: [
+      'A new security incident was reported.',
+      '',
+      `Report ID: ${data.requestId}`,
+      `Reporter: ${report.reporter}`,
+      `Department: ${report.department}`,
+      `Incident Type: ${report.incidentType}`,
+      `Severity: ${data.severity}`,
+      `Subject: ${report.subject}`,
+      `Date Occurred: ${report.dateOccurred}`,
+      '',
+      report.description,
+      '',
+      `Dashboard: ${PORTAL_URL}`
+    ].join('\n')
+  };
+};
+
+// Mail to one person (reporter or assignee) reads as a personal update; team mail lists the facts
+const emailLifecycle = (eventType) => (data) => {
+  const { title, detail, facts } = describeEvent(eventType, data);
+  const greeting = data.recipient?.name ? [`Hello ${data.recipient.name},`, ''] : [];
+
+  const intro = {
+    reporter: 'There is an update on the security report you submitted.',
+    assignee: 'There is an update on a security incident assigned to you.',
+    admin: 'A security incident needs attention.'
+  }[data.recipient?.role];
+
+  return {
+    to: data.recipient?.email,
+    subject: `[Security Portal] ${title.replace(/^\S+\s/, '')}`,
+    text: [
+      ...greeting,
+      ...(intro ? [intro, ''] : []),
+      detail,
+      '',
+      ...facts.map(fact => `${fact.title}: ${fact.value}`),
+      '',
+      `View it in the portal: ${PORTAL_URL}`
+    ].join('\n')
+  };
+};
+
+// Generic webhooks get the event data as is
+const webhookEvent = (eventType) => (data) => ({
+  event: eventType,
+  occurredAt: new Date().toISOString(),
+  data
+});
+
+const lifecycleTemplates = (eventType) => ({
+  teams: teamsLifecycle(eventType),
+  slack: slackLifecycle(eventType),
+  email: emailLifecycle(eventType),
+  webhook: webhookEvent(eventType)
+});
+
+const TEMPLATES = {
+  [EVENTS.INCIDENT_CREATED]: {
+    teams: teamsIncidentCreated,
+    slack: slackIncidentCreated,
+    email: emailIncidentCreated,
+    webhook: webhookEvent(EVENTS.INCIDENT_CREATED)
+  },
+  [EVENTS.STATUS_CHANGED]: lifecycleTemplates(EVENTS.STATUS_CHANGED),
+  [EVENTS.ASSIGNED]: lifecycleTemplates(EVENTS.ASSIGNED),
+  [EVENTS.COMMENTED]: lifecycleTemplates(EVENTS.COMMENTED),
+  [EVENTS.REOPENED]: lifecycleTemplates(EVENTS.REOPENED),
+  [EVENTS.SLA_AT_RISK]: lifecycleTemplates(EVENTS.SLA_AT_RISK),
+  [EVENTS.SLA_BREACHED]: lifecycleTemplates(EVENTS.SLA_BREACHED),
+  [EVENTS.TRIAGE_MATCHED]: lifecycleTemplates(EVENTS.TRIAGE_MATCHED)
+};
+
+const render = (channelType, eventType, data) => {
+  const template = TEMPLATES[eventType] && TEMPLATES[eventType][channelType];
+  if (!template) {
+    throw new Error(`No ${channelType} template for event ${eventType}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  EVENTS,
+  CARD_ACTIONS,
+  PORTAL_URL,
+  render,
+  teamsActionCard
+};
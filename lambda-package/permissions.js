@@ -0,0 +1,114 @@
+// permissions.js - Role and permission checks backed by the user_roles table
+const { parseJSON } = require('./db');
+const { HttpError } = require('./http');
+const { logger } = require('./logger');
+const { getRepositories } = require('./repositories');
+
+const ROLES = {
+  USER: 'user',
+  IT_SUPPORT: 'it-support',
+  ADMIN: 'admin'
+};
+
+const PERMISSIONS = {
+  REQUEST_CREATE: 'request:create',
+  REQUEST_VIEW_OWN: 'request:view-own',
+  REQUEST_VIEW_ALL: 'request:view-all',
+  REQUEST_APPROVE: 'request:approve',
+  REQUEST_ASSIGN: 'request:assign',
+  REQUEST_DELETE: 'request:delete',
+  NOTIFICATION_SEND: 'notification:send',
+  USER_MANAGE: 'user:manage',
+  ANALYTICS_VIEW: 'analytics:view',
+  AUDIT_VIEW: 'audit:view'
+};
+
+// Fallback permission sets, used when a user_roles row has no usable permissions
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.IT_SUPPORT]: [
+    PERMISSIONS.REQUEST_CREATE,
+    PERMISSIONS.REQUEST_VIEW_OWN,
+    PERMISSIONS.REQUEST_VIEW_ALL,
+    PERMISSIONS.REQUEST_APPROVE,
+    PERMISSIONS.REQUEST_ASSIGN,
+    PERMISSIONS.NOTIFICATION_SEND,
+    PERMISSIONS.ANALYTICS_VIEW
+  ],
+  [ROLES.USER]: [
+    PERMISSIONS.REQUEST_CREATE,
+    PERMISSIONS.REQUEST_VIEW_OWN
+  ]
+};
+
+// Access profiles are cached per warm container; role changes made elsewhere show up after this long
+const PROFILE_CACHE_MS = (parseInt(process.env.ACCESS_CACHE_SECONDS) || 60) * 1000;
+const profileCache = new Map();
+
+const resolvePermissions = (role, rawPermissions) => {
+  const permissions = parseJSON(rawPermissions);
+  if (Array.isArray(permissions)) {
+    return permissions;
+  }
+
+  logger.warn('Unusable permissions for role, using defaults', { role });
+  return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[ROLES.USER];
+};
+
+const loadAccessProfile = async (caller) => {
+  const cached = profileCache.get(caller.email);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    const user = await getRepositories().users.findByEmail(caller.email);
+    const rows = user ? [user] : [];
+
+    const role = rows.length > 0 ? rows[0].user_role : ROLES.USER;
+    profileCache.set(caller.email, {
+      expiresAt: Date.now() + PROFILE_CACHE_MS,
+      profile: {
+        // roleUserId is the user_roles key that assignments refer to
+        roleUserId: rows.length > 0 ? rows[0].user_id : null,
+        roleUserName: rows.length > 0 ? rows[0].user_name : null,
+        role,
+        active: rows.length === 0 || !!rows[0].is_active,
+        permissions: rows.length > 0
+          ? resolvePermissions(role, rows[0].permissions)
+          : ROLE_PERMISSIONS[ROLES.USER]
+      }
+    });
+  }
+
+  const { profile } = profileCache.get(caller.email);
+  if (!profile.active) {
+    throw new HttpError(403, 'Forbidden', 'This account has been deactivated');
+  }
+
+  // Identity always comes from the current token; only the role data is cached
+  return {
+    ...caller,
+    ...profile
+  };
+};
+
+// Drops a cached profile so changes made in this container apply on the next request
+const invalidateAccessProfile = (email) => {
+  profileCache.delete(email);
+};
+
+const hasPermission = (profile, permission) => profile.permissions.includes(permission);
+
+const requirePermission = (profile, permission) => {
+  if (!hasPermission(profile, permission)) {
+    throw new HttpError(403, 'Forbidden', `Missing permission: ${permission}`);
+  }
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  resolvePermissions,
+  loadAccessProfile,
+  invalidateAccessProfile,
+  hasPermission,
+  requirePermission
+};
@@ -0,0 +1,53 @@
+// ratelimit.js - Fixed-window submission limits per user and per client IP
+const { HttpError } = require('./http');
+const { logger } = require('./logger');
+const { getRepositories } = require('./repositories');
+
+// 0 turns a limit off
+const RATE_LIMIT_CONFIG = {
+  windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 3600,
+  perUser: process.env.RATE_LIMIT_PER_USER !== undefined ? parseInt(process.env.RATE_LIMIT_PER_USER) || 0 : 20,
+  perIp: process.env.RATE_LIMIT_PER_IP !== undefined ? parseInt(process.env.RATE_LIMIT_PER_IP) || 0 : 60
+};
+
+// API Gateway v1 and v2 both put the caller's address in the request context
+const clientIp = (event) =>
+  event.requestContext?.identity?.sourceIp || event.requestContext?.http?.sourceIp || null;
+
+// Throws 429 with Retry-After once the caller or their IP has used up the window for this action
+const checkRateLimit = async (event, { action, userId }, now = new Date()) => {
+  const windowMs = RATE_LIMIT_CONFIG.windowSeconds * 1000;
+  const windowStart = new Date(Math.floor(now.getTime() / windowMs) * windowMs);
+  const retryAfter = Math.max(Math.ceil((windowStart.getTime() + windowMs - now.getTime()) / 1000), 1);
+
+  const ip = clientIp(event);
+  const buckets = [
+    { bucket: `${action}:user:${userId}`, limit: RATE_LIMIT_CONFIG.perUser, label: 'account' },
+    { bucket: `${action}:ip:${ip}`, limit: ip ? RATE_LIMIT_CONFIG.perIp : 0, label: 'network address' }
+  ].filter(({ limit }) => limit > 0);
+
+  for (const { bucket, limit, label } of buckets) {
+    const hits = await getRepositories().rateLimits.hit(bucket, windowStart);
+    if (hits > limit) {
+      logger.warn('Rate limit hit', { bucket, hits, limit });
+      throw new HttpError(
+        429,
+        'Too Many Requests',
+        `Too many submissions from this ${label}: at most ${limit} every ${RATE_LIMIT_CONFIG.windowSeconds} seconds. Try again in ${retryAfter} seconds.`,
+        { 'Retry-After': String(retryAfter) }
+      );
+    }
+  }
+};
+
+// Windows older than the current one are no longer read
+const purgeRateLimits = (now = new Date()) => {
+  const windowMs = RATE_LIMIT_CONFIG.windowSeconds * 1000;
+  return getRepositories().rateLimits.removeBefore(new Date(Math.floor(now.getTime() / windowMs) * windowMs));
+};
+
+module.exports = {
+  RATE_LIMIT_CONFIG,
+  checkRateLimit,
+  purgeRateLimits
+};
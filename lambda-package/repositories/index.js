@@ -0,0 +1,42 @@
+// repositories/index.js - Picks where incidents, comments, users and audit entries are kept
+const { createMysqlRepositories } = require('./mysql');
+const { createMemoryRepositories } = require('./memory');
+
+const STORES = {
+  mysql: createMysqlRepositories,
+  memory: createMemoryRepositories
+};
+
+// DATA_STORE=memory runs without a database; its data lasts as long as the process
+const REPOSITORY_CONFIG = {
+  store: process.env.DATA_STORE || 'mysql'
+};
+
+let repositories = null;
+
+const getRepositories = () => {
+  if (!repositories) {
+    const create = STORES[REPOSITORY_CONFIG.store];
+    if (!create) {
+      throw new Error(`Unknown DATA_STORE '${REPOSITORY_CONFIG.store}'. Valid stores: ${Object.keys(STORES).join(', ')}`);
+    }
+    repositories = create();
+  }
+  return repositories;
+};
+
+// Swaps in another set, e.g. a fresh in-memory store per test
+const setRepositories = (replacement) => {
+  repositories = replacement;
+};
+
+// The work gets a transaction handle to pass to every repository call that should be part of it
+const withTransaction = (work) => getRepositories().transaction(work);
+
+module.exports = {
+  REPOSITORY_CONFIG,
+  STORES,
+  getRepositories,
+  setRepositories,
+  withTransaction
+};
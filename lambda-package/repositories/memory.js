@@ -0,0 +1,757 @@
+// repositories/memory.js - The same repositories kept in process memory, for offline runs and tests
+const { fromSqlDateTime } = require('../db');
+const { computeSla, newStages } = require('../sla');
+const {
+  COLUMNS, SORT_KEYS, STATUS_VALUES, PRIORITY_VALUES, BUCKET_STARTS, checkColumns, checkFilters, checkLimit
+} = require('./schema');
+
+const sqlError = (code, message, extra = {}) => Object.assign(new Error(message), { code, ...extra });
+
+// What MySQL takes for a TIMESTAMP; mysql2 sends strings as they are, so an ISO string with its Z is refused
+const SQL_DATETIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/;
+
+// Rows come back the way mysql2 returns them: parsed JSON, Dates in whole seconds and 0/1 flags
+const toStored = (table, column, value) => {
+  const { json, dates, flags } = COLUMNS[table];
+  if (value === undefined || value === null) return null;
+  if (json.includes(column)) return JSON.parse(typeof value === 'string' ? value : JSON.stringify(value));
+  if (dates.includes(column)) {
+    if (!(value instanceof Date) && !SQL_DATETIME.test(value)) {
+      throw sqlError('ER_TRUNCATED_WRONG_VALUE', `Incorrect datetime value: '${value}' for column '${column}'`);
+    }
+    const date = fromSqlDateTime(value);
+    return new Date(Math.round(date.getTime() / 1000) * 1000);
+  }
+  if (flags.includes(column)) return value ? 1 : 0;
+  return value;
+};
+
+const newRow = (table, values) => {
+  const { all, defaults } = COLUMNS[table];
+  checkColumns(table, Object.keys(values));
+  return Object.fromEntries(all.map(column => {
+    let value = values[column];
+    if (value === undefined) value = defaults[column] === 'now' ? new Date() : defaults[column];
+    return [column, toStored(table, column, value)];
+  }));
+};
+
+const applyChanges = (table, row, changes) => {
+  const columns = checkColumns(table, Object.keys(changes));
+  const updated = { ...row };
+  columns.forEach(column => { updated[column] = toStored(table, column, changes[column]); });
+
+  const changed = columns.some(column => JSON.stringify(updated[column]) !== JSON.stringify(row[column]));
+  if (changed) {
+    COLUMNS[table].touched
+      .filter(column => !columns.includes(column))
+      .forEach(column => { updated[column] = toStored(table, column, new Date()); });
+  }
+  return updated;
+};
+
+const emptyState = () => ({
+  requests: new Map(),
+  request_comments: new Map(),
+  user_roles: new Map(),
+  request_audit_log: [],
+  user_audit_log: [],
+  audit_chain_head: new Map(),
+  notification_outbox: new Map(),
+  notification_preferences: new Map(),
+  indicators: new Map(),
+  request_indicators: new Map(),
+  request_attachments: new Map(),
+  idempotency_keys: new Map(),
+  rate_limits: new Map(),
+  nextId: { request_audit_log: 1, user_audit_log: 1 }
+});
+
+// Map keys for tables with a composite primary key
+const keyOf = (...parts) => parts.join('\n');
+
+const copy = (row) => (row ? structuredClone(row) : null);
+
+// Text comparisons follow the tables' case-insensitive collation
+const sameText = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+const containsText = (value, text) => typeof value === 'string' && value.toLowerCase().includes(text.toLowerCase());
+const compareText = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a.toLowerCase() < b.toLowerCase() ? -1 : a.toLowerCase() > b.toLowerCase() ? 1 : a < b ? -1 : 1;
+};
+
+// FIELD() is 1-based and 0 for a value that isn't listed
+const SORT_VALUES = {
+  created_at: row => row.created_at,
+  updated_at: row => row.updated_at,
+  priority: row => PRIORITY_VALUES.indexOf(row.priority_level) + 1,
+  status: row => STATUS_VALUES.indexOf(row.request_status) + 1
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}[ T]\d/.test(value)) return fromSqlDateTime(value).getTime();
+  return value === null || value === undefined ? null : Number(value);
+};
+
+const matchesFilters = (state, row, filters) => {
+  const formData = row.form_data || {};
+  const checks = {
+    ids: ids => ids.includes(row.id),
+    userId: userId => row.user_id === userId,
+    statuses: statuses => statuses.includes(row.request_status),
+    priorities: priorities => priorities.includes(row.priority_level),
+    types: types => types.includes(row.request_type),
+    assignedTo: assignedTo => row.assigned_to !== null && row.assigned_to === assignedTo,
+    assigned: assigned => (row.assigned_to !== null) === assigned,
+    department: department => row.user_info?.department === department,
+    createdFrom: from => row.created_at >= from,
+    createdTo: to => row.created_at < to,
+    parentId: parentId => row.parent_id !== null && row.parent_id === parentId,
+    merged: merged => (row.merged_at !== null) === merged,
+    indicatorId: indicatorId => state.request_indicators.has(keyOf(row.id, indicatorId)),
+    overdue: overdue => (['open', 'in-progress'].includes(row.request_status) && !!computeSla(row)?.overdue) === overdue,
+    q: q => [row.reason, formData.subject, formData.description].some(value => containsText(value, q))
+  };
+
+  return Object.entries(filters)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .every(([key, value]) => checks[key](value));
+};
+
+// TIMESTAMPDIFF(SECOND, ...) counts whole seconds
+const secondsBetween = (from, to) => Math.trunc((to.getTime() - from.getTime()) / 1000);
+
+const average = (values) => (values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+// The request_stats view's counts per type, in its column order
+const STATS_TYPES = [
+  'phishing-email', 'suspicious-website', 'social-engineering', 'malware', 'data-breach', 'identity-theft',
+  'other', 'phishing-report'
+];
+
+const BREAKDOWN_VALUES = {
+  type: row => row.request_type,
+  priority: row => row.priority_level,
+  department: row => row.user_info?.department ?? null,
+  assignee: row => row.assigned_to
+};
+
+const RANGE_COLUMNS = ['created_at', 'completed_at'];
+
+const responseTimes = (rows) => {
+  const acknowledged = rows.filter(row => row.approved_at !== null);
+  const resolved = rows.filter(row => row.completed_at !== null);
+  return {
+    acknowledged: acknowledged.length,
+    mttaSeconds: average(acknowledged.map(row => secondsBetween(row.created_at, row.approved_at))),
+    resolved: resolved.length,
+    mttrSeconds: average(resolved.map(row => secondsBetween(row.created_at, row.completed_at)))
+  };
+};
+
+const deletedMatches = (row, deleted) => deleted === 'any' || (deleted ? row.deleted_at !== null : row.deleted_at === null);
+
+// The in-memory store is one process's data: transactions run one at a time on a copy of it
+// that replaces the committed data when they finish. Reads outside a transaction see committed data.
+const createMemoryRepositories = () => {
+  let committed = emptyState();
+  let queue = Promise.resolve();
+
+  const transaction = (work) => {
+    const run = queue.then(async () => {
+      const tx = {
+        state: structuredClone(committed),
+        // Code that still runs SQL on the transaction finds out straight away
+        execute: async (sql) => {
+          throw new Error(`The in-memory store cannot run SQL: ${sql.replace(/\s+/g, ' ').trim().substring(0, 60)}`);
+        }
+      };
+      const result = await work(tx);
+      committed = tx.state;
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const read = (tx) => (tx ? tx.state : committed);
+  // Writes without a transaction commit on their own, as autocommit statements do
+  const write = async (tx, change) => (tx ? change(tx.state) : transaction(own => change(own.state)));
+
+  const requireRequest = (state, id, table) => {
+    if (!state.requests.has(id)) {
+      throw sqlError('ER_NO_REFERENCED_ROW_2', `Cannot add or update a child row: ${table}.request_id ${id} does not exist`);
+    }
+  };
+
+  const incidents = {
+    insert: (values, tx) => write(tx, (state) => {
+      const row = newRow('requests', values);
+      if (state.requests.has(row.id)) {
+        throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${row.id}' for key 'requests.PRIMARY'`, { key: 'id' });
+      }
+      if (row.parent_id !== null) requireRequest(state, row.parent_id, 'requests');
+      state.requests.set(row.id, row);
+    }),
+
+    get: async (id, { deleted = false } = {}, tx) => {
+      const row = read(tx).requests.get(id);
+      return row && deletedMatches(row, deleted) ? copy(row) : null;
+    },
+
+    find: async ({ filters = {}, sort = { sort: 'created_at', order: 'desc' }, after, limit, deleted = false } = {}) => {
+      if (!SORT_KEYS.includes(sort.sort)) {
+        throw new Error(`Unknown sort key: ${sort.sort}`);
+      }
+      checkFilters(filters);
+      const direction = sort.order === 'asc' ? 1 : -1;
+      const sortValue = SORT_VALUES[sort.sort];
+      const compare = (a, b) => {
+        const byValue = comparable(sortValue(a)) - comparable(sortValue(b));
+        return direction * (byValue || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+      };
+
+      let rows = [...committed.requests.values()]
+        .filter(row => deletedMatches(row, deleted) && matchesFilters(committed, row, filters))
+        .sort(compare);
+
+      if (after) {
+        const position = { value: comparable(after.value), id: after.id };
+        rows = rows.filter(row => {
+          const value = comparable(sortValue(row));
+          const byValue = direction * (value - position.value);
+          return byValue > 0 || (byValue === 0 && direction * (row.id < position.id ? -1 : row.id > position.id ? 1 : 0) > 0);
+        });
+      }
+
+      return rows
+        .slice(0, checkLimit(limit))
+        .map(copy)
+        .map(row => ({ ...row, sort_value: sortValue(row) }));
+    },
+
+    update: (id, changes, tx) => write(tx, (state) => {
+      const row = state.requests.get(id);
+      if (!row) return;
+      if (changes.parent_id) requireRequest(state, changes.parent_id, 'requests');
+      state.requests.set(id, applyChanges('requests', row, changes));
+    }),
+
+    slaCandidates: async (now, { limit } = {}) => [...committed.requests.values()]
+      .filter(row => row.deleted_at === null && ['open', 'in-progress'].includes(row.request_status))
+      .filter(row => newStages(row, now).length > 0)
+      .sort((a, b) => (a.sla_checked_at || 0) - (b.sla_checked_at || 0) || a.created_at - b.created_at ||
+        (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .slice(0, checkLimit(limit))
+      .map(copy),
+
+    markSlaChecked: (ids, now) => write(undefined, (state) => {
+      ids.filter(id => state.requests.has(id)).forEach(id => {
+        const row = state.requests.get(id);
+        state.requests.set(id, applyChanges('requests', row, { sla_checked_at: now, updated_at: row.updated_at }));
+      });
+    }),
+
+    idsAfter: async (after, { limit } = {}) => [...committed.requests.keys()]
+      .filter(id => id > (after || ''))
+      .sort()
+      .slice(0, checkLimit(limit)),
+
+    children: async (parentId, options, tx) => [...read(tx).requests.values()]
+      .filter(row => row.parent_id === parentId && row.deleted_at === null)
+      .sort((a, b) => (a.id < b.id ? -1 : 1))
+      .map(copy)
+  };
+
+  const comments = {
+    insert: (values, tx) => write(tx, (state) => {
+      const row = newRow('request_comments', values);
+      if (state.request_comments.has(row.id)) {
+        throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${row.id}' for key 'request_comments.PRIMARY'`, { key: 'id' });
+      }
+      requireRequest(state, row.request_id, 'request_comments');
+      state.request_comments.set(row.id, row);
+    }),
+
+    get: async (requestId, commentId) => {
+      const row = committed.request_comments.get(commentId);
+      return row && row.request_id === requestId ? copy(row) : null;
+    },
+
+    listForRequests: async (requestIds, { includeInternal = false } = {}) => [...committed.request_comments.values()]
+      .filter(row => requestIds.includes(row.request_id) && (includeInternal || !row.is_internal))
+      .sort((a, b) => a.created_at - b.created_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .map(copy),
+
+    update: (id, changes, tx) => write(tx, (state) => {
+      const row = state.request_comments.get(id);
+      if (row) state.request_comments.set(id, applyChanges('request_comments', row, changes));
+    }),
+
+    remove: (id, tx) => write(tx, (state) => {
+      state.request_comments.delete(id);
+    })
+  };
+
+  const findUser = (state, predicate) => [...state.user_roles.values()].find(predicate) || null;
+
+  const users = {
+    insert: (values, tx) => write(tx, (state) => {
+      const row = newRow('user_roles', values);
+      if (state.user_roles.has(row.user_id)) {
+        throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${row.user_id}' for key 'user_roles.PRIMARY'`, { key: 'user_id' });
+      }
+      if (findUser(state, user => sameText(user.email, row.email))) {
+        throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${row.email}' for key 'user_roles.email'`, { key: 'email' });
+      }
+      state.user_roles.set(row.user_id, row);
+    }),
+
+    get: async (userId, options, tx) => copy(read(tx).user_roles.get(userId)),
+
+    findByEmail: async (email, tx) => copy(findUser(read(tx), user => sameText(user.email, email))),
+
+    findByIdOrEmail: async (value, tx) => copy(findUser(read(tx), user =>
+      user.user_id === value || sameText(user.email, String(value)))),
+
+    list: async ({ role, active, q } = {}, { lock = false } = {}, tx) => [...read(tx).user_roles.values()]
+      .filter(user => role === undefined || user.user_role === role)
+      .filter(user => active === undefined || user.is_active === (active ? 1 : 0))
+      .filter(user => !q || containsText(user.email, q) || containsText(user.user_name, q))
+      .sort((a, b) => (lock
+        ? compareText(a.user_id, b.user_id)
+        : compareText(a.user_name, b.user_name) || compareText(a.email, b.email)))
+      .map(copy),
+
+    update: (userId, changes, tx) => write(tx, (state) => {
+      const row = state.user_roles.get(userId);
+      if (!row) return;
+      if (changes.email && findUser(state, user => user.user_id !== userId && sameText(user.email, changes.email))) {
+        throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${changes.email}' for key 'user_roles.email'`, { key: 'email' });
+      }
+      state.user_roles.set(userId, applyChanges('user_roles', row, changes));
+    })
+  };
+
+  const audit = {
+    getHead: async (chainName, options, tx) => {
+      const head = read(tx).audit_chain_head.get(chainName);
+      return head ? { ...head } : null;
+    },
+
+    createHead: (chainName, hash, tx) => write(tx, (state) => {
+      if (!state.audit_chain_head.has(chainName)) {
+        state.audit_chain_head.set(chainName, { lastSeq: 0, lastHash: hash });
+      }
+    }),
+
+    setHead: (chainName, { lastSeq, lastHash }, tx) => write(tx, (state) => {
+      if (state.audit_chain_head.has(chainName)) {
+        state.audit_chain_head.set(chainName, { lastSeq, lastHash });
+      }
+    }),
+
+    insertEntry: (values, tx) => write(tx, (state) => {
+      const row = newRow('request_audit_log', { ...values, id: state.nextId.request_audit_log });
+      if (row.chain_seq !== null && state.request_audit_log.some(entry => entry.chain_seq === row.chain_seq)) {
+        throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${row.chain_seq}' for key 'request_audit_log.idx_chain_seq'`, { key: 'chain_seq' });
+      }
+      requireRequest(state, row.request_id, 'request_audit_log');
+      state.nextId.request_audit_log++;
+      state.request_audit_log.push(row);
+    }),
+
+    listForRequest: async (requestId) => committed.request_audit_log
+      .filter(entry => entry.request_id === requestId)
+      .map(copy),
+
+    find: async ({ userId, actions, requestId, from, to, beforeId } = {}, { limit } = {}) => {
+      const entries = committed.request_audit_log
+        .filter(entry => userId === undefined || entry.user_id === userId)
+        .filter(entry => !actions || actions.includes(entry.action_type))
+        .filter(entry => requestId === undefined || entry.request_id === requestId)
+        .filter(entry => !from || entry.created_at >= from)
+        .filter(entry => !to || entry.created_at < to)
+        .filter(entry => beforeId === undefined || entry.id < beforeId)
+        .reverse();
+      return entries.slice(0, checkLimit(limit)).map(copy);
+    },
+
+    getBySeq: async (seq) => copy(committed.request_audit_log.find(entry => entry.chain_seq === seq)),
+
+    listBySeq: async (fromSeq, toSeq, { limit } = {}) => committed.request_audit_log
+      .filter(entry => entry.chain_seq !== null && entry.chain_seq >= fromSeq && entry.chain_seq <= toSeq)
+      .sort((a, b) => a.chain_seq - b.chain_seq)
+      .slice(0, checkLimit(limit))
+      .map(copy),
+
+    insertUserEntry: (values, tx) => write(tx, (state) => {
+      state.user_audit_log.push(newRow('user_audit_log', { ...values, id: state.nextId.user_audit_log }));
+      state.nextId.user_audit_log++;
+    }),
+
+    listUserEntries: async (targetUserId, { limit } = {}) => committed.user_audit_log
+      .filter(entry => entry.target_user_id === targetUserId)
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+      .slice(0, checkLimit(limit))
+      .map(copy)
+  };
+
+  const liveRequest = (state, id) => {
+    const row = state.requests.get(id);
+    return row && row.deleted_at === null ? row : null;
+  };
+
+  const reportCount = (state, indicatorId) => [...state.request_indicators.values()]
+    .filter(link => link.indicator_id === indicatorId && liveRequest(state, link.request_id))
+    .length;
+
+  const withReportCount = (state, row) => ({ ...copy(row), report_count: reportCount(state, row.id) });
+
+  const indicators = {
+    replaceForRequest: (requestId, found, tx) => write(tx, (state) => {
+      [...state.request_indicators.entries()]
+        .filter(([, link]) => link.request_id === requestId)
+        .forEach(([key]) => state.request_indicators.delete(key));
+      if (found.length === 0) return;
+
+      requireRequest(state, requestId, 'request_indicators');
+      const now = new Date();
+      found.forEach(indicator => {
+        const existing = state.indicators.get(indicator.id);
+        state.indicators.set(indicator.id, existing
+          ? applyChanges('indicators', existing, { last_seen_at: now })
+          : newRow('indicators', { id: indicator.id, indicator_type: indicator.type, value: indicator.value }));
+
+        const key = keyOf(requestId, indicator.id);
+        if (state.request_indicators.has(key)) {
+          throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${requestId}-${indicator.id}' for key 'request_indicators.PRIMARY'`);
+        }
+        state.request_indicators.set(key, newRow('request_indicators', {
+          request_id: requestId,
+          indicator_id: indicator.id,
+          source_field: indicator.source
+        }));
+      });
+    }),
+
+    getMany: async (ids) => ids
+      .filter((id, index) => ids.indexOf(id) === index && committed.indicators.has(id))
+      .map(id => withReportCount(committed, committed.indicators.get(id))),
+
+    listForRequest: async (requestId) => [...committed.request_indicators.values()]
+      .filter(link => link.request_id === requestId)
+      .map(link => withReportCount(committed, committed.indicators.get(link.indicator_id)))
+      .sort((a, b) => b.report_count - a.report_count
+        || compareText(a.indicator_type, b.indicator_type)
+        || compareText(a.value, b.value)),
+
+    sharedWith: async (requestId, { type, since } = {}, tx) => {
+      const state = read(tx);
+      const links = [...state.request_indicators.values()];
+      return links
+        .filter(mine => mine.request_id === requestId)
+        .map(mine => state.indicators.get(mine.indicator_id))
+        .filter(indicator => !type || indicator.indicator_type === type)
+        .flatMap(indicator => links
+          .filter(other => other.indicator_id === indicator.id && other.request_id !== requestId)
+          .filter(other => {
+            const row = liveRequest(state, other.request_id);
+            return row && (!since || row.created_at >= since);
+          })
+          .map(other => ({
+            request_id: other.request_id,
+            id: indicator.id,
+            indicator_type: indicator.indicator_type,
+            value: indicator.value
+          })))
+        .sort((a, b) => (a.request_id < b.request_id ? -1 : a.request_id > b.request_id ? 1 : a.id < b.id ? -1 : 1));
+    },
+
+    campaignLinks: async ({ since, minReports }) => {
+      const links = [...committed.request_indicators.values()].filter(link => {
+        const row = liveRequest(committed, link.request_id);
+        return row && row.created_at >= since;
+      });
+      const counts = new Map();
+      links.forEach(link => counts.set(link.indicator_id, (counts.get(link.indicator_id) || 0) + 1));
+
+      return links
+        .filter(link => counts.get(link.indicator_id) >= minReports)
+        .map(link => {
+          const indicator = committed.indicators.get(link.indicator_id);
+          return {
+            indicator_id: indicator.id,
+            indicator_type: indicator.indicator_type,
+            value: indicator.value,
+            request_id: link.request_id,
+            created_at: new Date(committed.requests.get(link.request_id).created_at)
+          };
+        })
+        .sort((a, b) => (a.indicator_id < b.indicator_id ? -1 : a.indicator_id > b.indicator_id ? 1
+          : a.request_id < b.request_id ? -1 : 1));
+    }
+  };
+
+  const attachments = {
+    insert: (values, tx) => write(tx, (state) => {
+      const row = newRow('request_attachments', values);
+      if (state.request_attachments.has(row.id)) {
+        throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${row.id}' for key 'request_attachments.PRIMARY'`, { key: 'id' });
+      }
+      requireRequest(state, row.request_id, 'request_attachments');
+      state.request_attachments.set(row.id, row);
+    }),
+
+    get: async (requestId, attachmentId) => {
+      const row = committed.request_attachments.get(attachmentId);
+      return row && row.request_id === requestId ? copy(row) : null;
+    },
+
+    listForRequest: async (requestId, { includeInternal = false } = {}) => [...committed.request_attachments.values()]
+      .filter(row => row.request_id === requestId && (includeInternal || !row.is_internal))
+      .sort((a, b) => a.created_at - b.created_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .map(copy),
+
+    totalBytes: async (requestId, tx) => [...read(tx).request_attachments.values()]
+      .filter(row => row.request_id === requestId)
+      .reduce((total, row) => total + Number(row.size_bytes), 0),
+
+    remove: (id, tx) => write(tx, (state) => {
+      state.request_attachments.delete(id);
+    })
+  };
+
+  const isDue = (row, now) => (row.delivery_status === 'pending' && row.next_attempt_at <= now)
+    || (row.delivery_status === 'sending' && row.locked_until !== null && row.locked_until < now);
+
+  const outbox = {
+    insert: (values, tx) => write(tx, (state) => {
+      const row = newRow('notification_outbox', values);
+      if (state.notification_outbox.has(row.id)) {
+        throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${row.id}' for key 'notification_outbox.PRIMARY'`, { key: 'id' });
+      }
+      state.notification_outbox.set(row.id, row);
+    }),
+
+    get: async (id) => copy(committed.notification_outbox.get(id)),
+
+    findDue: async (now, { limit } = {}) => [...committed.notification_outbox.values()]
+      .filter(row => isDue(row, now))
+      .sort((a, b) => a.next_attempt_at - b.next_attempt_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .slice(0, checkLimit(limit))
+      .map(row => row.id),
+
+    claim: (id, { now, lockedUntil }) => write(undefined, (state) => {
+      const row = state.notification_outbox.get(id);
+      if (!row || !isDue(row, now)) return null;
+      const claimed = applyChanges('notification_outbox', row, {
+        delivery_status: 'sending',
+        attempts: row.attempts + 1,
+        locked_until: lockedUntil
+      });
+      state.notification_outbox.set(id, claimed);
+      return copy(claimed);
+    }),
+
+    update: (id, changes) => write(undefined, (state) => {
+      const row = state.notification_outbox.get(id);
+      if (row) state.notification_outbox.set(id, applyChanges('notification_outbox', row, changes));
+    }),
+
+    list: async ({ status } = {}, { limit } = {}) => [...committed.notification_outbox.values()]
+      .filter(row => !status || row.delivery_status === status)
+      .sort((a, b) => b.created_at - a.created_at || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0))
+      .slice(0, checkLimit(limit))
+      .map(copy),
+
+    requeueDead: (id, now) => write(undefined, (state) => {
+      const row = state.notification_outbox.get(id);
+      if (!row || row.delivery_status !== 'dead') return false;
+      state.notification_outbox.set(id, applyChanges('notification_outbox', row, {
+        delivery_status: 'pending',
+        attempts: 0,
+        next_attempt_at: now,
+        last_error: null
+      }));
+      return true;
+    })
+  };
+
+  // Emails compare case-insensitively, as the column's collation does
+  const preferences = {
+    listForEmail: async (email, tx) => [...read(tx).notification_preferences.values()]
+      .filter(row => sameText(row.email, email))
+      .map(row => ({ event_type: row.event_type, enabled: row.enabled })),
+
+    set: (email, eventType, enabled) => write(undefined, (state) => {
+      const key = keyOf(email.toLowerCase(), eventType);
+      const existing = state.notification_preferences.get(key);
+      state.notification_preferences.set(key, existing
+        ? applyChanges('notification_preferences', existing, { enabled })
+        : newRow('notification_preferences', { email, event_type: eventType, enabled }));
+    })
+  };
+
+  const idempotencyKeys = {
+    insert: (values) => write(undefined, (state) => {
+      const row = newRow('idempotency_keys', values);
+      const key = keyOf(row.user_id, row.idempotency_key);
+      if (state.idempotency_keys.has(key)) {
+        throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${row.user_id}-${row.idempotency_key}' for key 'idempotency_keys.PRIMARY'`);
+      }
+      state.idempotency_keys.set(key, row);
+    }),
+
+    get: async (userId, key) => copy(committed.idempotency_keys.get(keyOf(userId, key))),
+
+    remove: (userId, key, { createdAt } = {}) => write(undefined, (state) => {
+      const row = state.idempotency_keys.get(keyOf(userId, key));
+      if (!row) return false;
+      if (createdAt && row.created_at.getTime() !== toStored('idempotency_keys', 'created_at', createdAt).getTime()) {
+        return false;
+      }
+      state.idempotency_keys.delete(keyOf(userId, key));
+      return true;
+    }),
+
+    complete: (userId, key, { responseStatus, responseBody }) => write(undefined, (state) => {
+      const row = state.idempotency_keys.get(keyOf(userId, key));
+      if (!row) return;
+      state.idempotency_keys.set(keyOf(userId, key), applyChanges('idempotency_keys', row, {
+        status: 'completed',
+        response_status: responseStatus,
+        response_body: responseBody
+      }));
+    }),
+
+    removeExpired: (now) => write(undefined, (state) => {
+      const expired = [...state.idempotency_keys.entries()].filter(([, row]) => row.expires_at <= now);
+      expired.forEach(([key]) => state.idempotency_keys.delete(key));
+      return expired.length;
+    })
+  };
+
+  const rateLimits = {
+    hit: (bucket, windowStart) => write(undefined, (state) => {
+      const start = toStored('rate_limits', 'window_start', windowStart);
+      const key = keyOf(bucket, start.getTime());
+      const row = state.rate_limits.get(key) || newRow('rate_limits', { bucket, window_start: start });
+      const updated = { ...row, hits: row.hits + 1 };
+      state.rate_limits.set(key, updated);
+      return updated.hits;
+    }),
+
+    removeBefore: (windowStart) => write(undefined, (state) => {
+      const old = [...state.rate_limits.entries()].filter(([, row]) => row.window_start < windowStart);
+      old.forEach(([key]) => state.rate_limits.delete(key));
+      return old.length;
+    })
+  };
+
+  const liveMatching = (filters) => [...committed.requests.values()]
+    .filter(row => row.deleted_at === null && matchesFilters(committed, row, filters));
+
+  const inRange = (filters, column, range) => {
+    if (!RANGE_COLUMNS.includes(column)) {
+      throw new Error(`Unknown range column: ${column}`);
+    }
+    checkFilters(filters);
+    return liveMatching(filters).filter(row => row[column] !== null && row[column] >= range.from && row[column] < range.to);
+  };
+
+  const analytics = {
+    countByBucket: async ({ interval, column, filters, range }) => {
+      const counts = new Map();
+      inRange(filters, column, range).forEach(row => {
+        const bucket = BUCKET_STARTS[interval](row[column]).toISOString().slice(0, 10);
+        counts.set(bucket, (counts.get(bucket) || 0) + 1);
+      });
+      return counts;
+    },
+
+    breakdown: async ({ by, filters, range }) => {
+      const groups = new Map();
+      inRange(filters, 'created_at', range).forEach(row => {
+        const key = BREAKDOWN_VALUES[by](row);
+        if (!groups.has(key)) {
+          groups.set(key, { key, total: 0, byStatus: Object.fromEntries(STATUS_VALUES.map(status => [status, 0])) });
+        }
+        const group = groups.get(key);
+        group.total++;
+        if (STATUS_VALUES.includes(row.request_status)) group.byStatus[row.request_status]++;
+      });
+      return [...groups.values()].sort((a, b) => b.total - a.total || compareText(a.key, b.key));
+    },
+
+    responseTimes: async ({ filters, range }) => {
+      const rows = inRange(filters, 'created_at', range);
+      const priorities = [...new Set(rows.map(row => row.priority_level))];
+      return {
+        overall: responseTimes(rows),
+        byPriority: Object.fromEntries(priorities.map(priority =>
+          [priority, responseTimes(rows.filter(row => row.priority_level === priority))]))
+      };
+    },
+
+    ages: async ({ statuses, filters, now }) => {
+      checkFilters(filters);
+      return liveMatching(filters)
+        .filter(row => statuses.includes(row.request_status))
+        .map(row => ({ priority: row.priority_level, ageSeconds: secondsBetween(row.created_at, now) }))
+        .sort((a, b) => a.ageSeconds - b.ageSeconds);
+    },
+
+    // Same columns as the request_stats view; "today" is the UTC day
+    stats: async (now = new Date()) => {
+      const rows = [...committed.requests.values()].filter(row => row.deleted_at === null);
+      const count = (predicate) => rows.filter(predicate).length;
+      const column = (value) => value.replace(/-/g, '_');
+      const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+      const resolvedHours = rows
+        .filter(row => row.completed_at !== null)
+        .map(row => secondsBetween(row.created_at, row.completed_at) / 3600);
+      const averageHours = average(resolvedHours);
+
+      return {
+        total_requests: rows.length,
+        ...Object.fromEntries(STATUS_VALUES.map(status =>
+          [`${column(status)}_count`, count(row => row.request_status === status)])),
+        today_count: count(row => row.created_at.toISOString().slice(0, 10) === now.toISOString().slice(0, 10)),
+        week_count: count(row => row.created_at >= daysAgo(7)),
+        month_count: count(row => row.created_at >= daysAgo(30)),
+        ...Object.fromEntries(STATS_TYPES.map(type =>
+          [`${column(type)}_count`, count(row => row.request_type === type)])),
+        ...Object.fromEntries(PRIORITY_VALUES.map(priority =>
+          [`priority_${priority}_count`, count(row => row.priority_level === priority)])),
+        security_incidents_count: count(row => STATS_TYPES.includes(row.request_type)),
+        avg_processing_time_hours: averageHours === null ? null : Math.round(averageHours * 100) / 100
+      };
+    }
+  };
+
+  return {
+    name: 'memory',
+    // Only schema migrations need real SQL
+    supportsSql: false,
+    incidents,
+    comments,
+    users,
+    audit,
+    indicators,
+    attachments,
+    outbox,
+    preferences,
+    idempotencyKeys,
+    rateLimits,
+    analytics,
+    transaction
+  };
+};
+
+module.exports = {
+  createMemoryRepositories
+};
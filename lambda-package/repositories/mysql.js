@@ -0,0 +1,723 @@
+// repositories/mysql.js - Every table the portal uses, in MySQL through the shared pool
+const { executeQuery, withTransaction, toSqlDateTime } = require('../db');
+const { overdueCondition, escalationCondition } = require('../sla');
+const { COLUMNS, SORT_KEYS, STATUS_VALUES, PRIORITY_VALUES, checkColumns, checkFilters, checkLimit } = require('./schema');
+
+const field = (column, values) => `FIELD(${column}, ${values.map(value => `'${value}'`).join(', ')})`;
+
+// Sort keys mapped to SQL expressions over the requests alias r
+const SORT_EXPRESSIONS = {
+  created_at: 'r.created_at',
+  updated_at: 'r.updated_at',
+  priority: field('r.priority_level', PRIORITY_VALUES),
+  status: field('r.request_status', STATUS_VALUES)
+};
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// mysql2 binds numbers as DOUBLE, which MySQL refuses for LIMIT in a prepared statement; a string is converted
+const limitParam = (limit) => String(checkLimit(limit));
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+// Dates go in as UTC DATETIME literals and JSON columns as text
+const toParam = (table, column, value) => {
+  if (value instanceof Date) return toSqlDateTime(value);
+  if (COLUMNS[table].json.includes(column) && value !== null && value !== undefined && typeof value !== 'string') {
+    return JSON.stringify(value);
+  }
+  return value === undefined ? null : value;
+};
+
+// Columns left undefined get their schema default
+const insertRow = async (table, row, connection) => {
+  const columns = checkColumns(table, Object.keys(row).filter(column => row[column] !== undefined));
+  await executeQuery(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+    columns.map(column => toParam(table, column, row[column])),
+    connection
+  );
+};
+
+const updateRow = async (table, key, id, changes, connection) => {
+  const columns = checkColumns(table, Object.keys(changes));
+  if (columns.length === 0) return;
+  await executeQuery(
+    `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${key} = ?`,
+    [...columns.map(column => toParam(table, column, changes[column])), id],
+    connection
+  );
+};
+
+// Incident list filters as WHERE conditions over the requests alias r; analytics reuses them
+const filterConditions = (filters = {}) => {
+  checkFilters(filters);
+  const conditions = [];
+  const params = [];
+  const add = (condition, ...values) => {
+    conditions.push(condition);
+    params.push(...values);
+  };
+
+  if (filters.ids) add(filters.ids.length > 0 ? `r.id IN (${placeholders(filters.ids)})` : 'FALSE', ...filters.ids);
+  if (filters.userId !== undefined) add('r.user_id = ?', filters.userId);
+  if (filters.statuses) add(`r.request_status IN (${placeholders(filters.statuses)})`, ...filters.statuses);
+  if (filters.priorities) add(`r.priority_level IN (${placeholders(filters.priorities)})`, ...filters.priorities);
+  if (filters.types) add(`r.request_type IN (${placeholders(filters.types)})`, ...filters.types);
+  if (filters.assignedTo !== undefined) add('r.assigned_to = ?', filters.assignedTo);
+  if (filters.assigned !== undefined) add(filters.assigned ? 'r.assigned_to IS NOT NULL' : 'r.assigned_to IS NULL');
+  if (filters.department !== undefined) add("JSON_UNQUOTE(JSON_EXTRACT(r.user_info, '$.department')) = ?", filters.department);
+  if (filters.createdFrom) add('r.created_at >= ?', toSqlDateTime(filters.createdFrom));
+  if (filters.createdTo) add('r.created_at < ?', toSqlDateTime(filters.createdTo));
+  if (filters.parentId !== undefined) add('r.parent_id = ?', filters.parentId);
+  if (filters.merged !== undefined) add(filters.merged ? 'r.merged_at IS NOT NULL' : 'r.merged_at IS NULL');
+  if (filters.indicatorId !== undefined) {
+    add('r.id IN (SELECT request_id FROM request_indicators WHERE indicator_id = ?)', filters.indicatorId);
+  }
+
+  if (filters.overdue !== undefined) {
+    const overdue = overdueCondition();
+    add(filters.overdue ? overdue.condition : `NOT ${overdue.condition}`, ...overdue.params);
+  }
+
+  // JSON_UNQUOTE returns binary-collated text; the collation makes the search ignore case like reason does
+  if (filters.q) {
+    const pattern = `%${escapeLike(filters.q)}%`;
+    add(`(
+      r.reason LIKE ?
+      OR JSON_UNQUOTE(JSON_EXTRACT(r.form_data, '$.subject')) COLLATE utf8mb4_unicode_ci LIKE ?
+      OR JSON_UNQUOTE(JSON_EXTRACT(r.form_data, '$.description')) COLLATE utf8mb4_unicode_ci LIKE ?
+    )`, pattern, pattern, pattern);
+  }
+
+  return { conditions, params };
+};
+
+const deletedCondition = (deleted) => {
+  if (deleted === 'any') return 'TRUE';
+  return deleted ? 'r.deleted_at IS NOT NULL' : 'r.deleted_at IS NULL';
+};
+
+const incidents = {
+  insert: (row, connection) => insertRow('requests', row, connection),
+
+  get: async (id, { deleted = false, lock = false } = {}, connection) => {
+    const [row] = await executeQuery(
+      `SELECT * FROM requests r WHERE r.id = ? AND ${deletedCondition(deleted)}${lock ? ' FOR UPDATE' : ''}`,
+      [id],
+      connection
+    );
+    return row || null;
+  },
+
+  // One page in a stable order; `after` is the sort value and id of the last row already seen
+  find: async ({ filters = {}, sort = { sort: 'created_at', order: 'desc' }, after, limit, deleted = false } = {}) => {
+    if (!SORT_KEYS.includes(sort.sort)) {
+      throw new Error(`Unknown sort key: ${sort.sort}`);
+    }
+    const expression = SORT_EXPRESSIONS[sort.sort];
+    const direction = sort.order === 'asc' ? 'ASC' : 'DESC';
+    const comparator = sort.order === 'asc' ? '>' : '<';
+    const { conditions, params } = filterConditions(filters);
+    const where = [deletedCondition(deleted), ...conditions];
+
+    if (after) {
+      where.push(`(${expression} ${comparator} ? OR (${expression} = ? AND r.id ${comparator} ?))`);
+      params.push(after.value, after.value, after.id);
+    }
+
+    return executeQuery(
+      `SELECT r.*, ${expression} AS sort_value FROM requests r WHERE ${where.join(' AND ')}
+       ORDER BY ${expression} ${direction}, r.id ${direction} LIMIT ?`,
+      [...params, limitParam(limit)]
+    );
+  },
+
+  update: (id, changes, connection) => updateRow('requests', 'id', id, changes, connection),
+
+  // Live incidents with an SLA stage not yet escalated; never checked first (NULLs sort first), then
+  // the longest since their last check, so ones that keep failing don't hold up the rest
+  slaCandidates: (now, { limit } = {}) => {
+    const { condition, params } = escalationCondition(now);
+    return executeQuery(
+      `SELECT r.* FROM requests r
+       WHERE r.deleted_at IS NULL AND r.request_status IN ('open', 'in-progress') AND ${condition}
+       ORDER BY r.sla_checked_at ASC, r.created_at ASC, r.id ASC LIMIT ?`,
+      [...params, limitParam(limit)]
+    );
+  },
+
+  // Bookkeeping for the SLA check only, so updated_at keeps its value
+  markSlaChecked: async (ids, now) => {
+    if (ids.length === 0) return;
+    await executeQuery(
+      `UPDATE requests SET sla_checked_at = ?, updated_at = updated_at WHERE id IN (${placeholders(ids)})`,
+      [toParam('requests', 'sla_checked_at', now), ...ids]
+    );
+  },
+
+  // Ids of every incident, deleted or not, in id order after `after`
+  idsAfter: async (after, { limit } = {}) => {
+    const rows = await executeQuery(
+      `SELECT id FROM requests WHERE id > ? ORDER BY id ASC LIMIT ?`,
+      [after || '', limitParam(limit)]
+    );
+    return rows.map(row => row.id);
+  },
+
+  // Live incidents grouped under a parent, in id order so locks are always taken the same way
+  children: (parentId, { lock = false } = {}, connection) => executeQuery(
+    `SELECT * FROM requests WHERE parent_id = ? AND deleted_at IS NULL ORDER BY id${lock ? ' FOR UPDATE' : ''}`,
+    [parentId],
+    connection
+  )
+};
+
+const comments = {
+  insert: (row, connection) => insertRow('request_comments', row, connection),
+
+  get: async (requestId, commentId) => {
+    const [row] = await executeQuery(
+      'SELECT * FROM request_comments WHERE id = ? AND request_id = ?',
+      [commentId, requestId]
+    );
+    return row || null;
+  },
+
+  // Oldest first, for any number of incidents at once
+  listForRequests: async (requestIds, { includeInternal = false } = {}) => {
+    if (requestIds.length === 0) return [];
+    return executeQuery(
+      `SELECT * FROM request_comments WHERE request_id IN (${placeholders(requestIds)})
+       ${includeInternal ? '' : 'AND is_internal = FALSE'}
+       ORDER BY created_at ASC, id ASC`,
+      requestIds
+    );
+  },
+
+  update: (id, changes, connection) => updateRow('request_comments', 'id', id, changes, connection),
+
+  remove: async (id, connection) => {
+    await executeQuery('DELETE FROM request_comments WHERE id = ?', [id], connection);
+  }
+};
+
+const users = {
+  // Duplicate ids and emails are reported with the key that clashed
+  insert: async (row, connection) => {
+    try {
+      await insertRow('user_roles', row, connection);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        error.key = error.message.includes('email') ? 'email' : 'user_id';
+      }
+      throw error;
+    }
+  },
+
+  get: async (userId, { lock = false } = {}, connection) => {
+    const [row] = await executeQuery(
+      `SELECT * FROM user_roles WHERE user_id = ?${lock ? ' FOR UPDATE' : ''}`,
+      [userId],
+      connection
+    );
+    return row || null;
+  },
+
+  findByEmail: async (email, connection) => {
+    const [row] = await executeQuery('SELECT * FROM user_roles WHERE email = ?', [email], connection);
+    return row || null;
+  },
+
+  // Matches a user_roles id or an email
+  findByIdOrEmail: async (value, connection) => {
+    const [row] = await executeQuery(
+      'SELECT * FROM user_roles WHERE user_id = ? OR email = ?',
+      [value, String(value).toLowerCase()],
+      connection
+    );
+    return row || null;
+  },
+
+  list: ({ role, active, q } = {}, { lock = false } = {}, connection) => {
+    const conditions = [];
+    const params = [];
+    if (role !== undefined) {
+      conditions.push('user_role = ?');
+      params.push(role);
+    }
+    if (active !== undefined) {
+      conditions.push('is_active = ?');
+      params.push(active);
+    }
+    if (q) {
+      conditions.push('(email LIKE ? OR user_name LIKE ?)');
+      params.push(`%${escapeLike(q)}%`, `%${escapeLike(q)}%`);
+    }
+
+    // Locking reads go in key order so two transactions can't deadlock on them
+    return executeQuery(
+      `SELECT * FROM user_roles ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ${lock ? 'user_id' : 'user_name, email'}${lock ? ' FOR UPDATE' : ''}`,
+      params,
+      connection
+    );
+  },
+
+  update: (userId, changes, connection) => updateRow('user_roles', 'user_id', userId, changes, connection)
+};
+
+const audit = {
+  getHead: async (chainName, { lock = false } = {}, connection) => {
+    const [row] = await executeQuery(
+      `SELECT last_seq, last_hash FROM audit_chain_head WHERE chain_name = ?${lock ? ' FOR UPDATE' : ''}`,
+      [chainName],
+      connection
+    );
+    return row ? { lastSeq: Number(row.last_seq), lastHash: row.last_hash } : null;
+  },
+
+  // Creates the head unless another transaction got there first
+  createHead: async (chainName, hash, connection) => {
+    await executeQuery(
+      'INSERT IGNORE INTO audit_chain_head (chain_name, last_seq, last_hash) VALUES (?, 0, ?)',
+      [chainName, hash],
+      connection
+    );
+  },
+
+  setHead: async (chainName, { lastSeq, lastHash }, connection) => {
+    await executeQuery(
+      'UPDATE audit_chain_head SET last_seq = ?, last_hash = ? WHERE chain_name = ?',
+      [lastSeq, lastHash, chainName],
+      connection
+    );
+  },
+
+  insertEntry: (row, connection) => insertRow('request_audit_log', row, connection),
+
+  listForRequest: (requestId) => executeQuery(
+    'SELECT * FROM request_audit_log WHERE request_id = ? ORDER BY id ASC',
+    [requestId]
+  ),
+
+  // Newest first; beforeId continues from the last entry of the previous page
+  find: ({ userId, actions, requestId, from, to, beforeId } = {}, { limit } = {}) => {
+    const conditions = [];
+    const params = [];
+    const add = (condition, ...values) => {
+      conditions.push(condition);
+      params.push(...values);
+    };
+
+    if (userId !== undefined) add('user_id = ?', userId);
+    if (actions) add(`action_type IN (${placeholders(actions)})`, ...actions);
+    if (requestId !== undefined) add('request_id = ?', requestId);
+    if (from) add('created_at >= ?', toSqlDateTime(from));
+    if (to) add('created_at < ?', toSqlDateTime(to));
+    if (beforeId !== undefined) add('id < ?', beforeId);
+
+    return executeQuery(
+      `SELECT * FROM request_audit_log
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id DESC LIMIT ?`,
+      [...params, limitParam(limit)]
+    );
+  },
+
+  getBySeq: async (seq) => {
+    const [row] = await executeQuery('SELECT * FROM request_audit_log WHERE chain_seq = ?', [seq]);
+    return row || null;
+  },
+
+  listBySeq: (fromSeq, toSeq, { limit } = {}) => executeQuery(
+    `SELECT * FROM request_audit_log WHERE chain_seq BETWEEN ? AND ? ORDER BY chain_seq ASC LIMIT ?`,
+    [fromSeq, toSeq, limitParam(limit)]
+  ),
+
+  insertUserEntry: (row, connection) => insertRow('user_audit_log', row, connection),
+
+  listUserEntries: (targetUserId, { limit } = {}) => executeQuery(
+    `SELECT * FROM user_audit_log WHERE target_user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?`,
+    [targetUserId, limitParam(limit)]
+  )
+};
+
+// Indicators with the number of live (not deleted) reports that mention them
+const INDICATOR_WITH_COUNT = `
+  SELECT i.*, COUNT(r.id) AS report_count
+  FROM indicators i
+  LEFT JOIN request_indicators ri ON ri.indicator_id = i.id
+  LEFT JOIN requests r ON r.id = ri.request_id AND r.deleted_at IS NULL`;
+
+const indicators = {
+  // Replaces the request's links with `found` ({ id, type, value, source }, sorted by id so
+  // concurrent reports of one campaign take their locks in the same order)
+  replaceForRequest: async (requestId, found, connection) => {
+    await executeQuery('DELETE FROM request_indicators WHERE request_id = ?', [requestId], connection);
+    if (found.length === 0) return;
+
+    const now = toSqlDateTime(new Date());
+    await executeQuery(
+      `INSERT INTO indicators (id, indicator_type, value, first_seen_at, last_seen_at)
+       VALUES ${found.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+       ON DUPLICATE KEY UPDATE last_seen_at = VALUES(last_seen_at)`,
+      found.flatMap(indicator => [indicator.id, indicator.type, indicator.value, now, now]),
+      connection
+    );
+    await executeQuery(
+      `INSERT INTO request_indicators (request_id, indicator_id, source_field)
+       VALUES ${found.map(() => '(?, ?, ?)').join(', ')}`,
+      found.flatMap(indicator => [requestId, indicator.id, indicator.source]),
+      connection
+    );
+  },
+
+  getMany: async (ids) => {
+    if (ids.length === 0) return [];
+    return executeQuery(`${INDICATOR_WITH_COUNT} WHERE i.id IN (${placeholders(ids)}) GROUP BY i.id`, ids);
+  },
+
+  // Most reported first
+  listForRequest: (requestId) => executeQuery(
+    `${INDICATOR_WITH_COUNT}
+     WHERE i.id IN (SELECT indicator_id FROM request_indicators WHERE request_id = ?)
+     GROUP BY i.id
+     ORDER BY report_count DESC, i.indicator_type, i.value`,
+    [requestId]
+  ),
+
+  // One row per indicator this request shares with another live request: the other request's id
+  // and the indicator; `type` and `since` (the other request's created_at) narrow it down
+  sharedWith: (requestId, { type, since } = {}, connection) => {
+    const conditions = ['mine.request_id = ?'];
+    const params = [requestId];
+    if (type) {
+      conditions.push('i.indicator_type = ?');
+      params.push(type);
+    }
+    if (since) {
+      conditions.push('r.created_at >= ?');
+      params.push(toSqlDateTime(since));
+    }
+
+    return executeQuery(
+      `SELECT other.request_id, i.id, i.indicator_type, i.value
+       FROM request_indicators mine
+       JOIN request_indicators other ON other.indicator_id = mine.indicator_id AND other.request_id <> mine.request_id
+       JOIN indicators i ON i.id = mine.indicator_id
+       JOIN requests r ON r.id = other.request_id AND r.deleted_at IS NULL
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY other.request_id, i.id`,
+      params,
+      connection
+    );
+  },
+
+  // Links between live requests created since `since` and the indicators at least minReports of them share
+  campaignLinks: ({ since, minReports }) => executeQuery(
+    `SELECT ri.indicator_id, i.indicator_type, i.value, ri.request_id, r.created_at
+     FROM request_indicators ri
+     JOIN indicators i ON i.id = ri.indicator_id
+     JOIN requests r ON r.id = ri.request_id
+     WHERE r.deleted_at IS NULL AND r.created_at >= ? AND ri.indicator_id IN (
+       SELECT shared.indicator_id FROM (
+         SELECT ri2.indicator_id
+         FROM request_indicators ri2
+         JOIN requests r2 ON r2.id = ri2.request_id
+         WHERE r2.deleted_at IS NULL AND r2.created_at >= ?
+         GROUP BY ri2.indicator_id
+         HAVING COUNT(*) >= ?
+       ) shared
+     )
+     ORDER BY ri.indicator_id, ri.request_id`,
+    [toSqlDateTime(since), toSqlDateTime(since), minReports]
+  )
+};
+
+const attachments = {
+  insert: (row, connection) => insertRow('request_attachments', row, connection),
+
+  get: async (requestId, attachmentId) => {
+    const [row] = await executeQuery(
+      'SELECT * FROM request_attachments WHERE id = ? AND request_id = ?',
+      [attachmentId, requestId]
+    );
+    return row || null;
+  },
+
+  // Oldest first
+  listForRequest: (requestId, { includeInternal = false } = {}) => executeQuery(
+    `SELECT * FROM request_attachments WHERE request_id = ?${includeInternal ? '' : ' AND is_internal = FALSE'}
+     ORDER BY created_at ASC, id ASC`,
+    [requestId]
+  ),
+
+  totalBytes: async (requestId, connection) => {
+    const [row] = await executeQuery(
+      'SELECT COALESCE(SUM(size_bytes), 0) AS total FROM request_attachments WHERE request_id = ?',
+      [requestId],
+      connection
+    );
+    return Number(row.total);
+  },
+
+  remove: async (id, connection) => {
+    await executeQuery('DELETE FROM request_attachments WHERE id = ?', [id], connection);
+  }
+};
+
+// Pending messages that are due, plus sends abandoned by a container that died mid-delivery
+const DUE_CONDITION = `(
+  (delivery_status = 'pending' AND next_attempt_at <= ?)
+  OR (delivery_status = 'sending' AND locked_until < ?)
+)`;
+
+const outbox = {
+  // Written with the transaction's connection so the message commits with the change it reports
+  insert: (row, connection) => insertRow('notification_outbox', row, connection),
+
+  get: async (id) => {
+    const [row] = await executeQuery('SELECT * FROM notification_outbox WHERE id = ?', [id]);
+    return row || null;
+  },
+
+  // Ids of due messages, longest waiting first
+  findDue: async (now, { limit } = {}) => {
+    const rows = await executeQuery(
+      `SELECT id FROM notification_outbox WHERE ${DUE_CONDITION} ORDER BY next_attempt_at ASC, id ASC LIMIT ?`,
+      [toSqlDateTime(now), toSqlDateTime(now), limitParam(limit)]
+    );
+    return rows.map(row => row.id);
+  },
+
+  // A conditional UPDATE, so two containers can't both claim a message; returns the claimed row
+  claim: async (id, { now, lockedUntil }) => {
+    const result = await executeQuery(
+      `UPDATE notification_outbox
+       SET delivery_status = 'sending', attempts = attempts + 1, locked_until = ?
+       WHERE id = ? AND ${DUE_CONDITION}`,
+      [toSqlDateTime(lockedUntil), id, toSqlDateTime(now), toSqlDateTime(now)]
+    );
+    return result.affectedRows === 1 ? outbox.get(id) : null;
+  },
+
+  update: (id, changes) => updateRow('notification_outbox', 'id', id, changes),
+
+  // Newest first
+  list: ({ status } = {}, { limit } = {}) => executeQuery(
+    `SELECT * FROM notification_outbox${status ? ' WHERE delivery_status = ?' : ''}
+     ORDER BY created_at DESC, id DESC LIMIT ?`,
+    [...(status ? [status] : []), limitParam(limit)]
+  ),
+
+  // Only dead messages are put back; returns whether this one was
+  requeueDead: async (id, now) => {
+    const result = await executeQuery(
+      `UPDATE notification_outbox
+       SET delivery_status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL
+       WHERE id = ? AND delivery_status = 'dead'`,
+      [toSqlDateTime(now), id]
+    );
+    return result.affectedRows === 1;
+  }
+};
+
+const preferences = {
+  listForEmail: (email, connection) => executeQuery(
+    'SELECT event_type, enabled FROM notification_preferences WHERE email = ?',
+    [email],
+    connection
+  ),
+
+  set: async (email, eventType, enabled) => {
+    await executeQuery(
+      `INSERT INTO notification_preferences (email, event_type, enabled) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)`,
+      [email, eventType, enabled]
+    );
+  }
+};
+
+const idempotencyKeys = {
+  // Fails with ER_DUP_ENTRY when the user already holds the key
+  insert: (row) => insertRow('idempotency_keys', row),
+
+  get: async (userId, key) => {
+    const [row] = await executeQuery(
+      'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+      [userId, key]
+    );
+    return row || null;
+  },
+
+  // With createdAt, only the row as it was read goes; returns whether a row was removed
+  remove: async (userId, key, { createdAt } = {}) => {
+    const result = await executeQuery(
+      `DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?${createdAt ? ' AND created_at = ?' : ''}`,
+      createdAt ? [userId, key, toSqlDateTime(new Date(createdAt))] : [userId, key]
+    );
+    return result.affectedRows > 0;
+  },
+
+  complete: async (userId, key, { responseStatus, responseBody }) => {
+    await executeQuery(
+      `UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ?
+       WHERE user_id = ? AND idempotency_key = ?`,
+      [responseStatus, responseBody, userId, key]
+    );
+  },
+
+  removeExpired: async (now) => {
+    const result = await executeQuery('DELETE FROM idempotency_keys WHERE expires_at <= ?', [toSqlDateTime(now)]);
+    return result.affectedRows || 0;
+  }
+};
+
+const rateLimits = {
+  // Adds one hit to the bucket's window and returns the window's total
+  hit: async (bucket, windowStart) => {
+    await executeQuery(
+      `INSERT INTO rate_limits (bucket, window_start, hits) VALUES (?, ?, 1)
+       ON DUPLICATE KEY UPDATE hits = hits + 1`,
+      [bucket, toSqlDateTime(windowStart)]
+    );
+    const [row] = await executeQuery(
+      'SELECT hits FROM rate_limits WHERE bucket = ? AND window_start = ?',
+      [bucket, toSqlDateTime(windowStart)]
+    );
+    return Number(row?.hits || 0);
+  },
+
+  removeBefore: async (windowStart) => {
+    const result = await executeQuery('DELETE FROM rate_limits WHERE window_start < ?', [toSqlDateTime(windowStart)]);
+    return result.affectedRows || 0;
+  }
+};
+
+const BUCKET_SQL = {
+  day: (column) => `DATE_FORMAT(${column}, '%Y-%m-%d')`,
+  week: (column) => `DATE_FORMAT(DATE_SUB(DATE(${column}), INTERVAL WEEKDAY(${column}) DAY), '%Y-%m-%d')`,
+  month: (column) => `DATE_FORMAT(${column}, '%Y-%m-01')`
+};
+
+const BREAKDOWN_SQL = {
+  type: 'r.request_type',
+  priority: 'r.priority_level',
+  department: "JSON_UNQUOTE(JSON_EXTRACT(r.user_info, '$.department'))",
+  assignee: 'r.assigned_to'
+};
+
+const RANGE_COLUMNS = ['created_at', 'completed_at'];
+
+const RESPONSE_TIME_COLUMNS = `
+  COUNT(r.approved_at) AS acknowledged,
+  AVG(TIMESTAMPDIFF(SECOND, r.created_at, r.approved_at)) AS mtta_seconds,
+  COUNT(r.completed_at) AS resolved,
+  AVG(TIMESTAMPDIFF(SECOND, r.created_at, r.completed_at)) AS mttr_seconds`;
+
+// SUM and AVG come back from mysql2 as DECIMAL strings
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const mapResponseTimes = (row = {}) => ({
+  acknowledged: toNumber(row.acknowledged) || 0,
+  mttaSeconds: toNumber(row.mtta_seconds),
+  resolved: toNumber(row.resolved) || 0,
+  mttrSeconds: toNumber(row.mttr_seconds)
+});
+
+// Live incidents matching the list filters whose `column` falls in the range
+const rangeConditions = (filters, column, range) => {
+  if (!RANGE_COLUMNS.includes(column)) {
+    throw new Error(`Unknown range column: ${column}`);
+  }
+  const { conditions, params } = filterConditions(filters);
+  return {
+    where: ['r.deleted_at IS NULL', `r.${column} >= ?`, `r.${column} < ?`, ...conditions].join(' AND '),
+    params: [toSqlDateTime(range.from), toSqlDateTime(range.to), ...params]
+  };
+};
+
+const analytics = {
+  // Counts per bucket, keyed by the bucket's first day (YYYY-MM-DD)
+  countByBucket: async ({ interval, column, filters, range }) => {
+    const { where, params } = rangeConditions(filters, column, range);
+    const rows = await executeQuery(
+      `SELECT ${BUCKET_SQL[interval](`r.${column}`)} AS bucket, COUNT(*) AS count FROM requests r WHERE ${where} GROUP BY bucket`,
+      params
+    );
+    return new Map(rows.map(row => [row.bucket, toNumber(row.count)]));
+  },
+
+  // Incidents created in the range per group, largest first, with a count per status
+  breakdown: async ({ by, filters, range }) => {
+    const { where, params } = rangeConditions(filters, 'created_at', range);
+    const statusColumns = STATUS_VALUES.map(status => `SUM(r.request_status = ?) AS \`${status}\``);
+    const rows = await executeQuery(
+      `SELECT ${BREAKDOWN_SQL[by]} AS group_key, COUNT(*) AS total, ${statusColumns.join(', ')}
+       FROM requests r WHERE ${where}
+       GROUP BY group_key ORDER BY total DESC, group_key ASC`,
+      [...STATUS_VALUES, ...params]
+    );
+    return rows.map(row => ({
+      key: row.group_key,
+      total: toNumber(row.total),
+      byStatus: Object.fromEntries(STATUS_VALUES.map(status => [status, toNumber(row[status]) || 0]))
+    }));
+  },
+
+  // Acknowledged and resolved counts with mean seconds to each, overall and per priority
+  responseTimes: async ({ filters, range }) => {
+    const { where, params } = rangeConditions(filters, 'created_at', range);
+    const [overall] = await executeQuery(`SELECT ${RESPONSE_TIME_COLUMNS} FROM requests r WHERE ${where}`, params);
+    const byPriority = await executeQuery(
+      `SELECT r.priority_level AS priority, ${RESPONSE_TIME_COLUMNS} FROM requests r WHERE ${where} GROUP BY r.priority_level`,
+      params
+    );
+    return {
+      overall: mapResponseTimes(overall),
+      byPriority: Object.fromEntries(byPriority.map(row => [row.priority, mapResponseTimes(row)]))
+    };
+  },
+
+  // Priority and age in seconds of live incidents in the given statuses, youngest first
+  ages: async ({ statuses, filters, now }) => {
+    const { conditions, params } = filterConditions(filters);
+    const rows = await executeQuery(
+      `SELECT r.priority_level AS priority, TIMESTAMPDIFF(SECOND, r.created_at, ?) AS age_seconds
+       FROM requests r
+       WHERE ${['r.deleted_at IS NULL', `r.request_status IN (${placeholders(statuses)})`, ...conditions].join(' AND ')}
+       ORDER BY age_seconds ASC`,
+      [toSqlDateTime(now), ...statuses, ...params]
+    );
+    return rows.map(row => ({ priority: row.priority, ageSeconds: toNumber(row.age_seconds) }));
+  },
+
+  // The request_stats view's one row, or null on an empty database
+  stats: async () => {
+    const [row] = await executeQuery('SELECT * FROM request_stats');
+    return row || null;
+  }
+};
+
+const createMysqlRepositories = () => ({
+  name: 'mysql',
+  supportsSql: true,
+  incidents,
+  comments,
+  users,
+  audit,
+  indicators,
+  attachments,
+  outbox,
+  preferences,
+  idempotencyKeys,
+  rateLimits,
+  analytics,
+  transaction: withTransaction
+});
+
+module.exports = {
+  filterConditions,
+  createMysqlRepositories
+};
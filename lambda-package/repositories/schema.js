@@ -0,0 +1,184 @@
+// repositories/schema.js - Columns and allowed values both stores agree on, mirroring the migrations
+
+// Same order as the CHECK constraints; list sorts by priority and status follow it
+const STATUS_VALUES = ['open', 'in-progress', 'resolved', 'closed'];
+const PRIORITY_VALUES = ['low', 'medium', 'high', 'critical'];
+
+const SORT_KEYS = ['created_at', 'updated_at', 'priority', 'status'];
+
+// Per table: every column, then the ones read back as parsed JSON, Dates and 0/1 flags.
+// `defaults` are filled in on insert the way the table's DEFAULT clauses would, and
+// `touched` columns are set to the current time by any update that doesn't set them itself.
+const COLUMNS = {
+  requests: {
+    all: [
+      'id', 'user_id', 'user_info', 'form_data', 'request_type', 'details', 'reason', 'request_status',
+      'priority_level', 'created_at', 'updated_at', 'approved_at', 'completed_at', 'assigned_to', 'assigned_by',
+      'deleted_at', 'deleted_by', 'sla_acknowledge_state', 'sla_resolve_state', 'sla_priority_level', 'sla_checked_at',
+      'triage', 'parent_id', 'merged_at'
+    ],
+    json: ['user_info', 'form_data', 'details', 'triage'],
+    dates: ['created_at', 'updated_at', 'approved_at', 'completed_at', 'deleted_at', 'sla_checked_at', 'merged_at'],
+    flags: [],
+    defaults: { request_status: 'open', priority_level: 'medium', created_at: 'now', updated_at: 'now' },
+    touched: ['updated_at']
+  },
+  request_comments: {
+    all: ['id', 'request_id', 'user_id', 'user_name', 'message', 'is_internal', 'created_at', 'updated_at'],
+    json: [],
+    dates: ['created_at', 'updated_at'],
+    flags: ['is_internal'],
+    defaults: { is_internal: false, created_at: 'now' },
+    touched: []
+  },
+  user_roles: {
+    all: [
+      'user_id', 'email', 'user_name', 'user_role', 'permissions', 'is_active', 'invited_by',
+      'created_at', 'last_updated', 'deactivated_at'
+    ],
+    json: ['permissions'],
+    dates: ['created_at', 'last_updated', 'deactivated_at'],
+    flags: ['is_active'],
+    defaults: { user_role: 'user', is_active: true, created_at: 'now', last_updated: 'now' },
+    touched: ['last_updated']
+  },
+  request_audit_log: {
+    all: [
+      'id', 'request_id', 'user_id', 'action_type', 'old_values', 'new_values', 'created_at',
+      'chain_seq', 'prev_hash', 'entry_hash'
+    ],
+    json: ['old_values', 'new_values'],
+    dates: ['created_at'],
+    flags: [],
+    defaults: { created_at: 'now' },
+    touched: []
+  },
+  user_audit_log: {
+    all: ['id', 'target_user_id', 'actor_user_id', 'actor_email', 'action_type', 'old_values', 'new_values', 'created_at'],
+    json: ['old_values', 'new_values'],
+    dates: ['created_at'],
+    flags: [],
+    defaults: { created_at: 'now' },
+    touched: []
+  },
+  notification_outbox: {
+    all: [
+      'id', 'event_type', 'channel_name', 'request_id', 'payload', 'delivery_status', 'attempts',
+      'next_attempt_at', 'locked_until', 'last_error', 'created_at', 'sent_at'
+    ],
+    json: ['payload'],
+    dates: ['next_attempt_at', 'locked_until', 'created_at', 'sent_at'],
+    flags: [],
+    defaults: { delivery_status: 'pending', attempts: 0, next_attempt_at: 'now', created_at: 'now' },
+    touched: []
+  },
+  notification_preferences: {
+    all: ['email', 'event_type', 'enabled', 'updated_at'],
+    json: [],
+    dates: ['updated_at'],
+    flags: ['enabled'],
+    defaults: { enabled: true, updated_at: 'now' },
+    touched: ['updated_at']
+  },
+  indicators: {
+    all: ['id', 'indicator_type', 'value', 'first_seen_at', 'last_seen_at'],
+    json: [],
+    dates: ['first_seen_at', 'last_seen_at'],
+    flags: [],
+    defaults: { first_seen_at: 'now', last_seen_at: 'now' },
+    touched: []
+  },
+  request_indicators: {
+    all: ['request_id', 'indicator_id', 'source_field', 'created_at'],
+    json: [],
+    dates: ['created_at'],
+    flags: [],
+    defaults: { created_at: 'now' },
+    touched: []
+  },
+  request_attachments: {
+    all: [
+      'id', 'request_id', 'file_name', 'content_type', 'size_bytes', 'sha256', 'storage_key',
+      'is_internal', 'is_quarantined', 'uploaded_by', 'uploaded_by_name', 'created_at'
+    ],
+    json: [],
+    dates: ['created_at'],
+    flags: ['is_internal', 'is_quarantined'],
+    defaults: { is_internal: false, is_quarantined: false, created_at: 'now' },
+    touched: []
+  },
+  idempotency_keys: {
+    all: [
+      'user_id', 'idempotency_key', 'route', 'request_hash', 'status', 'response_status', 'response_body',
+      'created_at', 'expires_at'
+    ],
+    json: [],
+    dates: ['created_at', 'expires_at'],
+    flags: [],
+    defaults: { status: 'pending', created_at: 'now' },
+    touched: []
+  },
+  rate_limits: {
+    all: ['bucket', 'window_start', 'hits'],
+    json: [],
+    dates: ['window_start'],
+    flags: [],
+    defaults: { hits: 0 },
+    touched: []
+  }
+};
+
+// Analytics buckets start at these UTC instants; weeks start on Monday
+const BUCKET_STARTS = {
+  day: (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())),
+  week: (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - (date.getUTCDay() + 6) % 7)),
+  month: (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1))
+};
+
+// Dimensions an analytics breakdown can group by
+const BREAKDOWN_KEYS = ['type', 'priority', 'department', 'assignee'];
+
+const FILTER_KEYS = [
+  'ids', 'userId', 'statuses', 'priorities', 'types', 'assignedTo', 'assigned', 'department',
+  'createdFrom', 'createdTo', 'parentId', 'merged', 'indicatorId', 'overdue', 'q'
+];
+
+// Column names end up in SQL text, so only known ones get through
+const checkColumns = (table, columns) => {
+  const unknown = columns.filter(column => !COLUMNS[table].all.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${table} columns: ${unknown.join(', ')}`);
+  }
+  return columns;
+};
+
+// Every list is bounded; a method called without a limit returns at most DEFAULT_LIMIT rows
+const DEFAULT_LIMIT = 100;
+
+const checkLimit = (limit = DEFAULT_LIMIT) => {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Row limits must be positive integers, got ${limit}`);
+  }
+  return limit;
+};
+
+const checkFilters = (filters) => {
+  const unknown = Object.keys(filters).filter(key => filters[key] !== undefined && !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown incident filters: ${unknown.join(', ')}`);
+  }
+};
+
+module.exports = {
+  STATUS_VALUES,
+  PRIORITY_VALUES,
+  SORT_KEYS,
+  COLUMNS,
+  FILTER_KEYS,
+  BUCKET_STARTS,
+  BREAKDOWN_KEYS,
+  DEFAULT_LIMIT,
+  checkColumns,
+  checkLimit,
+  checkFilters
+};
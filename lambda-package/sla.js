@@ -0,0 +1,166 @@
+// sla.js - Response targets per priority and the due dates they give each incident
+const { toSqlDateTime } = require('./db');
+
+const SLA_TARGETS = ['acknowledge', 'resolve'];
+
+// Minutes after an incident is reported by which it must be picked up (in-progress) and resolved
+const DEFAULT_POLICIES = {
+  critical: { acknowledgeMinutes: 15, resolveMinutes: 4 * 60 },
+  high: { acknowledgeMinutes: 60, resolveMinutes: 24 * 60 },
+  medium: { acknowledgeMinutes: 4 * 60, resolveMinutes: 3 * 24 * 60 },
+  low: { acknowledgeMinutes: 24 * 60, resolveMinutes: 7 * 24 * 60 }
+};
+
+const SLA_CONFIG = {
+  // Share of a target's allowance that may pass before the incident counts as at risk
+  warningRatio: parseFloat(process.env.SLA_WARNING_RATIO) || 0.8,
+  raisePriority: process.env.SLA_RAISE_PRIORITY !== 'false',
+  batchSize: parseInt(process.env.SLA_BATCH_SIZE) || 50
+};
+
+// The timestamp that meets each target; approved_at is set on the first move to in-progress
+const COMPLETION_COLUMNS = {
+  acknowledge: 'approved_at',
+  resolve: 'completed_at'
+};
+
+// Escalation stages in order; the stage each target last reached is recorded in its state column
+const SLA_STAGES = ['at-risk', 'breached'];
+const SLA_STATE_COLUMNS = {
+  acknowledge: 'sla_acknowledge_state',
+  resolve: 'sla_resolve_state'
+};
+
+// The priority the due dates follow. When the SLA check raises the priority it keeps the one before in
+// sla_priority_level, so the raise doesn't pull the other target's due date in and breach that too
+const slaPriority = (row) => row.sla_priority_level || row.priority_level;
+
+let policies = null;
+
+// SLA_POLICIES overrides the defaults per priority, e.g. {"critical":{"acknowledgeMinutes":10}}
+const loadPolicies = () => {
+  if (policies) return policies;
+
+  const overrides = process.env.SLA_POLICIES ? JSON.parse(process.env.SLA_POLICIES) : {};
+  const unknown = Object.keys(overrides).filter(priority => !DEFAULT_POLICIES[priority]);
+  if (unknown.length > 0) {
+    throw new Error(`SLA_POLICIES has unknown priorities: ${unknown.join(', ')}`);
+  }
+
+  policies = Object.fromEntries(Object.entries(DEFAULT_POLICIES).map(([priority, defaults]) => {
+    const policy = { ...defaults, ...overrides[priority] };
+    SLA_TARGETS.forEach(target => {
+      const minutes = policy[`${target}Minutes`];
+      if (!Number.isFinite(minutes) || minutes <= 0) {
+        throw new Error(`SLA_POLICIES.${priority}.${target}Minutes must be a positive number`);
+      }
+    });
+    return [priority, policy];
+  }));
+
+  return policies;
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+// met / missed once the target is done; on-track, at-risk or breached while it is still open
+const targetStatus = (dueAt, warnAt, completedAt, now) => {
+  if (completedAt) return completedAt <= dueAt ? 'met' : 'missed';
+  if (now > dueAt) return 'breached';
+  if (now >= warnAt) return 'at-risk';
+  return 'on-track';
+};
+
+// Due dates and progress for one request row; null when its priority has no policy
+const computeSla = (row, now = new Date()) => {
+  const policy = loadPolicies()[slaPriority(row)];
+  if (!policy || !row.created_at) return null;
+
+  const createdAt = new Date(row.created_at);
+  const sla = { policy };
+
+  SLA_TARGETS.forEach(target => {
+    const minutes = policy[`${target}Minutes`];
+    const dueAt = addMinutes(createdAt, minutes);
+    const warnAt = addMinutes(createdAt, minutes * SLA_CONFIG.warningRatio);
+    const completedAt = row[COMPLETION_COLUMNS[target]] ? new Date(row[COMPLETION_COLUMNS[target]]) : null;
+
+    sla[target] = {
+      dueAt,
+      completedAt,
+      status: targetStatus(dueAt, warnAt, completedAt, now)
+    };
+  });
+
+  sla.overdue = SLA_TARGETS.some(target => sla[target].status === 'breached');
+  return sla;
+};
+
+// Requests whose target is still open after `share` of its allowance has passed
+const targetCondition = (target, now = new Date(), share = 1) => {
+  const clauses = [];
+  const params = [];
+
+  Object.entries(loadPolicies()).forEach(([priority, policy]) => {
+    clauses.push('(COALESCE(r.sla_priority_level, r.priority_level) = ? AND r.created_at < ?)');
+    params.push(priority, toSqlDateTime(addMinutes(now, -policy[`${target}Minutes`] * share)));
+  });
+
+  return {
+    condition: `(r.${COMPLETION_COLUMNS[target]} IS NULL AND (${clauses.join(' OR ')}))`,
+    params
+  };
+};
+
+// Active requests past at least one due date, as a WHERE condition for the list filters
+const overdueCondition = (now = new Date()) => {
+  const parts = SLA_TARGETS.map(target => targetCondition(target, now));
+
+  return {
+    condition: `(r.request_status IN ('open', 'in-progress') AND (${parts.map(part => part.condition).join(' OR ')}))`,
+    params: parts.flatMap(part => part.params)
+  };
+};
+
+// Targets of one request row that reached a stage later than the one recorded for them
+const newStages = (row, now = new Date()) => {
+  const sla = computeSla(row, now);
+  if (!sla) return [];
+
+  return SLA_TARGETS
+    .filter(target => SLA_STAGES.indexOf(sla[target].status) > SLA_STAGES.indexOf(row[SLA_STATE_COLUMNS[target]]))
+    .map(target => ({ target, stage: sla[target].status, dueAt: sla[target].dueAt }));
+};
+
+// Requests with a target that has reached a stage not yet escalated, as a WHERE condition
+const escalationCondition = (now = new Date()) => {
+  const parts = SLA_TARGETS.flatMap(target => {
+    const column = `r.${SLA_STATE_COLUMNS[target]}`;
+    const atRisk = targetCondition(target, now, SLA_CONFIG.warningRatio);
+    const breached = targetCondition(target, now);
+
+    return [
+      { condition: `(${column} IS NULL AND ${atRisk.condition})`, params: atRisk.params },
+      { condition: `(${column} = 'at-risk' AND ${breached.condition})`, params: breached.params }
+    ];
+  });
+
+  return {
+    condition: `(${parts.map(part => part.condition).join(' OR ')})`,
+    params: parts.flatMap(part => part.params)
+  };
+};
+
+module.exports = {
+  SLA_TARGETS,
+  SLA_CONFIG,
+  SLA_STAGES,
+  SLA_STATE_COLUMNS,
+  slaPriority,
+  loadPolicies,
+  computeSla,
+  targetCondition,
+  overdueCondition,
+  newStages,
+  escalationCondition
+};
@@ -0,0 +1,132 @@
+// stix.js - Builds STIX 2.1 bundles from phishing and suspicious-website reports
+const crypto = require('crypto');
+
+// Namespace the STIX 2.1 spec defines for deterministic cyber-observable ids
+const STIX_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+
+// Our own namespace, so re-exporting an incident yields the same indicator and observed-data ids
+const PORTAL_NAMESPACE = '6f1f3c1e-51b1-4c5e-9a55-3f0c5b7e2d41';
+
+const PRODUCER_NAME = 'Company Security Portal';
+
+// Incident types whose formData carries observables worth sharing
+const STIX_INCIDENT_TYPES = ['phishing-email', 'suspicious-website'];
+
+const OBSERVABLES = [
+  { field: 'senderEmail', type: 'email-addr', name: 'Phishing sender' },
+  { field: 'url', type: 'url', name: 'Malicious URL' }
+];
+
+// RFC 4122 version 5 (SHA-1, name-based) UUID
+const uuidv5 = (namespace, name) => {
+  const hash = crypto.createHash('sha1')
+    .update(Buffer.from(namespace.replace(/-/g, ''), 'hex'))
+    .update(name)
+    .digest();
+
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const timestamp = (value) => new Date(value).toISOString();
+
+// String literals in STIX patterns escape backslashes and single quotes
+const patternString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+const PRODUCER = {
+  type: 'identity',
+  spec_version: '2.1',
+  id: `identity--${uuidv5(PORTAL_NAMESPACE, 'producer')}`,
+  created: '2024-01-01T00:00:00.000Z',
+  modified: '2024-01-01T00:00:00.000Z',
+  name: PRODUCER_NAME,
+  identity_class: 'organization'
+};
+
+// The real incident type; the portal's report form sends it inside formData
+const incidentTypeOf = (request) =>
+  request.type === 'phishing-report' ? request.formData?.incidentType : request.type;
+
+// Indicator, observed-data and relationship objects for one incident, or none if it has no observables
+const incidentObjects = (request) => {
+  if (!STIX_INCIDENT_TYPES.includes(incidentTypeOf(request))) return [];
+
+  const formData = request.formData || {};
+  const observables = OBSERVABLES.filter(observable => formData[observable.field]);
+  if (observables.length === 0) return [];
+
+  const created = timestamp(request.createdAt);
+  const modified = timestamp(request.updatedAt || request.createdAt);
+  const externalReferences = [{ source_name: 'company-security-portal', external_id: request.id }];
+
+  const scos = observables.map(observable => ({
+    type: observable.type,
+    spec_version: '2.1',
+    id: `${observable.type}--${uuidv5(STIX_NAMESPACE, JSON.stringify({ value: formData[observable.field] }))}`,
+    value: formData[observable.field]
+  }));
+
+  const observedData = {
+    type: 'observed-data',
+    spec_version: '2.1',
+    id: `observed-data--${uuidv5(PORTAL_NAMESPACE, `${request.id}/observed-data`)}`,
+    created_by_ref: PRODUCER.id,
+    created,
+    modified,
+    first_observed: created,
+    last_observed: created,
+    number_observed: 1,
+    object_refs: scos.map(sco => sco.id),
+    external_references: externalReferences
+  };
+
+  const indicators = observables.map((observable, index) => ({
+    type: 'indicator',
+    spec_version: '2.1',
+    id: `indicator--${uuidv5(PORTAL_NAMESPACE, `${request.id}/indicator/${scos[index].id}`)}`,
+    created_by_ref: PRODUCER.id,
+    created,
+    modified,
+    name: `${observable.name}: ${scos[index].value}`,
+    description: formData.subject || request.reason,
+    indicator_types: ['malicious-activity'],
+    pattern: `[${observable.type}:value = ${patternString(scos[index].value)}]`,
+    pattern_type: 'stix',
+    valid_from: created,
+    labels: [incidentTypeOf(request)],
+    external_references: externalReferences
+  }));
+
+  const relationships = indicators.map(indicator => ({
+    type: 'relationship',
+    spec_version: '2.1',
+    id: `relationship--${uuidv5(PORTAL_NAMESPACE, `${indicator.id}/based-on/${observedData.id}`)}`,
+    created_by_ref: PRODUCER.id,
+    created,
+    modified,
+    relationship_type: 'based-on',
+    source_ref: indicator.id,
+    target_ref: observedData.id
+  }));
+
+  return [...scos, observedData, ...indicators, ...relationships];
+};
+
+// One bundle per page of incidents; observables shared by several incidents appear once
+const toStixBundle = (requests) => {
+  const objects = new Map([[PRODUCER.id, PRODUCER]]);
+  requests.flatMap(incidentObjects).forEach(object => objects.set(object.id, object));
+
+  return {
+    type: 'bundle',
+    id: `bundle--${crypto.randomUUID()}`,
+    objects: [...objects.values()]
+  };
+};
+
+module.exports = {
+  toStixBundle
+};
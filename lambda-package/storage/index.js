@@ -0,0 +1,38 @@
+// storage/index.js - Picks the attachment storage backend from the environment
+const os = require('os');
+const path = require('path');
+const s3 = require('./s3');
+const local = require('./local');
+
+const BACKENDS = { s3, local };
+
+// ATTACHMENT_BUCKET alone selects S3; without it files go to a local directory
+const STORAGE_CONFIG = {
+  backend: process.env.ATTACHMENT_STORAGE || (process.env.ATTACHMENT_BUCKET ? 's3' : 'local'),
+  bucket: process.env.ATTACHMENT_BUCKET,
+  prefix: process.env.ATTACHMENT_PREFIX || 'attachments/',
+  directory: process.env.ATTACHMENT_DIR || path.join(os.tmpdir(), 'security-portal-attachments')
+};
+
+// Every backend stores, reads and removes a Buffer under a key
+const getStorage = () => {
+  const backend = BACKENDS[STORAGE_CONFIG.backend];
+  if (!backend) {
+    throw new Error(`Unknown ATTACHMENT_STORAGE '${STORAGE_CONFIG.backend}'. Valid backends: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  if (STORAGE_CONFIG.backend === 's3' && !STORAGE_CONFIG.bucket) {
+    throw new Error('S3 attachment storage is not configured: set ATTACHMENT_BUCKET');
+  }
+
+  return {
+    name: STORAGE_CONFIG.backend,
+    put: (key, content, options) => backend.put(STORAGE_CONFIG, key, content, options),
+    get: (key) => backend.get(STORAGE_CONFIG, key),
+    remove: (key) => backend.remove(STORAGE_CONFIG, key)
+  };
+};
+
+module.exports = {
+  STORAGE_CONFIG,
+  getStorage
+};
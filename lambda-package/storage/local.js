@@ -0,0 +1,32 @@
+// storage/local.js - Attachment files in a local directory, for development and tests
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keys are generated by the API, but a key must never point outside the directory
+const filePath = (config, key) => {
+  const root = path.resolve(config.directory);
+  const file = path.resolve(root, key);
+  if (!file.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return file;
+};
+
+const put = async (config, key, content) => {
+  const file = filePath(config, key);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, content);
+};
+
+const get = async (config, key) => fs.readFile(filePath(config, key));
+
+// Removing a file that is already gone is not an error
+const remove = async (config, key) => {
+  await fs.rm(filePath(config, key), { force: true });
+};
+
+module.exports = {
+  put,
+  get,
+  remove
+};
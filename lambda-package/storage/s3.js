@@ -0,0 +1,46 @@
+// storage/s3.js - Attachment objects in an S3 bucket, encrypted at rest
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+let client = null;
+
+// The Lambda's execution role provides the credentials
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({});
+  }
+  return client;
+};
+
+const objectKey = (config, key) => `${config.prefix}${key}`;
+
+const put = async (config, key, content, { contentType, sha256 }) => {
+  await getClient().send(new PutObjectCommand({
+    Bucket: config.bucket,
+    Key: objectKey(config, key),
+    Body: content,
+    ContentType: contentType,
+    ChecksumSHA256: Buffer.from(sha256, 'hex').toString('base64'),
+    ServerSideEncryption: 'AES256'
+  }));
+};
+
+const get = async (config, key) => {
+  const response = await getClient().send(new GetObjectCommand({
+    Bucket: config.bucket,
+    Key: objectKey(config, key)
+  }));
+  return Buffer.from(await response.Body.transformToByteArray());
+};
+
+const remove = async (config, key) => {
+  await getClient().send(new DeleteObjectCommand({
+    Bucket: config.bucket,
+    Key: objectKey(config, key)
+  }));
+};
+
+module.exports = {
+  put,
+  get,
+  remove
+};
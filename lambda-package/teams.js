@@ -0,0 +1,121 @@
+// teams.js - Applies the buttons on Teams incident cards, posted back by a Power Automate flow
+const crypto = require('crypto');
+const { HttpError, getHeader, parseBody } = require('./http');
+const { PERMISSIONS, loadAccessProfile, requirePermission } = require('./permissions');
+const { changeStatus } = require('./workflow');
+const { assignRequest } = require('./assignments');
+const { lockRequest, raisedPriority, updateRequest } = require('./incidents');
+const { signPayload } = require('./notifications/channels/webhook');
+const {
+  CARD_ACTIONS,
+  TEAMS_ACTION_CONFIG,
+  incidentSummary,
+  assigneeRecipient,
+  teamsActionCard,
+  dispatchNow
+} = require('./notifications');
+const { logger } = require('./logger');
+const { getRepositories, withTransaction } = require('./repositories');
+
+const unauthorized = (message) => new HttpError(401, 'Unauthorized', message);
+
+// The flow signs like our outbound webhooks: sha256=HMAC(secret, `${timestamp}.${body}`)
+const verifySignature = (event) => {
+  if (!TEAMS_ACTION_CONFIG.secret) {
+    throw new HttpError(404, 'Not Found', 'Teams card actions are not enabled');
+  }
+
+  const timestamp = getHeader(event, 'X-Portal-Timestamp');
+  const signature = getHeader(event, 'X-Portal-Signature');
+  if (!timestamp || !signature) {
+    throw unauthorized('X-Portal-Timestamp and X-Portal-Signature headers are required');
+  }
+
+  // A captured request can't be replayed once its timestamp is stale
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!/^\d+$/.test(timestamp) || skew > TEAMS_ACTION_CONFIG.maxSkewSeconds) {
+    throw unauthorized('Signature timestamp is missing or too old');
+  }
+
+  const body = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+  const expected = Buffer.from(`sha256=${signPayload(TEAMS_ACTION_CONFIG.secret, timestamp, body)}`);
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw unauthorized('Signature does not match');
+  }
+};
+
+// Teams users are matched to user_roles by email (their UPN); the user_roles id stands in for a token subject
+const resolveTeamsUser = async (user) => {
+  const email = String(user?.email || user?.userPrincipalName || '').trim().toLowerCase();
+  if (!email) {
+    throw new HttpError(400, 'Bad Request', 'user.email or user.userPrincipalName is required');
+  }
+
+  const access = await loadAccessProfile({ userId: null, email, name: user.name || email });
+  if (!access.roleUserId) {
+    throw new HttpError(403, 'Forbidden', `${email} is not a portal user`);
+  }
+  return { ...access, userId: access.roleUserId, name: access.roleUserName || access.name };
+};
+
+// Same permissions and state rules as PUT /status, PUT /assign and PUT /api/requests/:id
+const applyAction = async (connection, action, requestId, access) => {
+  switch (action) {
+    case CARD_ACTIONS.ACKNOWLEDGE:
+      requirePermission(access, PERMISSIONS.REQUEST_APPROVE);
+      return (await changeStatus(connection, { requestId, toStatus: 'in-progress', actor: access })).notificationIds;
+    case CARD_ACTIONS.TAKE_OWNERSHIP: {
+      requirePermission(access, PERMISSIONS.REQUEST_ASSIGN);
+      // A stale card must not take the incident away from whoever picked it up since; PUT /assign reassigns
+      const current = await lockRequest(connection, requestId);
+      if (current.assigned_to && current.assigned_to !== access.roleUserId) {
+        const owner = await assigneeRecipient(current.assigned_to, connection);
+        throw new HttpError(409, 'Conflict', `Incident ${requestId} is already owned by ${owner?.name || owner?.email || current.assigned_to}`);
+      }
+      return (await assignRequest(connection, { requestId, assignee: access.roleUserId, actor: access })).notificationIds;
+    }
+    case CARD_ACTIONS.ESCALATE: {
+      requirePermission(access, PERMISSIONS.REQUEST_APPROVE);
+      const current = await lockRequest(connection, requestId);
+      const priority = raisedPriority(current.priority_level);
+      if (priority === current.priority_level) {
+        throw new HttpError(409, 'Conflict', `Incident ${requestId} is already ${current.priority_level}`);
+      }
+      await updateRequest(connection, { requestId, changes: { priority }, actor: access });
+      return [];
+    }
+  }
+};
+
+// Returns the refreshed card showing who acted and what is left to do
+const handleCardAction = async (event) => {
+  verifySignature(event);
+  const data = parseBody(event);
+
+  if (!Object.values(CARD_ACTIONS).includes(data.action)) {
+    throw new HttpError(400, 'Bad Request', `Unknown action '${data.action}'. Valid actions: ${Object.values(CARD_ACTIONS).join(', ')}`);
+  }
+  if (!data.requestId || typeof data.requestId !== 'string') {
+    throw new HttpError(400, 'Bad Request', 'requestId is required');
+  }
+  const access = await resolveTeamsUser(data.user);
+
+  const notificationIds = await withTransaction(connection => applyAction(connection, data.action, data.requestId, access));
+  await dispatchNow(notificationIds);
+
+  const row = await getRepositories().incidents.get(data.requestId, { deleted: 'any' });
+  const assignee = await assigneeRecipient(row.assigned_to);
+
+  logger.info('Teams card action', { action: data.action, requestId: data.requestId, userId: access.userId });
+  return teamsActionCard(data.action, {
+    ...incidentSummary(row),
+    actorName: access.name,
+    assigneeName: assignee ? (assignee.name || assignee.email) : null,
+    actedAt: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  handleCardAction
+};
@@ -0,0 +1,128 @@
+// test/auth.test.js - Bearer token verification against a JWKS served by a stubbed fetch
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ISSUER, AUDIENCE, encode, createSigningKey } = require('./tokens');
+
+process.env.AUTH_JWKS_URL = 'https://issuer.test/.well-known/jwks.json';
+process.env.AUTH_ISSUER = ISSUER;
+process.env.AUTH_AUDIENCE = AUDIENCE;
+process.env.AUTH_CLOCK_TOLERANCE_SECONDS = '60';
+process.env.AUTH_JWKS_REFRESH_COOLDOWN_SECONDS = '60';
+
+const { authenticate, verifyToken } = require('../auth');
+
+const key = createSigningKey('current');
+const rotated = createSigningKey('rotated');
+const CLAIMS = { sub: 'user-1', email: 'User@Company.net', name: 'User One' };
+
+// The issuer's published keys; tests change it to simulate a rotation
+let published = [key.jwk];
+
+const rejectsWith = (promise, message) => assert.rejects(promise, error =>
+  error.statusCode === 401 && error.message === message);
+
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('auth', () => {
+  let fetchStub;
+
+  beforeEach(() => {
+    fetchStub = mock.method(globalThis, 'fetch', async () => ({ ok: true, json: async () => ({ keys: published }) }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('verifyToken', () => {
+    it('accepts a token signed by a published key', async () => {
+      const claims = await verifyToken(key.sign(CLAIMS));
+      assert.equal(claims.sub, 'user-1');
+    });
+
+    it('rejects a token whose signature does not match', async () => {
+      const [header, , signature] = key.sign(CLAIMS).split('.');
+      const forged = `${header}.${encode({ iss: ISSUER, aud: AUDIENCE, exp: now() + 600, ...CLAIMS, sub: 'admin-1' })}.${signature}`;
+      await rejectsWith(verifyToken(forged), 'Token signature is invalid');
+    });
+
+    it('rejects algorithms outside the allow-list, including none', async () => {
+      await rejectsWith(verifyToken(key.sign(CLAIMS, { alg: 'HS256' })), 'Unsupported token algorithm');
+      await rejectsWith(verifyToken(key.sign(CLAIMS, { alg: 'toString' })), 'Unsupported token algorithm');
+
+      const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ iss: ISSUER, aud: AUDIENCE, exp: now() + 600, ...CLAIMS })}.`;
+      await rejectsWith(verifyToken(unsigned), 'Unsupported token algorithm');
+    });
+
+    it('rejects an algorithm that does not fit the key type', async () => {
+      await rejectsWith(verifyToken(key.sign(CLAIMS, { alg: 'ES256' })), 'Token algorithm does not match its signing key');
+    });
+
+    it('rejects expired and not yet valid tokens, allowing for clock skew', async () => {
+      await rejectsWith(verifyToken(key.sign({ ...CLAIMS, exp: now() - 120 })), 'Token has expired');
+      await rejectsWith(verifyToken(key.sign({ ...CLAIMS, nbf: now() + 120 })), 'Token is not yet valid');
+      await rejectsWith(verifyToken(key.sign({ ...CLAIMS, exp: undefined })), 'Token has no expiry');
+
+      assert.ok(await verifyToken(key.sign({ ...CLAIMS, exp: now() - 30 })));
+      assert.ok(await verifyToken(key.sign({ ...CLAIMS, nbf: now() + 30 })));
+    });
+
+    it('rejects a foreign issuer or audience', async () => {
+      await rejectsWith(verifyToken(key.sign({ ...CLAIMS, iss: 'https://evil.example' })), 'Token issuer is not trusted');
+      await rejectsWith(verifyToken(key.sign({ ...CLAIMS, aud: 'another-app' })), 'Token audience is not accepted');
+
+      // Cognito access tokens name the client instead
+      assert.ok(await verifyToken(key.sign({ ...CLAIMS, aud: undefined, client_id: AUDIENCE })));
+    });
+
+    it('rejects malformed tokens', async () => {
+      await rejectsWith(verifyToken('only.two'), 'Malformed token');
+      await rejectsWith(verifyToken(`${encode([1])}.${encode({})}.x`), 'Malformed token');
+      await rejectsWith(verifyToken('!!!.???.x'), 'Malformed token');
+    });
+  });
+
+  describe('unknown key ids', () => {
+    it('refetches the JWKS at most once per cooldown', async () => {
+      const stranger = createSigningKey('stranger');
+      const before = fetchStub.mock.callCount();
+
+      await rejectsWith(verifyToken(stranger.sign(CLAIMS)), 'Token signing key not found');
+      assert.equal(fetchStub.mock.callCount() - before, 1);
+
+      // Made-up kids within the cooldown are answered from the cache
+      await rejectsWith(verifyToken(stranger.sign(CLAIMS, { kid: 'made-up-1' })), 'Token signing key not found');
+      await rejectsWith(verifyToken(stranger.sign(CLAIMS, { kid: 'made-up-2' })), 'Token signing key not found');
+      assert.equal(fetchStub.mock.callCount() - before, 1);
+
+      // A key rotated in during the cooldown is picked up once it has passed
+      published = [key.jwk, rotated.jwk];
+      await rejectsWith(verifyToken(rotated.sign(CLAIMS)), 'Token signing key not found');
+
+      const realNow = Date.now;
+      mock.method(Date, 'now', () => realNow() + 61 * 1000);
+      assert.ok(await verifyToken(rotated.sign({ ...CLAIMS, exp: now() + 600 })));
+      assert.equal(fetchStub.mock.callCount() - before, 2);
+    });
+  });
+
+  describe('authenticate', () => {
+    it('maps the claims onto the caller and needs a bearer token', async () => {
+      const caller = await authenticate({ headers: { authorization: `Bearer ${key.sign(CLAIMS)}` } });
+      assert.deepEqual(caller, { userId: 'user-1', email: 'user@company.net', name: 'User One' });
+
+      await assert.rejects(authenticate({ headers: {} }), error => error.statusCode === 401);
+    });
+
+    it('leaves the token\'s own text out of WWW-Authenticate', async () => {
+      const token = key.sign(CLAIMS, { alg: 'RS256"\r\nX-Injected: 1' });
+      await assert.rejects(authenticate({ headers: { Authorization: `Bearer ${token}` } }), error =>
+        error.statusCode === 401 && !error.headers['WWW-Authenticate'].includes('Injected'));
+    });
+
+    it('refuses a token without an email or subject', async () => {
+      const token = key.sign({ sub: 'user-1' });
+      await assert.rejects(authenticate({ headers: { Authorization: `Bearer ${token}` } }), error => error.statusCode === 403);
+    });
+  });
+});
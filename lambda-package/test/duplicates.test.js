@@ -0,0 +1,120 @@
+// test/duplicates.test.js - Possible-duplicate scoring: shared senders, similar subjects, shared URLs and who sees what
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const { getRepositories, setRepositories } = require('../repositories');
+const { createMemoryRepositories } = require('../repositories/memory');
+const { ROLES, ROLE_PERMISSIONS } = require('../permissions');
+const { createReport } = require('../intake');
+const { DUPLICATE_CONFIG, findPossibleDuplicates } = require('../duplicates');
+
+const REPORTER = { userId: 'reporter-1', email: 'reporter@company.net', name: 'Reporter One' };
+const COLLEAGUE = { userId: 'reporter-2', email: 'colleague@company.net', name: 'Reporter Two' };
+const ANALYST = { userId: 'analyst-1', email: 'analyst@company.net', name: 'Analyst' };
+
+// What loadAccessProfile returns for each role
+const accessFor = (caller, role) => ({ ...caller, roleUserId: caller.userId, role, active: true, permissions: ROLE_PERMISSIONS[role] });
+
+const report = (caller, formData, options) => createReport(caller, {
+  type: 'phishing-email',
+  reason: 'Reported from the portal',
+  formData: { description: 'Looked suspicious', severity: 'low', ...formData }
+}, options);
+
+const PHISH = {
+  senderEmail: 'billing@evil.example',
+  subject: 'Invoice 4471 overdue payment',
+  description: 'Pay at https://evil.example/pay today'
+};
+
+describe('duplicates', () => {
+  beforeEach(() => {
+    setRepositories(createMemoryRepositories());
+  });
+
+  describe('findPossibleDuplicates', () => {
+    it('ranks reports by what they share with this one', async () => {
+      const mine = await report(REPORTER, PHISH);
+      const subjectOnly = await report(COLLEAGUE, { senderEmail: 'ap@other.example', subject: 'Overdue payment for invoice 4471' });
+      const senderOnly = await report(COLLEAGUE, { senderEmail: 'Billing@Evil.Example', subject: 'Quarterly statement' });
+      const urlOnly = await report(COLLEAGUE, { senderEmail: 'x@other.example', subject: 'Quick question', description: 'See https://evil.example/pay' });
+      const everything = await report(COLLEAGUE, { ...PHISH, subject: 'RE: [EXTERNAL] Fwd: Invoice 4471 overdue payment' });
+      await report(COLLEAGUE, { senderEmail: 'hr@other.example', subject: 'Invoice reminder' });
+
+      const duplicates = await findPossibleDuplicates(mine.id, accessFor(ANALYST, ROLES.IT_SUPPORT));
+
+      assert.deepEqual(duplicates.map(duplicate => [duplicate.id, duplicate.reasons]), [
+        [everything.id, ['same-sender', 'similar-subject', 'shared-url']],
+        [urlOnly.id, ['shared-url']],
+        [senderOnly.id, ['same-sender']],
+        [subjectOnly.id, ['similar-subject']]
+      ]);
+      assert.deepEqual(duplicates[0], {
+        id: everything.id,
+        reasons: ['same-sender', 'similar-subject', 'shared-url'],
+        type: 'phishing-email',
+        subject: 'RE: [EXTERNAL] Fwd: Invoice 4471 overdue payment',
+        status: 'open',
+        parentId: null,
+        createdAt: (await getRepositories().incidents.get(everything.id)).created_at
+      });
+    });
+
+    it('matches the sender read off an attached message', async () => {
+      const mine = await report(REPORTER, PHISH);
+      const attached = await report(COLLEAGUE, { senderEmail: 'user@forwarder.example', subject: 'Quarterly statement' }, { emailAnalysis: { from: { address: 'billing@evil.example' } } });
+
+      const duplicates = await findPossibleDuplicates(mine.id, accessFor(ANALYST, ROLES.IT_SUPPORT));
+      assert.deepEqual(duplicates.map(duplicate => [duplicate.id, duplicate.reasons]), [[attached.id, ['same-sender']]]);
+    });
+
+    it('needs enough subject words in common, ignoring short words', async () => {
+      const mine = await report(REPORTER, { senderEmail: 'admin@mail.example', subject: 'Your mailbox is almost full' });
+      await report(COLLEAGUE, { senderEmail: 'it@storage.example', subject: 'Your mailbox storage' });
+      const close = await report(COLLEAGUE, { senderEmail: 'help@quota.example', subject: 'Fw: mailbox is almost full!' });
+
+      const duplicates = await findPossibleDuplicates(mine.id, accessFor(ANALYST, ROLES.IT_SUPPORT));
+      assert.deepEqual(duplicates.map(duplicate => duplicate.id), [close.id]);
+    });
+
+    it('only looks back as far as the window', async () => {
+      const mine = await report(REPORTER, PHISH);
+      const old = await report(COLLEAGUE, PHISH);
+      const recent = await report(COLLEAGUE, PHISH);
+
+      const { incidents } = getRepositories();
+      const created = (await incidents.get(mine.id)).created_at;
+      await incidents.update(old.id, { created_at: new Date(created.getTime() - (DUPLICATE_CONFIG.windowHours + 1) * 60 * 60 * 1000) });
+
+      const duplicates = await findPossibleDuplicates(mine.id, accessFor(ANALYST, ROLES.IT_SUPPORT));
+      assert.deepEqual(duplicates.map(duplicate => duplicate.id), [recent.id]);
+    });
+
+    it('leaves out deleted reports', async () => {
+      const mine = await report(REPORTER, PHISH);
+      const deleted = await report(COLLEAGUE, PHISH);
+      await getRepositories().incidents.update(deleted.id, { deleted_at: new Date() });
+
+      assert.deepEqual(await findPossibleDuplicates(mine.id, accessFor(ANALYST, ROLES.IT_SUPPORT)), []);
+    });
+
+    it('only shows reporters their own reports', async () => {
+      const mine = await report(REPORTER, PHISH);
+      await report(COLLEAGUE, PHISH);
+      const earlier = await report(REPORTER, { ...PHISH, subject: 'Something else' });
+
+      const duplicates = await findPossibleDuplicates(mine.id, accessFor(REPORTER, ROLES.USER));
+      assert.deepEqual(duplicates.map(duplicate => duplicate.id), [earlier.id]);
+    });
+
+    it('returns 404 for an unknown report', async () => {
+      await assert.rejects(
+        findPossibleDuplicates('REQ-404', accessFor(ANALYST, ROLES.IT_SUPPORT)),
+        error => error.statusCode === 404
+      );
+    });
+  });
+});
@@ -0,0 +1,207 @@
+// test/eml.test.js - Reported message analysis: trusted hops, authentication verdicts, links and warnings
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// EML_CONFIG is read when eml.js loads, so each configuration gets its own copy of the module
+const loadEml = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, { EML_TRUSTED_RELAYS: '', EML_AUTHSERV_IDS: '', ...env });
+  const modulePath = require.resolve('../eml');
+  delete require.cache[modulePath];
+  try {
+    return require('../eml');
+  } finally {
+    process.env = saved;
+    delete require.cache[modulePath];
+  }
+};
+
+const { analyzeEml, decodeEml } = loadEml({ EML_TRUSTED_RELAYS: 'company.net', EML_AUTHSERV_IDS: 'mx1.company.net' });
+
+const DATE = 'Mon, 05 Jan 2026 10:00:00 +0000';
+
+// Headers newest first, as servers prepend them
+const OUR_HOPS = [
+  `Received: from mx1.company.net (mx1.company.net [10.0.0.5]) by mailbox.company.net with ESMTP; ${DATE}`,
+  'Authentication-Results: mx1.company.net; spf=fail smtp.mailfrom=evil.example; dkim=none; dmarc=fail (p=reject) header.from=evil.example',
+  `Received: from sender.evil.example (sender.evil.example [198.51.100.7]) by mx1.company.net with ESMTPS; ${DATE}`
+];
+
+// What the sender wrote before the message reached us; none of it can be trusted
+const FORGED = [
+  'Authentication-Results: mx1.company.net; spf=pass; dkim=pass; dmarc=pass',
+  'Received-SPF: pass (forged) client-ip=203.0.113.50',
+  `Received: from trusted.company.net (trusted.company.net [203.0.113.50]) by relay.company.net with ESMTP; ${DATE}`
+];
+
+const MESSAGE_HEADERS = [
+  'From: "support@mybank.com" <Alerts@Evil.Example>',
+  'Reply-To: collect@other.example',
+  'Return-Path: <bounce@evil-bounce.example>',
+  'To: user@company.net',
+  'Subject: Your account is locked',
+  'Message-ID: <abc123@evil.example>',
+  `Date: ${DATE}`
+];
+
+const message = (headers, body = ['Content-Type: text/plain', '', 'Unlock at https://evil.example/unlock now']) =>
+  Buffer.from([...headers, 'MIME-Version: 1.0', ...body].join('\r\n'));
+
+const htmlBody = (html) => ['Content-Type: text/html; charset=utf-8', '', html];
+
+describe('eml', () => {
+  describe('analyzeEml', () => {
+    it('summarizes the sender, recipients and delivery path', async () => {
+      const analysis = await analyzeEml(message([...OUR_HOPS, ...FORGED, ...MESSAGE_HEADERS]));
+
+      assert.equal(analysis.subject, 'Your account is locked');
+      assert.equal(analysis.messageId, '<abc123@evil.example>');
+      assert.deepEqual(analysis.from, { address: 'alerts@evil.example', name: 'support@mybank.com' });
+      assert.deepEqual(analysis.replyTo, [{ address: 'collect@other.example', name: null }]);
+      assert.equal(analysis.returnPath, 'bounce@evil-bounce.example');
+      assert.deepEqual(analysis.to, [{ address: 'user@company.net', name: null }]);
+
+      // Oldest hop first; only the two our servers added are trusted
+      assert.deepEqual(analysis.received.map(hop => [hop.by, hop.ip, hop.trusted]), [
+        ['relay.company.net', '203.0.113.50', false],
+        ['mx1.company.net', '198.51.100.7', true],
+        ['mailbox.company.net', '10.0.0.5', true]
+      ]);
+      assert.equal(analysis.originatingIp, '198.51.100.7');
+    });
+
+    it('takes verdicts only from our servers\' Authentication-Results above the entry hop', async () => {
+      const { authentication } = await analyzeEml(message([...OUR_HOPS, ...FORGED, ...MESSAGE_HEADERS]));
+
+      assert.equal(authentication.spf, 'fail');
+      assert.equal(authentication.dkim, 'none');
+      assert.equal(authentication.dmarc, 'fail');
+      assert.equal(authentication.trusted, true);
+      assert.equal(authentication.reason, null);
+      assert.deepEqual(authentication.headers.map(header => header.trusted), [true, false]);
+    });
+
+    it('does not trust Authentication-Results the sender wrote, even under our authserv-id', async () => {
+      const analysis = await analyzeEml(message([OUR_HOPS[0], OUR_HOPS[2], ...FORGED, ...MESSAGE_HEADERS]));
+
+      assert.deepEqual(
+        { spf: analysis.authentication.spf, dkim: analysis.authentication.dkim, dmarc: analysis.authentication.dmarc },
+        { spf: null, dkim: null, dmarc: null }
+      );
+      assert.equal(analysis.authentication.trusted, false);
+      assert.equal(analysis.authentication.reason, 'No authentication headers from our servers');
+      assert.equal(analysis.authentication.headers[0].trusted, false);
+    });
+
+    it('does not trust Authentication-Results from another authserv-id above the entry hop', async () => {
+      const { authentication } = await analyzeEml(message([
+        OUR_HOPS[0],
+        'Authentication-Results: mx.evil.example; spf=pass; dkim=pass; dmarc=pass',
+        OUR_HOPS[2],
+        ...MESSAGE_HEADERS
+      ]));
+
+      assert.equal(authentication.spf, null);
+      assert.equal(authentication.trusted, false);
+      assert.equal(authentication.headers[0].authservId, 'mx.evil.example');
+    });
+
+    it('falls back to our own Received-SPF for the SPF verdict', async () => {
+      const { authentication } = await analyzeEml(message([
+        OUR_HOPS[0],
+        'Received-SPF: softfail (mx1.company.net: domain of evil.example does not designate 198.51.100.7)',
+        OUR_HOPS[2],
+        ...MESSAGE_HEADERS
+      ]));
+
+      assert.equal(authentication.spf, 'softfail');
+      assert.equal(authentication.trusted, true);
+    });
+
+    it('warns about failed checks, mismatched addresses and deceptive links', async () => {
+      const analysis = await analyzeEml(message([...OUR_HOPS, ...MESSAGE_HEADERS], htmlBody([
+        '<p>Dear customer,</p>',
+        '<a href="https://evil.example/login">https://www.mybank.com/login</a>',
+        '<a href=\'https://mybank.com/help\'>Help</a>',
+        '<a href="mailto:x@evil.example">Write to us</a>'
+      ].join(''))));
+
+      assert.deepEqual(analysis.links.map(link => [link.host, link.textHost, link.mismatch]), [
+        ['evil.example', 'www.mybank.com', true],
+        ['mybank.com', null, false]
+      ]);
+      assert.deepEqual(analysis.warnings, [
+        'SPF fail',
+        'DMARC fail',
+        'Reply-To collect@other.example is a different domain than From alerts@evil.example',
+        'Return-Path bounce@evil-bounce.example is a different domain than From alerts@evil.example',
+        'Display name shows support@mybank.com but the message is from alerts@evil.example',
+        'Link text shows www.mybank.com but points to evil.example'
+      ]);
+    });
+
+    it('reads links from the text part when there is no HTML', async () => {
+      const { links } = await analyzeEml(message([...OUR_HOPS, ...MESSAGE_HEADERS]));
+      assert.deepEqual(links, [{ url: 'https://evil.example/unlock', host: 'evil.example', text: null, textHost: null, mismatch: false }]);
+    });
+
+    it('hashes attachments without keeping their contents', async () => {
+      const content = Buffer.from('MZ fake executable');
+      const analysis = await analyzeEml(message([...OUR_HOPS, ...MESSAGE_HEADERS], [
+        'Content-Type: multipart/mixed; boundary="b1"',
+        '',
+        '--b1',
+        'Content-Type: text/plain',
+        '',
+        'See attached',
+        '--b1',
+        'Content-Type: application/octet-stream; name="invoice.exe"',
+        'Content-Disposition: attachment; filename="invoice.exe"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        content.toString('base64'),
+        '--b1--'
+      ]));
+
+      assert.deepEqual(analysis.attachments, [{
+        filename: 'invoice.exe',
+        contentType: 'application/octet-stream',
+        size: content.length,
+        md5: crypto.createHash('md5').update(content).digest('hex'),
+        sha1: crypto.createHash('sha1').update(content).digest('hex'),
+        sha256: crypto.createHash('sha256').update(content).digest('hex')
+      }]);
+    });
+
+    it('rejects a payload that is not an email message', async () => {
+      await assert.rejects(analyzeEml(Buffer.from('just some text\r\nwithout headers')), error => error.statusCode === 422);
+    });
+  });
+
+  describe('without EML_AUTHSERV_IDS', () => {
+    it('reports that no verdict can be trusted', async () => {
+      const unconfigured = loadEml({ EML_TRUSTED_RELAYS: 'company.net' });
+      const { authentication } = await unconfigured.analyzeEml(message([...OUR_HOPS, ...MESSAGE_HEADERS]));
+
+      assert.equal(authentication.trusted, false);
+      assert.equal(authentication.reason, 'EML_AUTHSERV_IDS not configured');
+      assert.equal(authentication.spf, null);
+      assert.equal(authentication.dkim, null);
+      assert.equal(authentication.dmarc, null);
+      assert.equal(authentication.headers.length, 1);
+    });
+  });
+
+  describe('decodeEml', () => {
+    it('decodes base64 and accepts pasted text', () => {
+      assert.equal(decodeEml(Buffer.from('Subject: hi').toString('base64')).toString(), 'Subject: hi');
+      assert.equal(decodeEml('Subject: hi', 'text').toString(), 'Subject: hi');
+    });
+
+    it('rejects an empty or oversized message', () => {
+      assert.throws(() => decodeEml('  '), error => error.statusCode === 400);
+      assert.throws(() => decodeEml('x'.repeat(4 * 1024 * 1024 + 1), 'text'), error => error.statusCode === 413);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+// test/handler.test.js - The API routes end to end through exports.handler, on the in-memory store
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ISSUER, AUDIENCE, createSigningKey, writeJwksFile } = require('./tokens');
+
+const key = createSigningKey();
+const jwks = writeJwksFile([key]);
+
+// Read when the modules load, so set before the handler is required
+process.env.DATA_STORE = 'memory';
+process.env.AUTH_JWKS_FILE = jwks.file;
+process.env.AUTH_ISSUER = ISSUER;
+process.env.AUTH_AUDIENCE = AUDIENCE;
+process.env.LOG_LEVEL = 'error';
+
+const { handler } = require('../index');
+const { getRepositories, setRepositories } = require('../repositories');
+const { createMemoryRepositories } = require('../repositories/memory');
+
+const REPORTER = { sub: 'reporter-1', email: 'reporter@company.net', name: 'Reporter One' };
+const OTHER_REPORTER = { sub: 'reporter-2', email: 'other@company.net', name: 'Reporter Two' };
+const ANALYST = { sub: 'analyst-1', email: 'analyst@company.net', name: 'Analyst' };
+const ADMIN = { sub: 'admin-1', email: 'admin@company.net', name: 'Admin' };
+// Has a user_roles row that grants nothing
+const NOBODY = { sub: 'nobody-1', email: 'nobody@company.net', name: 'Nobody' };
+
+const REPORT = {
+  type: 'phishing-email',
+  reason: 'Reported from the portal',
+  formData: {
+    senderEmail: 'billing@evil.example',
+    subject: 'Your invoice is overdue',
+    description: 'Asked me to pay through a link',
+    severity: 'low'
+  }
+};
+
+const call = async (method, path, { as = REPORTER, body, query, headers = {} } = {}) => {
+  const response = await handler({
+    httpMethod: method,
+    path,
+    queryStringParameters: query || null,
+    headers: as ? { Authorization: `Bearer ${key.sign(as)}`, ...headers } : headers,
+    body: body === undefined ? null : JSON.stringify(body)
+  });
+  return { ...response, json: response.body ? JSON.parse(response.body) : null };
+};
+
+const createReport = async (as = REPORTER, values = {}) => {
+  const response = await call('POST', '/api/requests', { as, body: { ...REPORT, ...values } });
+  assert.equal(response.statusCode, 201, response.body);
+  return response.json.request;
+};
+
+describe('handler on the memory store', () => {
+  after(() => jwks.remove());
+
+  beforeEach(async () => {
+    setRepositories(createMemoryRepositories());
+    const { users } = getRepositories();
+    await users.insert({ user_id: 'analyst-1', email: ANALYST.email, user_name: ANALYST.name, user_role: 'it-support' });
+    await users.insert({ user_id: 'admin-1', email: ADMIN.email, user_name: ADMIN.name, user_role: 'admin' });
+    await users.insert({ user_id: 'nobody-1', email: NOBODY.email, user_name: NOBODY.name, user_role: 'user', permissions: [] });
+  });
+
+  describe('authentication', () => {
+    it('answers the health check without a token and refuses other routes', async () => {
+      assert.equal((await call('GET', '/health', { as: null })).statusCode, 200);
+
+      const response = await call('GET', '/api/requests', { as: null });
+      assert.equal(response.statusCode, 401);
+      assert.equal(response.headers['WWW-Authenticate'], 'Bearer');
+    });
+
+    it('refuses a token signed by a key outside the JWKS', async () => {
+      const stranger = createSigningKey();
+      const response = await handler({
+        httpMethod: 'GET',
+        path: '/api/requests',
+        headers: { Authorization: `Bearer ${stranger.sign(REPORTER)}` }
+      });
+      assert.equal(response.statusCode, 401);
+    });
+  });
+
+  describe('reports', () => {
+    it('creates a report and shows it to its reporter and the IT team only', async () => {
+      const request = await createReport();
+      assert.equal(request.status, 'open');
+      assert.equal(request.userId, REPORTER.sub);
+
+      assert.equal((await call('GET', `/api/requests/${request.id}`)).statusCode, 200);
+      assert.equal((await call('GET', `/api/requests/${request.id}`, { as: OTHER_REPORTER })).statusCode, 404);
+      assert.equal((await call('GET', `/api/requests/${request.id}`, { as: ANALYST })).statusCode, 200);
+
+      const stored = await getRepositories().incidents.get(request.id);
+      assert.ok(stored.created_at instanceof Date);
+    });
+
+    it('replays a create retried with the same Idempotency-Key', async () => {
+      const headers = { 'Idempotency-Key': 'retry-1' };
+      const first = await call('POST', '/api/requests', { body: REPORT, headers });
+      const second = await call('POST', '/api/requests', { body: REPORT, headers });
+
+      assert.equal(first.statusCode, 201);
+      assert.equal(second.statusCode, 201);
+      assert.equal(second.headers['Idempotent-Replayed'], 'true');
+      assert.equal(second.json.request.id, first.json.request.id);
+
+      const conflict = await call('POST', '/api/requests', { body: { ...REPORT, reason: 'Changed' }, headers });
+      assert.equal(conflict.statusCode, 422);
+
+      const list = await call('GET', '/api/requests', { as: ANALYST });
+      assert.equal(list.json.count, 1);
+    });
+
+    it('pages the list with a cursor and limits reporters to their own reports', async () => {
+      await createReport();
+      await createReport();
+      await createReport(OTHER_REPORTER);
+
+      const first = await call('GET', '/api/requests', { as: ANALYST, query: { limit: '2' } });
+      assert.equal(first.statusCode, 200);
+      assert.equal(first.json.count, 2);
+      assert.ok(first.json.nextCursor);
+
+      const second = await call('GET', '/api/requests', { as: ANALYST, query: { limit: '2', cursor: first.json.nextCursor } });
+      assert.equal(second.json.count, 1);
+      assert.equal(second.json.nextCursor, null);
+      const ids = [...first.json.requests, ...second.json.requests].map(request => request.id);
+      assert.equal(new Set(ids).size, 3);
+
+      const own = await call('GET', '/api/requests');
+      assert.equal(own.json.count, 2);
+      assert.ok(own.json.requests.every(request => request.userId === REPORTER.sub));
+
+      assert.equal((await call('GET', '/api/requests', { as: ANALYST, query: { cursor: 'not-a-cursor' } })).statusCode, 400);
+    });
+
+    it('soft-deletes and restores a report', async () => {
+      const request = await createReport();
+
+      assert.equal((await call('DELETE', `/api/requests/${request.id}`, { as: ANALYST })).statusCode, 403);
+      assert.equal((await call('DELETE', `/api/requests/${request.id}`, { as: ADMIN })).statusCode, 200);
+      assert.equal((await call('GET', `/api/requests/${request.id}`)).statusCode, 404);
+
+      const deleted = await call('GET', '/api/requests', { as: ADMIN, query: { deleted: 'true' } });
+      assert.deepEqual(deleted.json.requests.map(row => row.id), [request.id]);
+      assert.ok((await getRepositories().incidents.get(request.id, { deleted: true })).deleted_at instanceof Date);
+
+      const restored = await call('POST', `/api/requests/${request.id}/restore`, { as: ADMIN });
+      assert.equal(restored.statusCode, 200);
+      assert.equal(restored.json.request.deletedAt, null);
+    });
+  });
+
+  describe('workflow', () => {
+    it('moves a report through the allowed statuses and stores Dates', async () => {
+      const request = await createReport();
+
+      assert.equal((await call('PUT', `/api/requests/${request.id}/status`, { body: { status: 'in-progress' } })).statusCode, 403);
+
+      const started = await call('PUT', `/api/requests/${request.id}/status`, { as: ANALYST, body: { status: 'in-progress' } });
+      assert.equal(started.statusCode, 200);
+      assert.equal(started.json.request.status, 'in-progress');
+      assert.ok(started.json.request.approvedAt);
+
+      const skipped = await call('PUT', `/api/requests/${request.id}/status`, { as: ANALYST, body: { status: 'closed' } });
+      assert.equal(skipped.statusCode, 409);
+
+      const resolved = await call('PUT', `/api/requests/${request.id}/status`, { as: ANALYST, body: { status: 'resolved', notes: 'Blocked the sender' } });
+      assert.equal(resolved.statusCode, 200);
+
+      const stored = await getRepositories().incidents.get(request.id);
+      assert.ok(stored.approved_at instanceof Date);
+      assert.ok(stored.completed_at instanceof Date);
+      assert.ok(stored.updated_at instanceof Date);
+    });
+
+    it('assigns a report to IT staff only', async () => {
+      const request = await createReport();
+
+      const assigned = await call('PUT', `/api/requests/${request.id}/assign`, { as: ANALYST, body: { assignee: ANALYST.email } });
+      assert.equal(assigned.statusCode, 200);
+      assert.equal(assigned.json.request.assignedTo, 'analyst-1');
+
+      const reporter = await call('PUT', `/api/requests/${request.id}/assign`, { as: ANALYST, body: { assignee: NOBODY.email } });
+      assert.equal(reporter.statusCode, 422);
+
+      const queue = await call('GET', '/api/queue', { as: ANALYST, query: { view: 'mine' } });
+      assert.deepEqual(queue.json.requests.map(row => row.id), [request.id]);
+    });
+
+    it('keeps the audit chain valid across changes', async () => {
+      const request = await createReport();
+      await call('PUT', `/api/requests/${request.id}/status`, { as: ANALYST, body: { status: 'in-progress' } });
+      await call('POST', `/api/requests/${request.id}/comments`, { body: { message: 'Any news?' } });
+
+      assert.equal((await call('GET', '/api/audit/verify', { as: ANALYST })).statusCode, 403);
+
+      const verification = await call('GET', '/api/audit/verify', { as: ADMIN });
+      assert.equal(verification.statusCode, 200);
+      assert.equal(verification.json.valid, true);
+
+      const history = await call('GET', `/api/requests/${request.id}/history`, { as: ADMIN });
+      assert.deepEqual(history.json.history.map(entry => entry.action), ['create', 'triage', 'status_change', 'comment_add']);
+    });
+  });
+
+  describe('comments', () => {
+    it('adds, edits and deletes comments on an accessible report', async () => {
+      const request = await createReport();
+      const path = `/api/requests/${request.id}/comments`;
+
+      const created = await call('POST', path, { body: { message: 'Clicked the link by mistake' } });
+      assert.equal(created.statusCode, 201);
+      const commentId = created.json.comment.id;
+
+      const listed = await call('GET', path, { as: ANALYST });
+      assert.deepEqual(listed.json.comments.map(comment => comment.id), [commentId]);
+
+      const edited = await call('PUT', `${path}/${commentId}`, { body: { message: 'Clicked the link, did not log in' } });
+      assert.equal(edited.statusCode, 200);
+      assert.ok(edited.json.comment.updatedAt);
+      const stored = await getRepositories().comments.get(request.id, commentId);
+      assert.ok(stored.created_at instanceof Date);
+      assert.ok(stored.updated_at instanceof Date);
+
+      assert.equal((await call('PUT', `${path}/${commentId}`, { as: ANALYST, body: { message: 'Not mine' } })).statusCode, 403);
+      assert.equal((await call('DELETE', `${path}/${commentId}`)).statusCode, 200);
+      assert.equal((await call('GET', path)).json.count, 0);
+    });
+
+    it('hides comments from other reporters and refuses callers without view permission', async () => {
+      const request = await createReport();
+      const path = `/api/requests/${request.id}/comments`;
+      const commentId = (await call('POST', path, { body: { message: 'First' } })).json.comment.id;
+
+      assert.equal((await call('GET', path, { as: OTHER_REPORTER })).statusCode, 404);
+
+      for (const [method, target, body] of [
+        ['GET', path], ['POST', path, { message: 'Hi' }],
+        ['PUT', `${path}/${commentId}`, { message: 'Hi' }], ['DELETE', `${path}/${commentId}`]
+      ]) {
+        const response = await call(method, target, { as: NOBODY, body });
+        assert.equal(response.statusCode, 403, `${method} ${target}`);
+      }
+    });
+  });
+
+  describe('notification preferences', () => {
+    it('reads and saves the caller\'s own preferences', async () => {
+      const initial = await call('GET', '/api/notifications/preferences');
+      assert.equal(initial.statusCode, 200);
+      assert.ok(Object.values(initial.json.preferences).every(enabled => enabled === true));
+
+      const saved = await call('PUT', '/api/notifications/preferences', { body: { 'incident.commented': false } });
+      assert.equal(saved.statusCode, 200);
+      assert.equal(saved.json.preferences['incident.commented'], false);
+
+      assert.equal((await call('GET', '/api/notifications/preferences', { as: OTHER_REPORTER })).json.preferences['incident.commented'], true);
+      assert.equal((await call('PUT', '/api/notifications/preferences', { body: { 'no.such.event': false } })).statusCode, 400);
+    });
+
+    it('refuses callers without view permission', async () => {
+      assert.equal((await call('GET', '/api/notifications/preferences', { as: NOBODY })).statusCode, 403);
+      assert.equal((await call('PUT', '/api/notifications/preferences', { as: NOBODY, body: {} })).statusCode, 403);
+    });
+  });
+
+  describe('scheduled run', () => {
+    it('runs SLA escalation, outbox delivery and the purges', async () => {
+      await createReport(REPORTER, { formData: { ...REPORT.formData, severity: 'critical' } });
+
+      const result = await handler({ source: 'aws.events' });
+      assert.ok(result.sla);
+      assert.ok(result.outbox);
+      assert.deepEqual(Object.keys(result.purged), ['idempotencyKeys', 'rateLimitWindows']);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// test/idempotency.test.js - Idempotency-Key handling: replay, conflicts, failed requests and stale keys
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.DATA_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const { getRepositories, setRepositories } = require('../repositories');
+const { createMemoryRepositories } = require('../repositories/memory');
+const { IDEMPOTENCY_CONFIG, withIdempotency, purgeExpiredKeys } = require('../idempotency');
+
+const HEADERS = { 'Content-Type': 'application/json' };
+const ROUTE = 'POST /api/requests';
+const BODY = '{"type":"phishing-email"}';
+
+const event = (key, body = BODY) => ({ headers: key === undefined ? {} : { 'idempotency-key': key }, body });
+
+describe('idempotency', () => {
+  let runs;
+
+  // Stands in for a route handler that creates something and answers 201
+  const createSomething = async () => {
+    runs += 1;
+    return { statusCode: 201, headers: HEADERS, body: JSON.stringify({ id: `REQ-${runs}` }) };
+  };
+
+  const call = (request, handler = createSomething, { userId = 'user-1', route = ROUTE } = {}) =>
+    withIdempotency(request, { userId, route, headers: HEADERS }, handler);
+
+  const rejectsWithStatus = (promise, statusCode) => assert.rejects(promise, error => error.statusCode === statusCode);
+
+  const storeKey = (values) => getRepositories().idempotencyKeys.insert({
+    user_id: 'user-1',
+    idempotency_key: 'key-1',
+    route: ROUTE,
+    request_hash: crypto.createHash('sha256').update(`${ROUTE}\n${BODY}`).digest('hex'),
+    status: 'pending',
+    created_at: new Date(),
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    ...values
+  });
+
+  beforeEach(() => {
+    setRepositories(createMemoryRepositories());
+    runs = 0;
+  });
+
+  it('runs every request without a key', async () => {
+    await call(event());
+    await call(event());
+    assert.equal(runs, 2);
+  });
+
+  it('rejects a key that is not 1-255 visible ASCII characters', async () => {
+    await rejectsWithStatus(call(event('has space')), 400);
+    await rejectsWithStatus(call(event('x'.repeat(256))), 400);
+    assert.equal(runs, 0);
+  });
+
+  it('replays the stored response for a retry with the same key and body', async () => {
+    const first = await call(event('key-1'));
+    const retry = await call(event('key-1'));
+
+    assert.equal(runs, 1);
+    assert.deepEqual(first, { statusCode: 201, headers: HEADERS, body: '{"id":"REQ-1"}' });
+    assert.deepEqual(retry, { statusCode: 201, headers: { ...HEADERS, 'Idempotent-Replayed': 'true' }, body: '{"id":"REQ-1"}' });
+  });
+
+  it('keeps keys apart per user', async () => {
+    await call(event('key-1'));
+    const other = await call(event('key-1'), createSomething, { userId: 'user-2' });
+
+    assert.equal(runs, 2);
+    assert.equal(other.body, '{"id":"REQ-2"}');
+  });
+
+  it('refuses a key reused for a different body or route', async () => {
+    await call(event('key-1'));
+
+    await rejectsWithStatus(call(event('key-1', '{"type":"malware"}')), 422);
+    await rejectsWithStatus(call(event('key-1'), createSomething, { route: 'POST /api/requests/from-email' }), 422);
+    assert.equal(runs, 1);
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    let finish;
+    const slow = call(event('key-1'), () => new Promise(resolve => { finish = resolve; }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    await assert.rejects(call(event('key-1')), error => error.statusCode === 409 && error.headers['Retry-After'] === '1');
+
+    finish({ statusCode: 201, headers: HEADERS, body: '{"id":"REQ-slow"}' });
+    await slow;
+    assert.equal((await call(event('key-1'))).body, '{"id":"REQ-slow"}');
+    assert.equal(runs, 0);
+  });
+
+  it('releases the key when the request fails, so a retry runs', async () => {
+    await assert.rejects(call(event('key-1'), async () => { throw new Error('database unavailable'); }), /database unavailable/);
+    assert.equal(await getRepositories().idempotencyKeys.get('user-1', 'key-1'), null);
+
+    assert.equal((await call(event('key-1'))).statusCode, 201);
+    assert.equal(runs, 1);
+  });
+
+  it('replays the committed response when the request fails after committing', async () => {
+    const committedResponse = { statusCode: 201, headers: HEADERS, body: '{"id":"REQ-committed"}' };
+    await assert.rejects(call(event('key-1'), async (committed) => {
+      await committed(committedResponse);
+      throw new Error('notification dispatch failed');
+    }), /notification dispatch failed/);
+
+    const retry = await call(event('key-1'));
+    assert.equal(retry.body, '{"id":"REQ-committed"}');
+    assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+    assert.equal(runs, 0);
+  });
+
+  it('lets a retry take over a key left pending by a request that died', async () => {
+    await storeKey({ created_at: new Date(Date.now() - (IDEMPOTENCY_CONFIG.pendingSeconds + 5) * 1000) });
+
+    const response = await call(event('key-1'));
+    assert.equal(response.statusCode, 201);
+    assert.equal(runs, 1);
+    assert.equal((await getRepositories().idempotencyKeys.get('user-1', 'key-1')).status, 'completed');
+  });
+
+  it('still answers 409 for a key pending for less than that', async () => {
+    await storeKey({ created_at: new Date(Date.now() - 5 * 1000) });
+    await rejectsWithStatus(call(event('key-1')), 409);
+    assert.equal(runs, 0);
+  });
+
+  it('runs the request again once the key has expired, and purges expired keys', async () => {
+    await storeKey({ status: 'completed', response_status: 201, response_body: '{"id":"REQ-old"}', expires_at: new Date(Date.now() - 1000) });
+    assert.equal((await call(event('key-1'))).body, '{"id":"REQ-1"}');
+
+    await storeKey({ user_id: 'user-2', expires_at: new Date(Date.now() - 1000) });
+    assert.equal(await purgeExpiredKeys(), 1);
+    assert.equal(await getRepositories().idempotencyKeys.get('user-2', 'key-1'), null);
+    assert.notEqual(await getRepositories().idempotencyKeys.get('user-1', 'key-1'), null);
+  });
+});
@@ -0,0 +1,110 @@
+// test/ioc.test.js - Indicator extraction from report text: refanging, normalizing and what is left out
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.IOC_IGNORE_DOMAINS = 'company.net';
+
+const { extractIndicators, parseIndicatorQuery } = require('../ioc');
+
+const pairs = (indicators) => indicators.map(({ type, value }) => `${type}:${value}`);
+const fromDescription = (description) => pairs(extractIndicators({ formData: { description } }));
+
+describe('ioc', () => {
+  describe('extractIndicators', () => {
+    it('finds each indicator type and normalizes it', () => {
+      assert.deepEqual(fromDescription([
+        'Link https://Login.Evil.Example/Reset?id=7#top from Billing@Evil.Example,',
+        'sent by 203.0.113.9 and 2001:DB8::1, attachment D41D8CD98F00B204E9800998ECF8427E',
+        `and ${'A'.repeat(40)} and ${'b'.repeat(64)}`
+      ].join(' ')), [
+        'url:https://login.evil.example/Reset?id=7',
+        'domain:login.evil.example',
+        'email:billing@evil.example',
+        'domain:evil.example',
+        'ipv4:203.0.113.9',
+        'ipv6:2001:db8::1',
+        'md5:d41d8cd98f00b204e9800998ecf8427e',
+        `sha1:${'a'.repeat(40)}`,
+        `sha256:${'b'.repeat(64)}`
+      ]);
+    });
+
+    it('refangs defanged indicators', () => {
+      assert.deepEqual(
+        fromDescription('hxxps[:]//evil[.]example/login, bad(at)evil(dot)example and 198[.]51[.]100[.]7'),
+        ['url:https://evil.example/login', 'domain:evil.example', 'email:bad@evil.example', 'ipv4:198.51.100.7']
+      );
+    });
+
+    it('drops trailing punctuation from URLs', () => {
+      assert.deepEqual(fromDescription('(see http://evil.example/a).'), ['url:http://evil.example/a', 'domain:evil.example']);
+    });
+
+    it('leaves out our own domains, file names, freemail domains and version-like numbers', () => {
+      assert.deepEqual(fromDescription([
+        'Forwarded from mail.company.net and https://intranet.company.net/x by it@company.net.',
+        'Opened invoice.pdf and setup.exe. Sender was someone@gmail.com. Version 999.1.1.1.'
+      ].join(' ')), ['email:someone@gmail.com']);
+    });
+
+    it('keeps the first field an indicator was seen in', () => {
+      const indicators = extractIndicators({
+        reason: 'Mentions evil.example again',
+        formData: { senderEmail: 'ceo@evil.example', subject: 'Wire transfer', description: 'From evil.example' }
+      });
+      assert.deepEqual(indicators, [
+        { type: 'email', value: 'ceo@evil.example', source: 'formData.senderEmail' },
+        { type: 'domain', value: 'evil.example', source: 'formData.senderEmail' }
+      ]);
+    });
+
+    it('reads the sender, originating IP, links and attachment hashes of an attached message', () => {
+      const indicators = extractIndicators({
+        formData: {},
+        details: {
+          emailAnalysis: {
+            from: { address: 'alerts@bad.example' },
+            replyTo: [{ address: 'reply@other.example' }],
+            returnPath: 'bounce@bad.example',
+            originatingIp: '198.51.100.7',
+            links: [{ url: 'http://bad.example/pay' }],
+            attachments: [{ sha256: 'c'.repeat(64), md5: 'd'.repeat(32) }]
+          }
+        }
+      });
+
+      assert.deepEqual(indicators.map(({ source }) => source).filter((source, index, all) => all.indexOf(source) === index), [
+        'details.emailAnalysis.addresses',
+        'details.emailAnalysis.originatingIp',
+        'details.emailAnalysis.links',
+        'details.emailAnalysis.attachments'
+      ]);
+      assert.deepEqual(pairs(indicators), [
+        'email:alerts@bad.example',
+        'domain:bad.example',
+        'email:reply@other.example',
+        'domain:other.example',
+        'email:bounce@bad.example',
+        'ipv4:198.51.100.7',
+        'url:http://bad.example/pay',
+        `sha256:${'c'.repeat(64)}`,
+        `md5:${'d'.repeat(32)}`
+      ]);
+    });
+
+    it('ignores empty and non-text fields', () => {
+      assert.deepEqual(extractIndicators({ reason: '   ', formData: { description: 42 }, details: { emailAnalysis: 'x' } }), []);
+    });
+  });
+
+  describe('parseIndicatorQuery', () => {
+    it('turns a typed value into the indicators to look up', () => {
+      assert.deepEqual(parseIndicatorQuery('hxxp://evil[.]com'), [
+        { type: 'url', value: 'http://evil.com/' },
+        { type: 'domain', value: 'evil.com' }
+      ]);
+      assert.deepEqual(parseIndicatorQuery('EVIL[dot]com.'), [{ type: 'domain', value: 'evil.com' }]);
+      assert.deepEqual(parseIndicatorQuery(undefined), []);
+    });
+  });
+});
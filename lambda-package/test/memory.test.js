@@ -0,0 +1,5 @@
+// test/memory.test.js - The repository contract against the in-memory store
+const { createMemoryRepositories } = require('../repositories/memory');
+const { runRepositoryContract } = require('./repositories.contract');
+
+runRepositoryContract('memory', async () => createMemoryRepositories());
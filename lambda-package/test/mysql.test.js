@@ -0,0 +1,39 @@
+// test/mysql.test.js - The repository contract against a real MySQL database.
+// Runs only when TEST_DB_NAME names a database it may empty; DB_HOST, DB_USER etc. reach it as usual.
+const { after } = require('node:test');
+
+const TEST_DB_NAME = process.env.TEST_DB_NAME;
+if (TEST_DB_NAME) {
+  process.env.DB_NAME = TEST_DB_NAME;
+}
+
+const { executeQuery, closePool } = require('../db');
+const { migrateUp } = require('../migrations');
+const { createMysqlRepositories } = require('../repositories/mysql');
+const { runRepositoryContract } = require('./repositories.contract');
+
+// Children before parents, so foreign keys never block a delete
+const TABLES = [
+  'request_indicators', 'indicators', 'request_attachments', 'request_comments', 'request_audit_log',
+  'audit_chain_head', 'user_audit_log', 'notification_outbox', 'notification_preferences',
+  'idempotency_keys', 'rate_limits', 'requests', 'user_roles'
+];
+
+let migrated = false;
+
+const setup = async () => {
+  if (!migrated) {
+    await migrateUp();
+    migrated = true;
+  }
+  for (const table of TABLES) {
+    await executeQuery(`DELETE FROM ${table}`);
+  }
+  return createMysqlRepositories();
+};
+
+runRepositoryContract('mysql', setup, {
+  skip: TEST_DB_NAME ? false : 'set TEST_DB_NAME to a database the tests may empty'
+});
+
+after(() => closePool());
@@ -0,0 +1,159 @@
+// test/outbox.test.js - Outbox delivery to a local webhook receiver: retries, dead letters and signatures
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+// Read when the modules load; the channel list is read on first use, once the receiver has a port
+process.env.DATA_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.NOTIFICATION_MAX_ATTEMPTS = '3';
+process.env.NOTIFICATION_RETRY_BASE_SECONDS = '30';
+process.env.NOTIFICATION_INLINE_TIMEOUT_MS = '0';
+
+const { getRepositories, setRepositories, withTransaction } = require('../repositories');
+const { createMemoryRepositories } = require('../repositories/memory');
+const { EVENTS, notify, processOutbox, retryDeadEntry } = require('../notifications');
+const { signPayload } = require('../notifications/channels/webhook');
+const { createReport } = require('../intake');
+
+const SECRET = 'webhook-secret';
+const CALLER = { userId: 'reporter-1', email: 'reporter@company.net', name: 'Reporter One' };
+const REPORT = {
+  type: 'phishing-email',
+  reason: 'Reported from the portal',
+  formData: {
+    senderEmail: 'billing@evil.example',
+    subject: 'Your invoice is overdue',
+    description: 'Asked me to pay through a link',
+    severity: 'low'
+  }
+};
+
+describe('notification outbox', () => {
+  let server;
+  let received;
+  let respondWith;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+        res.writeHead(respondWith);
+        res.end(respondWith >= 400 ? 'receiver unavailable' : 'ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.NOTIFICATION_CHANNELS = JSON.stringify([
+      { name: 'soc-webhook', type: 'webhook', url: `http://127.0.0.1:${server.address().port}/hook`, secret: SECRET }
+    ]);
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    setRepositories(createMemoryRepositories());
+    received = [];
+    respondWith = 200;
+  });
+
+  // Moves a waiting retry to now, instead of waiting out its backoff
+  const makeDue = (id) => getRepositories().outbox.update(id, { next_attempt_at: new Date(Date.now() - 1000) });
+
+  const queuedIds = async () => (await getRepositories().outbox.list({}, { limit: 50 })).map(row => row.id);
+
+  it('queues the message in the transaction that creates the incident', async () => {
+    const request = await createReport(CALLER, REPORT);
+
+    const rows = await getRepositories().outbox.list({}, { limit: 50 });
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].request_id, request.id);
+    assert.equal(rows[0].event_type, EVENTS.INCIDENT_CREATED);
+    assert.equal(rows[0].delivery_status, 'pending');
+    assert.equal(received.length, 0);
+  });
+
+  it('drops the message when that transaction rolls back', async () => {
+    await assert.rejects(withTransaction(async (connection) => {
+      await notify(connection, EVENTS.INCIDENT_CREATED, { requestId: 'REQ-1', type: 'phishing-email', severity: 'low' });
+      throw new Error('insert failed');
+    }), /insert failed/);
+
+    assert.deepEqual(await queuedIds(), []);
+  });
+
+  it('delivers a due message signed with the channel secret', async () => {
+    await createReport(CALLER, REPORT);
+
+    const summary = await processOutbox();
+    assert.deepEqual(summary, { sent: 1, retrying: 0, dead: 0 });
+
+    const [delivery] = received;
+    const timestamp = delivery.headers['x-portal-timestamp'];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${delivery.body}`).digest('hex');
+    assert.equal(delivery.headers['x-portal-signature'], `sha256=${expected}`);
+    assert.equal(signPayload(SECRET, timestamp, delivery.body), expected);
+    assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 60);
+
+    const [row] = await getRepositories().outbox.list({}, { limit: 50 });
+    assert.equal(row.delivery_status, 'sent');
+    assert.ok(row.sent_at instanceof Date);
+  });
+
+  it('schedules a retry with backoff when the receiver answers 5xx', async () => {
+    await createReport(CALLER, REPORT);
+    respondWith = 503;
+
+    const startedAt = Date.now();
+    assert.deepEqual(await processOutbox(), { sent: 0, retrying: 1, dead: 0 });
+
+    const [row] = await getRepositories().outbox.list({}, { limit: 50 });
+    assert.equal(row.delivery_status, 'pending');
+    assert.equal(row.attempts, 1);
+    assert.match(row.last_error, /HTTP 503/);
+    // 30 seconds for the first retry, give or take the 20% jitter and the column's whole seconds
+    const delaySeconds = (row.next_attempt_at.getTime() - startedAt) / 1000;
+    assert.ok(delaySeconds >= 23 && delaySeconds <= 37, `retry in ${delaySeconds}s`);
+
+    // Not due yet, so a scheduled run leaves it alone
+    assert.deepEqual(await processOutbox(), { sent: 0, retrying: 0, dead: 0 });
+
+    await makeDue(row.id);
+    respondWith = 200;
+    assert.deepEqual(await processOutbox(), { sent: 1, retrying: 0, dead: 0 });
+  });
+
+  it('dead-letters a message after the last attempt and requeues it on request', async () => {
+    await createReport(CALLER, REPORT);
+    const [id] = await queuedIds();
+    respondWith = 500;
+
+    assert.deepEqual(await processOutbox(), { sent: 0, retrying: 1, dead: 0 });
+    await makeDue(id);
+    assert.deepEqual(await processOutbox(), { sent: 0, retrying: 1, dead: 0 });
+    await makeDue(id);
+    assert.deepEqual(await processOutbox(), { sent: 0, retrying: 0, dead: 1 });
+
+    const dead = await getRepositories().outbox.get(id);
+    assert.equal(dead.delivery_status, 'dead');
+    assert.equal(dead.attempts, 3);
+    assert.equal(received.length, 3);
+
+    // Dead messages are never picked up again on their own
+    await makeDue(id);
+    assert.deepEqual(await processOutbox(), { sent: 0, retrying: 0, dead: 0 });
+
+    assert.equal(await retryDeadEntry(id), true);
+    const requeued = await getRepositories().outbox.get(id);
+    assert.equal(requeued.delivery_status, 'pending');
+    assert.equal(requeued.attempts, 0);
+    assert.equal(requeued.last_error, null);
+
+    respondWith = 200;
+    assert.deepEqual(await processOutbox(), { sent: 1, retrying: 0, dead: 0 });
+    assert.equal(await retryDeadEntry(id), false);
+  });
+});
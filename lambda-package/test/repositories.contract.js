@@ -0,0 +1,596 @@
+// test/repositories.contract.js - Behaviour every repository store must share, run against each one
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_LIMIT } = require('../repositories/schema');
+
+const CREATED = new Date('2026-01-05T10:00:00Z');
+const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+const incident = (id, values = {}) => ({
+  id,
+  user_id: 'user-1',
+  user_info: { name: 'Reporter', email: 'reporter@example.com', department: 'finance' },
+  form_data: { subject: `Report ${id}`, description: 'Suspicious email' },
+  request_type: 'phishing-email',
+  details: {},
+  reason: 'Reported from the portal',
+  created_at: CREATED,
+  ...values
+});
+
+const comment = (id, requestId, values = {}) => ({
+  id,
+  request_id: requestId,
+  user_id: 'user-1',
+  user_name: 'Reporter',
+  message: `Comment ${id}`,
+  ...values
+});
+
+const user = (userId, email, values = {}) => ({
+  user_id: userId,
+  email,
+  user_name: userId,
+  ...values
+});
+
+const indicator = (id, type, value, source = 'form_data.description') => ({ id, type, value, source });
+
+const attachment = (id, requestId, values = {}) => ({
+  id,
+  request_id: requestId,
+  file_name: `${id}.txt`,
+  content_type: 'text/plain',
+  size_bytes: 10,
+  sha256: 'a'.repeat(64),
+  storage_key: `${requestId}/${id}`,
+  uploaded_by: 'user-1',
+  ...values
+});
+
+const message = (id, values = {}) => ({
+  id,
+  event_type: 'incident.commented',
+  channel_name: 'email',
+  payload: { to: 'reporter@example.com' },
+  next_attempt_at: CREATED,
+  created_at: CREATED,
+  ...values
+});
+
+const rejectsWith = (promise, code) => assert.rejects(promise, error => error.code === code);
+
+// `setup` returns a fresh, empty set of repositories before every test
+const runRepositoryContract = (name, setup, { skip } = {}) => {
+  describe(`${name} repositories`, { skip }, () => {
+    let repositories;
+
+    beforeEach(async () => {
+      repositories = await setup();
+    });
+
+    describe('incidents', () => {
+      it('reads back JSON, dates and the column defaults', async () => {
+        await repositories.incidents.insert(incident('REQ-1'));
+        const row = await repositories.incidents.get('REQ-1');
+
+        assert.deepEqual(row.user_info, incident('REQ-1').user_info);
+        assert.deepEqual(row.form_data, incident('REQ-1').form_data);
+        assert.equal(row.request_status, 'open');
+        assert.equal(row.priority_level, 'medium');
+        assert.ok(row.created_at instanceof Date);
+        assert.equal(row.created_at.getTime(), CREATED.getTime());
+        assert.equal(row.assigned_to, null);
+      });
+
+      it('refuses ISO strings in TIMESTAMP columns, as MySQL does', async () => {
+        await rejectsWith(repositories.incidents.insert(incident('REQ-1', { created_at: CREATED.toISOString() })), 'ER_TRUNCATED_WRONG_VALUE');
+
+        await repositories.incidents.insert(incident('REQ-1'));
+        await rejectsWith(repositories.incidents.update('REQ-1', { updated_at: new Date().toISOString() }), 'ER_TRUNCATED_WRONG_VALUE');
+        await repositories.incidents.update('REQ-1', { completed_at: minutesAfter(CREATED, 5) });
+        assert.ok((await repositories.incidents.get('REQ-1')).completed_at instanceof Date);
+      });
+
+      it('rejects a duplicate id and a parent that does not exist', async () => {
+        await repositories.incidents.insert(incident('REQ-1'));
+        await rejectsWith(repositories.incidents.insert(incident('REQ-1')), 'ER_DUP_ENTRY');
+        await rejectsWith(repositories.incidents.insert(incident('REQ-2', { parent_id: 'REQ-404' })), 'ER_NO_REFERENCED_ROW_2');
+      });
+
+      it('hides deleted incidents unless asked for them', async () => {
+        await repositories.incidents.insert(incident('REQ-1', { deleted_at: CREATED, deleted_by: 'admin' }));
+
+        assert.equal(await repositories.incidents.get('REQ-1'), null);
+        assert.equal((await repositories.incidents.get('REQ-1', { deleted: true })).id, 'REQ-1');
+        assert.equal((await repositories.incidents.get('REQ-1', { deleted: 'any' })).id, 'REQ-1');
+      });
+
+      it('updates the given columns and touches updated_at', async () => {
+        await repositories.incidents.insert(incident('REQ-1', { updated_at: CREATED }));
+        await repositories.incidents.update('REQ-1', { request_status: 'in-progress', triage: { tags: ['vip'] } });
+        const row = await repositories.incidents.get('REQ-1');
+
+        assert.equal(row.request_status, 'in-progress');
+        assert.deepEqual(row.triage, { tags: ['vip'] });
+        assert.ok(row.updated_at > CREATED);
+      });
+
+      it('pages through a sort with a cursor and a limit', async () => {
+        await repositories.incidents.insert(incident('REQ-1', { priority_level: 'low' }));
+        await repositories.incidents.insert(incident('REQ-2', { priority_level: 'critical' }));
+        await repositories.incidents.insert(incident('REQ-3', { priority_level: 'critical' }));
+        const sort = { sort: 'priority', order: 'desc' };
+
+        const first = await repositories.incidents.find({ sort, limit: 2 });
+        assert.deepEqual(first.map(row => row.id), ['REQ-3', 'REQ-2']);
+
+        const last = first[first.length - 1];
+        const rest = await repositories.incidents.find({ sort, limit: 2, after: { value: last.sort_value, id: last.id } });
+        assert.deepEqual(rest.map(row => row.id), ['REQ-1']);
+      });
+
+      it('applies the list filters', async () => {
+        await repositories.incidents.insert(incident('REQ-1', { assigned_to: 'analyst', reason: 'Invoice FRAUD' }));
+        await repositories.incidents.insert(incident('REQ-2', { request_type: 'malware', created_at: minutesAfter(CREATED, 60) }));
+        await repositories.incidents.insert(incident('REQ-3', { user_info: { name: 'Other', department: 'sales' } }));
+        const ids = async (filters) => (await repositories.incidents.find({ filters, sort: { sort: 'created_at', order: 'asc' } }))
+          .map(row => row.id);
+
+        assert.deepEqual(await ids({ assigned: true }), ['REQ-1']);
+        assert.deepEqual(await ids({ assignedTo: 'analyst' }), ['REQ-1']);
+        assert.deepEqual(await ids({ types: ['malware'] }), ['REQ-2']);
+        assert.deepEqual(await ids({ department: 'sales' }), ['REQ-3']);
+        assert.deepEqual(await ids({ createdFrom: minutesAfter(CREATED, 30) }), ['REQ-2']);
+        assert.deepEqual(await ids({ q: 'invoice fraud' }), ['REQ-1']);
+        assert.deepEqual(await ids({ ids: [] }), []);
+      });
+
+      it('filters by indicator', async () => {
+        await repositories.incidents.insert(incident('REQ-1'));
+        await repositories.incidents.insert(incident('REQ-2'));
+        await repositories.indicators.replaceForRequest('REQ-2', [indicator('IOC-1', 'domain', 'evil.example')]);
+
+        const rows = await repositories.incidents.find({ filters: { indicatorId: 'IOC-1' } });
+        assert.deepEqual(rows.map(row => row.id), ['REQ-2']);
+      });
+
+      it('rejects unknown filters and limits that are not positive integers', async () => {
+        await assert.rejects(repositories.incidents.find({ filters: { colour: 'red' } }));
+        await assert.rejects(repositories.incidents.find({ limit: 0 }));
+        await assert.rejects(repositories.incidents.find({ limit: 'ten' }));
+      });
+
+      it('returns at most the default limit when none is given', async () => {
+        for (let index = 0; index <= DEFAULT_LIMIT; index++) {
+          await repositories.incidents.insert(incident(`REQ-${String(index).padStart(3, '0')}`));
+        }
+        assert.equal((await repositories.incidents.find()).length, DEFAULT_LIMIT);
+        assert.equal((await repositories.incidents.idsAfter()).length, DEFAULT_LIMIT);
+      });
+
+      it('lists ids in order after a given one', async () => {
+        await repositories.incidents.insert(incident('REQ-3'));
+        await repositories.incidents.insert(incident('REQ-1'));
+        await repositories.incidents.insert(incident('REQ-2', { deleted_at: CREATED }));
+
+        assert.deepEqual(await repositories.incidents.idsAfter(undefined, { limit: 2 }), ['REQ-1', 'REQ-2']);
+        assert.deepEqual(await repositories.incidents.idsAfter('REQ-2', { limit: 2 }), ['REQ-3']);
+      });
+
+      it('lists live children in id order', async () => {
+        await repositories.incidents.insert(incident('REQ-1'));
+        await repositories.incidents.insert(incident('REQ-3', { parent_id: 'REQ-1' }));
+        await repositories.incidents.insert(incident('REQ-2', { parent_id: 'REQ-1' }));
+        await repositories.incidents.insert(incident('REQ-4', { parent_id: 'REQ-1', deleted_at: CREATED }));
+
+        assert.deepEqual((await repositories.incidents.children('REQ-1')).map(row => row.id), ['REQ-2', 'REQ-3']);
+      });
+
+      it('finds SLA candidates oldest first, skipping stages already recorded', async () => {
+        const now = minutesAfter(CREATED, 24 * 60);
+        await repositories.incidents.insert(incident('REQ-1', { priority_level: 'critical', created_at: minutesAfter(CREATED, 10) }));
+        await repositories.incidents.insert(incident('REQ-2', { priority_level: 'critical' }));
+        await repositories.incidents.insert(incident('REQ-3', {
+          priority_level: 'critical',
+          sla_acknowledge_state: 'breached',
+          sla_resolve_state: 'breached'
+        }));
+        await repositories.incidents.insert(incident('REQ-4', { priority_level: 'critical', request_status: 'closed' }));
+        await repositories.incidents.insert(incident('REQ-5', { priority_level: 'low', created_at: minutesAfter(now, -1) }));
+
+        const rows = await repositories.incidents.slaCandidates(now, { limit: 10 });
+        assert.deepEqual(rows.map(row => row.id), ['REQ-2', 'REQ-1']);
+      });
+
+      it('takes SLA due dates from sla_priority_level when it is set', async () => {
+        const now = minutesAfter(CREATED, 2 * 60);
+        await repositories.incidents.insert(incident('REQ-1', { priority_level: 'critical', sla_priority_level: 'low' }));
+        await repositories.incidents.insert(incident('REQ-2', { priority_level: 'critical' }));
+
+        const rows = await repositories.incidents.slaCandidates(now, { limit: 10 });
+        assert.deepEqual(rows.map(row => row.id), ['REQ-2']);
+      });
+
+      it('puts SLA candidates checked most recently last, without touching updated_at', async () => {
+        const now = minutesAfter(CREATED, 24 * 60);
+        await repositories.incidents.insert(incident('REQ-1', { priority_level: 'critical' }));
+        await repositories.incidents.insert(incident('REQ-2', { priority_level: 'critical', created_at: minutesAfter(CREATED, 10) }));
+        await repositories.incidents.insert(incident('REQ-3', { priority_level: 'critical', created_at: minutesAfter(CREATED, 20) }));
+        const before = await repositories.incidents.get('REQ-1');
+
+        await repositories.incidents.markSlaChecked(['REQ-1'], minutesAfter(now, -10));
+        await repositories.incidents.markSlaChecked(['REQ-2'], minutesAfter(now, -5));
+
+        const rows = await repositories.incidents.slaCandidates(now, { limit: 10 });
+        assert.deepEqual(rows.map(row => row.id), ['REQ-3', 'REQ-1', 'REQ-2']);
+        const after = await repositories.incidents.get('REQ-1');
+        assert.deepEqual(after.sla_checked_at, minutesAfter(now, -10));
+        assert.deepEqual(after.updated_at, before.updated_at);
+      });
+    });
+
+    describe('transactions', () => {
+      it('commits the work and returns its result', async () => {
+        const result = await repositories.transaction(async (tx) => {
+          await repositories.incidents.insert(incident('REQ-1'), tx);
+          return (await repositories.incidents.get('REQ-1', {}, tx)).id;
+        });
+
+        assert.equal(result, 'REQ-1');
+        assert.equal((await repositories.incidents.get('REQ-1')).id, 'REQ-1');
+      });
+
+      it('discards every write when the work throws', async () => {
+        await assert.rejects(repositories.transaction(async (tx) => {
+          await repositories.incidents.insert(incident('REQ-1'), tx);
+          await repositories.comments.insert(comment('CMT-1', 'REQ-1'), tx);
+          throw new Error('boom');
+        }), /boom/);
+
+        assert.equal(await repositories.incidents.get('REQ-1'), null);
+        assert.equal(await repositories.comments.get('REQ-1', 'CMT-1'), null);
+      });
+    });
+
+    describe('comments', () => {
+      it('lists oldest first and leaves internal notes out unless asked', async () => {
+        await repositories.incidents.insert(incident('REQ-1'));
+        await repositories.comments.insert(comment('CMT-2', 'REQ-1', { created_at: minutesAfter(CREATED, 2) }));
+        await repositories.comments.insert(comment('CMT-1', 'REQ-1', { created_at: minutesAfter(CREATED, 1), is_internal: true }));
+
+        const visible = await repositories.comments.listForRequests(['REQ-1']);
+        assert.deepEqual(visible.map(row => row.id), ['CMT-2']);
+        assert.equal(visible[0].is_internal, 0);
+
+        const all = await repositories.comments.listForRequests(['REQ-1'], { includeInternal: true });
+        assert.deepEqual(all.map(row => row.id), ['CMT-1', 'CMT-2']);
+        assert.deepEqual(await repositories.comments.listForRequests([]), []);
+      });
+
+      it('needs an existing incident and is only found under it', async () => {
+        await rejectsWith(repositories.comments.insert(comment('CMT-1', 'REQ-404')), 'ER_NO_REFERENCED_ROW_2');
+
+        await repositories.incidents.insert(incident('REQ-1'));
+        await repositories.comments.insert(comment('CMT-1', 'REQ-1'));
+        assert.equal(await repositories.comments.get('REQ-2', 'CMT-1'), null);
+
+        await repositories.comments.update('CMT-1', { message: 'Edited' });
+        assert.equal((await repositories.comments.get('REQ-1', 'CMT-1')).message, 'Edited');
+
+        await repositories.comments.remove('CMT-1');
+        assert.equal(await repositories.comments.get('REQ-1', 'CMT-1'), null);
+      });
+    });
+
+    describe('users', () => {
+      it('matches emails without regard to case and reports the clashing key', async () => {
+        await repositories.users.insert(user('u-1', 'analyst@example.com', { permissions: ['audit:view'] }));
+
+        assert.equal((await repositories.users.findByEmail('Analyst@Example.com')).user_id, 'u-1');
+        assert.equal((await repositories.users.findByIdOrEmail('u-1')).email, 'analyst@example.com');
+        assert.deepEqual((await repositories.users.get('u-1')).permissions, ['audit:view']);
+        assert.equal((await repositories.users.get('u-1')).is_active, 1);
+
+        await assert.rejects(repositories.users.insert(user('u-1', 'other@example.com')), { code: 'ER_DUP_ENTRY', key: 'user_id' });
+        await assert.rejects(repositories.users.insert(user('u-2', 'ANALYST@example.com')), { code: 'ER_DUP_ENTRY', key: 'email' });
+      });
+
+      it('lists by role, activity and search text', async () => {
+        await repositories.users.insert(user('u-2', 'bea@example.com', { user_name: 'Bea', user_role: 'admin' }));
+        await repositories.users.insert(user('u-1', 'al@example.com', { user_name: 'Al', is_active: false }));
+        await repositories.users.insert(user('u-3', 'cy@example.com', { user_name: 'Cy' }));
+
+        assert.deepEqual((await repositories.users.list()).map(row => row.user_id), ['u-1', 'u-2', 'u-3']);
+        assert.deepEqual((await repositories.users.list({ role: 'admin' })).map(row => row.user_id), ['u-2']);
+        assert.deepEqual((await repositories.users.list({ active: true })).map(row => row.user_id), ['u-2', 'u-3']);
+        assert.deepEqual((await repositories.users.list({ q: 'CY@' })).map(row => row.user_id), ['u-3']);
+      });
+    });
+
+    describe('audit', () => {
+      it('keeps a chain head and entries in sequence order', async () => {
+        await repositories.incidents.insert(incident('REQ-1'));
+        await repositories.audit.createHead('requests', 'genesis');
+        await repositories.audit.createHead('requests', 'ignored');
+        assert.deepEqual(await repositories.audit.getHead('requests'), { lastSeq: 0, lastHash: 'genesis' });
+
+        for (const seq of [1, 2, 3]) {
+          await repositories.audit.insertEntry({
+            request_id: 'REQ-1',
+            user_id: 'user-1',
+            action_type: seq === 1 ? 'CREATE' : 'UPDATE',
+            new_values: { seq },
+            chain_seq: seq,
+            prev_hash: `hash-${seq - 1}`,
+            entry_hash: `hash-${seq}`
+          });
+        }
+        await repositories.audit.setHead('requests', { lastSeq: 3, lastHash: 'hash-3' });
+        assert.deepEqual(await repositories.audit.getHead('requests'), { lastSeq: 3, lastHash: 'hash-3' });
+
+        assert.deepEqual((await repositories.audit.listBySeq(2, 3)).map(row => row.chain_seq), [2, 3]);
+        assert.deepEqual((await repositories.audit.getBySeq(1)).new_values, { seq: 1 });
+        await rejectsWith(repositories.audit.insertEntry({ request_id: 'REQ-1', user_id: 'user-1', action_type: 'UPDATE', chain_seq: 3 }), 'ER_DUP_ENTRY');
+
+        const newest = await repositories.audit.find({ actions: ['UPDATE'] }, { limit: 1 });
+        assert.deepEqual(newest.map(row => row.chain_seq), [3]);
+        const older = await repositories.audit.find({ actions: ['UPDATE'], beforeId: newest[0].id }, { limit: 5 });
+        assert.deepEqual(older.map(row => row.chain_seq), [2]);
+      });
+
+      it('lists user entries newest first', async () => {
+        await repositories.audit.insertUserEntry({ target_user_id: 'u-1', actor_user_id: 'admin', action_type: 'ROLE_CHANGE', created_at: CREATED });
+        await repositories.audit.insertUserEntry({
+          target_user_id: 'u-1',
+          actor_user_id: 'admin',
+          action_type: 'DEACTIVATE',
+          created_at: minutesAfter(CREATED, 1)
+        });
+
+        const entries = await repositories.audit.listUserEntries('u-1', { limit: 10 });
+        assert.deepEqual(entries.map(row => row.action_type), ['DEACTIVATE', 'ROLE_CHANGE']);
+      });
+    });
+
+    describe('indicators', () => {
+      beforeEach(async () => {
+        await repositories.incidents.insert(incident('REQ-1'));
+        await repositories.incidents.insert(incident('REQ-2', { created_at: minutesAfter(CREATED, 60) }));
+        await repositories.incidents.insert(incident('REQ-3', { deleted_at: CREATED }));
+        const shared = [indicator('IOC-D', 'domain', 'evil.example'), indicator('IOC-U', 'url', 'http://evil.example/login')];
+        await repositories.indicators.replaceForRequest('REQ-1', [...shared, indicator('IOC-E', 'email', 'x@evil.example')]);
+        await repositories.indicators.replaceForRequest('REQ-2', shared);
+        await repositories.indicators.replaceForRequest('REQ-3', shared);
+      });
+
+      it('counts live reports per indicator', async () => {
+        const rows = await repositories.indicators.getMany(['IOC-D', 'IOC-E', 'IOC-404']);
+        const counts = Object.fromEntries(rows.map(row => [row.id, Number(row.report_count)]));
+        assert.deepEqual(counts, { 'IOC-D': 2, 'IOC-E': 1 });
+        assert.deepEqual(await repositories.indicators.getMany([]), []);
+
+        const listed = await repositories.indicators.listForRequest('REQ-1');
+        assert.deepEqual(listed.map(row => row.id), ['IOC-D', 'IOC-U', 'IOC-E']);
+      });
+
+      it('replaces a request\'s links', async () => {
+        await repositories.indicators.replaceForRequest('REQ-1', [indicator('IOC-E', 'email', 'x@evil.example')]);
+        assert.deepEqual((await repositories.indicators.listForRequest('REQ-1')).map(row => row.id), ['IOC-E']);
+
+        await repositories.indicators.replaceForRequest('REQ-1', []);
+        assert.deepEqual(await repositories.indicators.listForRequest('REQ-1'), []);
+      });
+
+      it('finds the live requests sharing an indicator', async () => {
+        const shared = await repositories.indicators.sharedWith('REQ-1');
+        assert.deepEqual(shared.map(row => [row.request_id, row.id, row.indicator_type]), [
+          ['REQ-2', 'IOC-D', 'domain'],
+          ['REQ-2', 'IOC-U', 'url']
+        ]);
+
+        assert.deepEqual((await repositories.indicators.sharedWith('REQ-1', { type: 'url' })).map(row => row.id), ['IOC-U']);
+        assert.deepEqual(await repositories.indicators.sharedWith('REQ-1', { since: minutesAfter(CREATED, 61) }), []);
+      });
+
+      it('links the requests of indicators reported often enough', async () => {
+        const links = await repositories.indicators.campaignLinks({ since: CREATED, minReports: 2 });
+        assert.deepEqual(links.map(row => [row.indicator_id, row.request_id]), [
+          ['IOC-D', 'REQ-1'],
+          ['IOC-D', 'REQ-2'],
+          ['IOC-U', 'REQ-1'],
+          ['IOC-U', 'REQ-2']
+        ]);
+        assert.ok(links[0].created_at instanceof Date);
+        assert.deepEqual(await repositories.indicators.campaignLinks({ since: minutesAfter(CREATED, 1), minReports: 2 }), []);
+      });
+    });
+
+    describe('attachments', () => {
+      it('stores metadata, totals sizes and hides internal files unless asked', async () => {
+        await repositories.incidents.insert(incident('REQ-1'));
+        await repositories.attachments.insert(attachment('ATT-1', 'REQ-1', { created_at: CREATED }));
+        await repositories.attachments.insert(attachment('ATT-2', 'REQ-1', { size_bytes: 5, is_internal: true, created_at: minutesAfter(CREATED, 1) }));
+        await rejectsWith(repositories.attachments.insert(attachment('ATT-3', 'REQ-404')), 'ER_NO_REFERENCED_ROW_2');
+
+        assert.equal(await repositories.attachments.totalBytes('REQ-1'), 15);
+        assert.deepEqual((await repositories.attachments.listForRequest('REQ-1')).map(row => row.id), ['ATT-1']);
+        assert.deepEqual(
+          (await repositories.attachments.listForRequest('REQ-1', { includeInternal: true })).map(row => row.id),
+          ['ATT-1', 'ATT-2']
+        );
+        assert.equal(await repositories.attachments.get('REQ-2', 'ATT-1'), null);
+        assert.equal((await repositories.attachments.get('REQ-1', 'ATT-2')).is_internal, 1);
+
+        await repositories.attachments.remove('ATT-1');
+        assert.equal(await repositories.attachments.totalBytes('REQ-1'), 5);
+      });
+    });
+
+    describe('outbox', () => {
+      it('hands a due message to one claimer at a time', async () => {
+        const now = minutesAfter(CREATED, 5);
+        await repositories.outbox.insert(message('NTF-2', { next_attempt_at: minutesAfter(CREATED, 1) }));
+        await repositories.outbox.insert(message('NTF-1'));
+        await repositories.outbox.insert(message('NTF-3', { next_attempt_at: minutesAfter(CREATED, 10) }));
+
+        assert.deepEqual(await repositories.outbox.findDue(now, { limit: 10 }), ['NTF-1', 'NTF-2']);
+
+        const claimed = await repositories.outbox.claim('NTF-1', { now, lockedUntil: minutesAfter(now, 1) });
+        assert.equal(claimed.delivery_status, 'sending');
+        assert.equal(claimed.attempts, 1);
+        assert.deepEqual(claimed.payload, { to: 'reporter@example.com' });
+        assert.equal(await repositories.outbox.claim('NTF-1', { now, lockedUntil: minutesAfter(now, 1) }), null);
+
+        // An abandoned send is due again once its lock runs out
+        assert.deepEqual(await repositories.outbox.findDue(minutesAfter(now, 2), { limit: 10 }), ['NTF-1', 'NTF-2']);
+      });
+
+      it('lists newest first and requeues only dead messages', async () => {
+        await repositories.outbox.insert(message('NTF-1'));
+        await repositories.outbox.insert(message('NTF-2', { created_at: minutesAfter(CREATED, 1) }));
+        await repositories.outbox.update('NTF-1', { delivery_status: 'dead', attempts: 6, last_error: 'timeout' });
+
+        assert.deepEqual((await repositories.outbox.list()).map(row => row.id), ['NTF-2', 'NTF-1']);
+        assert.deepEqual((await repositories.outbox.list({ status: 'dead' }, { limit: 5 })).map(row => row.id), ['NTF-1']);
+
+        assert.equal(await repositories.outbox.requeueDead('NTF-2', CREATED), false);
+        assert.equal(await repositories.outbox.requeueDead('NTF-1', CREATED), true);
+        const row = await repositories.outbox.get('NTF-1');
+        assert.equal(row.delivery_status, 'pending');
+        assert.equal(row.attempts, 0);
+        assert.equal(row.last_error, null);
+      });
+    });
+
+    describe('preferences', () => {
+      it('keeps one setting per email and event, whatever the case of the email', async () => {
+        await repositories.preferences.set('Reporter@Example.com', 'incident.commented', false);
+        await repositories.preferences.set('reporter@example.com', 'incident.commented', true);
+        await repositories.preferences.set('reporter@example.com', 'incident.assigned', false);
+
+        const rows = await repositories.preferences.listForEmail('REPORTER@example.com');
+        const settings = Object.fromEntries(rows.map(row => [row.event_type, !!row.enabled]));
+        assert.deepEqual(settings, { 'incident.commented': true, 'incident.assigned': false });
+      });
+    });
+
+    describe('idempotency keys', () => {
+      const key = (values = {}) => ({
+        user_id: 'user-1',
+        idempotency_key: 'key-1',
+        route: 'POST /api/requests',
+        request_hash: 'b'.repeat(64),
+        created_at: CREATED,
+        expires_at: minutesAfter(CREATED, 60),
+        ...values
+      });
+
+      it('holds a key once and stores the response', async () => {
+        await repositories.idempotencyKeys.insert(key());
+        await rejectsWith(repositories.idempotencyKeys.insert(key()), 'ER_DUP_ENTRY');
+
+        await repositories.idempotencyKeys.complete('user-1', 'key-1', { responseStatus: 201, responseBody: '{"id":"REQ-1"}' });
+        const row = await repositories.idempotencyKeys.get('user-1', 'key-1');
+        assert.equal(row.status, 'completed');
+        assert.equal(row.response_status, 201);
+        assert.equal(row.response_body, '{"id":"REQ-1"}');
+      });
+
+      it('removes only the row that was read, and expired ones', async () => {
+        await repositories.idempotencyKeys.insert(key());
+        await repositories.idempotencyKeys.insert(key({ idempotency_key: 'key-2', expires_at: minutesAfter(CREATED, 5) }));
+
+        assert.equal(await repositories.idempotencyKeys.remove('user-1', 'key-1', { createdAt: minutesAfter(CREATED, 1) }), false);
+        assert.equal(await repositories.idempotencyKeys.remove('user-1', 'key-1', { createdAt: CREATED }), true);
+        assert.equal(await repositories.idempotencyKeys.get('user-1', 'key-1'), null);
+
+        assert.equal(await repositories.idempotencyKeys.removeExpired(minutesAfter(CREATED, 5)), 1);
+        assert.equal(await repositories.idempotencyKeys.get('user-1', 'key-2'), null);
+      });
+    });
+
+    describe('rate limits', () => {
+      it('counts hits per bucket and window', async () => {
+        const next = minutesAfter(CREATED, 1);
+        assert.equal(await repositories.rateLimits.hit('user:1', CREATED), 1);
+        assert.equal(await repositories.rateLimits.hit('user:1', CREATED), 2);
+        assert.equal(await repositories.rateLimits.hit('user:2', CREATED), 1);
+        assert.equal(await repositories.rateLimits.hit('user:1', next), 1);
+
+        assert.equal(await repositories.rateLimits.removeBefore(next), 2);
+        assert.equal(await repositories.rateLimits.hit('user:1', CREATED), 1);
+      });
+    });
+
+    describe('analytics', () => {
+      const range = { from: new Date('2026-01-01T00:00:00Z'), to: new Date('2026-02-01T00:00:00Z') };
+
+      beforeEach(async () => {
+        await repositories.incidents.insert(incident('REQ-1', {
+          priority_level: 'high',
+          request_status: 'resolved',
+          approved_at: minutesAfter(CREATED, 10),
+          completed_at: minutesAfter(CREATED, 60)
+        }));
+        await repositories.incidents.insert(incident('REQ-2', {
+          priority_level: 'high',
+          created_at: new Date('2026-01-12T09:00:00Z'),
+          approved_at: new Date('2026-01-12T09:30:00Z')
+        }));
+        await repositories.incidents.insert(incident('REQ-3', { priority_level: 'low', request_type: 'malware', user_info: { name: 'Other' } }));
+        await repositories.incidents.insert(incident('REQ-4', { deleted_at: CREATED }));
+      });
+
+      it('counts per day, week and month', async () => {
+        const count = (interval, column = 'created_at') =>
+          repositories.analytics.countByBucket({ interval, column, filters: {}, range });
+
+        assert.deepEqual(Object.fromEntries(await count('day')), { '2026-01-05': 2, '2026-01-12': 1 });
+        assert.deepEqual(Object.fromEntries(await count('week')), { '2026-01-05': 2, '2026-01-12': 1 });
+        assert.deepEqual(Object.fromEntries(await count('month')), { '2026-01-01': 3 });
+        assert.deepEqual(Object.fromEntries(await count('day', 'completed_at')), { '2026-01-05': 1 });
+      });
+
+      it('breaks counts down by status', async () => {
+        const groups = await repositories.analytics.breakdown({ by: 'priority', filters: {}, range });
+        assert.deepEqual(groups, [
+          { key: 'high', total: 2, byStatus: { open: 1, 'in-progress': 0, resolved: 1, closed: 0 } },
+          { key: 'low', total: 1, byStatus: { open: 1, 'in-progress': 0, resolved: 0, closed: 0 } }
+        ]);
+
+        const departments = await repositories.analytics.breakdown({ by: 'department', filters: { types: ['phishing-email'] }, range });
+        assert.deepEqual(departments.map(group => [group.key, group.total]), [['finance', 2]]);
+      });
+
+      it('averages response times overall and per priority', async () => {
+        const times = await repositories.analytics.responseTimes({ filters: {}, range });
+        assert.deepEqual(times.overall, { acknowledged: 2, mttaSeconds: 1200, resolved: 1, mttrSeconds: 3600 });
+        assert.deepEqual(times.byPriority.low, { acknowledged: 0, mttaSeconds: null, resolved: 0, mttrSeconds: null });
+      });
+
+      it('lists backlog ages youngest first', async () => {
+        const now = new Date('2026-01-12T10:00:00Z');
+        const ages = await repositories.analytics.ages({ statuses: ['open', 'in-progress'], filters: {}, now });
+        assert.deepEqual(ages, [
+          { priority: 'high', ageSeconds: 3600 },
+          { priority: 'low', ageSeconds: 7 * 24 * 3600 }
+        ]);
+      });
+
+      it('summarises live incidents', async () => {
+        const stats = await repositories.analytics.stats();
+        assert.equal(Number(stats.total_requests), 3);
+        assert.equal(Number(stats.open_count), 2);
+        assert.equal(Number(stats.resolved_count), 1);
+        assert.equal(Number(stats.malware_count), 1);
+        assert.equal(Number(stats.priority_high_count), 2);
+        assert.equal(Number(stats.avg_processing_time_hours), 1);
+      });
+    });
+  });
+};
+
+module.exports = {
+  runRepositoryContract
+};
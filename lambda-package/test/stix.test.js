@@ -0,0 +1,122 @@
+// test/stix.test.js - STIX 2.1 bundles built from incidents: objects, deterministic ids and patterns
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { toStixBundle } = require('../stix');
+
+// Namespace the STIX 2.1 spec defines for cyber-observable ids
+const STIX_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+const UUID_V5 = /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// Worked out here rather than taken from stix.js, so a wrong namespace or name shows up
+const scoId = (type, value) => {
+  const hash = crypto.createHash('sha1')
+    .update(Buffer.from(STIX_NAMESPACE.replace(/-/g, ''), 'hex'))
+    .update(JSON.stringify({ value }))
+    .digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${type}--${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const incident = (id, values = {}) => ({
+  id,
+  type: 'phishing-email',
+  reason: 'Reported from the portal',
+  formData: { senderEmail: 'billing@evil.example', url: 'https://evil.example/pay', subject: 'Invoice overdue' },
+  createdAt: new Date('2026-01-05T10:00:00Z'),
+  updatedAt: new Date('2026-01-05T11:30:00Z'),
+  ...values
+});
+
+const byType = (bundle, type) => bundle.objects.filter(object => object.type === type);
+
+describe('stix', () => {
+  it('builds a bundle with the producer, observables, observed data, indicators and relationships', () => {
+    const bundle = toStixBundle([incident('REQ-1')]);
+
+    assert.equal(bundle.type, 'bundle');
+    assert.match(bundle.id, /^bundle--/);
+    assert.deepEqual(bundle.objects.map(object => object.type), [
+      'identity', 'email-addr', 'url', 'observed-data', 'indicator', 'indicator', 'relationship', 'relationship'
+    ]);
+    bundle.objects.forEach(object => {
+      assert.equal(object.spec_version, '2.1');
+      assert.match(object.id.split('--')[1], UUID_V5);
+    });
+
+    const [email] = byType(bundle, 'email-addr');
+    assert.equal(email.id, scoId('email-addr', 'billing@evil.example'));
+    assert.equal(byType(bundle, 'url')[0].id, scoId('url', 'https://evil.example/pay'));
+
+    const [observed] = byType(bundle, 'observed-data');
+    assert.deepEqual(observed.object_refs, [email.id, scoId('url', 'https://evil.example/pay')]);
+    assert.equal(observed.first_observed, '2026-01-05T10:00:00.000Z');
+    assert.equal(observed.modified, '2026-01-05T11:30:00.000Z');
+
+    const [indicator] = byType(bundle, 'indicator');
+    assert.equal(indicator.pattern, "[email-addr:value = 'billing@evil.example']");
+    assert.equal(indicator.pattern_type, 'stix');
+    assert.equal(indicator.description, 'Invoice overdue');
+    assert.deepEqual(indicator.labels, ['phishing-email']);
+    assert.deepEqual(indicator.external_references, [{ source_name: 'company-security-portal', external_id: 'REQ-1' }]);
+    assert.equal(indicator.created_by_ref, bundle.objects[0].id);
+
+    byType(bundle, 'relationship').forEach((relationship, index) => {
+      assert.equal(relationship.relationship_type, 'based-on');
+      assert.equal(relationship.source_ref, byType(bundle, 'indicator')[index].id);
+      assert.equal(relationship.target_ref, observed.id);
+    });
+  });
+
+  it('gives an incident the same object ids on every export', () => {
+    const first = toStixBundle([incident('REQ-1')]);
+    const second = toStixBundle([incident('REQ-1')]);
+
+    assert.notEqual(first.id, second.id);
+    assert.deepEqual(second.objects.map(object => object.id), first.objects.map(object => object.id));
+    assert.notDeepEqual(
+      byType(toStixBundle([incident('REQ-2')]), 'indicator').map(object => object.id),
+      byType(first, 'indicator').map(object => object.id)
+    );
+  });
+
+  it('lists an observable shared by several incidents once', () => {
+    const bundle = toStixBundle([incident('REQ-1'), incident('REQ-2', { formData: { senderEmail: 'billing@evil.example' } })]);
+
+    assert.equal(byType(bundle, 'email-addr').length, 1);
+    assert.equal(byType(bundle, 'observed-data').length, 2);
+    assert.equal(byType(bundle, 'indicator').length, 3);
+  });
+
+  it('only exports phishing and suspicious-website reports that have observables', () => {
+    const bundle = toStixBundle([
+      incident('REQ-1', { type: 'malware' }),
+      incident('REQ-2', { formData: { subject: 'No sender or link' } }),
+      incident('REQ-3', { type: 'phishing-report', formData: { incidentType: 'data-breach', url: 'https://evil.example' } })
+    ]);
+    assert.deepEqual(bundle.objects.map(object => object.type), ['identity']);
+
+    const fromForm = toStixBundle([
+      incident('REQ-4', { type: 'phishing-report', formData: { incidentType: 'suspicious-website', url: 'https://fake-bank.example' } })
+    ]);
+    assert.deepEqual(byType(fromForm, 'indicator')[0].labels, ['suspicious-website']);
+  });
+
+  it('escapes quotes and backslashes in patterns and falls back to the creation time', () => {
+    const bundle = toStixBundle([incident('REQ-1', {
+      formData: { url: "https://evil.example/a'b\\c" },
+      reason: 'Odd link',
+      createdAt: '2026-01-05T10:00:00Z',
+      updatedAt: null
+    })]);
+
+    const [indicator] = byType(bundle, 'indicator');
+    assert.equal(indicator.pattern, "[url:value = 'https://evil.example/a\\'b\\\\c']");
+    assert.equal(indicator.description, 'Odd link');
+    assert.equal(indicator.modified, indicator.created);
+    assert.equal(indicator.valid_from, '2026-01-05T10:00:00.000Z');
+  });
+});
@@ -0,0 +1,42 @@
+// test/tokens.js - Signing keys and a JWKS file, for tests that need real bearer tokens
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ISSUER = 'https://issuer.test';
+const AUDIENCE = 'security-portal';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// A fresh RSA key; its tokens are valid for ten minutes unless the claims say otherwise
+const createSigningKey = (kid = 'test-key') => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+  const sign = (claims = {}, header = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const encodedHeader = encode({ alg: 'RS256', typ: 'JWT', kid, ...header });
+    const encodedPayload = encode({ iss: ISSUER, aud: AUDIENCE, iat: now, exp: now + 600, ...claims });
+    const signature = crypto.sign('sha256', Buffer.from(`${encodedHeader}.${encodedPayload}`), privateKey);
+    return `${encodedHeader}.${encodedPayload}.${signature.toString('base64url')}`;
+  };
+
+  return { kid, jwk, sign };
+};
+
+// Writes the public keys to a temporary file for AUTH_JWKS_FILE; remove() deletes it again
+const writeJwksFile = (keys) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+  const file = path.join(dir, 'jwks.json');
+  fs.writeFileSync(file, JSON.stringify({ keys: keys.map(key => key.jwk) }));
+  return { file, remove: () => fs.rmSync(dir, { recursive: true, force: true }) };
+};
+
+module.exports = {
+  ISSUER,
+  AUDIENCE,
+  encode,
+  createSigningKey,
+  writeJwksFile
+};
@@ -0,0 +1,175 @@
+// test/triage.test.js - Auto-triage rules: matching, priority, owner, tags, alerts and the manual-priority override
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the modules load or on first use; the webhook is never called since inline delivery is off
+process.env.DATA_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.NOTIFICATION_INLINE_TIMEOUT_MS = '0';
+process.env.NOTIFICATION_CHANNELS = JSON.stringify([{ name: 'soc-webhook', type: 'webhook', url: 'http://127.0.0.1:9/hook' }]);
+process.env.TRIAGE_WATCHLIST = 'evil.example';
+process.env.TRIAGE_RULES = JSON.stringify([
+  {
+    name: 'Watchlisted sender',
+    when: { senderWatchlisted: true },
+    then: { priority: 'high', tags: ['watchlist'], notify: true }
+  },
+  {
+    name: 'Payroll phishing in Finance',
+    when: { types: ['phishing-email'], departments: ['Finance'], keywords: ['Payroll', 'salary'] },
+    then: { priority: 'critical', assignTo: 'analyst@company.net', tags: ['payroll', 'watchlist'] }
+  },
+  {
+    name: 'Campaign',
+    when: { similarReports: { min: 2, withinMinutes: 60 } },
+    then: { priority: 'medium', tags: ['campaign'] }
+  }
+]);
+
+const { getRepositories, setRepositories, withTransaction } = require('../repositories');
+const { createMemoryRepositories } = require('../repositories/memory');
+const { EVENTS } = require('../notifications');
+const { createReport } = require('../intake');
+const { triageRequest } = require('../triage');
+
+const CALLER = { userId: 'reporter-1', email: 'reporter@company.net', name: 'Reporter One' };
+
+const report = (formData = {}, userInfo = {}) => createReport(CALLER, {
+  type: 'phishing-email',
+  reason: 'Reported from the portal',
+  userInfo,
+  formData: {
+    senderEmail: 'billing@scam.example',
+    subject: 'Your invoice is overdue',
+    description: 'Asked me to pay through a link',
+    severity: 'low',
+    ...formData
+  }
+});
+
+const retriage = (requestId) => withTransaction(connection => triageRequest(connection, requestId, { trigger: 'update' }));
+
+const editReport = async (requestId, formData) => {
+  const { incidents } = getRepositories();
+  const row = await incidents.get(requestId);
+  await incidents.update(requestId, { form_data: { ...row.form_data, ...formData } });
+  return retriage(requestId);
+};
+
+const triageAlerts = async (requestId) => (await getRepositories().outbox.list({}, { limit: 50 }))
+  .filter(row => row.request_id === requestId && row.event_type === EVENTS.TRIAGE_MATCHED);
+
+describe('triage', () => {
+  beforeEach(async () => {
+    setRepositories(createMemoryRepositories());
+    await getRepositories().users.insert({ user_id: 'analyst-1', email: 'analyst@company.net', user_name: 'Analyst', user_role: 'it-support' });
+  });
+
+  describe('rule matching', () => {
+    it('keeps the reporter\'s severity when no rule fires', async () => {
+      const request = await report();
+
+      assert.equal(request.priority, 'low');
+      assert.deepEqual(request.triage.rules, []);
+      assert.deepEqual(request.triage.tags, []);
+      assert.equal(request.triage.manualPriority, false);
+      assert.deepEqual(await triageAlerts(request.id), []);
+    });
+
+    it('matches watchlisted sender domains and their subdomains, and alerts once', async () => {
+      const request = await report({ senderEmail: 'ceo@mail.evil.example' });
+
+      assert.equal(request.priority, 'high');
+      assert.deepEqual(request.triage.rules, ['Watchlisted sender']);
+      assert.deepEqual(request.triage.tags, ['watchlist']);
+      assert.equal((await triageAlerts(request.id)).length, 1);
+
+      // Still firing after an edit, so no second alert
+      await editReport(request.id, { description: 'Also called me' });
+      assert.equal((await triageAlerts(request.id)).length, 1);
+
+      const lookalike = await report({ senderEmail: 'ceo@notevil.example' });
+      assert.deepEqual(lookalike.triage.rules, []);
+    });
+
+    it('needs every listed condition, and any listed value within one', async () => {
+      const otherDepartment = await report({ senderEmail: 'a@scam.example', subject: 'Payroll update' }, { department: 'Sales' });
+      assert.deepEqual(otherDepartment.triage.rules, []);
+
+      const noKeyword = await report({ senderEmail: 'b@fraud.example' }, { department: 'Finance' });
+      assert.deepEqual(noKeyword.triage.rules, []);
+
+      const request = await report({ senderEmail: 'c@bogus.example', description: 'Confirm your SALARY details' }, { department: ' finance ' });
+      assert.deepEqual(request.triage.rules, ['Payroll phishing in Finance']);
+      assert.equal(request.priority, 'critical');
+    });
+
+    it('takes the highest priority and the first owner, and merges tags', async () => {
+      const request = await report({ senderEmail: 'hr@evil.example', subject: 'Payroll change' }, { department: 'Finance' });
+
+      assert.deepEqual(request.triage.rules, ['Watchlisted sender', 'Payroll phishing in Finance']);
+      assert.equal(request.priority, 'critical');
+      assert.deepEqual(request.triage.tags, ['watchlist', 'payroll']);
+
+      const row = await getRepositories().incidents.get(request.id);
+      assert.equal(row.assigned_to, 'analyst-1');
+      assert.equal(row.assigned_by, 'system');
+    });
+
+    it('counts other live reports sharing an indicator within the window', async () => {
+      const first = await report();
+      const second = await report();
+      const third = await report();
+
+      assert.deepEqual(first.triage.rules, []);
+      assert.deepEqual(second.triage.rules, []);
+      assert.deepEqual(third.triage.rules, ['Campaign']);
+      assert.equal(third.priority, 'medium');
+
+      // Reports outside the window no longer count
+      const { incidents } = getRepositories();
+      await incidents.update(first.id, { created_at: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+      await editReport(third.id, { description: 'Changed' });
+      assert.deepEqual((await incidents.get(third.id)).triage.rules, []);
+    });
+  });
+
+  describe('priority', () => {
+    it('follows the rules on edit while nobody has changed it by hand', async () => {
+      const request = await report({ senderEmail: 'ceo@evil.example' });
+      assert.equal(request.priority, 'high');
+
+      const { triage } = await editReport(request.id, { senderEmail: 'ceo@scam.example' });
+      assert.equal(triage.priority, 'low');
+      assert.deepEqual(triage.rules, []);
+      assert.equal((await getRepositories().incidents.get(request.id)).priority_level, 'low');
+    });
+
+    it('keeps a priority set by hand, even when the rules would change it', async () => {
+      const request = await report({ senderEmail: 'ceo@evil.example' });
+      const { incidents } = getRepositories();
+      await incidents.update(request.id, { priority_level: 'medium' });
+
+      const { triage } = await editReport(request.id, { senderEmail: 'ceo@scam.example' });
+      assert.equal(triage.priority, 'medium');
+      assert.equal(triage.manualPriority, true);
+
+      // Stays manual after the rules fire again
+      const again = await editReport(request.id, { senderEmail: 'ceo@evil.example', subject: 'Payroll' });
+      assert.equal(again.triage.priority, 'medium');
+      assert.equal(again.triage.manualPriority, true);
+      assert.equal((await incidents.get(request.id)).priority_level, 'medium');
+    });
+
+    it('writes nothing when the outcome is unchanged', async () => {
+      const request = await report({ senderEmail: 'ceo@evil.example' });
+
+      const result = await retriage(request.id);
+      assert.equal(result.changed, false);
+      assert.deepEqual(result.notificationIds, []);
+
+      const actions = (await getRepositories().audit.listForRequest(request.id)).map(entry => entry.action_type);
+      assert.deepEqual(actions, ['create', 'triage']);
+    });
+  });
+});
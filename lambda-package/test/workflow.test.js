@@ -0,0 +1,129 @@
+// test/workflow.test.js - The incident status transition table, its timestamps and the parent cascade
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const { getRepositories, setRepositories, withTransaction } = require('../repositories');
+const { createMemoryRepositories } = require('../repositories/memory');
+const { STATUSES, TRANSITIONS, changeStatus } = require('../workflow');
+
+const ACTOR = { userId: 'analyst-1', email: 'analyst@company.net', name: 'Analyst' };
+const CREATED = new Date('2026-01-05T10:00:00Z');
+
+const insertIncident = (id, values = {}) => getRepositories().incidents.insert({
+  id,
+  user_id: 'reporter-1',
+  user_info: { name: 'Reporter', email: 'reporter@company.net' },
+  form_data: { subject: 'Suspicious email' },
+  request_type: 'phishing-email',
+  created_at: CREATED,
+  ...values
+});
+
+const move = (requestId, toStatus, extra = {}) =>
+  withTransaction(connection => changeStatus(connection, { requestId, toStatus, actor: ACTOR, ...extra }));
+
+const rejectsWithStatus = (promise, statusCode) => assert.rejects(promise, error => error.statusCode === statusCode);
+
+describe('workflow', () => {
+  beforeEach(() => {
+    setRepositories(createMemoryRepositories());
+  });
+
+  describe('transition table', () => {
+    const statuses = Object.values(STATUSES);
+
+    it('allows exactly the listed moves out of every status', async () => {
+      for (const fromStatus of statuses) {
+        for (const toStatus of statuses) {
+          setRepositories(createMemoryRepositories());
+          await insertIncident('REQ-1', { request_status: fromStatus });
+
+          if (TRANSITIONS[fromStatus].includes(toStatus)) {
+            const result = await move('REQ-1', toStatus);
+            assert.equal(result.toStatus, toStatus, `${fromStatus} -> ${toStatus}`);
+            assert.equal((await getRepositories().incidents.get('REQ-1')).request_status, toStatus);
+          } else {
+            await rejectsWithStatus(move('REQ-1', toStatus), 409);
+            assert.equal((await getRepositories().incidents.get('REQ-1')).request_status, fromStatus, `${fromStatus} -> ${toStatus}`);
+          }
+        }
+      }
+    });
+
+    it('only reopens from resolved or closed, and never skips ahead', () => {
+      assert.deepEqual(TRANSITIONS, {
+        open: ['in-progress'],
+        'in-progress': ['resolved'],
+        resolved: ['closed', 'open'],
+        closed: ['open']
+      });
+    });
+
+    it('rejects an unknown status and a missing incident', async () => {
+      await insertIncident('REQ-1');
+      await rejectsWithStatus(move('REQ-1', 'done'), 400);
+      await rejectsWithStatus(move('REQ-404', 'in-progress'), 404);
+    });
+  });
+
+  describe('timestamps and audit', () => {
+    it('stamps the first acknowledgement and the resolution, and clears the resolution on reopen', async () => {
+      await insertIncident('REQ-1');
+
+      await move('REQ-1', 'in-progress');
+      const started = await getRepositories().incidents.get('REQ-1');
+      assert.ok(started.approved_at instanceof Date);
+      assert.equal(started.completed_at, null);
+
+      await move('REQ-1', 'resolved');
+      const resolved = await getRepositories().incidents.get('REQ-1');
+      assert.ok(resolved.completed_at instanceof Date);
+      assert.equal(resolved.approved_at.getTime(), started.approved_at.getTime());
+
+      await move('REQ-1', 'open');
+      const reopened = await getRepositories().incidents.get('REQ-1');
+      assert.equal(reopened.completed_at, null);
+      assert.equal(reopened.approved_at.getTime(), started.approved_at.getTime());
+
+      const actions = (await getRepositories().audit.listForRequest('REQ-1')).map(entry => entry.action_type);
+      assert.deepEqual(actions, ['status_change', 'status_change', 'reopen']);
+    });
+
+    it('adds notes as a comment, internal when asked', async () => {
+      await insertIncident('REQ-1');
+
+      const { comment } = await move('REQ-1', 'in-progress', { notes: '  Looking into it  ', isInternal: true });
+      assert.equal(comment.message, 'Status changed to in-progress. Notes: Looking into it');
+      assert.equal(comment.isInternal, true);
+
+      assert.equal((await move('REQ-1', 'resolved', { notes: '   ' })).comment, null);
+    });
+  });
+
+  describe('parent cascade', () => {
+    it('moves open children forward with their parent and leaves closed ones alone', async () => {
+      await insertIncident('REQ-P', { request_status: 'in-progress' });
+      await insertIncident('REQ-A', { parent_id: 'REQ-P' });
+      await insertIncident('REQ-B', { parent_id: 'REQ-P', request_status: 'closed' });
+
+      const result = await move('REQ-P', 'resolved');
+      assert.deepEqual(result.cascaded, ['REQ-A']);
+
+      const child = await getRepositories().incidents.get('REQ-A');
+      assert.equal(child.request_status, 'resolved');
+      assert.ok(child.completed_at instanceof Date);
+      assert.equal((await getRepositories().incidents.get('REQ-B')).request_status, 'closed');
+    });
+
+    it('does not cascade a reopen', async () => {
+      await insertIncident('REQ-P', { request_status: 'resolved' });
+      await insertIncident('REQ-A', { parent_id: 'REQ-P', request_status: 'resolved' });
+
+      assert.deepEqual((await move('REQ-P', 'open')).cascaded, []);
+      assert.equal((await getRepositories().incidents.get('REQ-A')).request_status, 'resolved');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+// triage.js - Rules that set priority, owner, tags and alerts when an incident is reported or edited
+const { parseJSON } = require('./db');
+const { HttpError } = require('./http');
+const { PRIORITY_VALUES, lockRequest } = require('./incidents');
+const { INCIDENT_TYPES } = require('./validation');
+const { assignRequest } = require('./assignments');
+const { AUDIT_ACTIONS, writeAuditEntry } = require('./audit');
+const { EVENTS, notifyIncidentEvent } = require('./notifications');
+const { logger } = require('./logger');
+const { getRepositories } = require('./repositories');
+
+const SYSTEM_ACTOR = { userId: 'system', name: 'Auto-triage' };
+
+const CONDITIONS = ['types', 'departments', 'keywords', 'senderWatchlisted', 'similarReports'];
+const ACTIONS = ['priority', 'assignTo', 'tags', 'notify'];
+
+// Sender domains that always deserve a closer look (subdomains included), e.g. TRIAGE_WATCHLIST=evil.example,payroll-update.com
+const WATCHLIST = (process.env.TRIAGE_WATCHLIST || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+
+const validateRule = (rule, index) => {
+  const label = `TRIAGE_RULES[${index}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+  const fail = (message) => { throw new Error(`${label}: ${message}`); };
+
+  if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) fail('name is required');
+  const when = rule.when || {};
+  const then = rule.then || {};
+
+  const unknownConditions = Object.keys(when).filter(key => !CONDITIONS.includes(key));
+  if (unknownConditions.length > 0) fail(`unknown conditions ${unknownConditions.join(', ')}; use ${CONDITIONS.join(', ')}`);
+  const unknownActions = Object.keys(then).filter(key => !ACTIONS.includes(key));
+  if (unknownActions.length > 0 || Object.keys(then).length === 0) fail(`then needs one or more of ${ACTIONS.join(', ')}`);
+
+  if (when.types !== undefined && (!isStringList(when.types) || when.types.some(type => !INCIDENT_TYPES.includes(type)))) {
+    fail(`types must list incident types from ${INCIDENT_TYPES.join(', ')}`);
+  }
+  ['departments', 'keywords'].forEach(key => {
+    if (when[key] !== undefined && !isStringList(when[key])) fail(`${key} must be a list of strings`);
+  });
+  if (when.senderWatchlisted !== undefined && typeof when.senderWatchlisted !== 'boolean') fail('senderWatchlisted must be true or false');
+  if (when.similarReports !== undefined) {
+    const { min, withinMinutes } = when.similarReports || {};
+    if (!Number.isInteger(min) || min < 1 || !Number.isInteger(withinMinutes) || withinMinutes < 1) {
+      fail('similarReports needs whole numbers min and withinMinutes of at least 1');
+    }
+  }
+
+  if (then.priority !== undefined && !PRIORITY_VALUES.includes(then.priority)) fail(`priority must be one of ${PRIORITY_VALUES.join(', ')}`);
+  if (then.assignTo !== undefined && (typeof then.assignTo !== 'string' || !then.assignTo.trim())) fail('assignTo must be a user id or email');
+  if (then.tags !== undefined && !isStringList(then.tags)) fail('tags must be a list of strings');
+  if (then.notify !== undefined && typeof then.notify !== 'boolean') fail('notify must be true or false');
+};
+
+let rules = null;
+
+// TRIAGE_RULES is a JSON array, checked in order; see the README for the format
+const loadRules = () => {
+  if (rules) return rules;
+
+  const parsed = process.env.TRIAGE_RULES ? JSON.parse(process.env.TRIAGE_RULES) : [];
+  if (!Array.isArray(parsed)) {
+    throw new Error('TRIAGE_RULES must be a JSON array');
+  }
+  parsed.forEach(validateRule);
+
+  rules = parsed.map(rule => ({
+    ...rule,
+    when: {
+      ...rule.when,
+      departments: rule.when?.departments?.map(department => department.trim().toLowerCase()),
+      keywords: rule.when?.keywords?.map(keyword => keyword.trim().toLowerCase())
+    }
+  }));
+  return rules;
+};
+
+const domainOf = (address) => {
+  const at = typeof address === 'string' ? address.lastIndexOf('@') : -1;
+  return at >= 0 ? address.slice(at + 1).trim().toLowerCase().replace(/>$/, '') : null;
+};
+
+const isWatchlisted = (domain) =>
+  WATCHLIST.some(watched => domain === watched || domain.endsWith(`.${watched}`));
+
+// Domains the report says the message came from, including those read off an attached .eml
+const senderDomains = (formData, details) => {
+  const analysis = details?.emailAnalysis || {};
+  return [
+    formData?.senderEmail,
+    analysis.from?.address,
+    analysis.sender?.address,
+    analysis.returnPath,
+    ...(analysis.replyTo || []).map(entry => entry.address)
+  ]
+    .map(domainOf)
+    .filter(Boolean);
+};
+
+// Other live reports sharing an indicator with this one, created within the window
+const countSimilarReports = async (connection, requestId, withinMinutes, now) => {
+  const shared = await getRepositories().indicators.sharedWith(
+    requestId,
+    { since: new Date(now.getTime() - withinMinutes * 60 * 1000) },
+    connection
+  );
+  return new Set(shared.map(row => row.request_id)).size;
+};
+
+// Every condition a rule lists must hold; within one condition any listed value is enough
+const matches = async (rule, facts, similarCount) => {
+  const { when } = rule;
+
+  if (when.types && !when.types.includes(facts.type)) return false;
+  if (when.departments && !when.departments.includes(facts.department)) return false;
+  if (when.keywords && !when.keywords.some(keyword => facts.text.includes(keyword))) return false;
+  if (when.senderWatchlisted !== undefined && when.senderWatchlisted !== facts.senderDomains.some(isWatchlisted)) return false;
+  if (when.similarReports && await similarCount(when.similarReports.withinMinutes) < when.similarReports.min) return false;
+
+  return true;
+};
+
+const rank = (priority) => PRIORITY_VALUES.indexOf(priority);
+
+// Which rules fire and what they ask for; the highest priority any rule sets wins
+const evaluateRules = async (row, similarCount) => {
+  const formData = parseJSON(row.form_data) || {};
+  const details = parseJSON(row.details) || {};
+  const facts = {
+    type: row.request_type,
+    department: String(parseJSON(row.user_info)?.department || '').trim().toLowerCase(),
+    text: [formData.subject, formData.description, details.description, row.reason]
+      .filter(value => typeof value === 'string')
+      .join('\n')
+      .toLowerCase(),
+    senderDomains: senderDomains(formData, details)
+  };
+
+  const fired = [];
+  for (const rule of loadRules()) {
+    if (await matches(rule, facts, similarCount)) fired.push(rule);
+  }
+
+  const priorities = fired.map(rule => rule.then.priority).filter(Boolean);
+  return {
+    fired,
+    priority: priorities.length > 0 ? priorities.reduce((a, b) => (rank(b) > rank(a) ? b : a)) : null,
+    assignTo: (fired.find(rule => rule.then.assignTo) || {}).then?.assignTo || null,
+    tags: [...new Set(fired.flatMap(rule => rule.then.tags || []))]
+  };
+};
+
+// Stored JSON comes back with its keys reordered, so outcomes are compared field by field
+const sameOutcome = (a, b) => ['priority', 'reporterSeverity', 'rules', 'tags', 'manualPriority']
+  .every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+
+// Runs the rules inside the caller's transaction, after indicators are synced so similar reports count.
+// Priority only follows the rules while nobody else has changed it since the last run.
+const triageRequest = async (connection, requestId, { trigger }) => {
+  const current = await lockRequest(connection, requestId);
+  const now = new Date();
+  const previous = parseJSON(current.triage);
+  const reporterSeverity = parseJSON(current.form_data)?.severity || null;
+
+  const similarCounts = new Map();
+  const similarCount = async (withinMinutes) => {
+    if (!similarCounts.has(withinMinutes)) {
+      similarCounts.set(withinMinutes, await countSimilarReports(connection, requestId, withinMinutes, now));
+    }
+    return similarCounts.get(withinMinutes);
+  };
+
+  const result = await evaluateRules(current, similarCount);
+
+  // Once someone sets the priority by hand (or the SLA check raises it), it stays theirs
+  const automaticPriority = previous ? previous.priority : (reporterSeverity || current.priority_level);
+  const followsRules = !previous?.manualPriority && current.priority_level === automaticPriority;
+  const priority = followsRules ? (result.priority || reporterSeverity || current.priority_level) : current.priority_level;
+
+  const triage = {
+    priority,
+    reporterSeverity,
+    rules: result.fired.map(rule => rule.name),
+    tags: result.tags,
+    manualPriority: !followsRules,
+    trigger,
+    evaluatedAt: now.toISOString()
+  };
+
+  if (previous && sameOutcome(previous, triage)) {
+    return { triage: previous, changed: false, notificationIds: [] };
+  }
+
+  await getRepositories().incidents.update(
+    requestId,
+    {
+      priority_level: priority,
+      // A rule that changes the priority moves the SLA due dates with it
+      ...(priority !== current.priority_level && { sla_priority_level: null }),
+      triage,
+      updated_at: now
+    },
+    connection
+  );
+
+  await writeAuditEntry(connection, {
+    requestId,
+    userId: SYSTEM_ACTOR.userId,
+    actionType: AUDIT_ACTIONS.TRIAGE,
+    oldValues: { priority: current.priority_level, rules: previous?.rules || [], tags: previous?.tags || [] },
+    newValues: { priority, rules: triage.rules, tags: triage.tags }
+  });
+
+  const notificationIds = [];
+
+  // Only fills an empty owner; a rule never takes an incident away from someone
+  if (result.assignTo && !current.assigned_to) {
+    try {
+      const assigned = await assignRequest(connection, { requestId, assignee: result.assignTo, actor: SYSTEM_ACTOR });
+      notificationIds.push(...assigned.notificationIds);
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      logger.warn('Auto-triage could not assign', { requestId, assignTo: result.assignTo, error });
+    }
+  }
+
+  // Alerts only go out for rules that weren't already firing, so edits don't repeat them
+  const alerting = result.fired
+    .filter(rule => rule.then.notify && !(previous?.rules || []).includes(rule.name))
+    .map(rule => rule.name);
+  if (alerting.length > 0) {
+    notificationIds.push(...await notifyIncidentEvent(connection, EVENTS.TRIAGE_MATCHED, {
+      request: { ...current, priority_level: priority },
+      actor: SYSTEM_ACTOR,
+      rules: alerting,
+      reporterSeverity
+    }));
+  }
+
+  logger.info('Auto-triage', { requestId, priority, rules: triage.rules });
+  return { triage, changed: true, notificationIds };
+};
+
+module.exports = {
+  triageRequest
+};
@@ -0,0 +1,257 @@
+// users.js - Admin management of portal users, roles and permissions in user_roles
+const { parseJSON } = require('./db');
+const { HttpError } = require('./http');
+const {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  resolvePermissions,
+  invalidateAccessProfile
+} = require('./permissions');
+const { generateId } = require('./ids');
+const { ValidationError } = require('./validation');
+const { USER_AUDIT_ACTIONS, writeUserAuditEntry } = require('./audit');
+const { logger } = require('./logger');
+const { getRepositories, withTransaction } = require('./repositories');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USER_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{1,99}$/;
+const MAX_NAME_LENGTH = 200;
+const MAX_HISTORY = 200;
+
+const sameSet = (a, b) => JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+
+// The editable part of a user_roles row, as the API and audit log show it
+const userState = (row) => ({
+  name: row.user_name,
+  role: row.user_role,
+  permissions: resolvePermissions(row.user_role, row.permissions),
+  active: !!row.is_active
+});
+
+const mapUser = (row) => {
+  const state = userState(row);
+  return {
+    userId: row.user_id,
+    email: row.email,
+    ...state,
+    customPermissions: !sameSet(state.permissions, ROLE_PERMISSIONS[state.role] || []),
+    invitedBy: row.invited_by,
+    createdAt: row.created_at,
+    updatedAt: row.last_updated,
+    deactivatedAt: row.deactivated_at
+  };
+};
+
+// An admin who can still manage users; the last one of these can't be removed
+const isManagingAdmin = (state) =>
+  state.active && state.role === ROLES.ADMIN && state.permissions.includes(PERMISSIONS.USER_MANAGE);
+
+const validateFields = (data, { creating }) => {
+  const errors = {};
+
+  if (creating || data.email !== undefined) {
+    if (typeof data.email !== 'string' || data.email.length > 254 || !EMAIL_PATTERN.test(data.email)) {
+      errors.email = 'Must be a valid email address';
+    }
+  }
+  if (creating && data.userId !== undefined && (typeof data.userId !== 'string' || !USER_ID_PATTERN.test(data.userId))) {
+    errors.userId = 'Must be 2-100 lowercase letters, digits, dots, dashes or underscores';
+  }
+  if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim() || data.name.length > MAX_NAME_LENGTH)) {
+    errors.name = `Must be text of at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if ((creating || data.role !== undefined) && !Object.values(ROLES).includes(data.role)) {
+    errors.role = `Must be one of: ${Object.values(ROLES).join(', ')}`;
+  }
+  // null resets a user to their role's default permissions
+  if (data.permissions !== undefined && data.permissions !== null) {
+    const unknown = Array.isArray(data.permissions)
+      ? data.permissions.filter(permission => !Object.values(PERMISSIONS).includes(permission))
+      : null;
+    if (!unknown) {
+      errors.permissions = 'Must be an array of permissions, or null for the role defaults';
+    } else if (unknown.length > 0) {
+      errors.permissions = `Unknown permissions: ${unknown.join(', ')}. Valid permissions: ${Object.values(PERMISSIONS).join(', ')}`;
+    }
+  }
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.active = 'Must be true or false';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors);
+  }
+};
+
+const listUsers = async (query = {}) => {
+  const filters = {};
+
+  if (query.role) {
+    if (!Object.values(ROLES).includes(query.role)) {
+      throw new HttpError(400, 'Bad Request', `Invalid role '${query.role}'. Valid roles: ${Object.values(ROLES).join(', ')}`);
+    }
+    filters.role = query.role;
+  }
+  if (query.active !== undefined) {
+    if (!['true', 'false'].includes(query.active)) {
+      throw new HttpError(400, 'Bad Request', 'active must be true or false');
+    }
+    filters.active = query.active === 'true';
+  }
+  if (query.q) {
+    filters.q = query.q;
+  }
+
+  const rows = await getRepositories().users.list(filters);
+  return rows.map(mapUser);
+};
+
+const loadUser = async (userId, connection, { lock = false } = {}) => {
+  const row = await getRepositories().users.get(userId, { lock }, connection);
+  if (!row) {
+    throw new HttpError(404, 'Not Found', 'User not found');
+  }
+  return row;
+};
+
+const getUser = async (userId) => mapUser(await loadUser(userId));
+
+// Adds someone to user_roles ahead of their first sign-in; their permissions apply from then on
+const inviteUser = async (actor, data) => {
+  validateFields(data, { creating: true });
+
+  const row = {
+    user_id: data.userId || generateId('USR').toLowerCase(),
+    email: data.email.trim().toLowerCase(),
+    user_name: data.name ? data.name.trim() : null,
+    user_role: data.role,
+    permissions: data.permissions ? [...new Set(data.permissions)] : ROLE_PERMISSIONS[data.role],
+    is_active: true,
+    invited_by: actor.userId
+  };
+
+  await withTransaction(async (connection) => {
+    try {
+      await getRepositories().users.insert(row, connection);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new HttpError(409, 'Conflict', `A user with this ${error.key === 'email' ? 'email' : 'id'} already exists`);
+      }
+      throw error;
+    }
+
+    await writeUserAuditEntry(connection, {
+      targetUserId: row.user_id,
+      actor,
+      actionType: USER_AUDIT_ACTIONS.INVITE,
+      newValues: { email: row.email, name: row.user_name, role: row.user_role, permissions: row.permissions }
+    });
+  });
+
+  invalidateAccessProfile(row.email);
+  logger.info('User invited', { userId: row.user_id, role: row.user_role });
+  return getUser(row.user_id);
+};
+
+const lockActiveAdmins = (connection) =>
+  getRepositories().users.list({ role: ROLES.ADMIN, active: true }, { lock: true }, connection);
+
+// Changes name, role, permissions or active state; a new role without permissions gets its defaults
+const updateUser = async (actor, userId, data) => {
+  const unknownFields = Object.keys(data).filter(field => !['name', 'role', 'permissions', 'active'].includes(field));
+  if (unknownFields.length > 0) {
+    throw new HttpError(400, 'Bad Request', `These fields cannot be changed: ${unknownFields.join(', ')}. Editable fields: name, role, permissions, active`);
+  }
+  validateFields(data, { creating: false });
+
+  const result = await withTransaction(async (connection) => {
+    // Access changes lock the admin rows first, always in one order, so two admins can't demote each other at once
+    const touchesAccess = ['role', 'permissions', 'active'].some(field => data[field] !== undefined);
+    const admins = touchesAccess ? await lockActiveAdmins(connection) : [];
+    const current = await loadUser(userId, connection, { lock: true });
+    const before = userState(current);
+
+    const role = data.role || before.role;
+    let permissions = before.permissions;
+    if (data.permissions !== undefined || data.role !== undefined) {
+      permissions = data.permissions ? [...new Set(data.permissions)] : ROLE_PERMISSIONS[role];
+    }
+    const after = {
+      name: data.name !== undefined ? data.name.trim() : before.name,
+      role,
+      permissions,
+      active: data.active !== undefined ? data.active : before.active
+    };
+
+    const oldValues = {};
+    const newValues = {};
+    Object.keys(after).forEach(field => {
+      const unchanged = field === 'permissions'
+        ? sameSet(before.permissions, after.permissions)
+        : before[field] === after[field];
+      if (!unchanged) {
+        oldValues[field] = before[field];
+        newValues[field] = after[field];
+      }
+    });
+
+    if (Object.keys(newValues).length === 0) {
+      return { email: current.email, changed: false };
+    }
+
+    if (isManagingAdmin(before) && !isManagingAdmin(after) &&
+      !admins.some(admin => admin.user_id !== userId && isManagingAdmin(userState(admin)))) {
+      throw new HttpError(409, 'Conflict', 'This is the last active admin with user:manage; add another admin first');
+    }
+
+    // The row is locked, so keeping the first deactivation time needs no COALESCE
+    await getRepositories().users.update(userId, {
+      user_name: after.name,
+      user_role: after.role,
+      permissions: after.permissions,
+      is_active: after.active,
+      deactivated_at: after.active ? null : (current.deactivated_at || new Date())
+    }, connection);
+
+    let actionType = USER_AUDIT_ACTIONS.UPDATE;
+    if (newValues.active === false) actionType = USER_AUDIT_ACTIONS.DEACTIVATE;
+    if (newValues.active === true) actionType = USER_AUDIT_ACTIONS.REACTIVATE;
+    await writeUserAuditEntry(connection, { targetUserId: userId, actor, actionType, oldValues, newValues });
+
+    return { email: current.email, changed: true };
+  });
+
+  if (result.changed) {
+    invalidateAccessProfile(result.email);
+    logger.info('User updated', { userId });
+  }
+  return getUser(userId);
+};
+
+// Deactivated users keep their history and assignments but can't use the API
+const deactivateUser = (actor, userId) => updateUser(actor, userId, { active: false });
+
+const getUserHistory = async (userId) => {
+  await loadUser(userId);
+  const rows = await getRepositories().audit.listUserEntries(userId, { limit: MAX_HISTORY });
+
+  return rows.map(row => ({
+    id: row.id,
+    action: row.action_type,
+    actorUserId: row.actor_user_id,
+    actorEmail: row.actor_email,
+    oldValues: parseJSON(row.old_values),
+    newValues: parseJSON(row.new_values),
+    createdAt: row.created_at
+  }));
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  inviteUser,
+  updateUser,
+  deactivateUser,
+  getUserHistory
+};
@@ -0,0 +1,216 @@
+// validation.js - Declarative validation of incident reports with field-level errors
+const { HttpError } = require('./http');
+
+const INCIDENT_TYPES = [
+  'phishing-email',
+  'suspicious-website',
+  'social-engineering',
+  'malware',
+  'data-breach',
+  'identity-theft',
+  'other',
+  'phishing-report'
+];
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const CONTACT_METHODS = ['phone', 'email', 'sms', 'in-person', 'social-media', 'other'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const HOST_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9.-]{0,253}[A-Za-z0-9])?$/;
+
+// Carries per-field messages keyed by their path in the request body
+class ValidationError extends HttpError {
+  constructor(fields) {
+    super(422, 'Validation Failed', 'One or more fields are invalid');
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+// Each checker returns an error message, or null when the value is fine
+const CHECKS = {
+  string: (value, spec) => {
+    if (typeof value !== 'string') return 'Must be text';
+    if (!value.trim()) return 'Must not be empty';
+    if (spec.maxLength && value.length > spec.maxLength) return `Must be at most ${spec.maxLength} characters`;
+    return null;
+  },
+  email: (value) => {
+    if (typeof value !== 'string' || value.length > 254 || !EMAIL_PATTERN.test(value)) {
+      return 'Must be a valid email address';
+    }
+    return null;
+  },
+  url: (value) => {
+    if (typeof value !== 'string' || value.length > 2048) return 'Must be a valid http(s) URL';
+    try {
+      const url = new URL(value);
+      return ['http:', 'https:'].includes(url.protocol) ? null : 'Must be a valid http(s) URL';
+    } catch (error) {
+      return 'Must be a valid http(s) URL';
+    }
+  },
+  host: (value) => {
+    if (typeof value !== 'string' || !HOST_PATTERN.test(value)) return 'Must be a hostname or IP address';
+    return null;
+  },
+  date: (value) => {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return 'Must be a date in YYYY-MM-DD format';
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) return 'Must be a real calendar date';
+    if (date.getTime() > Date.now() + 24 * 60 * 60 * 1000) return 'Must not be in the future';
+    return null;
+  },
+  time: (value) => {
+    if (typeof value !== 'string' || !TIME_PATTERN.test(value)) return 'Must be a time in HH:MM format';
+    return null;
+  },
+  datetime: (value) => {
+    if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) return 'Must be an ISO 8601 date and time';
+    return null;
+  },
+  enum: (value, spec) => {
+    if (!spec.values.includes(value)) return `Must be one of: ${spec.values.join(', ')}`;
+    return null;
+  },
+  object: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'Must be an object';
+    return null;
+  }
+};
+
+// formData fields any incident type may send
+const FORM_FIELDS = {
+  severity: { type: 'enum', values: SEVERITIES },
+  incidentType: { type: 'enum', values: INCIDENT_TYPES.filter(type => type !== 'phishing-report') },
+  department: { type: 'string', maxLength: 100 },
+  subject: { type: 'string', maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  senderEmail: { type: 'email' },
+  url: { type: 'url' },
+  affectedHost: { type: 'host' },
+  affectedSystems: { type: 'string', maxLength: 500 },
+  contactMethod: { type: 'enum', values: CONTACT_METHODS },
+  dateOccurred: { type: 'date' },
+  timeOccurred: { type: 'time' },
+  incidentTime: { type: 'datetime' }
+};
+
+// Required formData fields per incident type
+const INCIDENT_SCHEMAS = {
+  'phishing-email': { required: ['senderEmail', 'subject'] },
+  'suspicious-website': { required: ['url'] },
+  'social-engineering': { required: ['contactMethod', 'description'] },
+  'malware': { required: ['affectedHost'] },
+  'data-breach': { required: ['affectedSystems', 'description'] },
+  'identity-theft': { required: ['description'] },
+  'other': { required: ['description'] },
+  // The portal's report form sends the real incident type inside formData
+  'phishing-report': { required: ['incidentType', 'subject'], delegateTo: 'incidentType' }
+};
+
+// Top-level fields of a report
+const REPORT_FIELDS = {
+  type: { type: 'enum', values: INCIDENT_TYPES },
+  reason: { type: 'string', maxLength: 1000 },
+  formData: { type: 'object' },
+  details: { type: 'object' },
+  userInfo: { type: 'object' },
+  priority: { type: 'enum', values: SEVERITIES }
+};
+
+const checkField = (errors, path, value, spec) => {
+  const message = CHECKS[spec.type](value, spec);
+  if (message) errors[path] = message;
+};
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+const requiredFieldsFor = (type, formData) => {
+  const schema = INCIDENT_SCHEMAS[type];
+  if (!schema) return [];
+
+  const delegated = schema.delegateTo && INCIDENT_SCHEMAS[formData[schema.delegateTo]];
+  return [...new Set([...schema.required, ...(delegated ? delegated.required : [])])];
+};
+
+const validateFormData = (errors, type, formData) => {
+  requiredFieldsFor(type, formData).forEach(field => {
+    if (isMissing(formData[field])) {
+      errors[`formData.${field}`] = 'Required';
+    }
+  });
+
+  Object.entries(FORM_FIELDS).forEach(([field, spec]) => {
+    const path = `formData.${field}`;
+    if (!errors[path] && !isMissing(formData[field])) {
+      checkField(errors, path, formData[field], spec);
+    }
+  });
+};
+
+const validateUserInfo = (errors, userInfo) => {
+  if (!isMissing(userInfo.department)) {
+    checkField(errors, 'userInfo.department', userInfo.department, FORM_FIELDS.department);
+  }
+};
+
+// Validates a new report; throws a ValidationError listing every invalid field
+const validateReport = (data) => {
+  const errors = {};
+
+  ['type', 'reason'].forEach(field => {
+    if (isMissing(data[field])) errors[field] = 'Required';
+  });
+
+  Object.entries(REPORT_FIELDS).forEach(([field, spec]) => {
+    if (!errors[field] && data[field] !== undefined && data[field] !== null) {
+      checkField(errors, field, data[field], spec);
+    }
+  });
+
+  if (!errors.type && !errors.formData) {
+    validateFormData(errors, data.type, data.formData || {});
+  }
+  if (data.userInfo && !errors.userInfo) {
+    validateUserInfo(errors, data.userInfo);
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors);
+  }
+};
+
+// Validates a partial update against the incident's existing type
+const validateUpdate = (type, changes) => {
+  const errors = {};
+
+  Object.entries(changes).forEach(([field, value]) => {
+    if (REPORT_FIELDS[field] && (value === null || value === undefined)) {
+      errors[field] = 'Must not be empty';
+    } else if (REPORT_FIELDS[field]) {
+      checkField(errors, field, value, REPORT_FIELDS[field]);
+    }
+  });
+
+  if (changes.formData && !errors.formData) {
+    validateFormData(errors, type, changes.formData);
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors);
+  }
+};
+
+module.exports = {
+  INCIDENT_TYPES,
+  SEVERITIES,
+  FORM_FIELDS,
+  INCIDENT_SCHEMAS,
+  ValidationError,
+  validateReport,
+  validateUpdate
+};
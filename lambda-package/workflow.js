@@ -0,0 +1,179 @@
+// workflow.js - Incident status state machine
+const { HttpError } = require('./http');
+const { getRepositories } = require('./repositories');
+const { AUDIT_ACTIONS, writeAuditEntry } = require('./audit');
+const { insertComment } = require('./comments');
+const { EVENTS, notifyIncidentEvent, reporterRecipient, assigneeRecipient } = require('./notifications');
+const { logger } = require('./logger');
+
+const STATUSES = {
+  OPEN: 'open',
+  IN_PROGRESS: 'in-progress',
+  RESOLVED: 'resolved',
+  CLOSED: 'closed'
+};
+
+// Allowed moves out of each status; moving back to open is a reopen
+const TRANSITIONS = {
+  [STATUSES.OPEN]: [STATUSES.IN_PROGRESS],
+  [STATUSES.IN_PROGRESS]: [STATUSES.RESOLVED],
+  [STATUSES.RESOLVED]: [STATUSES.CLOSED, STATUSES.OPEN],
+  [STATUSES.CLOSED]: [STATUSES.OPEN]
+};
+
+const isReopen = (fromStatus, toStatus) =>
+  toStatus === STATUSES.OPEN && [STATUSES.RESOLVED, STATUSES.CLOSED].includes(fromStatus);
+
+const assertTransition = (fromStatus, toStatus) => {
+  if (!Object.values(STATUSES).includes(toStatus)) {
+    throw new HttpError(400, 'Bad Request', `Unknown status '${toStatus}'. Valid statuses: ${Object.values(STATUSES).join(', ')}`);
+  }
+
+  const allowed = TRANSITIONS[fromStatus] || [];
+  if (!allowed.includes(toStatus)) {
+    const options = allowed.length > 0 ? allowed.join(', ') : 'none';
+    throw new HttpError(409, 'Conflict', `Cannot move a request from '${fromStatus}' to '${toStatus}'. Allowed next statuses: ${options}`);
+  }
+};
+
+// approved_at marks the first acknowledgement, completed_at the resolution
+const nextTimestamps = (current, toStatus, now) => {
+  const timestamps = {
+    approvedAt: current.approved_at,
+    completedAt: current.completed_at
+  };
+
+  if (toStatus === STATUSES.IN_PROGRESS && !timestamps.approvedAt) {
+    timestamps.approvedAt = now;
+  }
+  if ([STATUSES.RESOLVED, STATUSES.CLOSED].includes(toStatus) && !timestamps.completedAt) {
+    timestamps.completedAt = now;
+  }
+  if (toStatus === STATUSES.OPEN) {
+    timestamps.completedAt = null;
+  }
+
+  return timestamps;
+};
+
+const STATUS_ORDER = [STATUSES.OPEN, STATUSES.IN_PROGRESS, STATUSES.RESOLVED, STATUSES.CLOSED];
+
+// Children only move forward; one already closed stays closed when its parent is resolved.
+// Each reporter hears about it directly, while team channels only get the parent's event.
+const cascadeToChildren = async (connection, { parent, toStatus, actor, notes, now }) => {
+  const children = await getRepositories().incidents.children(parent.id, { lock: true }, connection);
+
+  const ids = [];
+  const notificationIds = [];
+  for (const child of children) {
+    const fromStatus = child.request_status;
+    if (STATUS_ORDER.indexOf(fromStatus) >= STATUS_ORDER.indexOf(toStatus)) continue;
+
+    const timestamps = nextTimestamps(child, toStatus, now);
+    await getRepositories().incidents.update(child.id, {
+      request_status: toStatus,
+      approved_at: timestamps.approvedAt,
+      completed_at: timestamps.completedAt,
+      updated_at: now
+    }, connection);
+
+    await writeAuditEntry(connection, {
+      requestId: child.id,
+      userId: actor.userId,
+      actionType: AUDIT_ACTIONS.STATUS_CHANGE,
+      oldValues: { status: fromStatus, approvedAt: child.approved_at, completedAt: child.completed_at },
+      newValues: { status: toStatus, approvedAt: timestamps.approvedAt, completedAt: timestamps.completedAt, cascadedFrom: parent.id }
+    });
+
+    notificationIds.push(...await notifyIncidentEvent(connection, EVENTS.STATUS_CHANGED, {
+      request: { ...child, request_status: toStatus },
+      actor,
+      recipients: [reporterRecipient(child), await assigneeRecipient(child.assigned_to, connection)],
+      teamChannels: false,
+      fromStatus,
+      toStatus,
+      notes
+    }));
+    ids.push(child.id);
+  }
+
+  if (ids.length > 0) {
+    logger.info('Status cascaded to child incidents', { parentId: parent.id, childIds: ids, status: toStatus });
+  }
+  return { ids, notificationIds };
+};
+
+// Runs inside the caller's transaction so the update, notes and audit row commit together
+const changeStatus = async (connection, { requestId, toStatus, actor, notes, isInternal }) => {
+  const current = await getRepositories().incidents.get(requestId, { lock: true }, connection);
+
+  if (!current) {
+    throw new HttpError(404, 'Not Found', 'Request not found');
+  }
+
+  const fromStatus = current.request_status;
+  assertTransition(fromStatus, toStatus);
+
+  const now = new Date();
+  const timestamps = nextTimestamps(current, toStatus, now);
+
+  await getRepositories().incidents.update(requestId, {
+    request_status: toStatus,
+    approved_at: timestamps.approvedAt,
+    completed_at: timestamps.completedAt,
+    updated_at: now
+  }, connection);
+
+  let comment = null;
+  if (notes && notes.trim()) {
+    comment = await insertComment({
+      requestId,
+      userId: actor.userId,
+      userName: actor.name,
+      message: `Status changed to ${toStatus}. Notes: ${notes.trim()}`,
+      isInternal
+    }, connection);
+  }
+
+  const reopened = isReopen(fromStatus, toStatus);
+
+  await writeAuditEntry(connection, {
+    requestId,
+    userId: actor.userId,
+    actionType: reopened ? AUDIT_ACTIONS.REOPEN : AUDIT_ACTIONS.STATUS_CHANGE,
+    oldValues: {
+      status: fromStatus,
+      approvedAt: current.approved_at,
+      completedAt: current.completed_at
+    },
+    newValues: {
+      status: toStatus,
+      approvedAt: timestamps.approvedAt,
+      completedAt: timestamps.completedAt,
+      commentId: comment ? comment.id : null
+    }
+  });
+
+  // Internal notes stay out of notifications, which can reach the reporter
+  const notificationIds = await notifyIncidentEvent(connection, reopened ? EVENTS.REOPENED : EVENTS.STATUS_CHANGED, {
+    request: { ...current, request_status: toStatus },
+    actor,
+    recipients: [reporterRecipient(current), await assigneeRecipient(current.assigned_to, connection)],
+    fromStatus,
+    toStatus,
+    notes: comment && !comment.isInternal ? notes.trim() : null
+  });
+
+  // Resolving or closing a parent takes its linked and merged reports along
+  const cascaded = [STATUSES.RESOLVED, STATUSES.CLOSED].includes(toStatus)
+    ? await cascadeToChildren(connection, { parent: current, toStatus, actor, notes: comment && !comment.isInternal ? notes.trim() : null, now })
+    : { ids: [], notificationIds: [] };
+
+  return { fromStatus, toStatus, comment, cascaded: cascaded.ids, notificationIds: [...notificationIds, ...cascaded.notificationIds] };
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  changeStatus
+};